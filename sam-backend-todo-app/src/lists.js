@@ -0,0 +1,715 @@
+/**
+ * This file contains the Lambda functions for named To-Do lists, their members and invitations.
+ * Next to their personal To-Dos, users can keep any number of named lists (e.g. "Work" or "Groceries"),
+ * rename, archive and delete them, and share them with others.
+ * A list has one owner and any number of members with the viewer or editor role (see src/utils/access.js).
+ * The To-Dos of a list are stored in the To-Do table under the partition key `list#<listId>`
+ * and are read and changed through the /todos endpoints with the `listId` query string parameter.
+ * All items of a list live in the lists table under its listId:
+ * - `list`: the list itself, { name, ownerId, createdAt, updatedAt, archivedAt }
+ * - `member#<userId>`: a member, { memberUserId, email, role, joinedAt }
+ * - `invite#<email>`: a pending invitation, { inviteEmail, role, listName, invitedBy, createdAt, expiresAt }
+ * Members and invitations carry sparse GSI keys, so a user's lists and invitations can be queried directly.
+ */
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+} = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require('uuid');
+const {
+  ROLE_RANKS,
+  LIST_META_KEY,
+  MEMBER_KEY_PREFIX,
+  INVITE_KEY_PREFIX,
+  LIST_ID_PATTERN,
+  toListPartitionKey,
+  authorizeListAccess,
+} = require('./utils/access');
+const { docClient } = require('./utils/dynamo');
+const { BadRequestError, NotFoundError, ConflictError } = require('./utils/errors');
+const { route } = require('./utils/middleware');
+const { requirePathParameter } = require('./utils/validation');
+
+// Get the DynamoDB table names of the lists and their members, and of the To-Do items, from environment variables
+const LISTS_TABLE_NAME = process.env.LISTS_TABLE_NAME;
+const TODOS_TABLE_NAME = process.env.TODOS_TABLE_NAME;
+
+// Sparse global secondary index on memberUserId + listId, containing the memberships of each user
+const MEMBER_USER_INDEX_NAME = 'MemberUserIndex';
+
+// Sparse global secondary index on inviteEmail + listId, containing the pending invitations of each email address
+const INVITE_EMAIL_INDEX_NAME = 'InviteEmailIndex';
+
+// Days an invitation can be accepted before DynamoDB's TTL purges it
+const INVITATION_TTL_DAYS = 14;
+
+const MAX_LIST_NAME_LENGTH = 100;
+const MAX_EMAIL_LENGTH = 254;
+
+// Roles that can be given to members; every list has exactly one owner, the user who created it
+const MEMBER_ROLES = Object.keys(ROLE_RANKS).filter(role => role !== 'owner');
+
+// BatchGetItem reads at most 100 items per request, BatchWriteItem writes at most 25
+const BATCH_GET_SIZE = 100;
+const BATCH_WRITE_SIZE = 25;
+
+// Attempts to write the items DynamoDB leaves unprocessed in a BatchWriteItem request (e.g. when throttled)
+const MAX_BATCH_WRITE_ATTEMPTS = 3;
+
+/**
+ * Returns the verified email address of the authenticated user.
+ * API Gateway passes the claims of the Cognito ID token as strings.
+ * @param {object} event - The Lambda event object.
+ * @returns {string|null} - The lower-cased email address, or null if the token has none or it is not verified.
+ */
+const getVerifiedEmail = (event) => {
+  const claims = event.requestContext?.authorizer?.claims || {};
+  if (!claims.email || String(claims.email_verified) !== 'true') {
+    return null;
+  }
+  return claims.email.toLowerCase();
+};
+
+/**
+ * Validates the name of a list.
+ * @param {*} name - The raw name from the request body.
+ * @returns {string|null} - A validation message, or null if the name is valid.
+ */
+const validateListName = (name) => {
+  if (!name || typeof name !== 'string' || name.trim() === '') {
+    return "List name is required and must be a non-empty string.";
+  }
+  if (name.trim().length > MAX_LIST_NAME_LENGTH) {
+    return `List name must be at most ${MAX_LIST_NAME_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/**
+ * Validates and normalises the email address of an invitation.
+ * @param {*} email - The raw email address from the request body.
+ * @returns {object} - Either { value } with the lower-cased address or { error } with a validation message.
+ */
+const parseEmail = (email) => {
+  if (typeof email !== 'string' || email.length > MAX_EMAIL_LENGTH || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+    return { error: "Email must be a valid email address." };
+  }
+  return { value: email.trim().toLowerCase() };
+};
+
+/**
+ * Request body schemas, see utils/validation.js.
+ */
+const LIST_NAME_SCHEMA = { message: "List name is required and must be a non-empty string.", check: validateListName };
+const MEMBER_ROLE_SCHEMA = { enum: MEMBER_ROLES, message: `Role must be one of: ${MEMBER_ROLES.join(', ')}.` };
+
+const CREATE_LIST_SCHEMA = {
+  type: 'object',
+  properties: { name: LIST_NAME_SCHEMA },
+  required: ['name'],
+  additionalProperties: false,
+};
+
+const UPDATE_LIST_SCHEMA = {
+  type: 'object',
+  properties: { name: LIST_NAME_SCHEMA, archived: { type: 'boolean', message: "archived must be a boolean." } },
+  additionalProperties: false,
+  check: ({ name, archived }) => (name === undefined && archived === undefined
+    ? "Nothing to update: provide a name and/or archived."
+    : null),
+};
+
+const INVITE_MEMBER_SCHEMA = {
+  type: 'object',
+  properties: {
+    email: { message: "Email must be a valid email address.", check: (email) => parseEmail(email).error },
+    role: MEMBER_ROLE_SCHEMA,
+  },
+  required: ['email'],
+  additionalProperties: false,
+};
+
+const UPDATE_MEMBER_SCHEMA = {
+  type: 'object',
+  properties: { role: MEMBER_ROLE_SCHEMA },
+  required: ['role'],
+  additionalProperties: false,
+};
+
+/**
+ * Turns a list item into the list returned by the API.
+ * @param {object} list - The list item.
+ * @param {string} role - The authenticated user's role in the list.
+ * @returns {object} - { listId, name, ownerId, role, archived, createdAt, updatedAt }.
+ */
+const toList = (list, role) => ({
+  listId: list.listId,
+  name: list.name,
+  ownerId: list.ownerId,
+  role: role,
+  archived: Boolean(list.archivedAt),
+  createdAt: list.createdAt,
+  updatedAt: list.updatedAt,
+});
+
+/**
+ * Turns a member item into the member returned by the API.
+ * @param {object} item - The member item.
+ * @returns {object} - { userId, email, role, joinedAt }.
+ */
+const toMember = (item) => ({
+  userId: item.memberUserId,
+  email: item.email,
+  role: item.role,
+  joinedAt: item.joinedAt,
+});
+
+/**
+ * Turns an invitation item into the invitation returned by the API.
+ * @param {object} item - The invitation item.
+ * @returns {object} - { listId, listName, email, role, invitedBy, invitedAt, expiresAt }.
+ */
+const toInvitation = (item) => ({
+  listId: item.listId,
+  listName: item.listName,
+  email: item.inviteEmail,
+  role: item.role,
+  invitedBy: item.invitedBy,
+  invitedAt: item.createdAt,
+  expiresAt: new Date(item.expiresAt * 1000).toISOString(),
+});
+
+/**
+ * Tells whether an invitation has expired. DynamoDB's TTL can take a while to purge expired items.
+ * @param {object} item - The invitation item.
+ * @returns {boolean} - True if the invitation can no longer be accepted.
+ */
+const isExpired = (item) => item.expiresAt * 1000 <= Date.now();
+
+/**
+ * Reads every item of a list whose sort key starts with a prefix, e.g. all members.
+ * @param {string} listId - The ID of the list.
+ * @param {string} prefix - The sort key prefix.
+ * @returns {Promise<object[]>} - The items.
+ */
+const queryListItems = async (listId, prefix) => {
+  const items = [];
+  let startKey;
+  do {
+    const data = await docClient.send(new QueryCommand({
+      TableName: LISTS_TABLE_NAME,
+      KeyConditionExpression: 'listId = :l AND begins_with(memberKey, :p)',
+      ExpressionAttributeValues: { ':l': listId, ':p': prefix },
+      ExclusiveStartKey: startKey,
+    }));
+    items.push(...(data.Items || []));
+    startKey = data.LastEvaluatedKey;
+  } while (startKey);
+  return items;
+};
+
+/**
+ * Loads the list items of several lists.
+ * @param {string[]} listIds - The IDs of the lists.
+ * @returns {Promise<Map<string, object>>} - The list items by list ID.
+ */
+const getListsById = async (listIds) => {
+  const lists = new Map();
+  for (let i = 0; i < listIds.length; i += BATCH_GET_SIZE) {
+    let keys = listIds.slice(i, i + BATCH_GET_SIZE).map(listId => ({ listId: listId, memberKey: LIST_META_KEY }));
+    while (keys && keys.length > 0) {
+      const data = await docClient.send(new BatchGetCommand({ RequestItems: { [LISTS_TABLE_NAME]: { Keys: keys } } }));
+      (data.Responses?.[LISTS_TABLE_NAME] || []).forEach(item => lists.set(item.listId, item));
+      keys = data.UnprocessedKeys?.[LISTS_TABLE_NAME]?.Keys;
+    }
+  }
+  return lists;
+};
+
+/**
+ * Deletes items with BatchWriteItem, 25 at a time.
+ * Items DynamoDB leaves unprocessed are retried with a short backoff.
+ * @param {string} tableName - The name of the table.
+ * @param {object[]} keys - The keys of the items to delete.
+ * @returns {Promise<void>} - Resolves when every item is deleted; rejects if some are still unprocessed after the retries.
+ */
+const batchDelete = async (tableName, keys) => {
+  for (let i = 0; i < keys.length; i += BATCH_WRITE_SIZE) {
+    let requests = keys.slice(i, i + BATCH_WRITE_SIZE).map(key => ({ DeleteRequest: { Key: key } }));
+    for (let attempt = 1; requests.length > 0; attempt++) {
+      if (attempt > MAX_BATCH_WRITE_ATTEMPTS) {
+        throw new Error(`${requests.length} items of ${tableName} were left unprocessed.`);
+      }
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+      const { UnprocessedItems } = await docClient.send(new BatchWriteCommand({ RequestItems: { [tableName]: requests } }));
+      requests = UnprocessedItems?.[tableName] || [];
+    }
+  }
+};
+
+/**
+ * Reads the keys of every item in a list's partition of the To-Do table,
+ * including its trashed items and the tombstones of deleted ones.
+ * @param {string} listId - The ID of the list.
+ * @returns {Promise<object[]>} - The keys, { userId, todoId }.
+ */
+const queryListTodoKeys = async (listId) => {
+  const keys = [];
+  let startKey;
+  do {
+    const data = await docClient.send(new QueryCommand({
+      TableName: TODOS_TABLE_NAME,
+      KeyConditionExpression: 'userId = :u',
+      ExpressionAttributeValues: { ':u': toListPartitionKey(listId) },
+      ProjectionExpression: 'userId, todoId',
+      ExclusiveStartKey: startKey,
+    }));
+    keys.push(...(data.Items || []));
+    startKey = data.LastEvaluatedKey;
+  } while (startKey);
+  return keys;
+};
+
+/**
+ * Reads the list ID path parameter of the /lists/{id} endpoints.
+ * @param {object} event - The Lambda event object.
+ * @returns {string} - The list ID.
+ * @throws {BadRequestError} - MISSING_PARAMETER if the list ID is missing.
+ */
+const getListIdPath = (event) => requirePathParameter(event, 'id', "List ID");
+
+/**
+ * Builds the rejection handler of a write that requires the addressed item to exist.
+ * @param {string} code - The error code, e.g. 'MEMBER_NOT_FOUND'.
+ * @param {string} message - The message of the 404 Not Found error.
+ * @returns {function} - Throws a NotFoundError if the existence condition failed and rethrows any other error.
+ */
+const notFoundOnConditionFailure = (code, message) => (error) => {
+  if (error.name === 'ConditionalCheckFailedException') {
+    throw new NotFoundError(code, message);
+  }
+  throw error;
+};
+
+/**
+ * Lambda handler for creating a list. The authenticated user becomes its owner.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.body - JSON string with the list name, e.g. { "name": "Groceries" }.
+ * @returns {object} - The response object containing the status code and the new list.
+ */
+exports.createListHandler = route({
+  failureMessage: "Failed to create list. Please try again later.",
+  body: CREATE_LIST_SCHEMA,
+  status: 201,
+}, async ({ event, userId, body }) => {
+  const { name } = body;
+
+  const now = new Date().toISOString();
+  const list = { listId: uuidv4(), memberKey: LIST_META_KEY, name: name.trim(), ownerId: userId, createdAt: now, updatedAt: now };
+  const owner = {
+    listId: list.listId,
+    memberKey: `${MEMBER_KEY_PREFIX}${userId}`,
+    memberUserId: userId,
+    email: getVerifiedEmail(event),
+    role: 'owner',
+    joinedAt: now,
+  };
+  await docClient.send(new TransactWriteCommand({
+    TransactItems: [
+      { Put: { TableName: LISTS_TABLE_NAME, Item: list } },
+      { Put: { TableName: LISTS_TABLE_NAME, Item: owner } },
+    ],
+  }));
+
+  return { message: "List created successfully.", list: toList(list, 'owner') };
+});
+
+/**
+ * Lambda handler for retrieving the lists the authenticated user owns or is a member of, sorted by name.
+ * Archived lists are included with `archived: true`, so clients can show them apart and restore them.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @returns {object} - The response object with { lists: [{ listId, name, ownerId, role, archived, createdAt, updatedAt }] }.
+ */
+exports.getListsHandler = route({ failureMessage: "Failed to retrieve lists. Please try again later." }, async ({ userId }) => {
+  const memberships = [];
+  let startKey;
+  do {
+    const data = await docClient.send(new QueryCommand({
+      TableName: LISTS_TABLE_NAME,
+      IndexName: MEMBER_USER_INDEX_NAME,
+      KeyConditionExpression: 'memberUserId = :u',
+      ExpressionAttributeValues: { ':u': userId },
+      ExclusiveStartKey: startKey,
+    }));
+    memberships.push(...(data.Items || []));
+    startKey = data.LastEvaluatedKey;
+  } while (startKey);
+
+  const listsById = await getListsById(memberships.map(membership => membership.listId));
+  const lists = memberships
+    .filter(membership => listsById.has(membership.listId))
+    .map(membership => toList(listsById.get(membership.listId), membership.role))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  return { lists };
+});
+
+/**
+ * Lambda handler for renaming, archiving or restoring a list.
+ * Archiving only hides the list from the list switcher of the clients; its To-Dos and members are kept
+ * and it can be restored with { "archived": false }.
+ * Renaming also updates the list name shown in its pending invitations.
+ * Requires authentication and the owner role in the list.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @param {string} event.body - JSON string with the changes, e.g. { "name": "Work" } or { "archived": true }.
+ * @returns {object} - The response object containing the status code and the updated list.
+ */
+exports.updateListHandler = route({
+  failureMessage: "Failed to update list. Please try again later.",
+  auth: 'owner',
+  listId: getListIdPath,
+  body: UPDATE_LIST_SCHEMA,
+}, async ({ access, body }) => {
+  const { name, archived } = body;
+
+  const setExpressions = ['updatedAt = :now'];
+  const removeExpressions = [];
+  const expressionAttributeValues = { ':now': new Date().toISOString() };
+  if (name !== undefined) {
+    setExpressions.push('#n = :n');
+    expressionAttributeValues[':n'] = name.trim();
+  }
+  if (archived === true) {
+    setExpressions.push('archivedAt = if_not_exists(archivedAt, :now)');
+  } else if (archived === false) {
+    removeExpressions.push('archivedAt');
+  }
+
+  const data = await docClient.send(new UpdateCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: access.listId, memberKey: LIST_META_KEY },
+    UpdateExpression: `SET ${setExpressions.join(', ')}${removeExpressions.length ? ` REMOVE ${removeExpressions.join(', ')}` : ''}`,
+    ConditionExpression: 'attribute_exists(memberKey)',
+    // "name" is a DynamoDB reserved word
+    ...(name !== undefined && { ExpressionAttributeNames: { '#n': 'name' } }),
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW',
+  })).catch(notFoundOnConditionFailure('LIST_NOT_FOUND', "List not found."));
+
+  if (name !== undefined) {
+    const invitations = await queryListItems(access.listId, INVITE_KEY_PREFIX);
+    await Promise.all(invitations.map(invitation => docClient.send(new UpdateCommand({
+      TableName: LISTS_TABLE_NAME,
+      Key: { listId: access.listId, memberKey: invitation.memberKey },
+      UpdateExpression: 'SET listName = :n',
+      // Invitations accepted or declined in the meantime must not be recreated
+      ConditionExpression: 'attribute_exists(memberKey)',
+      ExpressionAttributeValues: { ':n': name.trim() },
+    })).catch(error => {
+      if (error.name !== 'ConditionalCheckFailedException') {
+        throw error;
+      }
+    })));
+  }
+
+  return { message: "List updated successfully.", list: toList(data.Attributes, access.role) };
+});
+
+/**
+ * Lambda handler for deleting a list together with its To-Dos (including the trashed ones),
+ * its members and its pending invitations. This cannot be undone.
+ * The To-Dos are deleted first, so a request that fails half way can simply be repeated by the owner.
+ * Requires authentication and the owner role in the list.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.deleteListHandler = route({
+  failureMessage: "Failed to delete list. Please try again later.",
+  auth: 'owner',
+  listId: getListIdPath,
+}, async ({ access }) => {
+  await batchDelete(TODOS_TABLE_NAME, await queryListTodoKeys(access.listId));
+
+  const members = await queryListItems(access.listId, MEMBER_KEY_PREFIX);
+  const invitations = await queryListItems(access.listId, INVITE_KEY_PREFIX);
+  // The list item goes last; without it a left-over membership no longer shows up in GET /lists
+  await batchDelete(LISTS_TABLE_NAME, [
+    ...[...invitations, ...members].map(item => ({ listId: access.listId, memberKey: item.memberKey })),
+    { listId: access.listId, memberKey: LIST_META_KEY },
+  ]);
+
+  return { message: "List deleted successfully." };
+});
+
+/**
+ * Lambda handler for retrieving the members of a list.
+ * Requires authentication and membership in the list; only the owner also gets the pending invitations.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @returns {object} - The response object with { members, invitations }.
+ */
+exports.getMembersHandler = route({
+  failureMessage: "Failed to retrieve list members. Please try again later.",
+  auth: 'viewer',
+  listId: getListIdPath,
+}, async ({ access }) => {
+  const members = await queryListItems(access.listId, MEMBER_KEY_PREFIX);
+  const invitations = access.role === 'owner' ? await queryListItems(access.listId, INVITE_KEY_PREFIX) : [];
+
+  return {
+    members: members.map(toMember),
+    invitations: invitations.filter(item => !isExpired(item)).map(toInvitation),
+  };
+});
+
+/**
+ * Lambda handler for inviting someone to a list by email.
+ * The invitation can be accepted by the user who signs in with that (verified) email address within 14 days;
+ * inviting the same address again replaces the invitation.
+ * Requires authentication and the owner role in the list.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @param {string} event.body - JSON string with the invitee, e.g. { "email": "sam@example.com", "role": "editor" }.
+ * The role is 'viewer' or 'editor' (default).
+ * @returns {object} - The response object containing the status code and the invitation.
+ */
+exports.inviteMemberHandler = route({
+  failureMessage: "Failed to send invitation. Please try again later.",
+  auth: 'owner',
+  listId: getListIdPath,
+  body: INVITE_MEMBER_SCHEMA,
+  status: 201,
+}, async ({ event, access, body }) => {
+  const { email, role = 'editor' } = body;
+  const parsedEmail = parseEmail(email);
+
+  const members = await queryListItems(access.listId, MEMBER_KEY_PREFIX);
+  if (members.some(member => member.email === parsedEmail.value)) {
+    throw new ConflictError('ALREADY_MEMBER', "This person is already a member of the list.");
+  }
+
+  const { Item: list } = await docClient.send(new GetCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: access.listId, memberKey: LIST_META_KEY },
+  }));
+  const now = new Date();
+  const invitation = {
+    listId: access.listId,
+    memberKey: `${INVITE_KEY_PREFIX}${parsedEmail.value}`,
+    inviteEmail: parsedEmail.value,
+    role: role,
+    listName: list.name,
+    invitedBy: getVerifiedEmail(event),
+    createdAt: now.toISOString(),
+    expiresAt: Math.floor(now.getTime() / 1000) + INVITATION_TTL_DAYS * 24 * 60 * 60,
+  };
+  await docClient.send(new PutCommand({ TableName: LISTS_TABLE_NAME, Item: invitation }));
+
+  return { message: "Invitation sent successfully.", invitation: toInvitation(invitation) };
+});
+
+/**
+ * Lambda handler for deleting an invitation.
+ * The owner of the list can revoke it and the invitee can decline it.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @param {string} event.pathParameters.email - The email address of the invitation, already URL decoded by API Gateway.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.deleteInvitationHandler = route({ failureMessage: "Failed to delete invitation. Please try again later." }, async ({ event }) => {
+  const listId = getListIdPath(event);
+  const email = requirePathParameter(event, 'email', "Email").toLowerCase();
+
+  // Anyone but the invitee needs to own the list
+  if (getVerifiedEmail(event) !== email) {
+    await authorizeListAccess(event, 'owner', listId);
+  }
+
+  await docClient.send(new DeleteCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: listId, memberKey: `${INVITE_KEY_PREFIX}${email}` },
+    ConditionExpression: 'attribute_exists(memberKey)',
+  })).catch(notFoundOnConditionFailure('INVITATION_NOT_FOUND', "Invitation not found."));
+
+  return { message: "Invitation deleted successfully." };
+});
+
+/**
+ * Lambda handler for retrieving the pending invitations of the authenticated user's verified email address.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @returns {object} - The response object with { invitations }.
+ */
+exports.getInvitationsHandler = route({ failureMessage: "Failed to retrieve invitations. Please try again later." }, async ({ event }) => {
+  const email = getVerifiedEmail(event);
+  if (!email) {
+    return { invitations: [] };
+  }
+
+  const data = await docClient.send(new QueryCommand({
+    TableName: LISTS_TABLE_NAME,
+    IndexName: INVITE_EMAIL_INDEX_NAME,
+    KeyConditionExpression: 'inviteEmail = :e',
+    ExpressionAttributeValues: { ':e': email },
+  }));
+
+  return {
+    invitations: (data.Items || []).filter(item => !isExpired(item)).map(toInvitation),
+  };
+});
+
+/**
+ * Lambda handler for accepting an invitation. The invitation is replaced by a membership with its role.
+ * Requires authentication with the verified email address the invitation was sent to.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @returns {object} - The response object containing the status code and the joined list.
+ */
+exports.acceptInvitationHandler = route({ failureMessage: "Failed to accept invitation. Please try again later." }, async ({ event, userId }) => {
+  const listId = getListIdPath(event);
+  if (!LIST_ID_PATTERN.test(listId)) {
+    throw new BadRequestError('INVALID_LIST_ID', "List ID must be a valid list identifier.");
+  }
+
+  const email = getVerifiedEmail(event);
+  const { Item: invitation } = email
+    ? await docClient.send(new GetCommand({ TableName: LISTS_TABLE_NAME, Key: { listId: listId, memberKey: `${INVITE_KEY_PREFIX}${email}` } }))
+    : {};
+  if (!invitation || isExpired(invitation)) {
+    throw new NotFoundError('INVITATION_NOT_FOUND', "Invitation not found.");
+  }
+
+  const now = new Date().toISOString();
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          Delete: {
+            TableName: LISTS_TABLE_NAME,
+            Key: { listId: listId, memberKey: invitation.memberKey },
+            ConditionExpression: 'attribute_exists(memberKey)',
+          },
+        },
+        {
+          Put: {
+            TableName: LISTS_TABLE_NAME,
+            Item: {
+              listId: listId,
+              memberKey: `${MEMBER_KEY_PREFIX}${userId}`,
+              memberUserId: userId,
+              email: email,
+              role: invitation.role,
+              joinedAt: now,
+            },
+            ConditionExpression: 'attribute_not_exists(memberKey)',
+          },
+        },
+      ],
+    }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') {
+      throw error;
+    }
+    // The first item is the invitation, the second the membership
+    const [invitationReason, memberReason] = error.CancellationReasons || [];
+    if (memberReason?.Code === 'ConditionalCheckFailed') {
+      throw new ConflictError('ALREADY_MEMBER', "You are already a member of this list.");
+    }
+    if (invitationReason?.Code === 'ConditionalCheckFailed') {
+      throw new NotFoundError('INVITATION_NOT_FOUND', "Invitation not found.");
+    }
+    throw error;
+  }
+
+  return {
+    message: "Invitation accepted successfully.",
+    list: { listId: listId, name: invitation.listName, role: invitation.role },
+  };
+});
+
+/**
+ * Lambda handler for changing the role of a member.
+ * Requires authentication and the owner role in the list. The owner's own role cannot be changed.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @param {string} event.pathParameters.memberId - The user ID of the member.
+ * @param {string} event.body - JSON string with the new role, e.g. { "role": "viewer" }.
+ * @returns {object} - The response object containing the status code and the updated member.
+ */
+exports.updateMemberHandler = route({
+  failureMessage: "Failed to update member. Please try again later.",
+  auth: 'owner',
+  listId: getListIdPath,
+  body: UPDATE_MEMBER_SCHEMA,
+}, async ({ event, access, body }) => {
+  const memberId = requirePathParameter(event, 'memberId', "Member ID");
+  if (memberId === access.userId) {
+    throw new BadRequestError('OWNER_ROLE_FIXED', "The owner's role cannot be changed.");
+  }
+  const { role } = body;
+
+  const data = await docClient.send(new UpdateCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: access.listId, memberKey: `${MEMBER_KEY_PREFIX}${memberId}` },
+    UpdateExpression: 'SET #r = :r',
+    ConditionExpression: 'attribute_exists(memberKey)',
+    ExpressionAttributeNames: { '#r': 'role' },
+    ExpressionAttributeValues: { ':r': role },
+    ReturnValues: 'ALL_NEW',
+  })).catch(notFoundOnConditionFailure('MEMBER_NOT_FOUND', "Member not found."));
+
+  return { message: "Member updated successfully.", member: toMember(data.Attributes) };
+});
+
+/**
+ * Lambda handler for removing a member from a list.
+ * The owner can remove any other member, and every member can leave the list by removing themselves.
+ * The owner cannot leave their own list.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The listId of the list.
+ * @param {string} event.pathParameters.memberId - The user ID of the member.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.removeMemberHandler = route({ failureMessage: "Failed to remove member. Please try again later." }, async ({ event, userId }) => {
+  const memberId = event.pathParameters?.memberId;
+  const isSelf = memberId && memberId === userId;
+  // Leaving a list only takes membership, removing someone else takes ownership
+  const access = await authorizeListAccess(event, isSelf ? 'viewer' : 'owner', getListIdPath(event));
+  requirePathParameter(event, 'memberId', "Member ID");
+  if (isSelf && access.role === 'owner') {
+    throw new BadRequestError('OWNER_ROLE_FIXED', "The owner cannot leave the list.");
+  }
+
+  await docClient.send(new DeleteCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: access.listId, memberKey: `${MEMBER_KEY_PREFIX}${memberId}` },
+    ConditionExpression: 'attribute_exists(memberKey)',
+  })).catch(notFoundOnConditionFailure('MEMBER_NOT_FOUND', "Member not found."));
+
+  return { message: isSelf ? "You left the list." : "Member removed successfully." };
+});
@@ -0,0 +1,246 @@
+/**
+ * This file contains the Lambda functions of the WebSocket API that pushes To-Do changes to open clients,
+ * so a change made on one device shows up in every other open tab or device of the same user.
+ * Clients connect with their Cognito ID token in the `token` query string parameter, which the authorizer verifies.
+ * Each open connection is stored in the connections table under the user's ID.
+ * The broadcast function reads the DynamoDB stream of the To-Do table and sends every change to the connections
+ * of the item's owner, in the same { todos, tombstones } format as GET /todos/changes.
+ * Changes to a shared list are sent to the connections of all its members, with the list's `listId`.
+ */
+const { PutCommand, DeleteCommand, QueryCommand } = require("@aws-sdk/lib-dynamodb");
+const { PostToConnectionCommand } = require("@aws-sdk/client-apigatewaymanagementapi");
+const { unmarshall } = require("@aws-sdk/util-dynamodb");
+const { CognitoJwtVerifier } = require("aws-jwt-verify");
+const { MEMBER_KEY_PREFIX, toListId } = require('./utils/access');
+const { toChangeSet } = require('./utils/changes');
+const { docClient } = require('./utils/dynamo');
+const { managementClient } = require('./utils/websocket');
+const { route } = require('./utils/middleware');
+const logger = require('./utils/logger');
+
+// Get the DynamoDB table name of the open WebSocket connections from environment variables
+const CONNECTIONS_TABLE_NAME = process.env.CONNECTIONS_TABLE_NAME;
+
+// Get the DynamoDB table name of the lists and their members from environment variables
+const LISTS_TABLE_NAME = process.env.LISTS_TABLE_NAME;
+
+// API Gateway closes WebSocket connections after 2 hours at the latest; stale entries expire with the TTL
+const CONNECTION_TTL_SECONDS = 2 * 60 * 60;
+
+// API Gateway rejects WebSocket messages larger than 128 KB; larger change sets are replaced by a resync hint
+const MAX_MESSAGE_BYTES = 120 * 1024;
+
+// Verifies Cognito ID tokens of the user pool; created on first use so it caches the signing keys across invocations
+let tokenVerifier = null;
+
+/**
+ * Returns the verifier for the ID tokens issued to the app's user pool client.
+ * @returns {object} - The aws-jwt-verify Cognito verifier.
+ */
+const getTokenVerifier = () => {
+  if (!tokenVerifier) {
+    tokenVerifier = CognitoJwtVerifier.create({
+      userPoolId: process.env.USER_POOL_ID,
+      clientId: process.env.USER_POOL_CLIENT_ID,
+      tokenUse: 'id',
+    });
+  }
+  return tokenVerifier;
+};
+
+/**
+ * Builds the IAM policy returned by the WebSocket authorizer.
+ * @param {string} principalId - The user's ID, or 'anonymous' when access is denied.
+ * @param {string} effect - 'Allow' or 'Deny'.
+ * @param {string} resource - The ARN of the $connect route.
+ * @param {object} [context] - Values passed on to the route handlers in requestContext.authorizer.
+ * @returns {object} - The authorizer response.
+ */
+const buildPolicy = (principalId, effect, resource, context) => ({
+  principalId: principalId,
+  policyDocument: {
+    Version: '2012-10-17',
+    Statement: [{ Action: 'execute-api:Invoke', Effect: effect, Resource: resource }],
+  },
+  ...(context && { context: context }),
+});
+
+/**
+ * Lambda authorizer of the WebSocket API's $connect route.
+ * Browsers cannot send an Authorization header when opening a WebSocket, so the Cognito ID token
+ * is passed in the `token` query string parameter and verified here.
+ * @param {object} event - The REQUEST authorizer event.
+ * @param {string} event.queryStringParameters.token - The Cognito ID token.
+ * @param {string} event.methodArn - The ARN of the route.
+ * @returns {object} - An IAM policy allowing the connection, with the user's ID as `sub` in the context,
+ * or denying it if the token is missing or invalid.
+ */
+exports.authorizeHandler = async (event) => {
+  const token = event.queryStringParameters?.token;
+  if (!token) {
+    return buildPolicy('anonymous', 'Deny', event.methodArn);
+  }
+  try {
+    const claims = await getTokenVerifier().verify(token);
+    return buildPolicy(claims.sub, 'Allow', event.methodArn, { sub: claims.sub });
+  } catch (error) {
+    logger.warn("Rejected WebSocket connection with an invalid token.", { reason: error.message });
+    return buildPolicy('anonymous', 'Deny', event.methodArn);
+  }
+};
+
+/**
+ * Lambda handler for the WebSocket API's $connect route.
+ * Stores the new connection under the authenticated user's ID.
+ * @param {object} event - The Lambda event object.
+ * @param {string} event.requestContext.connectionId - The ID of the new connection.
+ * @param {object} event.requestContext.authorizer - The context returned by the authorizer, { sub }.
+ * @returns {object} - The response object; any status other than 200 rejects the connection.
+ */
+exports.connectHandler = route({
+  failureMessage: "Failed to connect. Please try again later.",
+}, async ({ event, userId }) => {
+  const now = new Date();
+  await docClient.send(new PutCommand({
+    TableName: CONNECTIONS_TABLE_NAME,
+    Item: {
+      userId: userId,
+      connectionId: event.requestContext.connectionId,
+      connectedAt: now.toISOString(),
+      expiresAt: Math.floor(now.getTime() / 1000) + CONNECTION_TTL_SECONDS,
+    },
+  }));
+  return { message: "Connected." };
+});
+
+/**
+ * Lambda handler for the WebSocket API's $disconnect route.
+ * Removes the closed connection. API Gateway does not retry $disconnect, so failures are only logged;
+ * entries that are left behind are removed when a broadcast finds them gone, or by the TTL.
+ * @param {object} event - The Lambda event object.
+ * @param {string} event.requestContext.connectionId - The ID of the closed connection.
+ * @param {object} event.requestContext.authorizer - The context returned by the authorizer on connect, { sub }.
+ * @returns {object} - The response object.
+ */
+exports.disconnectHandler = route({ failureMessage: "Failed to disconnect.", auth: false }, async ({ event }) => {
+  const userId = event.requestContext?.authorizer?.sub;
+  if (userId) {
+    await docClient.send(new DeleteCommand({
+      TableName: CONNECTIONS_TABLE_NAME,
+      Key: { userId: userId, connectionId: event.requestContext.connectionId },
+    }));
+  }
+  return { message: "Disconnected." };
+});
+
+/**
+ * Groups the items changed by a batch of DynamoDB stream records by their partition,
+ * i.e. by the owning user or by shared list.
+ * Removals are skipped: trashed and permanently deleted items are reported through their new image
+ * (deletedAt, or the tombstone item), and TTL removals of trashed items were reported when they were trashed.
+ * @param {object[]} records - The DynamoDB stream records, oldest first.
+ * @returns {Map<string, object[]>} - The changed items by partition key, oldest change first.
+ */
+const groupChangesByUser = (records) => {
+  const changes = new Map();
+  for (const record of records) {
+    const newImage = record.dynamodb?.NewImage;
+    if (record.eventName === 'REMOVE' || !newImage) {
+      continue;
+    }
+    const item = unmarshall(newImage);
+    changes.set(item.userId, [...(changes.get(item.userId) || []), item]);
+  }
+  return changes;
+};
+
+/**
+ * Builds the message pushed to the connections of a partition.
+ * @param {object[]} items - The changed items of the partition.
+ * @param {string|null} listId - The ID of the shared list the items belong to, or null for personal To-Dos.
+ * @returns {string} - The JSON message, { type: 'changes', todos, tombstones }, or { type: 'changes', resync: true }
+ * if the change set is too large for a WebSocket message and the client has to fetch it from GET /todos/changes.
+ * Changes to a shared list also carry its `listId`.
+ */
+const buildChangeMessage = (items, listId) => {
+  const list = listId ? { listId: listId } : {};
+  const message = JSON.stringify({ type: 'changes', ...list, ...toChangeSet(items) });
+  if (Buffer.byteLength(message) > MAX_MESSAGE_BYTES) {
+    return JSON.stringify({ type: 'changes', ...list, resync: true });
+  }
+  return message;
+};
+
+/**
+ * Returns the users who see the changes of a partition.
+ * @param {string} partitionKey - The partition key of the changed items.
+ * @returns {Promise<string[]>} - The owning user's ID, or the IDs of all members of a shared list.
+ */
+const getRecipients = async (partitionKey) => {
+  const listId = toListId(partitionKey);
+  if (!listId) {
+    return [partitionKey];
+  }
+  const data = await docClient.send(new QueryCommand({
+    TableName: LISTS_TABLE_NAME,
+    KeyConditionExpression: 'listId = :l AND begins_with(memberKey, :p)',
+    ExpressionAttributeValues: { ':l': listId, ':p': MEMBER_KEY_PREFIX },
+    ProjectionExpression: 'memberUserId',
+  }));
+  return (data.Items || []).map(member => member.memberUserId);
+};
+
+/**
+ * Sends a message to one connection. Connections that are gone are removed from the connections table.
+ * @param {string} userId - The ID of the connection's user.
+ * @param {string} connectionId - The ID of the connection.
+ * @param {string} message - The message.
+ * @returns {Promise<boolean>} - True if the message was sent.
+ */
+const sendToConnection = async (userId, connectionId, message) => {
+  try {
+    await managementClient.send(new PostToConnectionCommand({ ConnectionId: connectionId, Data: message }));
+    return true;
+  } catch (error) {
+    if (error.name === 'GoneException' || error.$metadata?.httpStatusCode === 410) {
+      await docClient.send(new DeleteCommand({
+        TableName: CONNECTIONS_TABLE_NAME,
+        Key: { userId: userId, connectionId: connectionId },
+      }));
+    } else {
+      logger.error("Error sending change to WebSocket connection.", { connectionId, error });
+    }
+    return false;
+  }
+};
+
+/**
+ * Lambda handler for the DynamoDB stream of the To-Do table.
+ * Sends the changed items to every open connection of their owner, or of every member of their shared list,
+ * one message per partition and batch.
+ * Delivery is best effort: a failed send is logged and not retried, since clients catch up through
+ * GET /todos/changes when they reconnect.
+ * @param {object} event - The DynamoDB stream event.
+ * @param {object[]} event.Records - The stream records, oldest first.
+ * @returns {Promise<object>} - { sent }, the number of messages delivered.
+ */
+exports.broadcastHandler = async (event) => {
+  let sent = 0;
+  for (const [partitionKey, items] of groupChangesByUser(event.Records || [])) {
+    try {
+      const message = buildChangeMessage(items, toListId(partitionKey));
+      for (const userId of await getRecipients(partitionKey)) {
+        const data = await docClient.send(new QueryCommand({
+          TableName: CONNECTIONS_TABLE_NAME,
+          KeyConditionExpression: 'userId = :u',
+          ExpressionAttributeValues: { ':u': userId },
+        }));
+        const results = await Promise.all((data.Items || []).map(connection => sendToConnection(userId, connection.connectionId, message)));
+        sent += results.filter(Boolean).length;
+      }
+    } catch (error) {
+      logger.error("Error broadcasting To-Do changes.", { error });
+    }
+  }
+  return { sent };
+};
@@ -0,0 +1,287 @@
+/**
+ * This file contains the Lambda functions for managing the subtasks (checklist items) of a To-Do item.
+ * Subtasks are stored as an ordered list on the To-Do item itself, so a To-Do and its checklist
+ * are always read and written together and no extra queries are needed to render the list.
+ * Each handler loads the item, changes the list in memory and writes it back with a condition
+ * on `updatedAt`, so concurrent changes to the same item are rejected with 409 Conflict instead of being lost.
+ * Like any other change, a checklist change increments the item's version.
+ * When the To-Do has `autoComplete` enabled its status follows the checklist:
+ * it is completed when every subtask is done and pending otherwise.
+ * Completing a repeating To-Do this way creates its next occurrence, as completing it through PUT /todos/{id} does.
+ */
+const { GetCommand, UpdateCommand } = require("@aws-sdk/lib-dynamodb");
+const { v4: uuidv4 } = require('uuid');
+const { docClient } = require('./utils/dynamo');
+const { BadRequestError, NotFoundError, ConflictError } = require('./utils/errors');
+const { route } = require('./utils/middleware');
+const { requirePathParameter, requireTodoId } = require('./utils/validation');
+const { nextOccurrenceDetails } = require('./todos');
+
+// Get the DynamoDB table name from environment variables
+const TODOS_TABLE_NAME = process.env.TODOS_TABLE_NAME;
+
+// Limits that keep the To-Do item well below DynamoDB's 400 KB item size limit
+const MAX_SUBTASKS = 50;
+const MAX_SUBTASK_TITLE_LENGTH = 200;
+
+/**
+ * Validates the title of a subtask.
+ * @param {*} title - The raw title from the request body.
+ * @returns {string|null} - A validation message, or null if the title is valid.
+ */
+const validateSubtaskTitle = (title) => {
+  if (!title || typeof title !== 'string' || title.trim() === '') {
+    return "Subtask title is required and must be a non-empty string.";
+  }
+  if (title.length > MAX_SUBTASK_TITLE_LENGTH) {
+    return `Subtask title must be at most ${MAX_SUBTASK_TITLE_LENGTH} characters.`;
+  }
+  return null;
+};
+
+/**
+ * Request body and query string schemas, see utils/validation.js.
+ * The format of the listId query string parameter is checked by authorizeListAccess.
+ */
+const SUBTASK_TITLE_SCHEMA = { message: "Subtask title is required and must be a non-empty string.", check: validateSubtaskTitle };
+const SUBTASK_QUERY_SCHEMA = { type: 'object', properties: { listId: { type: 'string' } }, additionalProperties: false };
+
+const ADD_SUBTASK_SCHEMA = {
+  type: 'object',
+  properties: { title: SUBTASK_TITLE_SCHEMA },
+  required: ['title'],
+  additionalProperties: false,
+};
+
+const UPDATE_SUBTASK_SCHEMA = {
+  type: 'object',
+  properties: { title: SUBTASK_TITLE_SCHEMA, done: { type: 'boolean', message: "Done must be a boolean." } },
+  additionalProperties: false,
+  check: ({ title, done }) => (title === undefined && done === undefined ? "No valid fields provided for update." : null),
+};
+
+const REORDER_SUBTASKS_SCHEMA = {
+  type: 'object',
+  properties: {
+    order: {
+      type: 'array',
+      maxItems: MAX_SUBTASKS,
+      items: { type: 'string', message: "Order must be an array of subtask IDs." },
+      message: "Order must be an array of subtask IDs.",
+    },
+  },
+  required: ['order'],
+  additionalProperties: false,
+};
+
+// Options shared by the subtask routes: changing a checklist requires the editor role when the item belongs
+// to a shared list (?listId=), the only query string parameter the subtask endpoints accept
+const SUBTASK_ROUTE = { auth: 'editor', query: SUBTASK_QUERY_SCHEMA };
+
+/**
+ * Extracts the key of the parent To-Do item from the request.
+ * @param {object} request - The request of the middleware pipeline, with the list access and the event.
+ * @returns {object} - The DynamoDB key of the To-Do item.
+ * @throws {BadRequestError} - If the To-Do ID is missing or invalid.
+ */
+const getTodoKey = ({ access, event }) => ({
+  userId: access.partitionKey,
+  todoId: requireTodoId(event),
+});
+
+/**
+ * Applies a change to the subtasks of a To-Do item.
+ * Loads the item, lets `change` compute the new list and writes it back,
+ * provided the item has not been modified since it was loaded.
+ * @param {object} key - The DynamoDB key of the To-Do item.
+ * @param {function} change - Receives the current subtasks and returns the new list,
+ * or throws an ApiError to reject the request.
+ * @param {string} message - The message of the response on success.
+ * @returns {Promise<object>} - The response body with the message and the updated To-Do item, and the next occurrence
+ * (or nextOccurrenceError) when autoComplete completed a repeating item.
+ * @throws {ApiError} - TODO_NOT_FOUND (404) or CONCURRENT_MODIFICATION (409), or the error thrown by `change`.
+ */
+const modifySubtasks = async (key, change, message) => {
+  const { Item: todo } = await docClient.send(new GetCommand({ TableName: TODOS_TABLE_NAME, Key: key }));
+  // Items in the trash must be restored before their checklist can be changed
+  if (!todo || todo.deletedAt) {
+    throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+  }
+
+  const subtasks = change(todo.subtasks || []);
+
+  const updateExpressions = ['subtasks = :st', 'updatedAt = :ua', 'version = if_not_exists(version, :zero) + :one'];
+  const expressionAttributeValues = {
+    ':st': subtasks,
+    ':ua': new Date().toISOString(),
+    ':prev': todo.updatedAt,
+    ':zero': 0,
+    ':one': 1,
+  };
+  const expressionAttributeNames = {};
+
+  // With autoComplete the status follows the checklist
+  let status = todo.status;
+  if (todo.autoComplete && subtasks.length > 0) {
+    status = subtasks.every(subtask => subtask.done) ? 'completed' : 'pending';
+    if (status !== todo.status) {
+      updateExpressions.push('#s = :s');
+      expressionAttributeNames['#s'] = 'status';
+      expressionAttributeValues[':s'] = status;
+    }
+  }
+
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: key,
+    UpdateExpression: 'SET ' + updateExpressions.join(', '),
+    // Reject the write if the item changed (or was deleted) after it was loaded
+    ConditionExpression: 'updatedAt = :prev',
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW',
+  };
+  if (Object.keys(expressionAttributeNames).length > 0) {
+    params.ExpressionAttributeNames = expressionAttributeNames;
+  }
+
+  let data;
+  try {
+    data = await docClient.send(new UpdateCommand(params));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new ConflictError('CONCURRENT_MODIFICATION', "To-Do item was modified by another request. Please reload and try again.");
+    }
+    throw error;
+  }
+
+  // Checking off the last subtask of a repeating item schedules its next occurrence; the change stands even if that fails
+  const completed = status === 'completed' && todo.status !== 'completed';
+  return {
+    message: message,
+    todo: data.Attributes,
+    ...(completed && await nextOccurrenceDetails(async () => data.Attributes)),
+  };
+};
+
+/**
+ * Lambda handler for adding a subtask to the end of a To-Do item's checklist.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.listId] - The shared list of the To-Do item (requires the editor role).
+ * @param {string} event.pathParameters.id - The todoId of the parent To-Do item.
+ * @param {string} event.body - JSON string with the subtask title, e.g. { "title": "Buy milk" }.
+ * @returns {object} - The response object containing the status code and the updated To-Do item.
+ */
+exports.addSubtaskHandler = route({
+  ...SUBTASK_ROUTE,
+  failureMessage: "Failed to add subtask. Please try again later.",
+  body: ADD_SUBTASK_SCHEMA,
+  status: 201,
+}, async (request) => {
+  const key = getTodoKey(request);
+  const { title } = request.body;
+
+  return await modifySubtasks(key, (subtasks) => {
+    if (subtasks.length >= MAX_SUBTASKS) {
+      throw new BadRequestError('TOO_MANY_SUBTASKS', `A To-Do item can have at most ${MAX_SUBTASKS} subtasks.`);
+    }
+    const subtask = {
+      subtaskId: uuidv4(),
+      title: title.trim(),
+      done: false,
+      createdAt: new Date().toISOString(),
+    };
+    return [...subtasks, subtask];
+  }, "Subtask added successfully.");
+});
+
+/**
+ * Lambda handler for renaming a subtask or toggling its done state.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.listId] - The shared list of the To-Do item (requires the editor role).
+ * @param {string} event.pathParameters.id - The todoId of the parent To-Do item.
+ * @param {string} event.pathParameters.subtaskId - The subtaskId of the subtask to update.
+ * @param {string} event.body - JSON string of updates, e.g. { "done": true } or { "title": "Buy oat milk" }.
+ * @returns {object} - The response object containing the status code and the updated To-Do item.
+ */
+exports.updateSubtaskHandler = route({
+  ...SUBTASK_ROUTE,
+  failureMessage: "Failed to update subtask. Please try again later.",
+  body: UPDATE_SUBTASK_SCHEMA,
+}, async (request) => {
+  const key = getTodoKey(request);
+
+  const subtaskId = requirePathParameter(request.event, 'subtaskId', "Subtask ID");
+
+  const { title, done } = request.body;
+
+  return await modifySubtasks(key, (subtasks) => {
+    if (!subtasks.some(subtask => subtask.subtaskId === subtaskId)) {
+      throw new NotFoundError('SUBTASK_NOT_FOUND', "Subtask not found.");
+    }
+    return subtasks.map(subtask => (subtask.subtaskId === subtaskId
+      ? {
+        ...subtask,
+        ...(title !== undefined && { title: title.trim() }),
+        ...(done !== undefined && { done }),
+      }
+      : subtask));
+  }, "Subtask updated successfully.");
+});
+
+/**
+ * Lambda handler for reordering the checklist of a To-Do item.
+ * Requires authentication.
+ * The request must list every subtask ID exactly once, in the new order.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.listId] - The shared list of the To-Do item (requires the editor role).
+ * @param {string} event.pathParameters.id - The todoId of the parent To-Do item.
+ * @param {string} event.body - JSON string with the new order, e.g. { "order": ["id-2", "id-1"] }.
+ * @returns {object} - The response object containing the status code and the updated To-Do item.
+ */
+exports.reorderSubtasksHandler = route({
+  ...SUBTASK_ROUTE,
+  failureMessage: "Failed to reorder subtasks. Please try again later.",
+  body: REORDER_SUBTASKS_SCHEMA,
+}, async (request) => {
+  const key = getTodoKey(request);
+  const { order } = request.body;
+
+  return await modifySubtasks(key, (subtasks) => {
+    const byId = new Map(subtasks.map(subtask => [subtask.subtaskId, subtask]));
+    if (order.length !== subtasks.length || new Set(order).size !== order.length || !order.every(subtaskId => byId.has(subtaskId))) {
+      throw new BadRequestError('INVALID_SUBTASK_ORDER', "Order must list every subtask ID exactly once.");
+    }
+    return order.map(subtaskId => byId.get(subtaskId));
+  }, "Subtasks reordered successfully.");
+});
+
+/**
+ * Lambda handler for deleting a subtask from a To-Do item's checklist.
+ * Requires authentication.
+ * @param {object} event - The Lambda event object.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.listId] - The shared list of the To-Do item (requires the editor role).
+ * @param {string} event.pathParameters.id - The todoId of the parent To-Do item.
+ * @param {string} event.pathParameters.subtaskId - The subtaskId of the subtask to delete.
+ * @returns {object} - The response object containing the status code and the updated To-Do item.
+ */
+exports.deleteSubtaskHandler = route({
+  ...SUBTASK_ROUTE,
+  failureMessage: "Failed to delete subtask. Please try again later.",
+}, async (request) => {
+  const key = getTodoKey(request);
+
+  const subtaskId = requirePathParameter(request.event, 'subtaskId', "Subtask ID");
+
+  return await modifySubtasks(key, (subtasks) => {
+    if (!subtasks.some(subtask => subtask.subtaskId === subtaskId)) {
+      throw new NotFoundError('SUBTASK_NOT_FOUND', "Subtask not found.");
+    }
+    return subtasks.filter(subtask => subtask.subtaskId !== subtaskId);
+  }, "Subtask deleted successfully.");
+});
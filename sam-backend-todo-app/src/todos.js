@@ -12,16 +12,17 @@
  */
 
 /**
- * This client-dynamodb module is used to interact with DynamoDB.
- * It provides methods for creating, reading, updating, and deleting To-Do items.
+ * This lib-dynamodb module is used to interact with DynamoDB.
+ * It provides commands for creating, reading, updating, and deleting To-Do items.
  */
-const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
 const {
-  DynamoDBDocumentClient,
   PutCommand,
+  GetCommand,
   UpdateCommand,
   DeleteCommand,
   QueryCommand, // Prefer QueryCommand for user-specific data
+  BatchWriteCommand,
+  TransactWriteCommand,
 } = require("@aws-sdk/lib-dynamodb");
 
 /**
@@ -32,59 +33,776 @@ const {
  */
 const { v4: uuidv4 } = require('uuid');
 
-const isLocal = !!process.env.LOCALSTACK_ENDPOINT;
-const client = new DynamoDBClient({
-  /**
-   * The endpoint is set to the local DynamoDB instance if LOCALSTACK_ENDPOINT is defined.
-   * This allows for local development and testing without needing to deploy to AWS.
-   * In production, this will be undefined, and the client will connect to AWS DynamoDB.
-   */
-  endpoint: isLocal ? process.env.LOCALSTACK_ENDPOINT : undefined,
-  region: process.env.AWS_REGION || "us-east-1",
-  ...(isLocal && {
-    credentials: {
-      accessKeyId: process.env.AWS_ACCESS_KEY_ID || "test",
-      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "test",
-    },
-  }),
-}); 
-const docClient = DynamoDBDocumentClient.from(client);
+/**
+ * Pagination helpers turn DynamoDB's LastEvaluatedKey into an opaque, signed nextToken
+ * so list endpoints can return large result sets one page at a time.
+ */
+const { parseLimit, encodeNextToken, decodeNextToken } = require('./utils/pagination');
+
+// Tokenizing and ranking for GET /todos/search, which DynamoDB cannot do itself
+const { MAX_QUERY_LENGTH, MAX_QUERY_TERMS, parseSearchQuery, rankTodos } = require('./utils/search');
+
+// Change sets of GET /todos/changes, shared with the real-time change events
+const { TOMBSTONE_ID_PREFIX, isTombstoneId, toChangeSet } = require('./utils/changes');
+
+// Membership checks for shared lists; every handler works on the partition of the list it is authorized for
+const { authorizeListAccess, toListId } = require('./utils/access');
+
+// Fractional indexes for the manual order, so moving an item does not rewrite its neighbours
+const { positionBetween, initialPosition } = require('./utils/position');
+
+// Recurrence rules of repeating To-Dos and the due date of their next occurrence
+const { validateRecurrence, nextDueAt } = require('./utils/recurrence');
+
+// Shared DocumentClient, also used by the other handler modules
+const { docClient } = require('./utils/dynamo');
+
+// Structured log entries for failures that are not reported to the client
+const logger = require('./utils/logger');
+
+// Typed errors, answered as application/problem+json by the wrapper around every handler
+const {
+  BadRequestError,
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+} = require('./utils/errors');
+
+// Middleware pipeline: the handlers are declared as business functions with `route`
+const { route } = require('./utils/middleware');
+
+// Schema validation of request bodies and query strings; invalid input throws a ValidationError listing every invalid field
+const { validate, requireTodoId } = require('./utils/validation');
 
 // Get the DynamoDB table name from environment variables
 const TODOS_TABLE_NAME = process.env.TODOS_TABLE_NAME;
 
+// Global secondary index on userId + dueAt, used for due date filtering
+const DUE_AT_INDEX_NAME = 'UserDueAtIndex';
+
+// Sparse global secondary index on userId + deletedAt, containing only trashed todos
+const TRASH_INDEX_NAME = 'UserDeletedAtIndex';
+
+// Days a trashed todo is kept before DynamoDB's TTL purges it
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30;
+
+// Global secondary index on userId + updatedAt, used by GET /todos/changes
+const UPDATED_AT_INDEX_NAME = 'UserUpdatedAtIndex';
+
+// Days a tombstone is kept before DynamoDB's TTL purges it
+const TOMBSTONE_RETENTION_DAYS = 30;
+
+// Condition of the writes to an existing To-Do item. Every To-Do item has a createdAt and the tombstones that share
+// its partition (see buildTombstone) do not, so the condition also keeps the writes off tombstones.
+const TODO_EXISTS_CONDITION = 'attribute_exists(createdAt)';
+
+// Sync cursors older than this cannot be served, since tombstones or trashed items may have been purged in between
+const MAX_SYNC_CURSOR_AGE_DAYS = Math.min(TOMBSTONE_RETENTION_DAYS, TRASH_RETENTION_DAYS);
+
+// The UserUpdatedAtIndex is eventually consistent, so changes made shortly before a cursor are returned again
+const SYNC_OVERLAP_MS = 5000;
+
+// Allowed priority levels and their numeric rank, stored as priorityRank for the UserPriorityIndex
+const PRIORITY_RANKS = {
+  low: 1,
+  medium: 2,
+  high: 3,
+  urgent: 4,
+};
+const DEFAULT_PRIORITY = 'medium';
+
+// Maximum length of the lower-cased title copy used as sort key of the UserTitleIndex
+const TITLE_SORT_KEY_LENGTH = 200;
+
+// Completions of a repeating To-Do carried over to its next occurrence; older ones are dropped
+const MAX_COMPLETION_HISTORY = 50;
+
+/**
+ * Sort options for GET /todos.
+ * DynamoDB can only return items ordered by a sort key, so each option is served by
+ * a global secondary index on userId + the attribute to sort by (sortKey).
+ * Sparse indexes only hold the items that have their sort key: items without a due date, and items created
+ * before priority, title or position sorting was introduced, are read from the table after the sorted ones.
+ */
+const SORT_OPTIONS = {
+  createdAt: { indexName: 'UserCreatedAtIndex', sortKey: 'createdAt', defaultOrder: 'desc' },
+  dueAt: { indexName: DUE_AT_INDEX_NAME, sortKey: 'dueAt', defaultOrder: 'asc', sparse: true },
+  priority: { indexName: 'UserPriorityIndex', sortKey: 'priorityRank', defaultOrder: 'desc', sparse: true },
+  title: { indexName: 'UserTitleIndex', sortKey: 'titleSortKey', defaultOrder: 'asc', sparse: true },
+  // Manual order set by PATCH /todos/{id}/position
+  position: { indexName: 'UserPositionIndex', sortKey: 'position', defaultOrder: 'asc', sparse: true },
+};
+
+// Suffix of the index name in the pagination tokens of the items without the sort key, read from the table
+const UNSORTED_TOKEN_SUFFIX = '#unsorted';
+
+/**
+ * Builds the case-insensitive sort key stored alongside the title for the UserTitleIndex.
+ * @param {string} title - The To-Do title.
+ * @returns {string} - The lower-cased, trimmed and truncated title.
+ */
+const toTitleSortKey = (title) => title.trim().toLowerCase().slice(0, TITLE_SORT_KEY_LENGTH);
+
+// Strict ISO-8601 date-time with an explicit timezone, e.g. 2025-01-31T17:00:00Z or 2025-01-31T17:00:00.000+02:00
+const ISO_DATE_TIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:\d{2})$/;
+
+/**
+ * Parses an ISO-8601 date-time string.
+ * @param {*} value - The value to parse.
+ * @returns {Date|null} - The parsed date, or null if the value is not a valid ISO-8601 date-time.
+ */
+const parseIsoDate = (value) => {
+  if (typeof value !== 'string' || !ISO_DATE_TIME_PATTERN.test(value)) {
+    return null;
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Validates a due date from a request body.
+ * Due dates must be ISO-8601 date-times and must not lie in the past.
+ * They are normalised to UTC so that they sort correctly in the UserDueAtIndex.
+ * @param {*} dueAt - The raw dueAt value from the request body.
+ * @returns {object} - Either { value } with the normalised due date or { error } with a validation message.
+ */
+const validateDueAt = (dueAt) => {
+  const dueDate = parseIsoDate(dueAt);
+  if (!dueDate) {
+    return { error: "Due date must be a valid ISO-8601 date-time." };
+  }
+  if (dueDate.getTime() < Date.now()) {
+    return { error: "Due date cannot be in the past." };
+  }
+  return { value: dueDate.toISOString() };
+};
+
+// Limits for the tags attached to a To-Do item
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 30;
+// Tags are stored lower-cased and may contain letters, digits, '-' and '_'
+const TAG_PATTERN = /^[a-z0-9_-]+$/;
+const TAG_ERROR_MESSAGE = `Tags must be 1-${MAX_TAG_LENGTH} characters of letters, digits, '-' or '_'.`;
+
+/**
+ * Validates a single tag and normalises it to lower case.
+ * @param {*} tag - The raw tag.
+ * @returns {string|null} - The normalised tag, or null if it is not a valid tag.
+ */
+const normaliseTag = (tag) => {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const normalised = tag.trim().toLowerCase();
+  if (normalised.length === 0 || normalised.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(normalised)) {
+    return null;
+  }
+  return normalised;
+};
+
+/**
+ * Validates the tags of a request body.
+ * Tags are normalised to lower case and duplicates are dropped, so "Work" and "work" are the same tag.
+ * @param {*} tags - The raw tags value from the request body.
+ * @returns {object} - Either { value } with the normalised tags or { error } with a validation message.
+ */
+const validateTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return { error: "Tags must be an array of strings." };
+  }
+  const normalised = [];
+  for (const tag of tags) {
+    const value = normaliseTag(tag);
+    if (!value) {
+      return { error: TAG_ERROR_MESSAGE };
+    }
+    if (!normalised.includes(value)) {
+      normalised.push(value);
+    }
+  }
+  if (normalised.length > MAX_TAGS) {
+    return { error: `A To-Do item can have at most ${MAX_TAGS} tags.` };
+  }
+  return { value: normalised };
+};
+
+/**
+ * Reads the version the client expects a To-Do item to have before changing it.
+ * The version can be sent as an If-Match header (plain or as an ETag, e.g. "3" or W/"3")
+ * or as an explicit expectedVersion; the header wins when both are present.
+ * `If-Match: *` matches any version and is treated as no precondition.
+ * @param {object} event - The Lambda event object.
+ * @param {*} expectedVersion - The expectedVersion from the request body or query string, if any.
+ * @returns {object} - Either { value } with the expected version (undefined when there is no precondition)
+ * or { error } with a validation message.
+ */
+const getExpectedVersion = (event, expectedVersion) => {
+  const headers = event.headers || {};
+  const ifMatchHeader = Object.keys(headers).find(name => name.toLowerCase() === 'if-match');
+  let raw = expectedVersion;
+  if (ifMatchHeader) {
+    raw = String(headers[ifMatchHeader]).trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1');
+    if (raw === '*') {
+      return { value: undefined };
+    }
+  }
+  if (raw === undefined || raw === null) {
+    return { value: undefined };
+  }
+  const version = typeof raw === 'string' && /^\d+$/.test(raw) ? Number(raw) : raw;
+  if (!Number.isInteger(version) || version < 1) {
+    return { error: "Expected version must be a positive integer." };
+  }
+  return { value: version };
+};
+
+/**
+ * Builds the ConditionExpression that enforces an expected version.
+ * Items created before versioning was introduced have no version attribute and count as version 1.
+ * @param {number} expectedVersion - The version the client expects.
+ * @returns {string} - The condition, using the :ev placeholder for the expected version.
+ */
+const versionCondition = (expectedVersion) => (expectedVersion === 1
+  ? '(version = :ev OR attribute_not_exists(version))'
+  : 'version = :ev');
+
+/**
+ * Reads the expected version of a request, see getExpectedVersion.
+ * @param {object} event - The Lambda event object.
+ * @param {*} expectedVersion - The expectedVersion from the request body or query string, if any.
+ * @returns {number|undefined} - The expected version, undefined when there is no precondition.
+ * @throws {BadRequestError} - With the code INVALID_VERSION if the version is not a positive integer.
+ */
+const requireExpectedVersion = (event, expectedVersion) => {
+  const { value, error } = getExpectedVersion(event, expectedVersion);
+  if (error) {
+    throw new BadRequestError('INVALID_VERSION', error);
+  }
+  return value;
+};
+
+/**
+ * Builds the error of a stale write, a version conflict with the current server copy.
+ * @param {object} item - The current To-Do item.
+ * @returns {ConflictError} - The 409 error with the code VERSION_CONFLICT, carrying the item as `todo`.
+ */
+const versionConflictError = (item) => new ConflictError(
+  'VERSION_CONFLICT',
+  "To-Do item has been modified since you loaded it.",
+  { todo: item },
+);
+
+/**
+ * Builds the error for a write whose condition failed.
+ * The current server copy is returned with 409 Conflict so the client can show it or merge its changes;
+ * if the item no longer exists or is in the trash, 404 Not Found is returned instead.
+ * @param {object} key - The DynamoDB key of the To-Do item.
+ * @returns {Promise<ApiError>} - The error to throw: VERSION_CONFLICT (409) or TODO_NOT_FOUND (404).
+ */
+const conditionFailedError = async (key) => {
+  const { Item } = await docClient.send(new GetCommand({ TableName: TODOS_TABLE_NAME, Key: key }));
+  if (!Item || Item.deletedAt || isTombstoneId(Item.todoId)) {
+    return new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+  }
+  return versionConflictError(Item);
+};
+
+// Size limits of the text fields of a To-Do item
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 2000;
+
+/**
+ * Schemas of the To-Do fields clients can set, see utils/validation.js.
+ * Due dates, tags and recurrence rules are checked by the functions that also normalise them,
+ * so the validation and the stored values cannot drift apart.
+ */
+const TODO_FIELD_SCHEMAS = {
+  title: { type: 'string', maxLength: MAX_TITLE_LENGTH, pattern: /\S/, message: "Title must be a non-empty string." },
+  description: { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH, message: "Description must be a string." },
+  priority: { enum: Object.keys(PRIORITY_RANKS), message: "Priority must be 'low', 'medium', 'high' or 'urgent'." },
+  // null removes the due date of an existing item
+  dueAt: {
+    type: ['string', 'null'],
+    message: "Due date must be a valid ISO-8601 date-time.",
+    check: (dueAt) => (dueAt === null ? null : validateDueAt(dueAt).error),
+  },
+  tags: { type: 'array', message: "Tags must be an array of strings.", check: (tags) => validateTags(tags).error },
+  autoComplete: { type: 'boolean', message: "autoComplete must be a boolean." },
+  // null stops an existing item from repeating
+  recurrence: { check: (recurrence) => (recurrence === null ? null : validateRecurrence(recurrence).error) },
+};
+
+const STATUS_SCHEMA = { enum: ['pending', 'completed'], message: "Status must be 'pending' or 'completed'." };
+
+// A positive integer, or its string form; the If-Match header is the alternative
+const EXPECTED_VERSION_SCHEMA = {
+  type: ['integer', 'string', 'null'],
+  message: "Expected version must be a positive integer.",
+  check: (expectedVersion) => getExpectedVersion({}, expectedVersion).error,
+};
+
+// Body of POST /todos and of the create operations of POST /todos/batch
+const NEW_TODO_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...TODO_FIELD_SCHEMAS,
+    title: { ...TODO_FIELD_SCHEMAS.title, message: "Title is required and must be a non-empty string." },
+    // A new item may be sent without a description, or with an empty one
+    description: { ...TODO_FIELD_SCHEMAS.description, type: ['string', 'null'] },
+  },
+  required: ['title'],
+  additionalProperties: false,
+};
+
+// Changes of PUT /todos/{id} and of the update operations of POST /todos/batch
+const TODO_CHANGES_SCHEMA = {
+  type: 'object',
+  properties: { ...TODO_FIELD_SCHEMAS, status: STATUS_SCHEMA },
+  additionalProperties: false,
+};
+
+const UPDATE_TODO_SCHEMA = {
+  ...TODO_CHANGES_SCHEMA,
+  properties: { ...TODO_CHANGES_SCHEMA.properties, expectedVersion: EXPECTED_VERSION_SCHEMA },
+};
+
+const MOVE_TODO_SCHEMA = {
+  type: 'object',
+  properties: {
+    listId: {
+      type: ['string', 'null'],
+      message: "listId is required: the ID of the target list, or null for your personal To-Dos.",
+    },
+    expectedVersion: EXPECTED_VERSION_SCHEMA,
+  },
+  required: ['listId'],
+  additionalProperties: false,
+};
+
+const NEIGHBOUR_ID_SCHEMA = {
+  type: ['string', 'null'],
+  minLength: 1,
+  message: "after and before must be the IDs of other To-Do items.",
+};
+
+const TODO_POSITION_SCHEMA = {
+  type: 'object',
+  properties: { after: NEIGHBOUR_ID_SCHEMA, before: NEIGHBOUR_ID_SCHEMA, expectedVersion: EXPECTED_VERSION_SCHEMA },
+  additionalProperties: false,
+};
+
+/**
+ * Query string parameters. Every /todos route accepts listId, whose format authorizeListAccess checks.
+ */
+const LIST_QUERY_SCHEMA = {
+  type: 'object',
+  properties: { listId: { type: 'string' } },
+  additionalProperties: false,
+};
+
+/**
+ * Builds the schema of a query string parameter holding an ISO-8601 date-time.
+ * @param {string} name - The name of the parameter, used in the validation message.
+ * @returns {object} - The schema.
+ */
+const dateTimeParameter = (name) => ({
+  type: 'string',
+  check: (value) => (parseIsoDate(value) ? null : `${name} must be a valid ISO-8601 date-time.`),
+});
+
+/**
+ * Builds the schema of a query string parameter holding 'true' or 'false'.
+ * @param {string} name - The name of the parameter, used in the validation message.
+ * @returns {object} - The schema.
+ */
+const booleanParameter = (name) => ({ enum: ['true', 'false'], message: `${name} must be 'true' or 'false'.` });
+
+const LIMIT_PARAMETER = {
+  type: 'string',
+  check: (limit) => (parseLimit(limit) === null ? "Limit must be an integer between 1 and 100." : null),
+};
+
+const GET_TODOS_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: {
+    ...LIST_QUERY_SCHEMA.properties,
+    limit: LIMIT_PARAMETER,
+    nextToken: { type: 'string' },
+    dueBefore: dateTimeParameter('dueBefore'),
+    overdue: booleanParameter('overdue'),
+    status: STATUS_SCHEMA,
+    createdAfter: dateTimeParameter('createdAfter'),
+    createdBefore: dateTimeParameter('createdBefore'),
+    updatedSince: dateTimeParameter('updatedSince'),
+    // Repeated tags are read from the multi-value parameters and normalised by the handler
+    tag: { type: 'string' },
+    tagMode: { enum: ['all', 'any'], message: "tagMode must be 'all' or 'any'." },
+    sort: { enum: Object.keys(SORT_OPTIONS), message: "Sort must be 'priority', 'dueAt', 'createdAt', 'title' or 'position'." },
+    order: { enum: ['asc', 'desc'], message: "Order must be 'asc' or 'desc'." },
+  },
+};
+
+const SEARCH_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: { ...LIST_QUERY_SCHEMA.properties, q: { type: 'string' }, status: STATUS_SCHEMA, limit: LIMIT_PARAMETER },
+};
+
+const TRASH_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: { ...LIST_QUERY_SCHEMA.properties, limit: LIMIT_PARAMETER, nextToken: { type: 'string' } },
+};
+
+const CHANGES_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: { ...LIST_QUERY_SCHEMA.properties, since: { type: 'string' }, limit: LIMIT_PARAMETER },
+};
+
+const DELETE_TODO_QUERY_SCHEMA = {
+  ...LIST_QUERY_SCHEMA,
+  properties: {
+    ...LIST_QUERY_SCHEMA.properties,
+    expectedVersion: { type: 'string', check: (expectedVersion) => getExpectedVersion({}, expectedVersion).error },
+    permanent: booleanParameter('permanent'),
+  },
+};
+
+/**
+ * Builds a new To-Do item to store.
+ * Shared by createTodoHandler and the create operations of batchTodosHandler.
+ * @param {string} userId - The partition key of the list: the authenticated user's ID, or list#<listId>.
+ * @param {object} requestBody - The fields of the new item (title, description, dueAt, priority, tags, autoComplete, recurrence),
+ * already validated against NEW_TODO_SCHEMA.
+ * @returns {object} - The new To-Do item.
+ */
+const buildNewTodo = (userId, requestBody) => {
+  const { title, description, dueAt, priority = DEFAULT_PRIORITY, tags = [], autoComplete = false, recurrence } = requestBody;
+
+  // The due date is optional and normalised to UTC
+  const normalisedDueAt = dueAt ? validateDueAt(dueAt).value : undefined;
+  const normalisedTags = validateTags(tags).value;
+  // The recurrence rule is optional; completing a repeating item creates its next occurrence
+  const normalisedRecurrence = recurrence ? validateRecurrence(recurrence).value : undefined;
+
+  const todoId = uuidv4(); // Generate a unique ID for the To-Do item
+  const now = new Date();
+  const createdAt = now.toISOString();
+
+  return {
+    userId: userId,
+    todoId: todoId,
+    // The list the item belongs to, or null for a personal To-Do; changed by POST /todos/{id}/move
+    listId: toListId(userId),
+    title: title,
+    description: description || '', // Default to empty string if no description
+    status: 'pending', // Initial status
+    priority: priority,
+    tags: normalisedTags,
+    // Checklist managed through the /todos/{id}/subtasks endpoints
+    subtasks: [],
+    autoComplete: autoComplete,
+    // Derived sort keys for the UserPriorityIndex and UserTitleIndex
+    priorityRank: PRIORITY_RANKS[priority],
+    titleSortKey: toTitleSortKey(title),
+    // Sort key of the UserPositionIndex; new items go to the end of the manual order
+    position: initialPosition(now),
+    createdAt: createdAt,
+    updatedAt: createdAt,
+    // Incremented on every change, used for optimistic concurrency control
+    version: 1,
+    // Only set dueAt when provided so the item stays out of the sparse UserDueAtIndex otherwise
+    ...(normalisedDueAt && { dueAt: normalisedDueAt }),
+    ...(normalisedRecurrence && { recurrence: normalisedRecurrence }),
+  };
+};
+
+/**
+ * Builds the UpdateCommand parameters that apply changes to a To-Do item.
+ * Shared by updateTodoHandler and the update and complete operations of batchTodosHandler.
+ * The update only succeeds if the item exists, is not in the trash and, when an expected version is given, still has that version.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string} todoId - The ID of the To-Do item to update.
+ * @param {object} changes - The fields to change (title, description, status, priority, dueAt, tags, autoComplete, recurrence),
+ * already validated against TODO_CHANGES_SCHEMA.
+ * @param {number} [expectedVersion] - The version the client expects the item to have.
+ * @returns {object} - The UpdateCommand parameters.
+ */
+const buildTodoUpdate = (userId, todoId, changes, expectedVersion) => {
+  const { title, description, status, priority, dueAt, tags, autoComplete, recurrence } = changes;
+
+  // Build UpdateExpression and ExpressionAttributeValues dynamically
+  const updateExpressions = [];
+  const removeExpressions = [];
+  const expressionAttributeValues = {};
+  const expressionAttributeNames = {}; // For reserved keywords like 'status'
+
+  if (title !== undefined) {
+    updateExpressions.push('#t = :t');
+    expressionAttributeNames['#t'] = 'title';
+    expressionAttributeValues[':t'] = title;
+    // Keep the UserTitleIndex sort key in sync with the title
+    updateExpressions.push('titleSortKey = :tk');
+    expressionAttributeValues[':tk'] = toTitleSortKey(title);
+  }
+  if (description !== undefined) {
+    updateExpressions.push('#d = :d');
+    expressionAttributeNames['#d'] = 'description';
+    expressionAttributeValues[':d'] = description;
+  }
+  if (status !== undefined) {
+    updateExpressions.push('#s = :s');
+    expressionAttributeNames['#s'] = 'status';
+    expressionAttributeValues[':s'] = status;
+  }
+  if (priority !== undefined) {
+    updateExpressions.push('#p = :p', 'priorityRank = :pr');
+    expressionAttributeNames['#p'] = 'priority';
+    expressionAttributeValues[':p'] = priority;
+    expressionAttributeValues[':pr'] = PRIORITY_RANKS[priority];
+  }
+  if (dueAt === null) {
+    // Clearing the due date removes the attribute, which also drops the item from the UserDueAtIndex
+    removeExpressions.push('#due');
+    expressionAttributeNames['#due'] = 'dueAt';
+  } else if (dueAt !== undefined) {
+    updateExpressions.push('#due = :due');
+    expressionAttributeNames['#due'] = 'dueAt';
+    expressionAttributeValues[':due'] = validateDueAt(dueAt).value;
+  }
+  if (tags !== undefined) {
+    updateExpressions.push('tags = :tg');
+    expressionAttributeValues[':tg'] = validateTags(tags).value;
+  }
+  if (autoComplete !== undefined) {
+    updateExpressions.push('autoComplete = :ac');
+    expressionAttributeValues[':ac'] = autoComplete;
+  }
+  if (recurrence === null) {
+    // The item stops repeating; occurrences created before keep their own rule
+    removeExpressions.push('#rec');
+    expressionAttributeNames['#rec'] = 'recurrence';
+  } else if (recurrence !== undefined) {
+    updateExpressions.push('#rec = :rec');
+    expressionAttributeNames['#rec'] = 'recurrence';
+    expressionAttributeValues[':rec'] = validateRecurrence(recurrence).value;
+  }
+
+  // Always update 'updatedAt' timestamp and bump the version
+  updateExpressions.push('updatedAt = :ua', 'version = if_not_exists(version, :zero) + :one');
+  expressionAttributeValues[':ua'] = new Date().toISOString();
+  expressionAttributeValues[':zero'] = 0;
+  expressionAttributeValues[':one'] = 1;
+
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
+    },
+    UpdateExpression: 'SET ' + updateExpressions.join(', ')
+      + (removeExpressions.length > 0 ? ' REMOVE ' + removeExpressions.join(', ') : ''),
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW', // Return the updated item
+    // Use ExpressionAttributeNames if you have reserved keywords in your updates
+    ExpressionAttributeNames: expressionAttributeNames,
+  };
+  // Only update existing items; without this condition UpdateCommand would create (upsert) a new, incomplete item.
+  // Trashed items must be restored before they can be changed.
+  const conditions = [TODO_EXISTS_CONDITION, 'attribute_not_exists(deletedAt)'];
+  if (expectedVersion !== undefined) {
+    conditions.push(versionCondition(expectedVersion));
+    expressionAttributeValues[':ev'] = expectedVersion;
+  }
+  params.ConditionExpression = conditions.join(' AND ');
+
+  return params;
+};
+
+/**
+ * Computes the epoch-seconds timestamp DynamoDB's TTL uses to purge an item.
+ * @param {Date} now - The current time.
+ * @param {number} days - Days to keep the item.
+ * @returns {number} - The expiresAt value.
+ */
+const toExpiresAt = (now, days) => Math.floor(now.getTime() / 1000) + days * 24 * 60 * 60;
+
+/**
+ * Builds the tombstone that records the permanent deletion of a To-Do item for GET /todos/changes.
+ * Tombstones only have the keys, the deletion time (purgedAt, not deletedAt, so they stay out of the trash) and a TTL,
+ * which keeps them out of every index but the UserUpdatedAtIndex.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string} todoId - The ID of the deleted To-Do item.
+ * @returns {object} - The tombstone item.
+ */
+const buildTombstone = (userId, todoId) => {
+  const now = new Date();
+  return {
+    userId: userId,
+    todoId: `${TOMBSTONE_ID_PREFIX}${todoId}`,
+    purgedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    expiresAt: toExpiresAt(now, TOMBSTONE_RETENTION_DAYS),
+  };
+};
+
+/**
+ * Encodes a sync cursor for GET /todos/changes.
+ * Cursors are signed like pagination tokens and bound to the user and the UserUpdatedAtIndex.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string|null} since - ISO-8601 time from which changes are returned, or null for a full sync.
+ * @param {object} [startKey] - The LastEvaluatedKey when the changes since that time did not fit into one response.
+ * @returns {string} - The cursor.
+ */
+const encodeSyncCursor = (userId, since, startKey) => encodeNextToken(
+  { ...(since && { since }), ...(startKey && { startKey }) },
+  userId,
+  UPDATED_AT_INDEX_NAME,
+);
+
+/**
+ * Decodes a sync cursor received from the client.
+ * @param {string} cursor - The cursor.
+ * @param {string} userId - The authenticated user's ID.
+ * @returns {object|null} - { since?, startKey? }, or null if the cursor is malformed, tampered with or issued to another user.
+ */
+const decodeSyncCursor = (cursor, userId) => {
+  const decoded = decodeNextToken(cursor, userId, UPDATED_AT_INDEX_NAME);
+  if (!decoded || (decoded.since === undefined ? !decoded.startKey : !parseIsoDate(decoded.since))) {
+    return null;
+  }
+  return decoded;
+};
+
 /**
- * 
- * Generates a standardized HTTP response object for API Gateway.
- * This function is used to ensure consistent response formatting across all Lambda handlers.
- * It includes CORS headers to allow cross-origin requests,
- * which is essential for single-page applications (SPAs) that interact with the API.
- * @param {number} statusCode - The HTTP status code for the response.
- * @param {object} body - The response body, typically a JSON object.
- * @return {object} - The formatted response object containing status code, headers, and body.
- * This response object is compatible with AWS API Gateway and can be returned directly from Lambda functions.
+ * Builds the UpdateCommand parameters that move a To-Do item to the trash.
+ * Shared by deleteTodoHandler and the delete operations of batchTodosHandler.
+ * The item keeps all of its data and gets a `deletedAt` timestamp, which puts it into the sparse UserDeletedAtIndex,
+ * and an `expiresAt` TTL (epoch seconds) after which DynamoDB purges it automatically.
+ * When an expected version is given, the item is only trashed if it still has that version.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string} todoId - The ID of the To-Do item to trash.
+ * @param {number} [expectedVersion] - The version the client expects the item to have.
+ * @returns {object} - The UpdateCommand parameters.
  */
-const generateResponse = (statusCode, body) => {
+const buildTodoTrash = (userId, todoId, expectedVersion) => {
+  const now = new Date();
+  const expressionAttributeValues = {
+    ':now': now.toISOString(),
+    ':exp': toExpiresAt(now, TRASH_RETENTION_DAYS),
+    ':zero': 0,
+    ':one': 1,
+  };
+  // Items that are already in the trash count as not found
+  const conditions = [TODO_EXISTS_CONDITION, 'attribute_not_exists(deletedAt)'];
+  if (expectedVersion !== undefined) {
+    conditions.push(versionCondition(expectedVersion));
+    expressionAttributeValues[':ev'] = expectedVersion;
+  }
   return {
-    statusCode,
-    headers: {
-      'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': '*', // Allow CORS for frontend
-      'Access-Control-Allow-Methods': 'GET,POST,PUT,DELETE,OPTIONS',
-      'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token'
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
     },
-    body: JSON.stringify(body),
+    UpdateExpression: 'SET deletedAt = :now, expiresAt = :exp, updatedAt = :now, version = if_not_exists(version, :zero) + :one',
+    ConditionExpression: conditions.join(' AND '),
+    ExpressionAttributeValues: expressionAttributeValues,
+    ReturnValues: 'ALL_NEW',
   };
 };
 
+/**
+ * Creates the next occurrence of a repeating To-Do item that has just been completed.
+ * The next occurrence is a new pending item with the same fields, an unchecked copy of the checklist and a due date
+ * computed from the recurrence rule. It carries the `completionHistory` of the series, extended by the completed
+ * occurrence, and the `seriesId` (the ID of the first occurrence) that links the occurrences.
+ * The completed item remembers its `nextOccurrenceId`, so completing it again after reopening it does not
+ * create a second occurrence; it is also set on the given item.
+ * @param {object} item - The completed To-Do item, as stored.
+ * @returns {Promise<object|null>} - The next occurrence, or null if the item does not repeat or already has one.
+ */
+const createNextOccurrence = async (item) => {
+  if (!item.recurrence || item.status !== 'completed' || item.nextOccurrenceId) {
+    return null;
+  }
+  const completedAt = item.updatedAt || new Date().toISOString();
+  const next = buildNewTodo(item.userId, {
+    title: item.title,
+    description: item.description,
+    dueAt: nextDueAt(item.recurrence, item.dueAt, new Date(completedAt)),
+    priority: item.priority,
+    tags: item.tags,
+    autoComplete: item.autoComplete,
+    recurrence: item.recurrence,
+  });
+  next.seriesId = item.seriesId || item.todoId;
+  next.subtasks = (item.subtasks || []).map(subtask => ({ ...subtask, done: false }));
+  next.completionHistory = [
+    ...(item.completionHistory || []),
+    { todoId: item.todoId, ...(item.dueAt && { dueAt: item.dueAt }), completedAt },
+  ].slice(-MAX_COMPLETION_HISTORY);
+
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        { Put: { TableName: TODOS_TABLE_NAME, Item: next, ConditionExpression: 'attribute_not_exists(todoId)' } },
+        {
+          // Fails if another request created the next occurrence first or the item was reopened in the meantime
+          Update: {
+            TableName: TODOS_TABLE_NAME,
+            Key: { userId: item.userId, todoId: item.todoId },
+            UpdateExpression: 'SET nextOccurrenceId = :next',
+            ConditionExpression: 'attribute_not_exists(nextOccurrenceId) AND #s = :completed',
+            ExpressionAttributeNames: { '#s': 'status' },
+            ExpressionAttributeValues: { ':next': next.todoId, ':completed': 'completed' },
+          },
+        },
+      ],
+    }));
+  } catch (error) {
+    const [, completedReason] = error.CancellationReasons || [];
+    if (error.name === 'TransactionCanceledException' && completedReason?.Code === 'ConditionalCheckFailed') {
+      return null;
+    }
+    throw error;
+  }
+  item.nextOccurrenceId = next.todoId;
+  return next;
+};
+
+/**
+ * Creates the next occurrence of an item a request has completed, see createNextOccurrence.
+ * The completion itself is already applied at this point, so a failure does not fail the request: the response
+ * reports the missing occurrence instead, and completing the item again creates it.
+ * Used by updateTodoHandler, the update and complete operations of batchTodosHandler and the subtask
+ * handlers (see subtasks.js), whose autoComplete may complete an item.
+ * @param {function} loadItem - Returns the completed item, as stored.
+ * @returns {Promise<object>} - The fields to add to the response or result: { nextOccurrence },
+ * { nextOccurrenceError } with the code NEXT_OCCURRENCE_FAILED, or none.
+ */
+const nextOccurrenceDetails = async (loadItem) => {
+  try {
+    const item = await loadItem();
+    const nextOccurrence = item && await createNextOccurrence(item);
+    return nextOccurrence ? { nextOccurrence } : {};
+  } catch (error) {
+    logger.error("Error creating the next occurrence.", { error });
+    return {
+      nextOccurrenceError: {
+        code: 'NEXT_OCCURRENCE_FAILED',
+        message: "The To-Do item was completed, but its next occurrence could not be created. Please complete it again.",
+      },
+    };
+  }
+};
+exports.nextOccurrenceDetails = nextOccurrenceDetails;
+
 /**
  * Common handler for OPTIONS requests to enable CORS.
  * This is crucial for single-page applications interacting with API Gateway.
+ * Preflight requests carry no token, so the route is public; the cors middleware adds the headers.
  */
-exports.optionsHandler = async (event) => {
-  // console.log("Received OPTIONS request:", event);
-  return generateResponse(200, {});
-};
+exports.optionsHandler = route({ failureMessage: "Failed to answer the preflight request.", auth: false }, async () => ({}));
 
 
 /**
@@ -94,251 +812,1245 @@ exports.optionsHandler = async (event) => {
  * validates input, and stores the item in DynamoDB.
  * It ensures that the To-Do item is associated with the authenticated user
  * by extracting the user ID from the Cognito claims.
- * It also handles basic validation for required fields like title and description.
+ * The body is validated against NEW_TODO_SCHEMA: a title of at most 200 characters, an optional description
+ * of at most 2000 characters, the optional ISO-8601 due date (dueAt), which must not lie in the past,
+ * the optional priority (low, medium, high or urgent; defaults to medium),
+ * the optional tags (at most 10 tags of letters, digits, '-' or '_'),
+ * the optional autoComplete flag, which completes the To-Do once all of its subtasks are done,
+ * and the optional recurrence rule. Unknown fields and malformed JSON are rejected with 400 Bad Request.
  * It returns a standardized response with appropriate HTTP status codes.
  * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
  * @returns {object} - The response object containing the status code and body.
  */
-exports.createTodoHandler = async (event) => {
-  // console.log("Received createTodo request:", event);
+exports.createTodoHandler = route({
+  failureMessage: "Failed to create To-Do item. Please try again later.",
+  /**
+   * Authorize the request against the addressed list.
+   * The user ID comes from the 'sub' claim of the Cognito token; without it the response is 401 Unauthorized.
+   * Only editors and the owner of a shared list may add To-Dos to it.
+   */
+  auth: 'editor',
+  body: NEW_TODO_SCHEMA,
+  query: LIST_QUERY_SCHEMA,
+  status: 201,
+}, async ({ access, body }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
 
-  try {
-    
-    /**
-     * Extract the user ID from the Cognito authorizer claims.
-     * This is crucial for associating the To-Do item with the authenticated user.
-     * sub is the standard claim for user ID in Cognito.
-     * If the user ID is not found, return a 401 Unauthorized response.
-     */
-    const userId = event.requestContext?.authorizer?.claims?.sub;
-    if (!userId) {
-      return generateResponse(401, { message: "Unauthorized: User ID not found in token." });
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Item: buildNewTodo(userId, body),
+  };
+
+  // console.log("Putting item into DynamoDB:", params.Item);
+  await docClient.send(new PutCommand(params));
+
+  return { message: "To-Do item created successfully.", todo: params.Item };
+});
+
+/**
+ * Lambda handler for retrieving the To-Do items of the authenticated user, one page at a time.
+ * Requires authentication.
+ * Results are paginated: the response contains a `nextToken` whenever more items are available,
+ * which the client passes back as a query string parameter to fetch the following page.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.limit] - Maximum number of items per page (1-100, default 50).
+ * @param {string} [event.queryStringParameters.nextToken] - Token returned by the previous page.
+ * @param {string} [event.queryStringParameters.dueBefore] - Only return items due before this ISO-8601 date-time.
+ * @param {string} [event.queryStringParameters.overdue] - 'true' to only return pending items whose due date has passed.
+ * @param {string} [event.queryStringParameters.status] - Only return 'pending' or 'completed' items.
+ * @param {string} [event.queryStringParameters.createdAfter] - Only return items created after this ISO-8601 date-time.
+ * @param {string} [event.queryStringParameters.createdBefore] - Only return items created before this ISO-8601 date-time.
+ * @param {string} [event.queryStringParameters.updatedSince] - Only return items updated at or after this ISO-8601 date-time.
+ * @param {string} [event.queryStringParameters.sort] - Sort by 'priority', 'dueAt', 'createdAt', 'title' or 'position' (the manual order).
+ * Defaults to 'dueAt' when a due date filter is given and to 'createdAt' otherwise.
+ * @param {string} [event.queryStringParameters.order] - 'asc' or 'desc'; the default depends on the sort.
+ * @param {string[]} [event.multiValueQueryStringParameters.tag] - Only return items with these tags, e.g. ?tag=work&tag=urgent.
+ * @param {string} [event.queryStringParameters.tagMode] - 'all' (default) to require every tag, 'any' to require at least one.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.getTodosHandler = route({
+  failureMessage: "Failed to retrieve To-Do items. Please try again later.",
+  /**
+   * Authorize the request against the addressed list.
+   * This is crucial for retrieving only the To-Do items the authenticated user may see.
+   * The user ID comes from the 'sub' claim of the Cognito token; without it the response is 401 Unauthorized.
+   */
+  auth: 'viewer',
+  query: GET_TODOS_QUERY_SCHEMA,
+}, async ({ event, access, query: queryParams }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const limit = parseLimit(queryParams.limit);
+  const { dueBefore, overdue, status } = queryParams;
+
+  // Creation and update date ranges, normalised to UTC so they compare correctly with the stored dates
+  const dateRange = {};
+  for (const name of ['createdAfter', 'createdBefore', 'updatedSince']) {
+    if (queryParams[name] !== undefined) {
+      dateRange[name] = parseIsoDate(queryParams[name]).toISOString();
+    }
+  }
+  if (dateRange.createdAfter && dateRange.createdBefore && dateRange.createdAfter >= dateRange.createdBefore) {
+    throw new ValidationError([{ field: 'createdAfter', message: "createdAfter must be earlier than createdBefore." }]);
+  }
+
+  // Due date filters are served by the UserDueAtIndex; overdue means "due before now"
+  let dueCutoff = dueBefore ? parseIsoDate(dueBefore).toISOString() : null;
+  if (overdue === 'true') {
+    const now = new Date().toISOString();
+    if (!dueCutoff || now < dueCutoff) {
+      dueCutoff = now;
+    }
+  }
+
+  // Repeated ?tag= parameters are only available in the multi-value parameters
+  const rawTags = event.multiValueQueryStringParameters?.tag || (queryParams.tag ? [queryParams.tag] : []);
+  const tagFilter = [];
+  for (const rawTag of rawTags) {
+    const tag = normaliseTag(rawTag);
+    if (!tag) {
+      throw new ValidationError([{ field: 'tag', message: TAG_ERROR_MESSAGE }]);
+    }
+    if (!tagFilter.includes(tag)) {
+      tagFilter.push(tag);
     }
+  }
+  if (tagFilter.length > MAX_TAGS) {
+    throw new ValidationError([{ field: 'tag', message: `At most ${MAX_TAGS} tags can be filtered on.` }]);
+  }
+  const tagMode = queryParams.tagMode || 'all';
+
+  const sort = queryParams.sort || (dueCutoff ? 'dueAt' : 'createdAt');
+  const { indexName, sortKey, defaultOrder, sparse } = SORT_OPTIONS[sort];
+  const order = queryParams.order || defaultOrder;
+
+  // Build the key condition and filter dynamically from the query string parameters
+  const keyConditions = ['userId = :u'];
+  // Trashed items are only listed by GET /todos/trash
+  const filterExpressions = ['attribute_not_exists(deletedAt)'];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = { ':u': userId };
+
+  if (dueCutoff) {
+    // A range condition on the index sort key when sorting by due date, a filter otherwise
+    (sort === 'dueAt' ? keyConditions : filterExpressions).push('dueAt < :due');
+    expressionAttributeValues[':due'] = dueCutoff;
+  }
+  // When sorting by creation date one creation bound is a range condition on the index sort key,
+  // which allows a single condition; any other bound is a filter
+  const createdConditions = [];
+  if (dateRange.createdAfter) {
+    createdConditions.push('createdAt > :createdAfter');
+    expressionAttributeValues[':createdAfter'] = dateRange.createdAfter;
+  }
+  if (dateRange.createdBefore) {
+    createdConditions.push('createdAt < :createdBefore');
+    expressionAttributeValues[':createdBefore'] = dateRange.createdBefore;
+  }
+  createdConditions.forEach((condition, index) => {
+    (sort === 'createdAt' && index === 0 ? keyConditions : filterExpressions).push(condition);
+  });
+  if (dateRange.updatedSince) {
+    filterExpressions.push('updatedAt >= :updatedSince');
+    expressionAttributeValues[':updatedSince'] = dateRange.updatedSince;
+  }
+  if (status) {
+    filterExpressions.push('#s = :status');
+    expressionAttributeNames['#s'] = 'status';
+    expressionAttributeValues[':status'] = status;
+  }
+  // Completed items are never overdue
+  if (overdue === 'true') {
+    filterExpressions.push('#s <> :completed');
+    expressionAttributeNames['#s'] = 'status';
+    expressionAttributeValues[':completed'] = 'completed';
+  }
+  if (tagFilter.length > 0) {
+    const tagConditions = tagFilter.map((tag, index) => {
+      expressionAttributeValues[`:tag${index}`] = tag;
+      return `contains(tags, :tag${index})`;
+    });
+    filterExpressions.push(`(${tagConditions.join(tagMode === 'all' ? ' AND ' : ' OR ')})`);
+  }
+
+  // Use QueryCommand to efficiently retrieve items for a specific user (partition key),
+  // ordered by the sort key of the chosen index
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    IndexName: indexName,
+    KeyConditionExpression: keyConditions.join(' AND '),
+    ExpressionAttributeValues: expressionAttributeValues,
+    ScanIndexForward: order === 'asc',
+    Limit: limit,
+  };
+  params.FilterExpression = filterExpressions.join(' AND ');
+  if (Object.keys(expressionAttributeNames).length > 0) {
+    params.ExpressionAttributeNames = expressionAttributeNames;
+  }
 
-    const requestBody = JSON.parse(event.body);
-    const { title, description } = requestBody;
+  // Items missing from a sparse index follow the sorted items, read from the table in the order of their IDs
+  // with the same filters. Tombstones have no creation date. A due date range on the index leaves them out,
+  // as items without a due date are not due before any date.
+  const unsortedParams = sparse && !(sort === 'dueAt' && dueCutoff) ? {
+    TableName: TODOS_TABLE_NAME,
+    KeyConditionExpression: 'userId = :u',
+    FilterExpression: [...filterExpressions, 'attribute_exists(createdAt)', 'attribute_not_exists(#sortKey)'].join(' AND '),
+    ExpressionAttributeNames: { ...expressionAttributeNames, '#sortKey': sortKey },
+    ExpressionAttributeValues: expressionAttributeValues,
+    Limit: limit,
+  } : null;
+  const unsortedTokenIndex = `${indexName}${UNSORTED_TOKEN_SUFFIX}`;
 
-    // Basic input validation
-    if (!title || typeof title !== 'string' || title.trim() === '') {
-      return generateResponse(400, { message: "Title is required and must be a non-empty string." });
+  // Resume from the previous page; the token must have been issued to this user for the same index,
+  // or for the items without its sort key. Their first page starts without a key ({}).
+  let exclusiveStartKey;
+  let unsorted = false;
+  if (queryParams.nextToken) {
+    exclusiveStartKey = decodeNextToken(queryParams.nextToken, userId, indexName);
+    if (!exclusiveStartKey && unsortedParams) {
+      exclusiveStartKey = decodeNextToken(queryParams.nextToken, userId, unsortedTokenIndex);
+      unsorted = Boolean(exclusiveStartKey);
     }
-    if (description && typeof description !== 'string') {
-      return generateResponse(400, { message: "Description must be a string." });
+    if (!exclusiveStartKey) {
+      throw new BadRequestError('INVALID_PAGINATION_TOKEN', "Invalid pagination token.");
     }
+  }
 
-    const todoId = uuidv4(); // Generate a unique ID for the To-Do item
-    const createdAt = new Date().toISOString();
+  // Taken before the query, so changes made while the page is read are picked up by the next sync
+  const syncStartedAt = new Date().toISOString();
 
-    const params = {
-      TableName: TODOS_TABLE_NAME,
-      Item: {
-        userId: userId,
-        todoId: todoId,
-        title: title,
-        description: description || '', // Default to empty string if no description
-        status: 'pending', // Initial status
-        createdAt: createdAt,
-        updatedAt: createdAt,
-      },
-    };
+  // DynamoDB applies the Limit before the filter, so a query can come back short or even empty while more
+  // matching items follow (e.g. after a run of trashed items): keep reading until the page is full
+  // or there are no more items
+  const todos = [];
+  // Number of items read from the index, before those without its sort key
+  let sortedCount = unsorted ? 0 : null;
+  do {
+    const data = await docClient.send(new QueryCommand({
+      ...(unsorted ? unsortedParams : params),
+      ...(exclusiveStartKey && Object.keys(exclusiveStartKey).length > 0 && { ExclusiveStartKey: exclusiveStartKey }),
+    }));
+    todos.push(...(data.Items || []));
+    exclusiveStartKey = data.LastEvaluatedKey;
+    if (!exclusiveStartKey && !unsorted && unsortedParams) {
+      // The index is exhausted: continue with the items without its sort key
+      unsorted = true;
+      sortedCount = todos.length;
+      exclusiveStartKey = {};
+    }
+  } while (exclusiveStartKey && todos.length < limit);
 
-    // console.log("Putting item into DynamoDB:", params.Item);
-    await docClient.send(new PutCommand(params));
+  // The last query may have found more items than fit on the page: the next page starts after the last one returned,
+  // whose key in the index is its table key and the index sort key, and in the table its table key
+  if (todos.length > limit) {
+    todos.splice(limit);
+    const last = todos[limit - 1];
+    unsorted = sortedCount !== null && limit > sortedCount;
+    exclusiveStartKey = unsorted
+      ? { userId: last.userId, todoId: last.todoId }
+      : { userId: last.userId, todoId: last.todoId, [sortKey]: last[sortKey] };
+  }
 
-    return generateResponse(201, { message: "To-Do item created successfully.", todo: params.Item });
-  } catch (error) {
-    console.error("Error creating To-Do item:", error);
-    // Return a generic error message for security, log detailed error internally
-    return generateResponse(500, { message: "Failed to create To-Do item. Please try again later." });
+  const responseBody = {
+    todos: todos,
+    nextToken: encodeNextToken(exclusiveStartKey, userId, unsorted ? unsortedTokenIndex : indexName),
+  };
+  // The first page also starts a delta sync: GET /todos/changes?since=<syncCursor> returns what changed afterwards
+  if (!queryParams.nextToken) {
+    responseBody.syncCursor = encodeSyncCursor(userId, syncStartedAt);
   }
-};
+  return responseBody;
+});
 
 /**
- * Lambda handler for retrieving all To-Do items for the authenticated user.
+ * Lambda handler for retrieving a single To-Do item by its ID.
  * Requires authentication.
+ * The item is looked up with the caller's userId as partition key,
+ * so items belonging to other users are reported as not found, as are items in the trash.
  * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
  * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The todoId of the item to retrieve.
  * @returns {object} - The response object containing the status code and body.
  */
-exports.getTodosHandler = async (event) => {
-  // console.log("Received getTodos request:", event);
+exports.getTodoHandler = route({
+  failureMessage: "Failed to retrieve To-Do item. Please try again later.",
+  auth: 'viewer',
+  query: LIST_QUERY_SCHEMA,
+}, async ({ event, access }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
 
-  try {
+  const todoId = requireTodoId(event);
 
-    /**
-     * Extract the user ID from the Cognito authorizer claims.
-     * This is crucial for retrieving only the To-Do items associated with the authenticated user.
-     * If the user ID is not found, return a 401 Unauthorized response.
-     * The user ID is typically found in the 'sub' claim of the Cognito token
-     */
-    const userId = event.requestContext?.authorizer?.claims?.sub;
-    if (!userId) {
-      return generateResponse(401, { message: "Unauthorized: User ID not found in token." });
-    }
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
+    },
+  };
+
+  // console.log("Getting item from DynamoDB with params:", params);
+  const data = await docClient.send(new GetCommand(params));
 
-    // Use QueryCommand to efficiently retrieve items for a specific user (partition key)
+  // Trashed items are only available through GET /todos/trash
+  if (!data.Item || data.Item.deletedAt) {
+    throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+  }
+
+  return { todo: data.Item };
+});
+
+/**
+ * Lambda handler for listing the tags used by the authenticated user.
+ * Requires authentication.
+ * Reads the tags of all of the caller's To-Do items outside the trash (projected, so only the tags are transferred)
+ * and returns each tag with the number of items it is attached to,
+ * most used first and alphabetically for equal counts.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.getTagsHandler = route({
+  failureMessage: "Failed to retrieve tags. Please try again later.",
+  auth: 'viewer',
+  query: LIST_QUERY_SCHEMA,
+}, async ({ access }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const counts = new Map();
+  let exclusiveStartKey;
+  do {
     const params = {
       TableName: TODOS_TABLE_NAME,
       KeyConditionExpression: 'userId = :u',
-      ExpressionAttributeValues: {
-        ':u': userId,
-      },
+      ExpressionAttributeValues: { ':u': userId },
+      ProjectionExpression: 'tags, deletedAt',
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
     };
-
-    // console.log("Querying DynamoDB with params:", params);
     const data = await docClient.send(new QueryCommand(params));
-    const todos = data.Items || [];
+    // Tags of trashed items are not counted
+    for (const item of (data.Items || []).filter(todo => !todo.deletedAt)) {
+      for (const tag of item.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1);
+      }
+    }
+    exclusiveStartKey = data.LastEvaluatedKey;
+  } while (exclusiveStartKey);
 
-    return generateResponse(200, { todos: todos });
-  } catch (error) {
-    console.error("Error getting To-Do items:", error);
-    return generateResponse(500, { message: "Failed to retrieve To-Do items. Please try again later." });
+  const tags = Array.from(counts, ([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+  return { tags: tags };
+});
+
+/**
+ * Lambda handler for searching the authenticated user's To-Do items.
+ * Requires authentication.
+ * Matching is case-insensitive and word based: every word of the query must match the start of a word
+ * in the title or description. Results are ranked by relevance, with title matches counting more than
+ * description matches and whole words more than word prefixes.
+ * The caller's items outside the trash are read in full and ranked in memory, so the results are not paginated.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.queryStringParameters.q - The search query, e.g. ?q=dentist appointment.
+ * @param {string} [event.queryStringParameters.status] - Only return 'pending' or 'completed' items.
+ * @param {string} [event.queryStringParameters.limit] - Maximum number of results (1-100, default 50).
+ * @returns {object} - The response object containing the status code, the ranked items and the parsed search terms.
+ */
+exports.searchTodosHandler = route({
+  failureMessage: "Failed to search To-Do items. Please try again later.",
+  auth: 'viewer',
+  query: SEARCH_QUERY_SCHEMA,
+}, async ({ access, query: queryParams }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const terms = parseSearchQuery(queryParams.q);
+  if (!terms) {
+    throw new ValidationError([{
+      field: 'q',
+      message: `Search query q must contain 1-${MAX_QUERY_TERMS} words and at most ${MAX_QUERY_LENGTH} characters.`,
+    }]);
   }
-};
+
+  const { status } = queryParams;
+  const limit = parseLimit(queryParams.limit);
+
+  // Trashed items and tombstones are never returned; the status filter is applied by DynamoDB
+  const filterExpressions = [TODO_EXISTS_CONDITION, 'attribute_not_exists(deletedAt)'];
+  const expressionAttributeValues = { ':u': userId };
+  let expressionAttributeNames;
+  if (status) {
+    filterExpressions.push('#s = :s');
+    expressionAttributeNames = { '#s': 'status' };
+    expressionAttributeValues[':s'] = status;
+  }
+
+  const candidates = [];
+  let exclusiveStartKey;
+  do {
+    const params = {
+      TableName: TODOS_TABLE_NAME,
+      KeyConditionExpression: 'userId = :u',
+      FilterExpression: filterExpressions.join(' AND '),
+      ExpressionAttributeValues: expressionAttributeValues,
+      ...(expressionAttributeNames && { ExpressionAttributeNames: expressionAttributeNames }),
+      ...(exclusiveStartKey && { ExclusiveStartKey: exclusiveStartKey }),
+    };
+    const data = await docClient.send(new QueryCommand(params));
+    candidates.push(...(data.Items || []));
+    exclusiveStartKey = data.LastEvaluatedKey;
+  } while (exclusiveStartKey);
+
+  const matches = rankTodos(candidates, terms);
+
+  return {
+    todos: matches.slice(0, limit),
+    total: matches.length,
+    terms: terms,
+  };
+});
 
 /**
  * Lambda handler for updating an existing To-Do item.
  * Requires authentication.
  * This function has enhanced validation to ensure that only valid fields are updated.
- * It allows updating the title, description, and status of the To-Do item.
+ * It allows updating the title, description, status, priority, due date, tags and autoComplete flag of the To-Do item.
+ * Subtasks are managed through their own endpoints (see subtasks.js).
+ * Every update increments the item's version. When the client sends the version it loaded
+ * (If-Match header or expectedVersion), the update only succeeds if the item still has that version;
+ * otherwise 409 Conflict is returned together with the current server copy.
+ * Items are never created by an update: a nonexistent ID returns 404 Not Found.
+ * Sending `dueAt: null` removes the due date.
  * It also ensures that the 'updatedAt' timestamp is always updated.
  * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
  * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
  * @param {string} event.pathParameters.id - The todoId of the item to update.
- * @param {string} event.body - JSON string of updates (e.g., { "status": "completed" }).
+ * @param {string} event.body - JSON string of updates (e.g., { "status": "completed", "expectedVersion": 3 }).
+ * @param {string} [event.headers.If-Match] - The expected version, alternative to expectedVersion.
  */
-exports.updateTodoHandler = async (event) => {
-  // console.log("Received updateTodo request:", event);
+exports.updateTodoHandler = route({
+  failureMessage: "Failed to update To-Do item. Please try again later.",
+  auth: 'editor',
+  body: UPDATE_TODO_SCHEMA,
+  query: LIST_QUERY_SCHEMA,
+}, async ({ event, access, body: requestBody }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const todoId = requireTodoId(event);
+
+  const { expectedVersion: bodyVersion, ...changes } = requestBody;
+  const expectedVersion = requireExpectedVersion(event, bodyVersion);
 
+  const params = buildTodoUpdate(userId, todoId, changes, expectedVersion);
+
+  // console.log("Updating item in DynamoDB with params:", params);
+  let data;
   try {
-    const userId = event.requestContext?.authorizer?.claims?.sub;
-    if (!userId) {
-      return generateResponse(401, { message: "Unauthorized: User ID not found in token." });
+    data = await docClient.send(new UpdateCommand(params));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw await conditionFailedError(params.Key);
     }
+    throw error;
+  }
 
-    const todoId = event.pathParameters.id;
-    if (!todoId) {
-      return generateResponse(400, { message: "To-Do ID is required." });
-    }
+  if (!data.Attributes) {
+    throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found or unauthorized to update.");
+  }
+
+  // Completing a repeating item schedules its next occurrence; the update stands even if that fails
+  return {
+    message: "To-Do item updated successfully.",
+    todo: data.Attributes,
+    ...await nextOccurrenceDetails(async () => data.Attributes),
+  };
+});
 
-    const requestBody = JSON.parse(event.body);
-    const { title, description, status } = requestBody;
-
-    // Build UpdateExpression and ExpressionAttributeValues dynamically
-    const updateExpressions = [];
-    const expressionAttributeValues = {};
-    const expressionAttributeNames = {}; // For reserved keywords like 'status'
-
-    // Validate input fields
-    if (title !== undefined) {
-      updateExpressions.push('#t = :t');
-      expressionAttributeNames['#t'] = 'title';
-      expressionAttributeValues[':t'] = title;
-      if (typeof title !== 'string' || title.trim() === '') {
-        return generateResponse(400, { message: "Title must be a non-empty string." });
+/**
+ * Lambda handler for deleting a To-Do item.
+ * Requires authentication.
+ * By default the item is moved to the trash: it disappears from GET /todos but keeps its data,
+ * can be restored with POST /todos/{id}/restore and is purged automatically by DynamoDB's TTL
+ * after TRASH_RETENTION_DAYS days. With `?permanent=true` the item is removed right away,
+ * whether or not it is in the trash.
+ * Returns a 404 Not Found response if the item does not exist (or, for a normal delete, is already in the trash).
+ * It also ensures that the user is authorized to delete the item
+ * by checking the user ID in the request context.
+ * If the user ID is not found, it returns a 401 Unauthorized response.
+ * When the client sends the version it loaded (If-Match header or expectedVersion query string parameter),
+ * the item is only deleted if it still has that version; otherwise 409 Conflict is returned with the current server copy.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The todoId of the item to delete.
+ * @param {string} [event.headers.If-Match] - The expected version of the item.
+ * @param {string} [event.queryStringParameters.expectedVersion] - The expected version, alternative to If-Match.
+ * @param {string} [event.queryStringParameters.permanent] - 'true' to delete the item permanently instead of trashing it.
+ * @returns {object} - The response object containing the status code and body.
+ */
+exports.deleteTodoHandler = route({
+  failureMessage: "Failed to delete To-Do item. Please try again later.",
+  auth: 'editor',
+  query: DELETE_TODO_QUERY_SCHEMA,
+}, async ({ event, access, query: queryParams }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const todoId = requireTodoId(event);
+
+  const expectedVersion = requireExpectedVersion(event, queryParams.expectedVersion);
+
+  if (queryParams.permanent !== 'true') {
+    const params = buildTodoTrash(userId, todoId, expectedVersion);
+    let data;
+    try {
+      data = await docClient.send(new UpdateCommand(params));
+    } catch (error) {
+      if (error.name === 'ConditionalCheckFailedException') {
+        throw await conditionFailedError(params.Key);
       }
+      throw error;
     }
-    if (description !== undefined) {
-      updateExpressions.push('#d = :d');
-      expressionAttributeNames['#d'] = 'description';
-      expressionAttributeValues[':d'] = description;
-      if (typeof description !== 'string') {
-        return generateResponse(400, { message: "Description must be a string." });
-      }
+    // The trashed item is returned so the client can offer to undo the deletion
+    return { message: "To-Do item moved to trash.", todo: data.Attributes };
+  }
+
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
+    },
+    ReturnValues: 'ALL_OLD', // To check if an item was actually deleted
+    ConditionExpression: TODO_EXISTS_CONDITION,
+  };
+  if (expectedVersion !== undefined) {
+    params.ConditionExpression += ` AND ${versionCondition(expectedVersion)}`;
+    params.ExpressionAttributeValues = { ':ev': expectedVersion };
+  }
+
+  // console.log("Deleting item from DynamoDB with params:", params);
+  let data;
+  try {
+    data = await docClient.send(new DeleteCommand(params));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      // A trashed item can still be deleted permanently, so only report a missing item as 404
+      const { Item } = await docClient.send(new GetCommand({ TableName: TODOS_TABLE_NAME, Key: params.Key }));
+      throw Item && !isTombstoneId(Item.todoId) ? versionConflictError(Item) : new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
     }
-    if (status !== undefined) {
-      if (!['pending', 'completed'].includes(status)) { // Example allowed statuses
-        return generateResponse(400, { message: "Status must be 'pending' or 'completed'." });
-      }
-      updateExpressions.push('#s = :s');
-      expressionAttributeNames['#s'] = 'status';
-      expressionAttributeValues[':s'] = status;
+    throw error;
+  }
+
+  if (!data.Attributes) {
+    throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found or unauthorized to delete.");
+  }
+
+  // Let clients that sync through GET /todos/changes know the item is gone.
+  // The item itself is already deleted, so a failure here is logged rather than reported.
+  try {
+    await docClient.send(new PutCommand({ TableName: TODOS_TABLE_NAME, Item: buildTombstone(userId, todoId) }));
+  } catch (error) {
+    logger.error("Error writing tombstone.", { error });
+  }
+
+  return { message: "To-Do item deleted permanently." };
+});
+
+/**
+ * Lambda handler for restoring a To-Do item from the trash.
+ * Requires authentication.
+ * Removes the trash markers (`deletedAt` and the `expiresAt` TTL), so the item shows up in GET /todos again
+ * exactly as it was before it was deleted. Restoring counts as a change and increments the version.
+ * Returns 404 Not Found if the item does not exist or is not in the trash.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The todoId of the item to restore.
+ * @returns {object} - The response object containing the status code and the restored item.
+ */
+exports.restoreTodoHandler = route({
+  failureMessage: "Failed to restore To-Do item. Please try again later.",
+  auth: 'editor',
+  query: LIST_QUERY_SCHEMA,
+}, async ({ event, access }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const todoId = requireTodoId(event);
+
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
+    },
+    UpdateExpression: 'SET updatedAt = :ua, version = if_not_exists(version, :zero) + :one REMOVE deletedAt, expiresAt',
+    // Only items in the trash can be restored; this also keeps the update from creating a new item
+    ConditionExpression: 'attribute_exists(deletedAt)',
+    ExpressionAttributeValues: {
+      ':ua': new Date().toISOString(),
+      ':zero': 0,
+      ':one': 1,
+    },
+    ReturnValues: 'ALL_NEW',
+  };
+
+  let data;
+  try {
+    data = await docClient.send(new UpdateCommand(params));
+  } catch (error) {
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found in trash.");
     }
+    throw error;
+  }
+
+  return { message: "To-Do item restored successfully.", todo: data.Attributes };
+});
 
-    // Always update 'updatedAt' timestamp
-    updateExpressions.push('updatedAt = :ua');
-    expressionAttributeValues[':ua'] = new Date().toISOString();
+/**
+ * Lambda handler for moving a To-Do item to another list, or between a list and the personal To-Dos.
+ * Requires authentication and the editor role in both lists.
+ * The item keeps its ID and data, gets the new `listId`, a new version and a position at the end of the target list's
+ * manual order, and is written to the partition
+ * of the target list in the same transaction that removes it from the source list. A tombstone is left in the
+ * source list, so clients syncing it through GET /todos/changes (or the real-time updates) drop the item.
+ * Items in the trash cannot be moved. When the client sends the version it loaded (If-Match header or
+ * expectedVersion), the item is only moved if it still has that version; otherwise 409 Conflict is returned.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The list the item is in; the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The todoId of the item to move.
+ * @param {string} event.body - JSON string with the target list, e.g. { "listId": "<listId>" },
+ * or { "listId": null } for the user's personal To-Dos.
+ * @param {string} [event.headers.If-Match] - The expected version, alternative to expectedVersion.
+ * @returns {object} - The response object containing the status code and the moved item.
+ */
+exports.moveTodoHandler = route({
+  failureMessage: "Failed to move To-Do item. Please try again later.",
+  auth: 'editor',
+  body: MOVE_TODO_SCHEMA,
+  query: LIST_QUERY_SCHEMA,
+}, async ({ event, access, body: requestBody }) => {
+  const todoId = requireTodoId(event);
+
+  const expectedVersion = requireExpectedVersion(event, requestBody.expectedVersion);
+
+  const target = await authorizeListAccess(event, 'editor', requestBody.listId || null);
+  if (target.partitionKey === access.partitionKey) {
+    throw new BadRequestError('ALREADY_IN_LIST', "The To-Do item is already in this list.");
+  }
+
+  const key = { userId: access.partitionKey, todoId: todoId };
+  const { Item } = await docClient.send(new GetCommand({ TableName: TODOS_TABLE_NAME, Key: key }));
+  if (!Item || Item.deletedAt || isTombstoneId(Item.todoId)) {
+    throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+  }
+  // Items created before versioning was introduced count as version 1
+  const version = Item.version || 1;
+  if (expectedVersion !== undefined && expectedVersion !== version) {
+    throw versionConflictError(Item);
+  }
 
-    if (updateExpressions.length === 0) {
-      return generateResponse(400, { message: "No valid fields provided for update." });
+  const now = new Date();
+  // The item goes to the end of the manual order of the target list
+  const moved = {
+    ...Item,
+    userId: target.partitionKey,
+    listId: target.listId,
+    position: initialPosition(now),
+    updatedAt: now.toISOString(),
+    version: version + 1,
+  };
+  try {
+    await docClient.send(new TransactWriteCommand({
+      TransactItems: [
+        {
+          // Fails if the item was changed or trashed since it was read
+          Delete: {
+            TableName: TODOS_TABLE_NAME,
+            Key: key,
+            ConditionExpression: `${TODO_EXISTS_CONDITION} AND ${versionCondition(version)} AND attribute_not_exists(deletedAt)`,
+            ExpressionAttributeValues: { ':ev': version },
+          },
+        },
+        { Put: { TableName: TODOS_TABLE_NAME, Item: buildTombstone(access.partitionKey, todoId) } },
+        { Put: { TableName: TODOS_TABLE_NAME, Item: moved, ConditionExpression: 'attribute_not_exists(todoId)' } },
+      ],
+    }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') {
+      throw error;
+    }
+    // The first item is the source, the third the target
+    const [sourceReason, , targetReason] = error.CancellationReasons || [];
+    if (sourceReason?.Code === 'ConditionalCheckFailed') {
+      throw await conditionFailedError(key);
     }
+    if (targetReason?.Code === 'ConditionalCheckFailed') {
+      throw new ConflictError('ALREADY_IN_TARGET_LIST', "The target list already contains this To-Do item.");
+    }
+    throw error;
+  }
 
-    const params = {
-      TableName: TODOS_TABLE_NAME,
-      Key: {
-        userId: userId,
-        todoId: todoId,
-      },
-      UpdateExpression: 'SET ' + updateExpressions.join(', '),
-      ExpressionAttributeValues: expressionAttributeValues,
-      ReturnValues: 'ALL_NEW', // Return the updated item
-      // Use ExpressionAttributeNames if you have reserved keywords in your updates
-      ExpressionAttributeNames: expressionAttributeNames,
-    };
+  return { message: "To-Do item moved successfully.", todo: moved };
+});
+
+/**
+ * Lambda handler for moving a To-Do item within the manual order of its list.
+ * Requires authentication.
+ * The client names the new neighbours of the item: `after` is the item that should come right before it
+ * and `before` the item that should come right after it. Leaving out `after` moves the item to the start,
+ * leaving out `before` moves it to the end. Only the moved item is written: it gets a new `position`
+ * between the positions of its neighbours (see utils/position.js) and a new version.
+ * Returns 409 Conflict when a neighbour is no longer in the list or the neighbours are no longer in order,
+ * so the client can reload the list and retry. When the client sends the version it loaded (If-Match header or
+ * expectedVersion), the item is only moved if it still has that version.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.pathParameters.id - The todoId of the item to move.
+ * @param {string} event.body - JSON string with the neighbours, e.g. { "after": "<todoId>", "before": "<todoId>" }.
+ * @param {string} [event.headers.If-Match] - The expected version, alternative to expectedVersion.
+ * @returns {object} - The response object containing the status code and the moved item.
+ */
+exports.updateTodoPositionHandler = route({
+  failureMessage: "Failed to reorder To-Do item. Please try again later.",
+  auth: 'editor',
+  body: TODO_POSITION_SCHEMA,
+  query: LIST_QUERY_SCHEMA,
+}, async ({ event, access, body: requestBody }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const todoId = requireTodoId(event);
 
-    // console.log("Updating item in DynamoDB with params:", params);
-    const data = await docClient.send(new UpdateCommand(params));
+  const neighbourIds = [requestBody.after ?? null, requestBody.before ?? null];
+  if (neighbourIds.includes(todoId)) {
+    throw new ValidationError([{ field: 'after', message: "after and before must be the IDs of other To-Do items." }]);
+  }
+  if (neighbourIds.every(id => id === null)) {
+    throw new ValidationError([{ field: 'after', message: "after or before is required." }]);
+  }
+  const expectedVersion = requireExpectedVersion(event, requestBody.expectedVersion);
 
-    if (!data.Attributes) {
-      return generateResponse(404, { message: "To-Do item not found or unauthorized to update." });
+  // The positions of the neighbours, or null for the start and end of the list
+  const neighbourPositions = await Promise.all(neighbourIds.map(async (id) => {
+    if (id === null) {
+      return null;
     }
+    const { Item } = await docClient.send(new GetCommand({ TableName: TODOS_TABLE_NAME, Key: { userId: userId, todoId: id } }));
+    return Item && !Item.deletedAt && Item.position ? Item.position : undefined;
+  }));
+  if (neighbourPositions.includes(undefined)) {
+    throw new ConflictError('STALE_ORDER', "The neighbouring To-Do items are no longer in the manual order of this list.");
+  }
+  const { value: position, error } = positionBetween(...neighbourPositions);
+  if (error) {
+    throw new ConflictError('STALE_ORDER', error);
+  }
 
-    return generateResponse(200, { message: "To-Do item updated successfully.", todo: data.Attributes });
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    Key: {
+      userId: userId,
+      todoId: todoId,
+    },
+    // POSITION is a reserved word in DynamoDB expressions
+    UpdateExpression: 'SET #pos = :pos, updatedAt = :ua, version = if_not_exists(version, :zero) + :one',
+    ConditionExpression: `${TODO_EXISTS_CONDITION} AND attribute_not_exists(deletedAt)`,
+    ExpressionAttributeNames: { '#pos': 'position' },
+    ExpressionAttributeValues: {
+      ':pos': position,
+      ':ua': new Date().toISOString(),
+      ':zero': 0,
+      ':one': 1,
+    },
+    ReturnValues: 'ALL_NEW',
+  };
+  if (expectedVersion !== undefined) {
+    params.ConditionExpression += ` AND ${versionCondition(expectedVersion)}`;
+    params.ExpressionAttributeValues[':ev'] = expectedVersion;
+  }
+
+  let data;
+  try {
+    data = await docClient.send(new UpdateCommand(params));
   } catch (error) {
-    // console.error("Error updating To-Do item:", error);
-    if (error.name === 'ValidationException' && error.message.includes('The provided key element does not match the schema')) {
-      return generateResponse(400, { message: "Invalid To-Do ID or data format." });
+    if (error.name === 'ConditionalCheckFailedException') {
+      throw await conditionFailedError(params.Key);
     }
-    return generateResponse(500, { message: "Failed to update To-Do item. Please try again later." });
+    throw error;
   }
-};
+
+  return { message: "To-Do item reordered successfully.", todo: data.Attributes };
+});
 
 /**
- * Lambda handler for deleting a To-Do item.
+ * Lambda handler for listing the trashed To-Do items of the authenticated user, most recently deleted first.
  * Requires authentication.
- * This function checks if the item exists before attempting to delete it,
- * and returns a 404 Not Found response if the item does not exist.
- * It also ensures that the user is authorized to delete the item
- * by checking the user ID in the request context.
- * If the user ID is not found, it returns a 401 Unauthorized response.
+ * Reads the sparse UserDeletedAtIndex, which only contains trashed items,
+ * and is paginated like GET /todos with `limit` and `nextToken`.
+ * Each item carries `deletedAt` and `expiresAt` (epoch seconds), the time after which it is purged.
  * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
  * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
- * @param {string} event.pathParameters.id - The todoId of the item to delete.
+ * @param {string} [event.queryStringParameters.limit] - Maximum number of items per page (1-100, default 50).
+ * @param {string} [event.queryStringParameters.nextToken] - Token returned by the previous page.
  * @returns {object} - The response object containing the status code and body.
  */
-exports.deleteTodoHandler = async (event) => {
-  // console.log("Received deleteTodo request:", event);
+exports.getTrashHandler = route({
+  failureMessage: "Failed to retrieve trash. Please try again later.",
+  auth: 'viewer',
+  query: TRASH_QUERY_SCHEMA,
+}, async ({ access, query: queryParams }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
 
-  try {
-    const userId = event.requestContext?.authorizer?.claims?.sub;
-    if (!userId) {
-      return generateResponse(401, { message: "Unauthorized: User ID not found in token." });
+  const limit = parseLimit(queryParams.limit);
+
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    IndexName: TRASH_INDEX_NAME,
+    KeyConditionExpression: 'userId = :u',
+    ExpressionAttributeValues: { ':u': userId },
+    ScanIndexForward: false,
+    Limit: limit,
+  };
+  if (queryParams.nextToken) {
+    const exclusiveStartKey = decodeNextToken(queryParams.nextToken, userId, TRASH_INDEX_NAME);
+    if (!exclusiveStartKey) {
+      throw new BadRequestError('INVALID_PAGINATION_TOKEN', "Invalid pagination token.");
     }
+    params.ExclusiveStartKey = exclusiveStartKey;
+  }
+
+  const data = await docClient.send(new QueryCommand(params));
+
+  return {
+    todos: data.Items || [],
+    nextToken: encodeNextToken(data.LastEvaluatedKey, userId, TRASH_INDEX_NAME),
+  };
+});
+
+/**
+ * Lambda handler for the delta sync of the authenticated user's To-Do items.
+ * Requires authentication.
+ * Returns the items created or updated since a sync cursor, oldest change first, and tombstones for the items
+ * deleted since then (moved to the trash or deleted permanently). Clients get a cursor from the first page of
+ * GET /todos, or start without one to receive every item, and pass the returned cursor to the next call.
+ * Because the UserUpdatedAtIndex is eventually consistent, changes made up to SYNC_OVERLAP_MS before the cursor
+ * are returned again; applying a change twice must have no effect (compare `version`).
+ * Cursors older than the tombstone or trash retention are rejected with 410 Gone, and the client has to reload the list.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to read (requires the viewer role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} [event.queryStringParameters.since] - The cursor returned by GET /todos or by the previous call.
+ * @param {string} [event.queryStringParameters.limit] - Maximum number of changes per response (1-100, default 50).
+ * @returns {object} - The response object with { todos, tombstones, cursor, hasMore }.
+ */
+exports.getChangesHandler = route({
+  failureMessage: "Failed to retrieve To-Do changes. Please try again later.",
+  auth: 'viewer',
+  query: CHANGES_QUERY_SCHEMA,
+}, async ({ access, query: queryParams }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const limit = parseLimit(queryParams.limit);
 
-    const todoId = event.pathParameters.id;
-    if (!todoId) {
-      return generateResponse(400, { message: "To-Do ID is required." });
+  let cursor = {};
+  if (queryParams.since) {
+    cursor = decodeSyncCursor(queryParams.since, userId);
+    if (!cursor) {
+      throw new BadRequestError('INVALID_SYNC_CURSOR', "Invalid sync cursor.");
     }
+    if (cursor.since && Date.parse(cursor.since) < Date.now() - MAX_SYNC_CURSOR_AGE_DAYS * 24 * 60 * 60 * 1000) {
+      throw new GoneError('SYNC_CURSOR_EXPIRED', "Sync cursor has expired. Please reload the To-Do list.");
+    }
+  }
 
-    const params = {
-      TableName: TODOS_TABLE_NAME,
-      Key: {
-        userId: userId,
-        todoId: todoId,
+  const queryStartedAt = new Date().toISOString();
+  const params = {
+    TableName: TODOS_TABLE_NAME,
+    IndexName: UPDATED_AT_INDEX_NAME,
+    KeyConditionExpression: 'userId = :u',
+    ExpressionAttributeValues: { ':u': userId },
+    ScanIndexForward: true,
+    Limit: limit,
+  };
+  if (cursor.since) {
+    params.KeyConditionExpression += ' AND updatedAt >= :since';
+    params.ExpressionAttributeValues[':since'] = new Date(Date.parse(cursor.since) - SYNC_OVERLAP_MS).toISOString();
+  }
+  if (cursor.startKey) {
+    params.ExclusiveStartKey = cursor.startKey;
+  }
+
+  const data = await docClient.send(new QueryCommand(params));
+  const items = data.Items || [];
+  // A permanently deleted todo leaves a tombstone item under a todoId prefix, see buildTombstone
+  const { todos, tombstones } = toChangeSet(items);
+
+  // More changes: continue from the same time with the start key. Done: the next sync starts at the latest change.
+  let nextCursor;
+  if (data.LastEvaluatedKey) {
+    nextCursor = encodeSyncCursor(userId, cursor.since, data.LastEvaluatedKey);
+  } else {
+    const latest = items.length > 0 ? items[items.length - 1].updatedAt : null;
+    nextCursor = encodeSyncCursor(userId, latest || cursor.since || queryStartedAt);
+  }
+
+  return {
+    todos: todos,
+    tombstones: tombstones,
+    cursor: nextCursor,
+    hasMore: Boolean(data.LastEvaluatedKey),
+  };
+});
+
+// DynamoDB transactions and batch writes accept at most 25 items, so a batch request does too
+const MAX_BATCH_OPERATIONS = 25;
+const BATCH_OPERATIONS = ['create', 'update', 'complete', 'delete'];
+
+// How often a BatchWriteCommand is sent before still unprocessed items are reported as failed
+const MAX_BATCH_WRITE_ATTEMPTS = 3;
+
+const NOT_APPLIED_MESSAGE = "Not applied because another operation in the batch failed.";
+
+const BATCH_SIZE_MESSAGE = `Operations must be an array of 1 to ${MAX_BATCH_OPERATIONS} operations.`;
+
+// Body of POST /todos/batch; the operations are validated one by one, so a non-atomic batch can apply the valid ones
+const BATCH_SCHEMA = {
+  type: 'object',
+  properties: {
+    operations: {
+      type: 'array',
+      minItems: 1,
+      message: BATCH_SIZE_MESSAGE,
+      check: (operations) => (operations.length > MAX_BATCH_OPERATIONS ? BATCH_SIZE_MESSAGE : null),
+    },
+    atomic: { type: 'boolean', message: "atomic must be a boolean." },
+  },
+  required: ['operations'],
+  additionalProperties: false,
+};
+
+const BATCH_TODO_ID_SCHEMA = {
+  type: 'string',
+  minLength: 1,
+  message: "To-Do ID is required.",
+  check: (todoId) => (isTombstoneId(todoId) ? "To-Do ID must be the ID of a To-Do item." : null),
+};
+
+// Complete and delete operations only name the item; op itself is checked before the schema is chosen
+const TODO_OPERATION_SCHEMA = {
+  type: 'object',
+  properties: { op: {}, todoId: BATCH_TODO_ID_SCHEMA, expectedVersion: EXPECTED_VERSION_SCHEMA },
+  required: ['todoId'],
+  additionalProperties: false,
+};
+
+// Schemas of the operations of a batch, by op
+const BATCH_OPERATION_SCHEMAS = new Map([
+  ['create', {
+    type: 'object',
+    properties: { op: {}, todo: NEW_TODO_SCHEMA },
+    required: ['todo'],
+    additionalProperties: false,
+  }],
+  ['update', {
+    ...TODO_OPERATION_SCHEMA,
+    properties: {
+      ...TODO_OPERATION_SCHEMA.properties,
+      changes: {
+        ...TODO_CHANGES_SCHEMA,
+        message: "Changes must be a non-empty object.",
+        check: (changes) => (Object.keys(changes).length === 0 ? "Changes must be a non-empty object." : null),
       },
-      ReturnValues: 'ALL_OLD', // To check if an item was actually deleted
-    };
+    },
+    required: ['todoId', 'changes'],
+  }],
+  ['complete', TODO_OPERATION_SCHEMA],
+  ['delete', TODO_OPERATION_SCHEMA],
+]);
+
+/**
+ * Validates one operation of a batch request and builds the DynamoDB request that performs it.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {object} operation - The operation, e.g. { "op": "update", "todoId": "...", "changes": { "title": "..." }, "expectedVersion": 2 }.
+ * @returns {object} - The operation with its todoId and either `put` (create) or `update` (update, complete and delete)
+ * parameters, or with the validation `errors` as { field, message }. Deletes move the item to the trash, like DELETE /todos/{id}.
+ * Operations that complete the item are flagged with `completes`: an atomic batch has to read those items back
+ * to schedule their next occurrences.
+ */
+const prepareBatchOperation = (userId, operation) => {
+  const op = operation?.op;
+  if (!BATCH_OPERATIONS.includes(op)) {
+    return { op, errors: [{ field: 'op', message: "Operation must be 'create', 'update', 'complete' or 'delete'." }] };
+  }
+  const todoId = typeof operation.todoId === 'string' ? operation.todoId : undefined;
+  const errors = validate(BATCH_OPERATION_SCHEMAS.get(op), operation);
+  if (errors.length > 0) {
+    return { op, ...(todoId && { todoId }), errors };
+  }
 
-    // console.log("Deleting item from DynamoDB with params:", params);
-    const data = await docClient.send(new DeleteCommand(params));
+  if (op === 'create') {
+    const item = buildNewTodo(userId, operation.todo);
+    return { op, todoId: item.todoId, put: { TableName: TODOS_TABLE_NAME, Item: item } };
+  }
+
+  const { value: expectedVersion } = getExpectedVersion({}, operation.expectedVersion);
+  if (op === 'delete') {
+    return { op, todoId, update: buildTodoTrash(userId, todoId, expectedVersion) };
+  }
 
-    if (!data.Attributes) {
-      return generateResponse(404, { message: "To-Do item not found or unauthorized to delete." });
+  const changes = op === 'complete' ? { status: 'completed' } : operation.changes;
+  return {
+    op,
+    todoId,
+    update: buildTodoUpdate(userId, todoId, changes, expectedVersion),
+    ...(changes.status === 'completed' && { completes: true }),
+  };
+};
+
+/**
+ * Builds the result of one operation of a batch request.
+ * @param {number} index - The position of the operation in the request.
+ * @param {object} prepared - The prepared operation.
+ * @param {number} statusCode - The HTTP status code of the operation.
+ * @param {object} [details] - Additional fields, e.g. { todo } or, for failed operations, { code, message }.
+ * @returns {object} - The result, e.g. { index: 0, op: 'complete', todoId: '...', statusCode: 200 }.
+ */
+const batchResult = (index, prepared, statusCode, details = {}) => ({
+  index,
+  op: prepared.op,
+  ...(prepared.todoId && { todoId: prepared.todoId }),
+  statusCode,
+  ...details,
+});
+
+/**
+ * Builds the result of a failed operation of a batch request from the error the single-item endpoint would have thrown.
+ * @param {number} index - The position of the operation in the request.
+ * @param {object} prepared - The prepared operation.
+ * @param {ApiError} error - The error.
+ * @returns {object} - The result with the error's status code, code and message, and its extensions, e.g. the `todo` of a version conflict.
+ */
+const errorBatchResult = (index, prepared, error) => batchResult(index, prepared, error.status, {
+  ...error.extensions,
+  code: error.code,
+  message: error.message,
+});
+
+/**
+ * Builds the result of an operation of a batch request that failed validation.
+ * @param {number} index - The position of the operation in the request.
+ * @param {object} prepared - The prepared operation, with its validation errors.
+ * @returns {object} - The 400 result, with the messages joined as for a single request and the errors by field.
+ */
+const invalidBatchResult = (index, prepared) => errorBatchResult(index, prepared, new ValidationError(prepared.errors));
+
+/**
+ * Turns a prepared operation into an item of a TransactWriteCommand.
+ * Transactions do not return the written items, so ReturnValues is dropped.
+ * @param {object} prepared - The prepared operation.
+ * @returns {object} - The Put or Update transaction item.
+ */
+const toTransactItem = (prepared) => {
+  if (prepared.put) {
+    return { Put: { ...prepared.put, ConditionExpression: 'attribute_not_exists(todoId)' } };
+  }
+  const update = { ...prepared.update };
+  delete update.ReturnValues;
+  return { Update: update };
+};
+
+/**
+ * Applies all operations of a batch in a single DynamoDB transaction: either all of them succeed or none does.
+ * When the transaction is cancelled, the result of each operation tells which one failed and why.
+ * Transactions do not return the written items, so the items the batch completed are read afterwards
+ * to create the next occurrences of the repeating ones.
+ * @param {object[]} prepared - The prepared operations, all valid and for distinct To-Do items.
+ * @returns {Promise<object>} - The response body with the per-operation results.
+ * @throws {ConflictError} - With the code BATCH_NOT_APPLIED and the per-operation `results` if the transaction was cancelled.
+ */
+const runAtomicBatch = async (prepared) => {
+  try {
+    await docClient.send(new TransactWriteCommand({ TransactItems: prepared.map(toTransactItem) }));
+  } catch (error) {
+    if (error.name !== 'TransactionCanceledException') {
+      throw error;
+    }
+    const reasons = error.CancellationReasons || [];
+    const results = prepared.map((operation, index) => {
+      const code = reasons[index]?.Code;
+      if (!code || code === 'None') {
+        return batchResult(index, operation, 424, { code: 'NOT_APPLIED', message: NOT_APPLIED_MESSAGE });
+      }
+      if (code === 'ConditionalCheckFailed') {
+        return batchResult(index, operation, 409, { code: 'CONDITION_FAILED', message: "To-Do item not found or modified since you loaded it." });
+      }
+      return batchResult(index, operation, 503, { code: 'TRY_AGAIN', message: "Operation could not be applied. Please try again." });
+    });
+    throw new ConflictError('BATCH_NOT_APPLIED', "No operations were applied because at least one of them failed.", { results });
+  }
+
+  const results = [];
+  for (const [index, operation] of prepared.entries()) {
+    if (operation.put) {
+      results.push(batchResult(index, operation, 201, { todo: operation.put.Item }));
+    } else if (operation.completes) {
+      const loadItem = async () => (await docClient.send(new GetCommand({
+        TableName: TODOS_TABLE_NAME,
+        Key: operation.update.Key,
+        ConsistentRead: true,
+      }))).Item;
+      results.push(batchResult(index, operation, 200, await nextOccurrenceDetails(loadItem)));
+    } else {
+      results.push(batchResult(index, operation, 200));
     }
+  }
+  return { message: "Batch applied successfully.", results };
+};
 
-    return generateResponse(200, { message: "To-Do item deleted successfully." });
+/**
+ * Writes the create operations of a non-atomic batch with a single BatchWriteCommand.
+ * Items DynamoDB leaves unprocessed (e.g. when throttled) are retried with a short backoff
+ * and reported as failed if they are still unprocessed afterwards.
+ * @param {object[]} entries - The create operations as { index, operation }.
+ * @returns {Promise<object[]>} - The result of each create operation.
+ */
+const writeBatchCreates = async (entries) => {
+  let pending = entries.map(({ operation }) => ({ PutRequest: { Item: operation.put.Item } }));
+  try {
+    for (let attempt = 1; pending.length > 0 && attempt <= MAX_BATCH_WRITE_ATTEMPTS; attempt++) {
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, 50 * 2 ** attempt));
+      }
+      const { UnprocessedItems } = await docClient.send(new BatchWriteCommand({ RequestItems: { [TODOS_TABLE_NAME]: pending } }));
+      pending = UnprocessedItems?.[TODOS_TABLE_NAME] || [];
+    }
+  } catch (error) {
+    logger.error("Error writing batch of To-Do items.", { error });
+    return entries.map(({ index, operation }) => batchResult(index, operation, 500, {
+      code: 'INTERNAL_ERROR',
+      message: "Failed to create To-Do item. Please try again later.",
+    }));
+  }
+
+  const unprocessed = new Set(pending.map(request => request.PutRequest.Item.todoId));
+  return entries.map(({ index, operation }) => (unprocessed.has(operation.todoId)
+    ? batchResult(index, operation, 503, { code: 'TRY_AGAIN', message: "To-Do item was not created because of throttling. Please try again." })
+    : batchResult(index, operation, 201, { todo: operation.put.Item })));
+};
+
+/**
+ * Applies a single update, complete or delete operation of a non-atomic batch.
+ * A failed version or existence check yields the same 409 or 404 result as the single-item endpoints.
+ * Completing a repeating item also creates its next occurrence; failing to do so does not fail the operation.
+ * @param {number} index - The position of the operation in the request.
+ * @param {object} operation - The prepared operation.
+ * @returns {Promise<object>} - The result of the operation.
+ */
+const runBatchOperation = async (index, operation) => {
+  let data;
+  try {
+    data = await docClient.send(new UpdateCommand(operation.update));
   } catch (error) {
-    // console.error("Error deleting To-Do item:", error);
-    return generateResponse(500, { message: "Failed to delete To-Do item. Please try again later." });
+    if (error.name === 'ConditionalCheckFailedException') {
+      return errorBatchResult(index, operation, await conditionFailedError(operation.update.Key));
+    }
+    logger.error("Error applying batch operation.", { error });
+    return batchResult(index, operation, 500, { code: 'INTERNAL_ERROR', message: "Operation failed. Please try again later." });
   }
+  return batchResult(index, operation, 200, { todo: data.Attributes, ...await nextOccurrenceDetails(async () => data.Attributes) });
 };
+
+/**
+ * Applies the operations of a non-atomic batch independently, so one failing operation does not affect the others.
+ * Creates are written together with a BatchWriteCommand, the other operations (all of them updates,
+ * since deletes only move items to the trash) one after another
+ * because they carry conditions, which BatchWriteCommand does not support.
+ * @param {object[]} prepared - The prepared operations, possibly including invalid ones.
+ * @returns {Promise<object[]>} - The result of each operation, in request order.
+ */
+const runBatchIndividually = async (prepared) => {
+  const results = [];
+  const creates = [];
+  for (const [index, operation] of prepared.entries()) {
+    if (operation.errors) {
+      results.push(invalidBatchResult(index, operation));
+    } else if (operation.put) {
+      creates.push({ index, operation });
+    } else {
+      results.push(await runBatchOperation(index, operation));
+    }
+  }
+  if (creates.length > 0) {
+    results.push(...await writeBatchCreates(creates));
+  }
+  return results.sort((a, b) => a.index - b.index);
+};
+
+/**
+ * Lambda handler for applying several create, update, complete and delete operations in one request.
+ * Requires authentication.
+ * By default the operations are applied independently and the response lists the outcome of each one.
+ * With `atomic: true` they are applied in a single DynamoDB transaction, so either all succeed or none is applied.
+ * An atomic batch must be valid as a whole and may touch each To-Do item only once.
+ * Deletes move the items to the trash, like DELETE /todos/{id} without `permanent=true`.
+ * @param {object} event - The Lambda event object.
+ * @param {string} [event.queryStringParameters.listId] - The shared list to change (requires the editor role); the user's personal To-Dos without it.
+ * @param {object} event.requestContext.authorizer.claims - Cognito user claims.
+ * @param {string} event.body - JSON string with up to 25 operations, e.g.
+ * { "atomic": false, "operations": [{ "op": "create", "todo": { "title": "..." } },
+ * { "op": "update", "todoId": "...", "changes": { "priority": "high" }, "expectedVersion": 3 },
+ * { "op": "complete", "todoId": "..." }, { "op": "delete", "todoId": "..." }] }.
+ * @returns {object} - The response object containing the status code and the per-operation results.
+ */
+exports.batchTodosHandler = route({
+  failureMessage: "Failed to process batch. Please try again later.",
+  auth: 'editor',
+  body: BATCH_SCHEMA,
+  query: LIST_QUERY_SCHEMA,
+}, async ({ access, body }) => {
+  // Partition of the addressed list: the user's ID, or list#<listId> for a shared list
+  const userId = access.partitionKey;
+
+  const { operations, atomic = false } = body;
+
+  const prepared = operations.map(operation => prepareBatchOperation(userId, operation));
+
+  if (!atomic) {
+    return { message: "Batch processed.", results: await runBatchIndividually(prepared) };
+  }
+
+  if (prepared.some(operation => operation.errors)) {
+    const results = prepared.map((operation, index) => (operation.errors
+      ? invalidBatchResult(index, operation)
+      : batchResult(index, operation, 424, { code: 'NOT_APPLIED', message: NOT_APPLIED_MESSAGE })));
+    throw new BadRequestError('BATCH_INVALID', "No operations were applied because at least one of them is invalid.", { results });
+  }
+  // A DynamoDB transaction cannot contain more than one operation on the same item
+  const todoIds = prepared.map(operation => operation.todoId);
+  if (new Set(todoIds).size !== todoIds.length) {
+    throw new BadRequestError('DUPLICATE_BATCH_ITEM', "Each To-Do item can only appear once in an atomic batch.");
+  }
+
+  return await runAtomicBatch(prepared);
+});
@@ -0,0 +1,119 @@
+/**
+ * Access control for personal and shared To-Do lists.
+ * The To-Do table keeps `userId` as its partition key: a user's personal To-Dos are stored under their
+ * Cognito `sub`, the To-Dos of a shared list under `list#<listId>`. The handlers pass the partition key
+ * returned here wherever they used the user's ID before, so every query, index and token stays scoped
+ * to exactly one list.
+ * Requests choose a shared list with the `listId` query string parameter. Membership and roles are stored
+ * in the lists table (see src/lists.js); a user who is not a member gets 404 Not Found, so the existence
+ * of other users' lists is not revealed.
+ * @module utils/access
+ */
+const { GetCommand } = require("@aws-sdk/lib-dynamodb");
+const { docClient } = require('./dynamo');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError } = require('./errors');
+
+// Get the DynamoDB table name of the lists and their members from environment variables
+const LISTS_TABLE_NAME = process.env.LISTS_TABLE_NAME;
+
+// Roles of a list member, from least to most privileged: viewers read, editors also change To-Dos,
+// the owner also manages the members
+const ROLE_RANKS = {
+  viewer: 1,
+  editor: 2,
+  owner: 3,
+};
+
+// Partition key prefix of the To-Dos of a shared list in the To-Do table
+const LIST_PARTITION_PREFIX = 'list#';
+
+// Sort key prefixes of the items of a list in the lists table
+const LIST_META_KEY = 'list';
+const MEMBER_KEY_PREFIX = 'member#';
+const INVITE_KEY_PREFIX = 'invite#';
+
+// List IDs are UUIDs generated by POST /lists
+const LIST_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Tells whether a role grants at least the rights of another role.
+ * @param {string} role - The member's role.
+ * @param {string} requiredRole - The least privileged role that is allowed.
+ * @returns {boolean} - True if the role is sufficient.
+ */
+const hasRole = (role, requiredRole) => (ROLE_RANKS[role] || 0) >= ROLE_RANKS[requiredRole];
+
+/**
+ * Returns the partition key of a list's To-Dos in the To-Do table.
+ * @param {string} listId - The ID of the shared list.
+ * @returns {string} - The partition key.
+ */
+const toListPartitionKey = (listId) => `${LIST_PARTITION_PREFIX}${listId}`;
+
+/**
+ * Returns the ID of the shared list a To-Do table partition belongs to.
+ * @param {string} partitionKey - The partition key (userId attribute) of a To-Do item.
+ * @returns {string|null} - The list ID, or null for a personal partition.
+ */
+const toListId = (partitionKey) => (partitionKey.startsWith(LIST_PARTITION_PREFIX)
+  ? partitionKey.slice(LIST_PARTITION_PREFIX.length)
+  : null);
+
+/**
+ * Loads the membership of a user in a list.
+ * @param {string} listId - The ID of the list.
+ * @param {string} userId - The user's ID.
+ * @returns {Promise<object|undefined>} - The member item, or undefined if the user is not a member.
+ */
+const getMembership = async (listId, userId) => {
+  const { Item } = await docClient.send(new GetCommand({
+    TableName: LISTS_TABLE_NAME,
+    Key: { listId: listId, memberKey: `${MEMBER_KEY_PREFIX}${userId}` },
+  }));
+  return Item;
+};
+
+/**
+ * Authorizes a request against the list it addresses.
+ * Without a `listId` query string parameter the request addresses the user's personal To-Dos, which the user owns.
+ * @param {object} event - The Lambda event object.
+ * @param {string} requiredRole - The least privileged role that may make the request: 'viewer', 'editor' or 'owner'.
+ * @param {string} [listId] - The ID of the list; defaults to the `listId` query string parameter.
+ * @returns {Promise<object>} - The access as { userId, listId, partitionKey, role }.
+ * @throws {ApiError} - UNAUTHORIZED (401), INVALID_LIST_ID (400), LIST_NOT_FOUND (404) or INSUFFICIENT_ROLE (403).
+ */
+const authorizeListAccess = async (event, requiredRole, listId = event.queryStringParameters?.listId) => {
+  const userId = event.requestContext?.authorizer?.claims?.sub;
+  if (!userId) {
+    throw new UnauthorizedError('UNAUTHORIZED', "Unauthorized: User ID not found in token.");
+  }
+
+  if (!listId) {
+    return { userId: userId, listId: null, partitionKey: userId, role: 'owner' };
+  }
+  if (!LIST_ID_PATTERN.test(listId)) {
+    throw new BadRequestError('INVALID_LIST_ID', "List ID must be a valid list identifier.");
+  }
+
+  const membership = await getMembership(listId, userId);
+  if (!membership) {
+    throw new NotFoundError('LIST_NOT_FOUND', "List not found.");
+  }
+  if (!hasRole(membership.role, requiredRole)) {
+    throw new ForbiddenError('INSUFFICIENT_ROLE', `Forbidden: This requires the ${requiredRole} role in the list.`);
+  }
+  return { userId: userId, listId: listId, partitionKey: toListPartitionKey(listId), role: membership.role };
+};
+
+module.exports = {
+  ROLE_RANKS,
+  LIST_META_KEY,
+  MEMBER_KEY_PREFIX,
+  INVITE_KEY_PREFIX,
+  LIST_ID_PATTERN,
+  hasRole,
+  toListPartitionKey,
+  toListId,
+  getMembership,
+  authorizeListAccess,
+};
@@ -0,0 +1,60 @@
+/**
+ * Helpers that turn stored To-Do items into the change format shared by GET /todos/changes
+ * and the real-time change events pushed over the WebSocket API.
+ * A change set is { todos, tombstones }: created or updated items, and { todoId, deletedAt, permanent }
+ * for items moved to the trash or deleted permanently.
+ * @module utils/changes
+ */
+
+// Sort key prefix of the tombstones written when a To-Do item is deleted permanently
+const TOMBSTONE_ID_PREFIX = 'tombstone#';
+
+/**
+ * Tells whether a todoId is the sort key of a tombstone. Tombstones share the partition of the To-Do items,
+ * so requests must neither address them nor return them as To-Dos.
+ * @param {string} todoId - The todoId.
+ * @returns {boolean} - True for the todoId of a tombstone.
+ */
+const isTombstoneId = (todoId) => todoId.startsWith(TOMBSTONE_ID_PREFIX);
+
+/**
+ * Turns an item into the tombstone of a change set, if it is one.
+ * Both trashed items and the tombstones of permanently deleted items are reported as deleted.
+ * @param {object} item - The item.
+ * @returns {object|null} - { todoId, deletedAt, permanent }, or null if the item is neither trashed nor deleted.
+ */
+const toChangeTombstone = (item) => {
+  if (isTombstoneId(item.todoId)) {
+    return { todoId: item.todoId.slice(TOMBSTONE_ID_PREFIX.length), deletedAt: item.purgedAt, permanent: true };
+  }
+  if (item.deletedAt) {
+    return { todoId: item.todoId, deletedAt: item.deletedAt, permanent: false };
+  }
+  return null;
+};
+
+/**
+ * Splits changed items into a change set.
+ * @param {object[]} items - The changed items, in order of their change.
+ * @returns {object} - { todos, tombstones }.
+ */
+const toChangeSet = (items) => {
+  const todos = [];
+  const tombstones = [];
+  for (const item of items) {
+    const tombstone = toChangeTombstone(item);
+    if (tombstone) {
+      tombstones.push(tombstone);
+    } else {
+      todos.push(item);
+    }
+  }
+  return { todos, tombstones };
+};
+
+module.exports = {
+  TOMBSTONE_ID_PREFIX,
+  isTombstoneId,
+  toChangeTombstone,
+  toChangeSet,
+};
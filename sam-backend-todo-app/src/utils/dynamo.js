@@ -0,0 +1,27 @@
+/**
+ * Shared DynamoDB DocumentClient for the Lambda handlers.
+ * The client is created once per Lambda container and reused across invocations.
+ * @module utils/dynamo
+ */
+const { DynamoDBClient } = require("@aws-sdk/client-dynamodb");
+const { DynamoDBDocumentClient } = require("@aws-sdk/lib-dynamodb");
+
+const isLocal = !!process.env.LOCALSTACK_ENDPOINT;
+const client = new DynamoDBClient({
+  /**
+   * The endpoint is set to the local DynamoDB instance if LOCALSTACK_ENDPOINT is defined.
+   * This allows for local development and testing without needing to deploy to AWS.
+   * In production, this will be undefined, and the client will connect to AWS DynamoDB.
+   */
+  endpoint: isLocal ? process.env.LOCALSTACK_ENDPOINT : undefined,
+  region: process.env.AWS_REGION || "us-east-1",
+  ...(isLocal && {
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID || "test",
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "test",
+    },
+  }),
+}); 
+const docClient = DynamoDBDocumentClient.from(client);
+
+module.exports = { docClient };
@@ -0,0 +1,142 @@
+/**
+ * Typed errors of the HTTP API and their mapping to RFC 7807 problem details.
+ * Handlers and helpers throw an ApiError subclass for every failure the client can act on;
+ * the error mapping middleware around each handler (see utils/middleware) catches what was thrown and
+ * answers with an `application/problem+json` response:
+ *   { "type": "about:blank", "title": "Not Found", "status": 404, "detail": "To-Do item not found.",
+ *     "code": "TODO_NOT_FOUND", "requestId": "...", "instance": "/todos/123", "message": "To-Do item not found." }
+ * `code` is stable and meant for programs (the frontend picks its messages by it), `detail` is meant for people and may change.
+ * `message` repeats `detail` for clients that read the former `{ message }` bodies, such as the Amplify API client.
+ * Any other error is a bug or an outage: it is logged and answered with 500 Internal Server Error without its details.
+ * @module utils/errors
+ */
+const { generateResponse } = require('./response');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+// Problems have no documentation pages of their own, so `type` is about:blank and `title` the HTTP status text
+const STATUS_TITLES = new Map([
+  [400, 'Bad Request'],
+  [401, 'Unauthorized'],
+  [403, 'Forbidden'],
+  [404, 'Not Found'],
+  [409, 'Conflict'],
+  [410, 'Gone'],
+  [413, 'Content Too Large'],
+  [500, 'Internal Server Error'],
+]);
+
+/**
+ * Base class of the errors that are answered with their own status code and code.
+ */
+class ApiError extends Error {
+  /**
+   * @param {number} status - The HTTP status code.
+   * @param {string} code - The stable error code, e.g. 'TODO_NOT_FOUND'.
+   * @param {string} message - The human readable description, returned as `detail`.
+   * @param {object} [extensions] - Additional members of the problem details, e.g. { todo } or { errors }.
+   */
+  constructor(status, code, message, extensions = {}) {
+    super(message);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    this.extensions = extensions;
+  }
+}
+
+/** 400 Bad Request: the request cannot be processed as sent. */
+class BadRequestError extends ApiError {
+  constructor(code, message, extensions) {
+    super(400, code, message, extensions);
+  }
+}
+
+/**
+ * 400 Bad Request for input that failed validation, listing every invalid field as { field, message }.
+ * The message joins the individual messages, so clients that only show it still see every problem.
+ */
+class ValidationError extends BadRequestError {
+  /**
+   * @param {object[]} errors - The invalid fields as { field, message }.
+   * @param {string} [code] - The error code; 'MALFORMED_JSON' for bodies that are not JSON.
+   */
+  constructor(errors, code = 'VALIDATION_FAILED') {
+    super(code, errors.map(error => error.message).join(' '), { errors });
+  }
+}
+
+/** 401 Unauthorized: the request carries no usable identity. */
+class UnauthorizedError extends ApiError {
+  constructor(code, message, extensions) {
+    super(401, code, message, extensions);
+  }
+}
+
+/** 403 Forbidden: the user is known but may not do this. */
+class ForbiddenError extends ApiError {
+  constructor(code, message, extensions) {
+    super(403, code, message, extensions);
+  }
+}
+
+/** 404 Not Found: the addressed item does not exist or is not visible to the user. */
+class NotFoundError extends ApiError {
+  constructor(code, message, extensions) {
+    super(404, code, message, extensions);
+  }
+}
+
+/** 409 Conflict: the request contradicts the current state, e.g. a stale version. */
+class ConflictError extends ApiError {
+  constructor(code, message, extensions) {
+    super(409, code, message, extensions);
+  }
+}
+
+/** 410 Gone: the addressed resource existed but is no longer available. */
+class GoneError extends ApiError {
+  constructor(code, message, extensions) {
+    super(410, code, message, extensions);
+  }
+}
+
+/** 413 Content Too Large: the request body exceeds the size limit. */
+class PayloadTooLargeError extends ApiError {
+  constructor(code, message, extensions) {
+    super(413, code, message, extensions);
+  }
+}
+
+/**
+ * Builds the problem details response of an ApiError.
+ * @param {ApiError} error - The error.
+ * @param {object} [event] - The Lambda event object; its path becomes `instance`.
+ * @param {object} [context] - The Lambda context; its request ID is used when API Gateway did not provide one.
+ * @returns {object} - The response object with the application/problem+json body.
+ */
+const problemResponse = (error, event = {}, context = {}) => generateResponse(error.status, {
+  ...error.extensions,
+  type: 'about:blank',
+  title: STATUS_TITLES.get(error.status),
+  status: error.status,
+  detail: error.message,
+  code: error.code,
+  requestId: event.requestContext?.requestId || context.awsRequestId,
+  instance: event.path,
+  message: error.message,
+}, { 'Content-Type': PROBLEM_CONTENT_TYPE });
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  GoneError,
+  PayloadTooLargeError,
+  problemResponse,
+};
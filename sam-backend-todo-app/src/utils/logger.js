@@ -0,0 +1,49 @@
+/**
+ * Structured logging of the Lambda functions.
+ * Every entry is written as one JSON line, { level, message, ...fields }, so CloudWatch Logs Insights can filter
+ * and aggregate on its fields. Errors among the fields are written with their name, message and stack.
+ * The LOG_LEVEL environment variable (default info) sets the least severe level that is written;
+ * LOG_LEVEL=silent turns logging off, e.g. in unit tests.
+ *   logger.error("Error writing tombstone.", { error, todoId });
+ * @module utils/logger
+ */
+
+// Log levels from most to least verbose
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Turns an Error into a plain object, since JSON.stringify drops its message and stack.
+ * @param {*} value - A field value.
+ * @returns {*} - { name, message, stack } for errors, the value otherwise.
+ */
+const toLoggable = (value) => (value instanceof Error
+  ? { name: value.name, message: value.message, stack: value.stack }
+  : value);
+
+/**
+ * Writes a log entry if its level is enabled.
+ * @param {string} level - 'debug', 'info', 'warn' or 'error'.
+ * @param {string} message - What happened, e.g. "HTTP request".
+ * @param {object} [fields] - Additional fields of the entry, e.g. { error, connectionId }.
+ */
+const log = (level, message, fields = {}) => {
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(process.env.LOG_LEVEL || 'info')) {
+    return;
+  }
+  const entry = { level, message };
+  for (const [name, value] of Object.entries(fields)) {
+    entry[name] = toLoggable(value);
+  }
+  // The only write to the console: Lambda sends it to CloudWatch Logs
+  // eslint-disable-next-line no-console
+  console.log(JSON.stringify(entry));
+};
+
+module.exports = {
+  LOG_LEVELS,
+  log,
+  debug: (message, fields) => log('debug', message, fields),
+  info: (message, fields) => log('info', message, fields),
+  warn: (message, fields) => log('warn', message, fields),
+  error: (message, fields) => log('error', message, fields),
+};
@@ -0,0 +1,264 @@
+/**
+ * Middleware pipeline of the HTTP API handlers.
+ * Authentication, body parsing, validation, CORS, error mapping, logging and timing are the same for every
+ * endpoint, so they are implemented once here as middlewares and composed around plain business functions.
+ *
+ * A middleware is `async (request, next) => response`: it may read or extend the request, call `next()`
+ * to run the rest of the pipeline and change the response it returns, or throw an error. The request
+ * starts as { event, context } and collects what the middlewares provide: `userId`, `access`, `body`
+ * and `query`.
+ *
+ * `route` declares an endpoint with the standard pipeline:
+ *   exports.getThingsHandler = route({ failureMessage: "...", auth: 'viewer', query: SCHEMA },
+ *     async ({ access, query }) => ({ things: [] }));
+ * The business function returns the response body; it is sent with the route's status (default 200).
+ * Failures are thrown as the typed errors of utils/errors and answered as problem details.
+ * @module utils/middleware
+ */
+const { ApiError, UnauthorizedError, ForbiddenError, ValidationError, problemResponse } = require('./errors');
+const { generateResponse } = require('./response');
+const { parseBody, validate } = require('./validation');
+const { authorizeListAccess } = require('./access');
+const logger = require('./logger');
+
+// CORS headers of every API response to an allowed origin, preflight or not, so the browser frontend can read them.
+// Access-Control-Allow-Origin echoes the origin of the request (see `cors`).
+const CORS_HEADERS = {
+  'Access-Control-Allow-Methods': 'GET,POST,PUT,PATCH,DELETE,OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type,X-Amz-Date,Authorization,X-Api-Key,X-Amz-Security-Token,If-Match',
+};
+
+/**
+ * Composes middlewares and a handler into a Lambda handler.
+ * The middlewares run in the given order around the handler, so the first one sees the final response.
+ * @param {function[]} middlewares - The middlewares as `async (request, next) => response`.
+ * @param {function} handler - The innermost function, receiving the request and returning the response object.
+ * @returns {function} - The Lambda handler, receiving the event and context.
+ */
+const compose = (middlewares, handler) => async (event, context) => {
+  const request = { event, context };
+  const dispatch = async (index) => {
+    if (index === middlewares.length) {
+      return handler(request);
+    }
+    return middlewares.at(index)(request, () => dispatch(index + 1));
+  };
+  return dispatch(0);
+};
+
+/**
+ * Writes one structured log entry per request with its method, path, status, duration and error code.
+ * Server errors are logged at the error level, everything else at the info level (see utils/logger).
+ * @returns {function} - The middleware.
+ */
+const logging = () => async (request, next) => {
+  const response = await next();
+  logger.log(response.statusCode >= 500 ? 'error' : 'info', 'HTTP request', {
+    method: request.event.httpMethod,
+    path: request.event.path,
+    statusCode: response.statusCode,
+    durationMs: request.durationMs,
+    code: request.error?.code,
+    requestId: request.event.requestContext?.requestId || request.context?.awsRequestId,
+    userId: request.userId,
+  });
+  return response;
+};
+
+/**
+ * Measures how long the rest of the pipeline takes. The duration is kept as `request.durationMs` for the
+ * request log and returned to the client in a Server-Timing header, where browser dev tools show it.
+ * @returns {function} - The middleware.
+ */
+const timing = () => async (request, next) => {
+  const startedAt = Date.now();
+  const response = await next();
+  request.durationMs = Date.now() - startedAt;
+  return { ...response, headers: { ...response.headers, 'Server-Timing': `app;dur=${request.durationMs}` } };
+};
+
+/**
+ * Returns the origins that may call the API: the ALLOWED_ORIGINS environment variable, a comma-separated
+ * list of origins such as `https://d111111abcdef8.cloudfront.net,http://localhost:8080`.
+ * The template sets it to the CloudFront domain of the frontend and the AllowedOrigins stack parameter.
+ * @returns {string[]} - The allowed origins, without trailing slashes.
+ */
+const getAllowedOrigins = () => (process.env.ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+/**
+ * Reads a request header regardless of its case; API Gateway passes the headers as the client sent them.
+ * @param {object} event - The Lambda event object.
+ * @param {string} name - The header name in lower case, e.g. 'origin'.
+ * @returns {string|undefined} - The header value.
+ */
+const getHeader = (event, name) => {
+  const headers = event.headers || {};
+  const key = Object.keys(headers).find(header => header.toLowerCase() === name);
+  return key && headers[key];
+};
+
+/**
+ * Answers CORS per origin instead of with a wildcard. Requests from an allowed origin get the CORS headers,
+ * including error responses, with their own origin in Access-Control-Allow-Origin; requests from other origins
+ * are processed without them, so the browser does not let the calling page read the response. Preflight
+ * requests (OPTIONS) from other origins are answered with 403 Forbidden (ORIGIN_NOT_ALLOWED) right away.
+ * Every response carries `Vary: Origin`, as it depends on the origin, and Access-Control-Allow-Credentials
+ * is sent when the CORS_ALLOW_CREDENTIALS environment variable is 'true'.
+ * Requests without an Origin header do not come from a browser page and are answered without CORS headers.
+ * @returns {function} - The middleware.
+ */
+const cors = () => async (request, next) => {
+  const origin = getHeader(request.event, 'origin');
+  const allowed = Boolean(origin) && getAllowedOrigins().includes(origin);
+  if (origin && !allowed && request.event.httpMethod === 'OPTIONS') {
+    request.error = new ForbiddenError('ORIGIN_NOT_ALLOWED', "Forbidden: This origin may not call the API.");
+    const response = problemResponse(request.error, request.event, request.context);
+    return { ...response, headers: { ...response.headers, Vary: 'Origin' } };
+  }
+  const response = await next();
+  const headers = { ...response.headers, Vary: 'Origin' };
+  if (allowed) {
+    Object.assign(headers, CORS_HEADERS, { 'Access-Control-Allow-Origin': origin });
+    if (process.env.CORS_ALLOW_CREDENTIALS === 'true') {
+      headers['Access-Control-Allow-Credentials'] = 'true';
+    }
+  }
+  return { ...response, headers };
+};
+
+/**
+ * Maps errors thrown by the rest of the pipeline to problem details responses.
+ * ApiErrors are answered with their status and code; anything else is a bug or an outage: it is logged and
+ * answered with 500 Internal Server Error and the failure message, so no internals leak to the client.
+ * The error is kept as `request.error` for the request log.
+ * @param {string} failureMessage - The detail of the 500 response, e.g. "Failed to create To-Do item. Please try again later."
+ * @returns {function} - The middleware.
+ */
+const errorMapping = (failureMessage) => async (request, next) => {
+  try {
+    return await next();
+  } catch (error) {
+    const apiError = error instanceof ApiError ? error : new ApiError(500, 'INTERNAL_ERROR', failureMessage);
+    if (apiError !== error) {
+      logger.error(failureMessage, { error });
+    }
+    request.error = apiError;
+    return problemResponse(apiError, request.event, request.context);
+  }
+};
+
+/**
+ * Requires a signed-in user and provides their ID as `request.userId`: the 'sub' claim of the Cognito token
+ * on the HTTP API, or the `sub` the Lambda authorizer of the WebSocket API put into the context.
+ * @returns {function} - The middleware.
+ * @throws {UnauthorizedError} - UNAUTHORIZED if the token has no 'sub' claim.
+ */
+const authenticate = () => async (request, next) => {
+  const authorizer = request.event.requestContext?.authorizer;
+  const userId = authorizer?.claims?.sub || authorizer?.sub;
+  if (!userId) {
+    throw new UnauthorizedError('UNAUTHORIZED', "Unauthorized: User ID not found in token.");
+  }
+  request.userId = userId;
+  return next();
+};
+
+/**
+ * Authorizes the request against the list it addresses (the `listId` query string parameter, or the user's
+ * personal To-Dos without it) and provides the access as `request.access` (see utils/access).
+ * @param {string} requiredRole - The least privileged role that may make the request: 'viewer', 'editor' or 'owner'.
+ * @param {function} [getListId] - Reads the list ID from the event instead, e.g. from a path parameter.
+ * @returns {function} - The middleware.
+ * @throws {ApiError} - UNAUTHORIZED (401), INVALID_LIST_ID (400), LIST_NOT_FOUND (404) or INSUFFICIENT_ROLE (403).
+ */
+const authorizeList = (requiredRole, getListId) => async (request, next) => {
+  request.access = await authorizeListAccess(request.event, requiredRole, getListId?.(request.event));
+  request.userId = request.access.userId;
+  return next();
+};
+
+/**
+ * Parses the JSON body of the request into `request.body`; a missing body becomes an empty object.
+ * @returns {function} - The middleware.
+ * @throws {ValidationError|PayloadTooLargeError} - MALFORMED_JSON or PAYLOAD_TOO_LARGE.
+ */
+const parseJsonBody = () => async (request, next) => {
+  request.body = parseBody(request.event);
+  return next();
+};
+
+/**
+ * Validates the parsed body and the query string parameters against their schemas (see utils/validation)
+ * and provides the query string parameters as `request.query`. Errors in the body and in the query string
+ * are reported together.
+ * @param {object} schemas - The schemas of the request.
+ * @param {object} [schemas.body] - The schema of the body parsed by parseJsonBody.
+ * @param {object} [schemas.query] - The schema of the query string parameters; without it they are not checked.
+ * @returns {function} - The middleware.
+ * @throws {ValidationError} - VALIDATION_FAILED, listing every invalid field.
+ */
+const validation = ({ body: bodySchema, query: querySchema }) => async (request, next) => {
+  request.query = request.event.queryStringParameters || {};
+  const errors = [
+    ...(bodySchema ? validate(bodySchema, request.body) : []),
+    ...(querySchema ? validate(querySchema, request.query) : []),
+  ];
+  if (errors.length > 0) {
+    throw new ValidationError(errors);
+  }
+  return next();
+};
+
+/**
+ * Returns the middlewares shared by every HTTP endpoint: logging, timing, CORS and error mapping.
+ * @param {string} failureMessage - The detail of 500 responses.
+ * @returns {function[]} - The middlewares.
+ */
+const standardMiddlewares = (failureMessage) => [logging(), timing(), cors(), errorMapping(failureMessage)];
+
+/**
+ * Declares an HTTP endpoint as a business function with the standard pipeline: logging, timing, CORS,
+ * error mapping, authentication or list authorization, body parsing and validation.
+ * @param {object} options - The options of the endpoint.
+ * @param {string} options.failureMessage - The detail of 500 responses.
+ * @param {boolean|string} [options.auth] - A role ('viewer', 'editor' or 'owner') to authorize against the addressed
+ * list, true to only require a signed-in user (default), false for public endpoints.
+ * @param {function} [options.listId] - Reads the ID of the addressed list from the event; by default it is the
+ * `listId` query string parameter.
+ * @param {object} [options.body] - The schema of the JSON body; without it the body is not read.
+ * @param {object} [options.query] - The schema of the query string parameters.
+ * @param {number} [options.status] - The status code of successful responses (default 200).
+ * @param {function} businessFunction - Receives the request ({ event, context, userId, access, body, query })
+ * and returns the response body.
+ * @returns {function} - The Lambda handler.
+ */
+const route = ({ failureMessage, auth = true, listId, body, query, status = 200 }, businessFunction) => {
+  const middlewares = standardMiddlewares(failureMessage);
+  if (typeof auth === 'string') {
+    middlewares.push(authorizeList(auth, listId));
+  } else if (auth) {
+    middlewares.push(authenticate());
+  }
+  if (body) {
+    middlewares.push(parseJsonBody());
+  }
+  middlewares.push(validation({ body, query }));
+  return compose(middlewares, async (request) => generateResponse(status, await businessFunction(request)));
+};
+
+module.exports = {
+  CORS_HEADERS,
+  compose,
+  logging,
+  timing,
+  cors,
+  errorMapping,
+  authenticate,
+  authorizeList,
+  parseJsonBody,
+  validation,
+  route,
+};
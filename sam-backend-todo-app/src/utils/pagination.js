@@ -0,0 +1,113 @@
+/**
+ * Pagination helpers for list endpoints backed by DynamoDB queries.
+ * DynamoDB returns at most 1 MB of items per Query call together with a LastEvaluatedKey.
+ * These helpers turn that key into an opaque, tamper-checked `nextToken` for API clients
+ * and validate the `limit` query string parameter.
+ * @module utils/pagination
+ */
+const crypto = require('crypto');
+
+// Page size used when the client does not send a limit.
+const DEFAULT_PAGE_LIMIT = 50;
+// Upper bound for the limit query string parameter.
+const MAX_PAGE_LIMIT = 100;
+
+/**
+ * Returns the secret used to sign pagination tokens.
+ * The secret is injected from AWS Secrets Manager by the SAM template.
+ * @returns {string} - The signing secret.
+ * @throws {Error} - If the PAGINATION_TOKEN_SECRET environment variable is not set.
+ */
+const getSecret = () => {
+  const secret = process.env.PAGINATION_TOKEN_SECRET;
+  if (!secret) {
+    throw new Error('PAGINATION_TOKEN_SECRET is not configured.');
+  }
+  return secret;
+};
+
+/**
+ * Computes the base64url encoded HMAC-SHA256 signature of a token payload.
+ * @param {string} payload - The base64url encoded payload.
+ * @returns {string} - The base64url encoded signature.
+ */
+const sign = (payload) => crypto.createHmac('sha256', getSecret()).update(payload).digest('base64url');
+
+/**
+ * Parses and validates the `limit` query string parameter.
+ * @param {string|undefined} rawLimit - The raw limit value from queryStringParameters.
+ * @returns {number|null} - The page size, or null if the value is not an integer between 1 and MAX_PAGE_LIMIT.
+ */
+const parseLimit = (rawLimit) => {
+  if (rawLimit === undefined || rawLimit === null || rawLimit === '') {
+    return DEFAULT_PAGE_LIMIT;
+  }
+  if (!/^\d+$/.test(rawLimit)) {
+    return null;
+  }
+  const limit = parseInt(rawLimit, 10);
+  if (limit < 1 || limit > MAX_PAGE_LIMIT) {
+    return null;
+  }
+  return limit;
+};
+
+/**
+ * Encodes a DynamoDB LastEvaluatedKey into an opaque pagination token.
+ * The token is bound to the caller's userId so it cannot be replayed by another user,
+ * and to the index that was queried because the key shape differs per index.
+ * It is signed so the key cannot be altered by the client.
+ * @param {object|undefined} lastEvaluatedKey - The LastEvaluatedKey returned by DynamoDB.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string} [indexName] - The secondary index that was queried, if any.
+ * @returns {string|null} - The token, or null when there are no more pages.
+ */
+const encodeNextToken = (lastEvaluatedKey, userId, indexName = null) => {
+  if (!lastEvaluatedKey) {
+    return null;
+  }
+  const payload = Buffer.from(JSON.stringify({ u: userId, i: indexName, k: lastEvaluatedKey })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+};
+
+/**
+ * Decodes a pagination token back into a DynamoDB ExclusiveStartKey.
+ * @param {string} token - The token received from the client.
+ * @param {string} userId - The authenticated user's ID.
+ * @param {string} [indexName] - The secondary index being queried, if any.
+ * @returns {object|null} - The ExclusiveStartKey, or null if the token is malformed,
+ * has been tampered with, or was issued to a different user or for a different index.
+ */
+const decodeNextToken = (token, userId, indexName = null) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(payload));
+  const received = Buffer.from(signature);
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return null;
+  }
+
+  try {
+    const decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (decoded.u !== userId || (decoded.i || null) !== indexName || !decoded.k || typeof decoded.k !== 'object') {
+      return null;
+    }
+    return decoded.k;
+  } catch {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_PAGE_LIMIT,
+  MAX_PAGE_LIMIT,
+  parseLimit,
+  encodeNextToken,
+  decodeNextToken,
+};
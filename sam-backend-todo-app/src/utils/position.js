@@ -0,0 +1,118 @@
+/**
+ * Fractional index helpers for the manual order of To-Do items.
+ * Every item has a `position`: a string of base-62 digits that sorts lexicographically,
+ * so the UserPositionIndex returns the items in their manual order.
+ * Moving an item only rewrites that item: it gets a new position between its new neighbours,
+ * which always exists because positions are compared like decimal fractions (0.1 < 0.15 < 0.2).
+ * Positions never end in the lowest digit, so there is always room before any position too.
+ * @module utils/position
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Lists the characters from first to last.
+ * @param {string} first - The first character.
+ * @param {string} last - The last character.
+ * @returns {string} - The characters in code point order.
+ */
+const characterRange = (first, last) => Array.from(
+  { length: last.charCodeAt(0) - first.charCodeAt(0) + 1 },
+  (_, offset) => String.fromCharCode(first.charCodeAt(0) + offset),
+).join('');
+
+// Base-62 digits in ASCII order, so comparing positions as strings compares their values
+const DIGITS = characterRange('0', '9') + characterRange('A', 'Z') + characterRange('a', 'z');
+const ZERO_DIGIT = DIGITS.charAt(0);
+const POSITION_PATTERN = /^[0-9A-Za-z]*[1-9A-Za-z]$/;
+
+// DynamoDB sort keys are at most 1024 bytes; repeated moves into the same gap make positions longer
+const MAX_POSITION_LENGTH = 1024;
+
+// Digits of the creation time at the start of a new item's position: 62^8 milliseconds last until the year 8888
+const TIME_DIGITS = 8;
+// Random digits after the creation time, so items created in the same millisecond get distinct positions
+const RANDOM_DIGITS = 4;
+
+/**
+ * Checks that a value can be used as a position.
+ * @param {*} value - The value to check.
+ * @returns {boolean} - True for a non-empty string of base-62 digits that does not end in '0'.
+ */
+const isValidPosition = (value) => typeof value === 'string'
+  && value.length <= MAX_POSITION_LENGTH
+  && POSITION_PATTERN.test(value);
+
+/**
+ * Computes the shortest digit string between two digit strings.
+ * @param {string} lower - The lower bound, '' for no lower bound.
+ * @param {string|null} upper - The upper bound, or null for no upper bound.
+ * @returns {string} - A string greater than lower and smaller than upper.
+ */
+const midpoint = (lower, upper) => {
+  if (upper !== null) {
+    // Keep the common prefix; a missing digit of the lower bound counts as 0
+    let length = 0;
+    while ((lower.charAt(length) || ZERO_DIGIT) === upper.charAt(length)) {
+      length += 1;
+    }
+    if (length > 0) {
+      return upper.slice(0, length) + midpoint(lower.slice(length), upper.slice(length));
+    }
+  }
+  const lowerDigit = lower ? DIGITS.indexOf(lower.charAt(0)) : 0;
+  const upperDigit = upper === null ? DIGITS.length : DIGITS.indexOf(upper.charAt(0));
+  if (upperDigit - lowerDigit > 1) {
+    return DIGITS.charAt(Math.round((lowerDigit + upperDigit) / 2));
+  }
+  // The first digits are adjacent: a shorter upper bound's first digit fits, otherwise continue after the lower digit
+  if (upper !== null && upper.length > 1) {
+    return upper.charAt(0);
+  }
+  return DIGITS.charAt(lowerDigit) + midpoint(lower.slice(1), null);
+};
+
+/**
+ * Computes a position between two neighbours.
+ * @param {string|null} after - The position of the item that should come before, or null to move to the start.
+ * @param {string|null} before - The position of the item that should come after, or null to move to the end.
+ * @returns {object} - Either { value } with the new position or { error } with a message.
+ */
+const positionBetween = (after, before) => {
+  if ((after !== null && !isValidPosition(after)) || (before !== null && !isValidPosition(before))) {
+    return { error: "Neighbour positions must be base-62 digits that do not end in '0'." };
+  }
+  if (after !== null && before !== null && after >= before) {
+    return { error: "The item to move after must come before the item to move before." };
+  }
+  const value = midpoint(after || '', before);
+  if (value.length > MAX_POSITION_LENGTH) {
+    return { error: "There is no room left between these items." };
+  }
+  return { value };
+};
+
+/**
+ * Builds the position of a new item, after all items created before it.
+ * @param {Date} [now] - The creation time.
+ * @returns {string} - The base-62 creation time followed by random digits, the last of which is not '0'.
+ */
+const initialPosition = (now = new Date()) => {
+  let time = now.getTime();
+  let digits = '';
+  for (let index = 0; index < TIME_DIGITS; index += 1) {
+    digits = DIGITS.charAt(time % DIGITS.length) + digits;
+    time = Math.floor(time / DIGITS.length);
+  }
+  for (let index = 1; index < RANDOM_DIGITS; index += 1) {
+    digits += DIGITS.charAt(crypto.randomInt(DIGITS.length));
+  }
+  return digits + DIGITS.charAt(crypto.randomInt(1, DIGITS.length));
+};
+
+module.exports = {
+  MAX_POSITION_LENGTH,
+  isValidPosition,
+  positionBetween,
+  initialPosition,
+};
@@ -0,0 +1,146 @@
+/**
+ * Recurrence rules of repeating To-Do items.
+ * A rule is a small JSON object modelled on iCalendar RRULEs:
+ * - { frequency: 'daily', interval: 2 } - every 2 days,
+ * - { frequency: 'weekly', interval: 1, weekdays: ['MO', 'TH'] } - every week on Monday and Thursday,
+ * - { frequency: 'monthly', interval: 1, monthDay: 31 } - every month on day 31, or its last day if shorter,
+ * - { frequency: 'afterCompletion', interval: 3 } - 3 days after the previous occurrence was completed.
+ * Daily, weekly and monthly rules follow a fixed schedule counted from the due date, in UTC; the next
+ * occurrence is the first one in the future, so occurrences missed while the item was overdue are skipped.
+ * @module utils/recurrence
+ */
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'afterCompletion'];
+// Weekdays as in RRULE BYDAY, in the order of Date#getUTCDay (Sunday first)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const MAX_INTERVAL = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+/**
+ * Validates a recurrence rule and brings it into its stored form.
+ * @param {*} recurrence - The rule from the request body.
+ * @returns {object} - Either { value } with the normalised rule or { error } with a validation message.
+ */
+const validateRecurrence = (recurrence) => {
+  if (!recurrence || typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return { error: "Recurrence must be an object with a frequency." };
+  }
+  const { frequency, interval = 1, weekdays, monthDay } = recurrence;
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: "Recurrence frequency must be 'daily', 'weekly', 'monthly' or 'afterCompletion'." };
+  }
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    return { error: `Recurrence interval must be an integer between 1 and ${MAX_INTERVAL}.` };
+  }
+  if ((weekdays !== undefined) !== (frequency === 'weekly')) {
+    return { error: "Weekly recurrences require weekdays; other frequencies do not allow them." };
+  }
+  if ((monthDay !== undefined) !== (frequency === 'monthly')) {
+    return { error: "Monthly recurrences require a monthDay; other frequencies do not allow it." };
+  }
+
+  const value = { frequency, interval };
+  if (frequency === 'weekly') {
+    if (!Array.isArray(weekdays) || weekdays.length === 0 || weekdays.some(day => !WEEKDAYS.includes(day))) {
+      return { error: `Recurrence weekdays must be a non-empty list of ${WEEKDAYS.join(', ')}.` };
+    }
+    // Stored without duplicates, Monday first
+    value.weekdays = WEEKDAYS.slice(1).concat(WEEKDAYS.at(0)).filter(day => weekdays.includes(day));
+  }
+  if (frequency === 'monthly') {
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+      return { error: "Recurrence monthDay must be an integer between 1 and 31." };
+    }
+    value.monthDay = monthDay;
+  }
+  return { value };
+};
+
+/**
+ * Returns the start of the week (Monday 00:00 UTC) of a date, the week start of RRULEs.
+ * @param {Date} date - The date.
+ * @returns {number} - The start of the week in epoch milliseconds.
+ */
+const startOfWeek = (date) => {
+  const startOfDay = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+  return startOfDay - ((date.getUTCDay() + 6) % 7) * DAY_MS;
+};
+
+/**
+ * Finds the next occurrence of a weekly rule: on one of its weekdays, in a week that is a multiple
+ * of the interval after the week of the base date, after both the base date and now.
+ * @param {object} recurrence - The weekly rule.
+ * @param {Date} base - The due date of the previous occurrence.
+ * @param {Date} now - The current time.
+ * @returns {Date} - The next due date, at the time of day of the base date.
+ */
+const nextWeekly = ({ interval, weekdays }, base, now) => {
+  const periodMs = interval * WEEK_MS;
+  // Skip whole periods that lie in the past, keeping the week alignment
+  const skipped = Math.max(0, Math.floor((now.getTime() - base.getTime()) / periodMs));
+  const baseWeek = startOfWeek(base);
+  let candidate = new Date(base.getTime() + skipped * periodMs);
+  for (;;) {
+    candidate = new Date(candidate.getTime() + DAY_MS);
+    const weeks = Math.round((startOfWeek(candidate) - baseWeek) / WEEK_MS);
+    if (weeks % interval === 0 && weekdays.includes(WEEKDAYS.at(candidate.getUTCDay())) && candidate > now) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Finds the next occurrence of a monthly rule: on its day of the month (or the last day of shorter months),
+ * in a month that is a multiple of the interval after the month of the base date, after both the base date and now.
+ * @param {object} recurrence - The monthly rule.
+ * @param {Date} base - The due date of the previous occurrence.
+ * @param {Date} now - The current time.
+ * @returns {Date} - The next due date, at the time of day of the base date.
+ */
+const nextMonthly = ({ interval, monthDay }, base, now) => {
+  const timeOfDay = base.getTime() - Date.UTC(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate());
+  for (let months = 0; ; months += interval) {
+    const year = base.getUTCFullYear();
+    const month = base.getUTCMonth() + months;
+    // Day 0 of the following month is the last day of this one
+    const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const candidate = new Date(Date.UTC(year, month, Math.min(monthDay, lastDay)) + timeOfDay);
+    if (candidate > base && candidate > now) {
+      return candidate;
+    }
+  }
+};
+
+/**
+ * Computes the due date of the occurrence that follows a completed one.
+ * @param {object} recurrence - The stored recurrence rule.
+ * @param {string} [dueAt] - The due date of the completed occurrence, if it had one.
+ * @param {Date} completedAt - When the occurrence was completed.
+ * @returns {string} - The ISO-8601 due date of the next occurrence, always in the future.
+ */
+const nextDueAt = (recurrence, dueAt, completedAt) => {
+  const base = dueAt ? new Date(dueAt) : completedAt;
+  const now = completedAt > base ? completedAt : base;
+  switch (recurrence.frequency) {
+    case 'weekly':
+      return nextWeekly(recurrence, base, now).toISOString();
+    case 'monthly':
+      return nextMonthly(recurrence, base, now).toISOString();
+    case 'afterCompletion': {
+      // The time of day of the due date is kept, on the day interval days after the completion
+      const days = Math.floor(completedAt.getTime() / DAY_MS) + recurrence.interval;
+      return new Date(days * DAY_MS + (base.getTime() % DAY_MS)).toISOString();
+    }
+    default: {
+      const periodMs = recurrence.interval * DAY_MS;
+      const periods = Math.floor((now.getTime() - base.getTime()) / periodMs) + 1;
+      return new Date(base.getTime() + periods * periodMs).toISOString();
+    }
+  }
+};
+
+module.exports = {
+  validateRecurrence,
+  nextDueAt,
+};
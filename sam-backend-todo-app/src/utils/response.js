@@ -0,0 +1,27 @@
+/**
+ * HTTP response helpers shared by the Lambda handlers.
+ * @module utils/response
+ */
+
+/**
+ * Generates a standardized HTTP response object for API Gateway.
+ * This function is used to ensure consistent response formatting across all Lambda handlers.
+ * The CORS headers are added by the cors middleware (see utils/middleware) around every handler.
+ * @param {number} statusCode - The HTTP status code for the response.
+ * @param {object} body - The response body, typically a JSON object.
+ * @param {object} [headers] - Additional or overriding headers, e.g. the Content-Type of problem details.
+ * @return {object} - The formatted response object containing status code, headers, and body.
+ * This response object is compatible with AWS API Gateway and can be returned directly from Lambda functions.
+ */
+const generateResponse = (statusCode, body, headers = {}) => {
+  return {
+    statusCode,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: JSON.stringify(body),
+  };
+};
+
+module.exports = { generateResponse };
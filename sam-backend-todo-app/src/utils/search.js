@@ -0,0 +1,109 @@
+/**
+ * Full-text search helpers for the To-Do search endpoint.
+ * DynamoDB has no text search, so the search handler reads the caller's items and ranks them here.
+ * Text is split into lower-cased, accent-folded words; every word of the query must match
+ * the start of a word in the title or description of an item for it to be returned.
+ * @module utils/search
+ */
+
+// Upper bounds for the q query string parameter
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+// Title matches count more than description matches
+const FIELD_WEIGHTS = {
+  title: 3,
+  description: 1,
+};
+
+// A whole-word match scores higher than a match on the start of a word
+const EXACT_MATCH_SCORE = 2;
+const PREFIX_MATCH_SCORE = 1;
+
+/**
+ * Splits text into lower-cased words with accents removed, so "Café" matches "cafe".
+ * @param {string|undefined} text - The text to tokenize.
+ * @returns {string[]} - The words, in order of appearance.
+ */
+const tokenize = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+  return text
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+};
+
+/**
+ * Parses and validates the `q` query string parameter.
+ * @param {string|undefined} query - The raw search query.
+ * @returns {string[]|null} - The distinct search terms, or null if the query is empty,
+ * longer than MAX_QUERY_LENGTH characters or has more than MAX_QUERY_TERMS words.
+ */
+const parseSearchQuery = (query) => {
+  if (typeof query !== 'string' || query.length > MAX_QUERY_LENGTH) {
+    return null;
+  }
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0 || terms.length > MAX_QUERY_TERMS) {
+    return null;
+  }
+  return terms;
+};
+
+/**
+ * Scores how well a single term matches a list of words.
+ * @param {string} term - The search term.
+ * @param {string[]} words - The tokenized field.
+ * @returns {number} - EXACT_MATCH_SCORE, PREFIX_MATCH_SCORE or 0 when no word starts with the term.
+ */
+const scoreTerm = (term, words) => {
+  if (words.includes(term)) {
+    return EXACT_MATCH_SCORE;
+  }
+  return words.some(word => word.startsWith(term)) ? PREFIX_MATCH_SCORE : 0;
+};
+
+/**
+ * Scores a To-Do item against the search terms.
+ * @param {object} item - The To-Do item.
+ * @param {string[]} terms - The terms returned by parseSearchQuery.
+ * @returns {number} - The relevance score, or 0 if any term is missing from both the title and the description.
+ */
+const scoreTodo = (item, terms) => {
+  const fields = Object.entries(FIELD_WEIGHTS).map(([field, weight]) => ({ words: tokenize(item[field]), weight }));
+  let score = 0;
+  for (const term of terms) {
+    const termScore = fields.reduce((sum, { words, weight }) => sum + weight * scoreTerm(term, words), 0);
+    if (termScore === 0) {
+      return 0;
+    }
+    score += termScore;
+  }
+  return score;
+};
+
+/**
+ * Returns the items matching every search term, most relevant first.
+ * Items with the same score are ordered by their last update, most recent first.
+ * @param {object[]} items - The To-Do items to search.
+ * @param {string[]} terms - The terms returned by parseSearchQuery.
+ * @returns {object[]} - The matching items.
+ */
+const rankTodos = (items, terms) => items
+  .map(item => ({ item, score: scoreTodo(item, terms) }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => b.score - a.score || (b.item.updatedAt || '').localeCompare(a.item.updatedAt || ''))
+  .map(({ item }) => item);
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  MAX_QUERY_TERMS,
+  tokenize,
+  parseSearchQuery,
+  scoreTodo,
+  rankTodos,
+};
@@ -0,0 +1,242 @@
+/**
+ * Declarative validation of request bodies and query string parameters.
+ * Handlers describe their input with a small subset of JSON Schema in their `route` (see utils/middleware), whose
+ * middlewares parse the JSON body, check it and the query string against the schemas and, when they do not match,
+ * throw a ValidationError (400 Bad Request, see utils/errors.js) that lists every invalid field:
+ *   { "code": "VALIDATION_FAILED", "detail": "<all messages>", "errors": [{ "field": "title", "message": "..." }, ...] }
+ * Supported keywords:
+ * - type: 'string', 'number', 'integer', 'boolean', 'object', 'array' or 'null', or an array of them,
+ * - properties, required and additionalProperties (unknown fields are rejected unless it is true),
+ * - minLength, maxLength and pattern for strings, minimum and maximum for numbers,
+ * - items, minItems and maxItems for arrays, enum for any value,
+ * - check: a function receiving the value that returns a validation message, or null if the value is valid,
+ *   for rules that do not fit a keyword (e.g. due dates in the future),
+ * - message: replaces the generated message of a failed type, enum, pattern, minLength, minimum, maximum
+ *   or required check; size limits (maxLength, maxItems) always report the limit.
+ * Validation stops at the first failed check of a value, but every property and array item is checked.
+ * @module utils/validation
+ */
+const { BadRequestError, ValidationError, PayloadTooLargeError } = require('./errors');
+const { isTombstoneId } = require('./changes');
+
+// API Gateway accepts up to 10 MB; the largest valid request, a batch of 25 To-Do items, is far smaller
+const MAX_BODY_BYTES = 256 * 1024;
+
+// IDs in paths are DynamoDB key values, which may neither be empty nor exceed 1024 bytes; real ones are UUIDs
+const MAX_PATH_PARAMETER_LENGTH = 128;
+
+// How a type is named in validation messages
+const TYPE_NAMES = new Map([
+  ['string', 'a string'],
+  ['number', 'a number'],
+  ['integer', 'an integer'],
+  ['boolean', 'a boolean'],
+  ['object', 'an object'],
+  ['array', 'an array'],
+  ['null', 'null'],
+]);
+
+/**
+ * Checks whether a value has a JSON type.
+ * @param {*} value - The value.
+ * @param {string} type - The JSON Schema type.
+ * @returns {boolean} - True if the value has the type.
+ */
+const hasType = (value, type) => {
+  switch (type) {
+    case 'null':
+      return value === null;
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * Names a field in validation messages.
+ * @param {string} field - The path of the field, e.g. 'title' or 'operations[2].todoId'; '' for the whole body.
+ * @returns {string} - The name to start a message with.
+ */
+const fieldLabel = (field) => field || 'Request body';
+
+/**
+ * Checks the keywords of a schema that apply to a single value, in order.
+ * @param {object} schema - The schema.
+ * @param {*} value - The value, known to be of one of the schema's types.
+ * @param {string} label - The name of the field in messages.
+ * @returns {string|null} - The message of the first failed check, or null if all checks passed.
+ */
+const checkValue = (schema, value, label) => {
+  const custom = schema.message;
+  if (schema.enum && !schema.enum.includes(value)) {
+    return custom || `${label} must be one of: ${schema.enum.join(', ')}.`;
+  }
+  if (typeof value === 'string') {
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return `${label} must be at most ${schema.maxLength} characters.`;
+    }
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return custom || `${label} must be at least ${schema.minLength} characters.`;
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+      return custom || `${label} has an invalid format.`;
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return custom || `${label} must be at least ${schema.minimum}.`;
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return custom || `${label} must be at most ${schema.maximum}.`;
+    }
+  }
+  if (Array.isArray(value)) {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return `${label} must contain at most ${schema.maxItems} items.`;
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return custom || `${label} must contain at least ${schema.minItems} items.`;
+    }
+  }
+  return null;
+};
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - The schema, see the module description for the supported keywords.
+ * @param {*} value - The value to validate.
+ * @param {string} [field] - The path of the value, used in the errors; '' for the whole body.
+ * @returns {object[]} - The errors as { field, message }, empty if the value is valid.
+ */
+const validate = (schema, value, field = '') => {
+  const label = fieldLabel(field);
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some(type => hasType(value, type))) {
+    const expected = types.map(type => TYPE_NAMES.get(type)).join(' or ');
+    return [{ field, message: schema.message || `${label} must be ${expected}.` }];
+  }
+
+  const message = checkValue(schema, value, label);
+  if (message) {
+    return [{ field, message }];
+  }
+
+  const errors = [];
+  if (hasType(value, 'object') && (schema.properties || schema.required || schema.additionalProperties === false)) {
+    errors.push(...validateProperties(schema, value, field));
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => errors.push(...validate(schema.items, item, `${field}[${index}]`)));
+  }
+  // Custom checks only run on values that passed the structural checks
+  if (errors.length === 0 && schema.check) {
+    const checkMessage = schema.check(value);
+    if (checkMessage) {
+      errors.push({ field, message: checkMessage });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Validates the properties of an object: required ones, known ones and unknown ones.
+ * @param {object} schema - The object schema.
+ * @param {object} value - The object.
+ * @param {string} field - The path of the object.
+ * @returns {object[]} - The errors as { field, message }.
+ */
+const validateProperties = (schema, value, field) => {
+  const properties = new Map(Object.entries(schema.properties || {}));
+  const path = (name) => (field ? `${field}.${name}` : name);
+  const errors = [];
+  for (const name of schema.required || []) {
+    if (value[name] === undefined) {
+      errors.push({ field: path(name), message: properties.get(name)?.message || `${path(name)} is required.` });
+    }
+  }
+  for (const [name, propertyValue] of Object.entries(value)) {
+    if (properties.has(name)) {
+      if (propertyValue !== undefined) {
+        errors.push(...validate(properties.get(name), propertyValue, path(name)));
+      }
+    } else if (schema.additionalProperties !== true) {
+      errors.push({ field: path(name), message: `${path(name)} is not an allowed field.` });
+    }
+  }
+  return errors;
+};
+
+/**
+ * Parses the JSON body of a request. A missing body is treated as an empty object.
+ * @param {object} event - The Lambda event object.
+ * @returns {*} - The parsed body.
+ * @throws {PayloadTooLargeError} - If the body exceeds MAX_BODY_BYTES.
+ * @throws {ValidationError} - With the code MALFORMED_JSON if the body is not valid JSON.
+ */
+const parseBody = (event) => {
+  if (event.body === undefined || event.body === null || event.body === '') {
+    return {};
+  }
+  const body = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+  if (Buffer.byteLength(body, 'utf8') > MAX_BODY_BYTES) {
+    throw new PayloadTooLargeError('PAYLOAD_TOO_LARGE', `Request body must be at most ${MAX_BODY_BYTES} bytes.`);
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    throw new ValidationError([{ field: '', message: "Request body must be valid JSON." }], 'MALFORMED_JSON');
+  }
+};
+
+/**
+ * Reads a path parameter, e.g. the To-Do ID of /todos/{id}.
+ * API Gateway only routes requests that have the parameter, so a missing one means the handler
+ * was invoked some other way; both that and an impossible ID are answered with 400 Bad Request
+ * instead of failing in DynamoDB.
+ * @param {object} event - The Lambda event object.
+ * @param {string} name - The name of the parameter, e.g. 'id'.
+ * @param {string} label - The name of the parameter in messages, e.g. 'To-Do ID'.
+ * @returns {string} - The value of the parameter.
+ * @throws {BadRequestError} - With the code MISSING_PARAMETER or INVALID_PARAMETER.
+ */
+const requirePathParameter = (event, name, label) => {
+  const value = event.pathParameters?.[name];
+  if (!value) {
+    throw new BadRequestError('MISSING_PARAMETER', `${label} is required.`);
+  }
+  if (value.length > MAX_PATH_PARAMETER_LENGTH) {
+    throw new BadRequestError('INVALID_PARAMETER', `${label} must be at most ${MAX_PATH_PARAMETER_LENGTH} characters.`);
+  }
+  return value;
+};
+
+/**
+ * Reads the To-Do ID of the /todos/{id} endpoints.
+ * The tombstones of deleted items live next to the To-Do items under a `tombstone#` prefix,
+ * so such IDs are rejected instead of reading or changing a tombstone.
+ * @param {object} event - The Lambda event object.
+ * @returns {string} - The To-Do ID.
+ * @throws {BadRequestError} - With the code MISSING_PARAMETER or INVALID_PARAMETER.
+ */
+const requireTodoId = (event) => {
+  const todoId = requirePathParameter(event, 'id', "To-Do ID");
+  if (isTombstoneId(todoId)) {
+    throw new BadRequestError('INVALID_PARAMETER', "To-Do ID must be the ID of a To-Do item.");
+  }
+  return todoId;
+};
+
+module.exports = {
+  MAX_BODY_BYTES,
+  validate,
+  parseBody,
+  requirePathParameter,
+  requireTodoId,
+};
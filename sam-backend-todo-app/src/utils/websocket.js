@@ -0,0 +1,24 @@
+/**
+ * Shared API Gateway Management API client, used to push messages to the WebSocket connections.
+ * The client is created once per Lambda container and reused across invocations.
+ * @module utils/websocket
+ */
+const { ApiGatewayManagementApiClient } = require("@aws-sdk/client-apigatewaymanagementapi");
+
+const isLocal = !!process.env.LOCALSTACK_ENDPOINT;
+const managementClient = new ApiGatewayManagementApiClient({
+  /**
+   * The callback URL of the WebSocket API stage, e.g. https://{api-id}.execute-api.{region}.amazonaws.com/Prod.
+   * Integration tests point it at a local stub of the Management API instead.
+   */
+  endpoint: process.env.WEBSOCKET_MANAGEMENT_ENDPOINT,
+  region: process.env.AWS_REGION || "us-east-1",
+  ...(isLocal && {
+    credentials: {
+      accessKeyId: process.env.AWS_ACCESS_KEY_ID || "test",
+      secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY || "test",
+    },
+  }),
+});
+
+module.exports = { managementClient };
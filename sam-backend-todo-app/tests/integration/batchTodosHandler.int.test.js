@@ -0,0 +1,122 @@
+/**
+ * Integration test for the batchTodosHandler function.
+ * It sets up a DynamoDB table with two todo items and applies batches of operations to them:
+ * a non-atomic batch that partially fails, and atomic batches that succeed or are rolled back as a whole.
+ * After the tests, it cleans up by deleting the table.
+ * @jest-environment node
+ */
+const client = require('../utils/dynamoClient');
+const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { createTodosTable, deleteTodosTable } = require('../utils/setupDynamo');
+const { batchTodosHandler } = require('../../src/todos');
+
+require('dotenv').config({ path: '.env.test' });
+
+const userId = 'user-batch';
+
+/**
+ * Builds an API Gateway event for a batch request of the test user.
+ * @param {object} body - The batch request body.
+ * @returns {object} - The Lambda event.
+ */
+const createBatchEvent = (body) => ({
+  body: JSON.stringify(body),
+  requestContext: {
+    authorizer: {
+      claims: {
+        sub: userId,
+      },
+    },
+  },
+});
+
+/**
+ * Reads a todo item of the test user straight from DynamoDB.
+ * @param {string} todoId - The todoId of the item.
+ * @returns {Promise<object|undefined>} - The stored item, if any.
+ */
+const getStoredTodo = async (todoId) => {
+  const { Item } = await client.send(new GetCommand({
+    TableName: process.env.TODOS_TABLE_NAME,
+    Key: { userId, todoId },
+  }));
+  return Item;
+};
+
+/**
+ * Sets up the DynamoDB table and inserts the todo items before running tests.
+ * @returns {Promise<void>}
+ */
+beforeAll(async () => {
+  await createTodosTable();
+
+  for (const todoId of ['todo-a', 'todo-b']) {
+    await client.send(new PutCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Item: {
+        userId,
+        todoId,
+        title: `Title ${todoId}`,
+        status: 'pending',
+        version: 1,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      },
+    }));
+  }
+});
+
+/**
+ * Cleans up the DynamoDB table after tests.
+ * @returns {Promise<void>}
+ */
+afterAll(async () => {
+  await deleteTodosTable();
+});
+
+describe('Integration: batchTodosHandler', () => {
+  it('rolls back an atomic batch when one operation fails', async () => {
+    const response = await batchTodosHandler(createBatchEvent({
+      atomic: true,
+      operations: [
+        { op: 'complete', todoId: 'todo-a' },
+        { op: 'delete', todoId: 'todo-missing' },
+      ],
+    }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).results.map(result => result.statusCode)).toEqual([424, 409]);
+    expect((await getStoredTodo('todo-a')).status).toBe('pending');
+  });
+
+  it('applies an atomic batch as a whole', async () => {
+    const response = await batchTodosHandler(createBatchEvent({
+      atomic: true,
+      operations: [
+        { op: 'create', todo: { title: 'Created in a batch' } },
+        { op: 'complete', todoId: 'todo-a', expectedVersion: 1 },
+      ],
+    }));
+
+    expect(response.statusCode).toBe(200);
+    const { results } = JSON.parse(response.body);
+    expect(await getStoredTodo(results[0].todoId)).toMatchObject({ title: 'Created in a batch', version: 1 });
+    expect(await getStoredTodo('todo-a')).toMatchObject({ status: 'completed', version: 2 });
+  });
+
+  it('applies the valid operations of a non-atomic batch', async () => {
+    const response = await batchTodosHandler(createBatchEvent({
+      operations: [
+        { op: 'delete', todoId: 'todo-b' },
+        { op: 'update', todoId: 'todo-a', changes: { title: 'Stale' }, expectedVersion: 1 },
+      ],
+    }));
+
+    expect(response.statusCode).toBe(200);
+    const { results } = JSON.parse(response.body);
+    expect(results.map(result => result.statusCode)).toEqual([200, 409]);
+    // Deletes move the item to the trash
+    expect((await getStoredTodo('todo-b')).deletedAt).toBeDefined();
+    expect((await getStoredTodo('todo-a')).title).toBe('Title todo-a');
+  });
+});
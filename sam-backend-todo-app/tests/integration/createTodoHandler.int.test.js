@@ -82,4 +82,24 @@ describe('Integration - createTodoHandler', () => {
     expect(result.Item).toBeDefined();
     expect(result.Item.title).toBe('Test todo');
   });
+
+  it('should reject an invalid todo item listing every invalid field', async () => {
+    const event = {
+      body: JSON.stringify({
+        title: '',
+        description: 'x'.repeat(2001),
+        userId: 'user-456',
+      }),
+      requestContext: {
+        authorizer: {
+          claims: { sub: 'user-123' },
+        },
+      },
+    };
+
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).errors.map(error => error.field)).toEqual(['title', 'description', 'userId']);
+  });
 });
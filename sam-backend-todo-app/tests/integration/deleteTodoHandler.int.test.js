@@ -1,7 +1,8 @@
 /**
- * Integration test for deleteTodoHandler
- * This test verifies that a todo item can be deleted successfully
- * and that it is removed from DynamoDB.
+ * Integration test for deleteTodoHandler, restoreTodoHandler, getTrashHandler and getChangesHandler
+ * This test verifies that deleting a todo item moves it to the trash,
+ * that it can be listed and restored from there, and that a permanent delete removes it from DynamoDB
+ * and is reported to the delta sync as a tombstone.
  * It uses a mock user ID to simulate an authenticated request.
  * It requires the DynamoDB table to be set up before running the test.
  * @jest-environment node
@@ -9,10 +10,13 @@
 const client = require('../utils/dynamoClient');
 const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
 const { createTodosTable, deleteTodosTable } = require('../utils/setupDynamo');
-const { deleteTodoHandler } = require('../../src/todos');
+const { deleteTodoHandler, restoreTodoHandler, getTrashHandler, getChangesHandler } = require('../../src/todos');
 
 require('dotenv').config({ path: '.env.test' });
 
+// Sync cursors are signed like pagination tokens
+process.env.PAGINATION_TOKEN_SECRET = process.env.PAGINATION_TOKEN_SECRET || 'integration-test-pagination-secret';
+
 /**
  * Before all tests, create the DynamoDB table required for the tests.
  * This ensures that the table exists before any test runs.
@@ -50,37 +54,84 @@ afterAll(async () => {
 });
 
 
+/**
+ * Builds an API Gateway event for the test user.
+ * @param {object} [queryStringParameters] - The query string parameters, if any.
+ * @returns {object} - The Lambda event.
+ */
+const createEvent = (queryStringParameters = null) => ({
+  pathParameters: {
+    id: 'todo-delete',
+  },
+  queryStringParameters,
+  requestContext: {
+    authorizer: {
+      claims: {
+        sub: 'user-4',
+      },
+    },
+  },
+});
+
+/**
+ * Reads the test item straight from DynamoDB.
+ * @returns {Promise<object|undefined>} - The stored item, if any.
+ */
+const getStoredTodo = async () => {
+  const getParams = {
+    TableName: process.env.TODOS_TABLE_NAME,
+    Key: { userId: 'user-4', todoId: 'todo-delete' },
+  };
+  const dbItem = await client.send(new GetCommand(getParams));
+  return dbItem.Item;
+};
+
 /**
  * Integration test for deleteTodoHandler
- * This test verifies that a todo item can be deleted successfully
- * and that it is removed from DynamoDB.
- * It checks that the response status code is 200 and that the item
- * is no longer present in the database after deletion.
+ * The steps run in order: the item is trashed, listed in the trash, restored,
+ * and finally deleted permanently.
  */
 describe('Integration: deleteTodoHandler', () => {
-  it('deletes a todo item successfully', async () => {
-    const event = {
-      pathParameters: {
-        id: 'todo-delete',
-      },
-      requestContext: {
-        authorizer: {
-          claims: {
-            sub: 'user-4',
-          },
-        },
-      },
-    };
+  it('moves a todo item to the trash', async () => {
+    const response = await deleteTodoHandler(createEvent());
+    expect(response.statusCode).toBe(200);
+
+    // The item is kept with the trash markers and a TTL in the future
+    const stored = await getStoredTodo();
+    expect(stored.deletedAt).toBeDefined();
+    expect(stored.expiresAt).toBeGreaterThan(Math.floor(Date.now() / 1000));
+  });
+
+  it('lists the trashed todo item in the trash', async () => {
+    const response = await getTrashHandler(createEvent());
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todos.map(todo => todo.todoId)).toEqual(['todo-delete']);
+  });
+
+  it('restores the todo item from the trash', async () => {
+    const response = await restoreTodoHandler(createEvent());
+    expect(response.statusCode).toBe(200);
+
+    const stored = await getStoredTodo();
+    expect(stored.deletedAt).toBeUndefined();
+    expect(stored.expiresAt).toBeUndefined();
+    expect(stored.title).toBe('Delete me');
+  });
 
-    const response = await deleteTodoHandler(event);
+  it('deletes a todo item permanently', async () => {
+    const response = await deleteTodoHandler(createEvent({ permanent: 'true' }));
     expect(response.statusCode).toBe(200);
 
     // Verify deletion in DB
-    const getParams = {
-      TableName: process.env.TODOS_TABLE_NAME,
-      Key: { userId: 'user-4', todoId: 'todo-delete' },
-    };
-    const dbItem = await client.send(new GetCommand(getParams));
-    expect(dbItem.Item).toBeUndefined();
+    expect(await getStoredTodo()).toBeUndefined();
+  });
+
+  it('reports the permanent deletion as a tombstone to the delta sync', async () => {
+    const response = await getChangesHandler(createEvent());
+    expect(response.statusCode).toBe(200);
+
+    const body = JSON.parse(response.body);
+    expect(body.todos).toEqual([]);
+    expect(body.tombstones).toEqual([expect.objectContaining({ todoId: 'todo-delete', permanent: true })]);
   });
 });
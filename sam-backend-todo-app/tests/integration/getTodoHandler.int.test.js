@@ -8,10 +8,13 @@
 const client = require('../utils/dynamoClient');
 const { PutCommand } = require('@aws-sdk/lib-dynamodb');
 const { createTodosTable, deleteTodosTable } = require('../utils/setupDynamo');
-const { getTodosHandler } = require('../../src/todos');
+const { getTodosHandler, getTodoHandler, getTagsHandler } = require('../../src/todos');
 
 require('dotenv').config({ path: '.env.test' });
 
+// The first page of GET /todos carries a signed sync cursor
+process.env.PAGINATION_TOKEN_SECRET = process.env.PAGINATION_TOKEN_SECRET || 'integration-test-pagination-secret';
+
 /**
  * Sets up the test environment by creating a DynamoDB table
  * and inserting a test item for the getTodosHandler.
@@ -28,13 +31,36 @@ beforeAll(async () => {
       userId: 'user-2',
       todoId: 'todo-1',
       title: 'Test get todos',
+      titleSortKey: 'test get todos',
       description: 'Integration get test',
       status: 'pending',
+      priority: 'low',
+      priorityRank: 1,
+      tags: ['work'],
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
     },
   };
   await client.send(new PutCommand(putParams));
+
+  // Insert an overdue item for the due date filters
+  await client.send(new PutCommand({
+    TableName: process.env.TODOS_TABLE_NAME,
+    Item: {
+      userId: 'user-2',
+      todoId: 'todo-overdue',
+      title: 'Overdue todo',
+      titleSortKey: 'overdue todo',
+      description: 'Integration overdue test',
+      status: 'pending',
+      priority: 'urgent',
+      priorityRank: 4,
+      tags: ['work', 'urgent'],
+      dueAt: '2020-01-01T00:00:00.000Z',
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+  }));
 });
 
 /**
@@ -77,3 +103,164 @@ describe('Integration: getTodosHandler', () => {
     expect(todo.title).toBe('Test get todos');
   });
 });
+
+/**
+ * Integration test for the due date filters of getTodosHandler
+ * This test checks that overdue=true only returns items from the UserDueAtIndex
+ * whose due date has passed.
+ */
+describe('Integration: getTodosHandler due date filters', () => {
+  it('retrieves only overdue todo items', async () => {
+    const event = {
+      queryStringParameters: {
+        overdue: 'true',
+      },
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user-2',
+          },
+        },
+      },
+    };
+
+    const response = await getTodosHandler(event);
+    expect(response.statusCode).toBe(200);
+
+    const todoIds = JSON.parse(response.body).todos.map(t => t.todoId);
+    expect(todoIds).toEqual(['todo-overdue']);
+  });
+});
+
+/**
+ * Integration test for the sort options of getTodosHandler
+ * This test checks that sort=priority returns the most urgent items first
+ * and that order=asc reverses the order.
+ */
+describe('Integration: getTodosHandler sorting', () => {
+  const createSortEvent = (order) => ({
+    queryStringParameters: {
+      sort: 'priority',
+      ...(order && { order }),
+    },
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: 'user-2',
+        },
+      },
+    },
+  });
+
+  it('sorts todo items by priority, most urgent first', async () => {
+    const response = await getTodosHandler(createSortEvent());
+    expect(response.statusCode).toBe(200);
+
+    const todoIds = JSON.parse(response.body).todos.map(t => t.todoId);
+    expect(todoIds).toEqual(['todo-overdue', 'todo-1']);
+  });
+
+  it('sorts todo items by priority in ascending order', async () => {
+    const response = await getTodosHandler(createSortEvent('asc'));
+    expect(response.statusCode).toBe(200);
+
+    const todoIds = JSON.parse(response.body).todos.map(t => t.todoId);
+    expect(todoIds).toEqual(['todo-1', 'todo-overdue']);
+  });
+});
+
+/**
+ * Integration test for the tag filters of getTodosHandler and for getTagsHandler
+ * This test checks that repeated ?tag= parameters require every tag by default,
+ * and that the tag usage counts cover all of the user's items.
+ */
+describe('Integration: tags', () => {
+  const createTagEvent = (queryStringParameters, multiValueQueryStringParameters) => ({
+    queryStringParameters,
+    multiValueQueryStringParameters,
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: 'user-2',
+        },
+      },
+    },
+  });
+
+  it('retrieves only todo items with all of the given tags', async () => {
+    const event = createTagEvent({ tag: 'urgent' }, { tag: ['work', 'urgent'] });
+
+    const response = await getTodosHandler(event);
+    expect(response.statusCode).toBe(200);
+
+    const todoIds = JSON.parse(response.body).todos.map(t => t.todoId);
+    expect(todoIds).toEqual(['todo-overdue']);
+  });
+
+  it('retrieves todo items with any of the given tags for tagMode=any', async () => {
+    const event = createTagEvent({ tag: 'urgent', tagMode: 'any' }, { tag: ['work', 'urgent'] });
+
+    const response = await getTodosHandler(event);
+    expect(response.statusCode).toBe(200);
+
+    const todoIds = JSON.parse(response.body).todos.map(t => t.todoId).sort();
+    expect(todoIds).toEqual(['todo-1', 'todo-overdue']);
+  });
+
+  it('counts the tags of the user', async () => {
+    const response = await getTagsHandler(createTagEvent(null, null));
+    expect(response.statusCode).toBe(200);
+
+    expect(JSON.parse(response.body).tags).toEqual([
+      { tag: 'work', count: 2 },
+      { tag: 'urgent', count: 1 },
+    ]);
+  });
+});
+
+/**
+ * Integration test for getTodoHandler
+ * This test checks that a single todo item can be fetched by its ID,
+ * and that the same ID is reported as not found for a different user.
+ */
+describe('Integration: getTodoHandler', () => {
+  it('retrieves a single todo item by id', async () => {
+    const event = {
+      pathParameters: {
+        id: 'todo-1',
+      },
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user-2',
+          },
+        },
+      },
+    };
+
+    const response = await getTodoHandler(event);
+    expect(response.statusCode).toBe(200);
+
+    const todo = JSON.parse(response.body).todo;
+    expect(todo.todoId).toBe('todo-1');
+    expect(todo.title).toBe('Test get todos');
+  });
+
+  it('returns 404 for another user\'s todo item', async () => {
+    const event = {
+      pathParameters: {
+        id: 'todo-1',
+      },
+      requestContext: {
+        authorizer: {
+          claims: {
+            sub: 'user-other',
+          },
+        },
+      },
+    };
+
+    const response = await getTodoHandler(event);
+    expect(response.statusCode).toBe(404);
+  });
+});
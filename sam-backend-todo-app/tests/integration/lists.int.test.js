@@ -0,0 +1,141 @@
+/**
+ * Integration test for named and shared lists
+ * This test verifies that a list owner can invite someone by email, that the invitee can accept the
+ * invitation and then reads and changes the list's To-Dos according to their role,
+ * that users who are not members cannot see the list, and that To-Dos can be moved between lists
+ * and the list renamed, archived and deleted.
+ * It uses mock user IDs and verified email claims to simulate authenticated requests.
+ * It requires the DynamoDB To-Do and lists tables to be set up before running the test.
+ * @jest-environment node
+ */
+require('dotenv').config({ path: '.env.test' });
+
+process.env.LISTS_TABLE_NAME = process.env.LISTS_TABLE_NAME || 'ServerlessTodoListsTest';
+
+const { createTodosTable, deleteTodosTable, createListsTable, deleteListsTable } = require('../utils/setupDynamo');
+const lists = require('../../src/lists');
+const { createTodoHandler, getTodosHandler, moveTodoHandler } = require('../../src/todos');
+
+const owner = { sub: 'user-list-owner', email: 'owner@example.com', email_verified: 'true' };
+const invitee = { sub: 'user-list-invitee', email: 'invitee@example.com', email_verified: 'true' };
+const stranger = { sub: 'user-list-stranger', email: 'stranger@example.com', email_verified: 'true' };
+
+let listId;
+
+/**
+ * Creates an authenticated event.
+ * @param {Object} claims - The Cognito claims of the user.
+ * @param {Object} options - Options for the event
+ * @param {Object} options.pathParameters - Path parameters.
+ * @param {Object} options.queryStringParameters - Query string parameters.
+ * @param {Object} options.body - The request body.
+ * @returns {Object} - Mock event object
+ */
+const createEvent = (claims, { pathParameters = null, queryStringParameters = null, body = {} } = {}) => ({
+  pathParameters,
+  queryStringParameters,
+  body: JSON.stringify(body),
+  requestContext: { authorizer: { claims } },
+});
+
+/**
+ * Before all tests, create the DynamoDB tables.
+ * @returns {Promise<void>}
+ */
+beforeAll(async () => {
+  await createTodosTable();
+  await createListsTable();
+});
+
+/**
+ * After all tests, delete the DynamoDB tables to clean up.
+ */
+afterAll(async () => {
+  await deleteListsTable();
+  await deleteTodosTable();
+});
+
+describe('Integration: shared lists', () => {
+  it('creates a list owned by its creator', async () => {
+    const response = await lists.createListHandler(createEvent(owner, { body: { name: 'Holiday' } }));
+    expect(response.statusCode).toBe(201);
+    listId = JSON.parse(response.body).list.listId;
+
+    const { lists: ownLists } = JSON.parse((await lists.getListsHandler(createEvent(owner))).body);
+    expect(ownLists).toEqual([expect.objectContaining({ listId, name: 'Holiday', role: 'owner' })]);
+  });
+
+  it('lets the invitee accept an invitation', async () => {
+    const invite = await lists.inviteMemberHandler(createEvent(owner, { pathParameters: { id: listId }, body: { email: invitee.email, role: 'viewer' } }));
+    expect(invite.statusCode).toBe(201);
+
+    const { invitations } = JSON.parse((await lists.getInvitationsHandler(createEvent(invitee))).body);
+    expect(invitations).toEqual([expect.objectContaining({ listId, listName: 'Holiday', role: 'viewer' })]);
+
+    const accept = await lists.acceptInvitationHandler(createEvent(invitee, { pathParameters: { id: listId } }));
+    expect(accept.statusCode).toBe(200);
+
+    const { members } = JSON.parse((await lists.getMembersHandler(createEvent(owner, { pathParameters: { id: listId } }))).body);
+    expect(members.map(member => member.role).sort()).toEqual(['owner', 'viewer']);
+  });
+
+  it('shares the To-Dos of the list according to the role', async () => {
+    const created = await createTodoHandler(createEvent(owner, { queryStringParameters: { listId }, body: { title: 'Book flights' } }));
+    expect(created.statusCode).toBe(201);
+
+    const read = await getTodosHandler(createEvent(invitee, { queryStringParameters: { listId } }));
+    expect(JSON.parse(read.body).todos.map(todo => todo.title)).toEqual(['Book flights']);
+
+    const denied = await createTodoHandler(createEvent(invitee, { queryStringParameters: { listId }, body: { title: 'Pack' } }));
+    expect(denied.statusCode).toBe(403);
+
+    const promoted = await lists.updateMemberHandler(createEvent(owner, { pathParameters: { id: listId, memberId: invitee.sub }, body: { role: 'editor' } }));
+    expect(promoted.statusCode).toBe(200);
+    const allowed = await createTodoHandler(createEvent(invitee, { queryStringParameters: { listId }, body: { title: 'Pack' } }));
+    expect(allowed.statusCode).toBe(201);
+
+    // The list's To-Dos are not part of the personal To-Dos
+    const personal = await getTodosHandler(createEvent(owner));
+    expect(JSON.parse(personal.body).todos).toEqual([]);
+  });
+
+  it('hides the list from users who are not members', async () => {
+    const response = await getTodosHandler(createEvent(stranger, { queryStringParameters: { listId } }));
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('lets a member leave the list', async () => {
+    const response = await lists.removeMemberHandler(createEvent(invitee, { pathParameters: { id: listId, memberId: invitee.sub } }));
+    expect(response.statusCode).toBe(200);
+
+    const read = await getTodosHandler(createEvent(invitee, { queryStringParameters: { listId } }));
+    expect(read.statusCode).toBe(404);
+  });
+
+  it('moves a To-Do from the personal To-Dos to the list', async () => {
+    const created = await createTodoHandler(createEvent(owner, { body: { title: 'Renew passport' } }));
+    const { todoId } = JSON.parse(created.body).todo;
+
+    const moved = await moveTodoHandler(createEvent(owner, { pathParameters: { id: todoId }, body: { listId } }));
+    expect(moved.statusCode).toBe(200);
+    expect(JSON.parse(moved.body).todo.listId).toBe(listId);
+
+    const personal = await getTodosHandler(createEvent(owner));
+    expect(JSON.parse(personal.body).todos).toEqual([]);
+    const read = await getTodosHandler(createEvent(owner, { queryStringParameters: { listId } }));
+    expect(JSON.parse(read.body).todos.map(todo => todo.title)).toContain('Renew passport');
+  });
+
+  it('renames, archives and deletes the list', async () => {
+    const renamed = await lists.updateListHandler(createEvent(owner, { pathParameters: { id: listId }, body: { name: 'Trip', archived: true } }));
+    expect(JSON.parse(renamed.body).list).toMatchObject({ name: 'Trip', archived: true });
+
+    const deleted = await lists.deleteListHandler(createEvent(owner, { pathParameters: { id: listId } }));
+    expect(deleted.statusCode).toBe(200);
+
+    const { lists: ownLists } = JSON.parse((await lists.getListsHandler(createEvent(owner))).body);
+    expect(ownLists).toEqual([]);
+    const read = await getTodosHandler(createEvent(owner, { queryStringParameters: { listId } }));
+    expect(read.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Integration test for the real-time WebSocket handlers
+ * This test verifies that connections are stored in the connections table on $connect and removed on $disconnect,
+ * and that a DynamoDB stream batch is pushed to every open connection of the item's owner.
+ * The API Gateway Management API is replaced by a local stub (see tests/utils/managementApiStub.js),
+ * which answers 410 Gone for closed connections.
+ * It requires the DynamoDB connections table to be set up before running the test.
+ * @jest-environment node
+ */
+const client = require('../utils/dynamoClient');
+const { QueryCommand } = require('@aws-sdk/lib-dynamodb');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const { createConnectionsTable, deleteConnectionsTable } = require('../utils/setupDynamo');
+const { startManagementApiStub } = require('../utils/managementApiStub');
+
+require('dotenv').config({ path: '.env.test' });
+
+process.env.CONNECTIONS_TABLE_NAME = process.env.CONNECTIONS_TABLE_NAME || 'ServerlessTodoConnectionsTest';
+
+let stub;
+let realtime;
+
+/**
+ * Creates a WebSocket route event for a connection of the test user.
+ * @param {string} connectionId - The ID of the connection.
+ * @returns {Object} - Mock event object
+ */
+const createConnectionEvent = (connectionId) => ({
+  requestContext: {
+    connectionId: connectionId,
+    authorizer: { sub: 'user-ws' },
+  },
+});
+
+/**
+ * Lists the stored connection IDs of the test user.
+ * @returns {Promise<string[]>} - The connection IDs.
+ */
+const listConnectionIds = async () => {
+  const { Items } = await client.send(new QueryCommand({
+    TableName: process.env.CONNECTIONS_TABLE_NAME,
+    KeyConditionExpression: 'userId = :u',
+    ExpressionAttributeValues: { ':u': 'user-ws' },
+  }));
+  return Items.map(item => item.connectionId).sort();
+};
+
+/**
+ * Before all tests, create the connections table and start the Management API stub.
+ * The handlers are loaded afterwards, since the Management API client reads its endpoint on load.
+ * @returns {Promise<void>}
+ */
+beforeAll(async () => {
+  await createConnectionsTable();
+  stub = await startManagementApiStub({ goneConnectionIds: ['conn-closed'] });
+  process.env.WEBSOCKET_MANAGEMENT_ENDPOINT = stub.endpoint;
+  realtime = require('../../src/realtime');
+});
+
+/**
+ * After all tests, stop the stub and delete the connections table to clean up.
+ */
+afterAll(async () => {
+  await stub.close();
+  await deleteConnectionsTable();
+});
+
+describe('Integration: real-time updates', () => {
+  it('pushes stream changes to the open connections of the owner', async () => {
+    for (const connectionId of ['conn-laptop', 'conn-phone', 'conn-closed']) {
+      const response = await realtime.connectHandler(createConnectionEvent(connectionId));
+      expect(response.statusCode).toBe(200);
+    }
+    expect(await listConnectionIds()).toEqual(['conn-closed', 'conn-laptop', 'conn-phone']);
+
+    const todo = { userId: 'user-ws', todoId: 'todo-live', title: 'Water the plants', status: 'pending', updatedAt: new Date().toISOString() };
+    const result = await realtime.broadcastHandler({
+      Records: [{ eventName: 'INSERT', dynamodb: { NewImage: marshall(todo) } }],
+    });
+
+    expect(result.sent).toBe(2);
+    expect(stub.messages.map(message => message.connectionId).sort()).toEqual(['conn-laptop', 'conn-phone']);
+    expect(stub.messages[0].data).toEqual({ type: 'changes', todos: [todo], tombstones: [] });
+    // The closed connection is removed when the stub reports it gone
+    expect(await listConnectionIds()).toEqual(['conn-laptop', 'conn-phone']);
+  });
+
+  it('removes a connection on disconnect', async () => {
+    const response = await realtime.disconnectHandler(createConnectionEvent('conn-phone'));
+    expect(response.statusCode).toBe(200);
+    expect(await listConnectionIds()).toEqual(['conn-laptop']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Integration test for the subtask handlers
+ * This test verifies that subtasks can be added, checked off, reordered and deleted,
+ * that the checklist is stored on the To-Do item in DynamoDB,
+ * and that a To-Do with autoComplete is completed once every subtask is done.
+ * It uses a mock user ID to simulate an authenticated request.
+ * It requires the DynamoDB table to be set up before running the test.
+ * @jest-environment node
+ */
+const client = require('../utils/dynamoClient');
+const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { createTodosTable, deleteTodosTable } = require('../utils/setupDynamo');
+const {
+  addSubtaskHandler,
+  updateSubtaskHandler,
+  reorderSubtasksHandler,
+  deleteSubtaskHandler,
+} = require('../../src/subtasks');
+
+require('dotenv').config({ path: '.env.test' });
+
+/**
+ * Creates an authenticated event for the parent To-Do item.
+ * @param {Object} pathParameters - Extra path parameters, e.g. { subtaskId }.
+ * @param {Object} body - The request body.
+ * @returns {Object} - Mock event object
+ */
+const createEvent = (pathParameters = {}, body = {}) => ({
+  pathParameters: { id: 'todo-subtasks', ...pathParameters },
+  body: JSON.stringify(body),
+  requestContext: {
+    authorizer: {
+      claims: {
+        sub: 'user-5',
+      },
+    },
+  },
+});
+
+/**
+ * Before all tests, create the DynamoDB table and insert the parent To-Do item.
+ * @returns {Promise<void>}
+ */
+beforeAll(async () => {
+  await createTodosTable();
+
+  await client.send(new PutCommand({
+    TableName: process.env.TODOS_TABLE_NAME,
+    Item: {
+      userId: 'user-5',
+      todoId: 'todo-subtasks',
+      title: 'Pack for the trip',
+      status: 'pending',
+      subtasks: [],
+      autoComplete: true,
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+    },
+  }));
+});
+
+/**
+ * After all tests, delete the DynamoDB table to clean up.
+ */
+afterAll(async () => {
+  await deleteTodosTable();
+});
+
+describe('Integration: subtasks', () => {
+  it('manages the checklist of a todo item', async () => {
+    // Add two subtasks
+    let response = await addSubtaskHandler(createEvent({}, { title: 'Passport' }));
+    expect(response.statusCode).toBe(201);
+    response = await addSubtaskHandler(createEvent({}, { title: 'Charger' }));
+    expect(response.statusCode).toBe(201);
+    const [passport, charger] = JSON.parse(response.body).todo.subtasks;
+
+    // Reorder them
+    response = await reorderSubtasksHandler(createEvent({}, { order: [charger.subtaskId, passport.subtaskId] }));
+    expect(response.statusCode).toBe(200);
+
+    // Checking off both subtasks completes the todo
+    await updateSubtaskHandler(createEvent({ subtaskId: passport.subtaskId }, { done: true }));
+    response = await updateSubtaskHandler(createEvent({ subtaskId: charger.subtaskId }, { done: true }));
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.status).toBe('completed');
+
+    // Delete one of them
+    response = await deleteSubtaskHandler(createEvent({ subtaskId: charger.subtaskId }));
+    expect(response.statusCode).toBe(200);
+
+    // Verify the stored checklist
+    const { Item } = await client.send(new GetCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Key: { userId: 'user-5', todoId: 'todo-subtasks' },
+    }));
+    expect(Item.subtasks).toEqual([expect.objectContaining({ title: 'Passport', done: true })]);
+    expect(Item.status).toBe('completed');
+  });
+
+  it('returns 404 for another user\'s todo item', async () => {
+    const event = createEvent({}, { title: 'Sneaky' });
+    event.requestContext.authorizer.claims.sub = 'user-other';
+
+    const response = await addSubtaskHandler(event);
+    expect(response.statusCode).toBe(404);
+  });
+});
@@ -7,9 +7,9 @@
  * @jest-environment node
  */
 const client = require('../utils/dynamoClient');
-const { PutCommand, GetCommand } = require('@aws-sdk/lib-dynamodb');
+const { PutCommand, GetCommand, QueryCommand } = require('@aws-sdk/lib-dynamodb');
 const { createTodosTable, deleteTodosTable } = require('../utils/setupDynamo');
-const { updateTodoHandler } = require('../../src/todos');
+const { updateTodoHandler, updateTodoPositionHandler } = require('../../src/todos');
 
 require('dotenv').config({ path: '.env.test' });
 
@@ -86,3 +86,196 @@ describe('Integration: updateTodoHandler', () => {
     expect(dbItem.Item.title).toBe('Updated Title');
   });
 });
+
+/**
+ * Integration test for optimistic concurrency control.
+ * An update with a stale If-Match version is rejected with 409 and the current item,
+ * an update with the current version succeeds and increments it.
+ * Runs after the update above, which gave the unversioned item version 1.
+ */
+describe('Integration: updateTodoHandler versions', () => {
+  const createVersionedEvent = (ifMatch, title) => ({
+    pathParameters: {
+      id: 'todo-123',
+    },
+    headers: {
+      'If-Match': ifMatch,
+    },
+    body: JSON.stringify({ title }),
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: 'user-3',
+        },
+      },
+    },
+  });
+
+  it('rejects a stale version with the current server copy', async () => {
+    const response = await updateTodoHandler(createVersionedEvent('5', 'Stale Title'));
+    expect(response.statusCode).toBe(409);
+
+    const current = JSON.parse(response.body).todo;
+    expect(current.version).toBe(1);
+    expect(current.title).toBe('Updated Title');
+  });
+
+  it('applies an update for the current version', async () => {
+    const response = await updateTodoHandler(createVersionedEvent('1', 'Fresh Title'));
+    expect(response.statusCode).toBe(200);
+
+    const updated = JSON.parse(response.body).todo;
+    expect(updated.version).toBe(2);
+    expect(updated.title).toBe('Fresh Title');
+  });
+});
+
+/**
+ * Integration test for updates of nonexistent items.
+ * A PUT must never create (upsert) an item: unknown IDs and other users' items return 404
+ * and nothing is written to DynamoDB.
+ */
+describe('Integration: updateTodoHandler does not upsert', () => {
+  const createUpdateEvent = (todoId, userId) => ({
+    pathParameters: {
+      id: todoId,
+    },
+    body: JSON.stringify({ title: 'Phantom Title' }),
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: userId,
+        },
+      },
+    },
+  });
+
+  it('returns 404 for an unknown id without creating an item', async () => {
+    const response = await updateTodoHandler(createUpdateEvent('todo-does-not-exist', 'user-3'));
+    expect(response.statusCode).toBe(404);
+
+    const dbItem = await client.send(new GetCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Key: { userId: 'user-3', todoId: 'todo-does-not-exist' },
+    }));
+    expect(dbItem.Item).toBeUndefined();
+  });
+
+  it('returns 404 for another user\'s item without creating a copy', async () => {
+    const response = await updateTodoHandler(createUpdateEvent('todo-123', 'user-other'));
+    expect(response.statusCode).toBe(404);
+
+    const dbItem = await client.send(new GetCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Key: { userId: 'user-other', todoId: 'todo-123' },
+    }));
+    expect(dbItem.Item).toBeUndefined();
+  });
+});
+
+/**
+ * Integration test for the manual order.
+ * Moving an item between two others only rewrites the moved item,
+ * and the UserPositionIndex returns the items in their new order.
+ */
+describe('Integration: updateTodoPositionHandler', () => {
+  const createPositionEvent = (todoId, neighbours) => ({
+    pathParameters: {
+      id: todoId,
+    },
+    body: JSON.stringify(neighbours),
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: 'user-order',
+        },
+      },
+    },
+  });
+
+  beforeAll(async () => {
+    for (const [todoId, position] of [['first', 'A'], ['second', 'B'], ['third', 'C']]) {
+      await client.send(new PutCommand({
+        TableName: process.env.TODOS_TABLE_NAME,
+        Item: { userId: 'user-order', todoId, title: todoId, position, version: 1 },
+      }));
+    }
+  });
+
+  it('moves the last item between the first two', async () => {
+    const response = await updateTodoPositionHandler(createPositionEvent('third', { after: 'first', before: 'second' }));
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.version).toBe(2);
+
+    const { Items } = await client.send(new QueryCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      IndexName: 'UserPositionIndex',
+      KeyConditionExpression: 'userId = :u',
+      ExpressionAttributeValues: { ':u': 'user-order' },
+    }));
+    expect(Items.map(item => item.todoId)).toEqual(['first', 'third', 'second']);
+  });
+
+  it('returns 409 when a neighbour does not exist', async () => {
+    const response = await updateTodoPositionHandler(createPositionEvent('first', { after: 'missing' }));
+    expect(response.statusCode).toBe(409);
+  });
+});
+
+/**
+ * Integration test for repeating items.
+ * Completing a repeating item creates its next occurrence, which carries the completion history;
+ * completing it again after reopening it does not create a second one.
+ */
+describe('Integration: updateTodoHandler recurrence', () => {
+  const createStatusEvent = (status) => ({
+    pathParameters: {
+      id: 'todo-daily',
+    },
+    body: JSON.stringify({ status }),
+    requestContext: {
+      authorizer: {
+        claims: {
+          sub: 'user-recurring',
+        },
+      },
+    },
+  });
+
+  beforeAll(async () => {
+    await client.send(new PutCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Item: {
+        userId: 'user-recurring',
+        todoId: 'todo-daily',
+        title: 'Water plants',
+        status: 'pending',
+        priority: 'medium',
+        tags: [],
+        subtasks: [],
+        autoComplete: false,
+        recurrence: { frequency: 'daily', interval: 1 },
+        dueAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+        version: 1,
+      },
+    }));
+  });
+
+  it('creates the next occurrence once', async () => {
+    const response = await updateTodoHandler(createStatusEvent('completed'));
+    expect(response.statusCode).toBe(200);
+    const { todo, nextOccurrence } = JSON.parse(response.body);
+    expect(nextOccurrence.completionHistory).toEqual([expect.objectContaining({ todoId: 'todo-daily' })]);
+
+    const stored = await client.send(new GetCommand({
+      TableName: process.env.TODOS_TABLE_NAME,
+      Key: { userId: 'user-recurring', todoId: nextOccurrence.todoId },
+    }));
+    expect(stored.Item).toMatchObject({ status: 'pending', seriesId: 'todo-daily', dueAt: nextOccurrence.dueAt });
+    expect(todo.nextOccurrenceId).toBe(nextOccurrence.todoId);
+
+    await updateTodoHandler(createStatusEvent('pending'));
+    const again = await updateTodoHandler(createStatusEvent('completed'));
+    expect(JSON.parse(again.body).nextOccurrence).toBeUndefined();
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Unit tests for the typed API errors and their RFC 7807 problem details responses.
+ * @jest-environment node
+ * @group unit
+ * @group errors
+ * @module errors.test.js
+ */
+const {
+  ValidationError,
+  NotFoundError,
+  ConflictError,
+  problemResponse,
+} = require('../../src/utils/errors');
+
+const EVENT = { path: '/todos/todo-1', requestContext: { requestId: 'api-request-1' } };
+
+describe('problemResponse', () => {
+  it('should build problem details with the code, request ID and instance', () => {
+    const response = problemResponse(new NotFoundError('TODO_NOT_FOUND', "To-Do item not found."), EVENT);
+
+    expect(response.statusCode).toBe(404);
+    expect(response.headers['Content-Type']).toBe('application/problem+json');
+    expect(JSON.parse(response.body)).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: "To-Do item not found.",
+      code: 'TODO_NOT_FOUND',
+      requestId: 'api-request-1',
+      instance: '/todos/todo-1',
+      message: "To-Do item not found.",
+    });
+  });
+
+  it('should add the extensions of the error without letting them replace standard members', () => {
+    const error = new ConflictError('VERSION_CONFLICT', "Modified.", { todo: { todoId: 'todo-1' }, status: 200 });
+
+    const body = JSON.parse(problemResponse(error, EVENT).body);
+
+    expect(body.status).toBe(409);
+    expect(body.todo).toEqual({ todoId: 'todo-1' });
+  });
+
+  it('should fall back to the Lambda request ID', () => {
+    const body = JSON.parse(problemResponse(new NotFoundError('LIST_NOT_FOUND', "List not found."), {}, { awsRequestId: 'lambda-1' }).body);
+
+    expect(body.requestId).toBe('lambda-1');
+  });
+});
+
+describe('ValidationError', () => {
+  it('should join the messages and list the invalid fields', () => {
+    const error = new ValidationError([{ field: 'title', message: "Too long." }, { field: 'colour', message: "Not allowed." }]);
+
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED', message: "Too long. Not allowed." });
+    expect(error.extensions.errors).toHaveLength(2);
+  });
+});
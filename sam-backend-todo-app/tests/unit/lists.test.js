@@ -0,0 +1,503 @@
+/**
+ * Unit tests for the shared list Lambda functions
+ * using Jest and AWS SDK mock.
+ * @jest-environment node
+ * @group unit
+ * @group lists
+ * @module lists.test.js
+ */
+// The request log of the middleware pipeline would drown the test output
+process.env.LOG_LEVEL = 'silent';
+
+const { mockClient } = require('aws-sdk-client-mock');
+const {
+  GetCommand,
+  PutCommand,
+  UpdateCommand,
+  DeleteCommand,
+  QueryCommand,
+  BatchGetCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+  DynamoDBDocumentClient,
+} = require('@aws-sdk/lib-dynamodb');
+const { TransactionCanceledException } = require('@aws-sdk/client-dynamodb');
+
+const {
+  createListHandler,
+  getListsHandler,
+  updateListHandler,
+  deleteListHandler,
+  getMembersHandler,
+  inviteMemberHandler,
+  deleteInvitationHandler,
+  getInvitationsHandler,
+  acceptInvitationHandler,
+  updateMemberHandler,
+  removeMemberHandler,
+} = require('../../src/lists');
+
+// Mock the DynamoDB DocumentClient
+const ddbMock = mockClient(DynamoDBDocumentClient);
+
+const mockListId = '11111111-2222-4333-8444-555555555555';
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => '11111111-2222-4333-8444-555555555555'),
+}));
+
+const mockUserId = 'user-123';
+const mockEmail = 'owner@example.com';
+
+/**
+ * Helper function to create a mock event for testing
+ * @param {Object} options - Options for the event
+ * @param {Object} options.pathParams - Path parameters (default: { id: mockListId })
+ * @param {Object} options.body - Request body (default: {})
+ * @param {Object} options.claims - Claims to override (default: the owner with a verified email)
+ * @param {boolean} options.authorizer - Whether to include authorizer claims (default: true)
+ * @return {Object} - Mock event object
+ */
+const createEvent = ({ pathParams = { id: mockListId }, body = {}, claims = {}, authorizer = true } = {}) => {
+  const event = {
+    pathParameters: pathParams,
+    body: JSON.stringify(body),
+  };
+  if (authorizer) {
+    event.requestContext = { authorizer: { claims: { sub: mockUserId, email: mockEmail, email_verified: 'true', ...claims } } };
+  }
+  return event;
+};
+
+/**
+ * Stores a user as a member of the list
+ * @param {string} role - viewer, editor or owner
+ * @param {string} userId - The member's user ID (default: the authenticated user)
+ */
+const mockMembership = (role, userId = mockUserId) => {
+  const key = { listId: mockListId, memberKey: `member#${userId}` };
+  ddbMock.on(GetCommand, { Key: key }).resolves({ Item: { ...key, memberUserId: userId, role } });
+};
+
+/**
+ * Helper function to create a stored invitation
+ * @param {Object} overrides - Attributes to override
+ * @return {Object} - Mock invitation item
+ */
+const createInvitation = (overrides = {}) => ({
+  listId: mockListId,
+  memberKey: 'invite#sam@example.com',
+  inviteEmail: 'sam@example.com',
+  role: 'editor',
+  listName: 'Groceries',
+  invitedBy: mockEmail,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  expiresAt: Math.floor(Date.now() / 1000) + 3600,
+  ...overrides,
+});
+
+beforeEach(() => {
+  ddbMock.reset();
+  jest.clearAllMocks();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('createListHandler', () => {
+  it('should create the list with the user as its owner', async () => {
+    ddbMock.on(TransactWriteCommand).resolves({});
+
+    const response = await createListHandler(createEvent({ pathParams: null, body: { name: '  Groceries ' } }));
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).list).toMatchObject({ listId: mockListId, name: 'Groceries', ownerId: mockUserId, role: 'owner' });
+    const [list, owner] = ddbMock.commandCalls(TransactWriteCommand)[0].args[0].input.TransactItems;
+    expect(list.Put.Item).toMatchObject({ listId: mockListId, memberKey: 'list', name: 'Groceries', ownerId: mockUserId });
+    expect(owner.Put.Item).toMatchObject({ memberKey: `member#${mockUserId}`, memberUserId: mockUserId, email: mockEmail, role: 'owner' });
+  });
+
+  it('should return 400 for a missing or too long name', async () => {
+    expect((await createListHandler(createEvent({ body: {} }))).statusCode).toBe(400);
+    expect((await createListHandler(createEvent({ body: { name: 'x'.repeat(101) } }))).statusCode).toBe(400);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for unknown fields', async () => {
+    const response = await createListHandler(createEvent({ pathParams: null, body: { name: 'Groceries', ownerId: 'someone-else' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).errors).toEqual([{ field: 'ownerId', message: "ownerId is not an allowed field." }]);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await createListHandler(createEvent({ body: { name: 'Groceries' }, authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+describe('getListsHandler', () => {
+  it('should return the lists of the user with their role, sorted by name', async () => {
+    const otherListId = '22222222-2222-4333-8444-555555555555';
+    ddbMock.on(QueryCommand).resolves({
+      Items: [{ listId: mockListId, role: 'owner' }, { listId: otherListId, role: 'viewer' }],
+    });
+    ddbMock.on(BatchGetCommand).callsFake(input => ({
+      Responses: {
+        [Object.keys(input.RequestItems)[0]]: [
+          { listId: mockListId, name: 'Work', ownerId: mockUserId, createdAt: '2025-01-01T00:00:00.000Z' },
+          { listId: otherListId, name: 'Groceries', ownerId: 'user-456', createdAt: '2025-01-02T00:00:00.000Z', archivedAt: '2025-02-01T00:00:00.000Z' },
+        ],
+      },
+    }));
+
+    const response = await getListsHandler(createEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).lists.map(list => [list.name, list.role, list.archived])).toEqual([['Groceries', 'viewer', true], ['Work', 'owner', false]]);
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.IndexName).toBe('MemberUserIndex');
+  });
+
+  it('should not call BatchGet when the user has no lists', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const response = await getListsHandler(createEvent());
+
+    expect(JSON.parse(response.body).lists).toEqual([]);
+    expect(ddbMock.commandCalls(BatchGetCommand)).toHaveLength(0);
+  });
+});
+
+describe('updateListHandler', () => {
+  it('should rename the list and its pending invitations', async () => {
+    mockMembership('owner');
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { listId: mockListId, name: 'Work', ownerId: mockUserId } });
+    ddbMock.on(QueryCommand).resolves({ Items: [createInvitation()] });
+
+    const response = await updateListHandler(createEvent({ body: { name: ' Work ' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).list).toMatchObject({ listId: mockListId, name: 'Work', role: 'owner', archived: false });
+    const [list, invitation] = ddbMock.commandCalls(UpdateCommand).map(call => call.args[0].input);
+    expect(list.Key).toEqual({ listId: mockListId, memberKey: 'list' });
+    expect(list.ExpressionAttributeValues[':n']).toBe('Work');
+    expect(invitation.Key.memberKey).toBe('invite#sam@example.com');
+    expect(invitation.ExpressionAttributeValues[':n']).toBe('Work');
+  });
+
+  it('should archive and restore the list', async () => {
+    mockMembership('owner');
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { listId: mockListId, name: 'Work', archivedAt: '2025-02-01T00:00:00.000Z' } });
+
+    const response = await updateListHandler(createEvent({ body: { archived: true } }));
+
+    expect(JSON.parse(response.body).list.archived).toBe(true);
+    expect(ddbMock.commandCalls(UpdateCommand)[0].args[0].input.UpdateExpression).toMatch(/archivedAt = if_not_exists/);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+
+    await updateListHandler(createEvent({ body: { archived: false } }));
+    expect(ddbMock.commandCalls(UpdateCommand)[1].args[0].input.UpdateExpression).toMatch(/REMOVE archivedAt/);
+  });
+
+  it('should return 400 for an empty or invalid change', async () => {
+    mockMembership('owner');
+
+    expect((await updateListHandler(createEvent({ body: {} }))).statusCode).toBe(400);
+    expect((await updateListHandler(createEvent({ body: { name: '' } }))).statusCode).toBe(400);
+    expect((await updateListHandler(createEvent({ body: { archived: 'yes' } }))).statusCode).toBe(400);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should only let the owner change the list', async () => {
+    mockMembership('editor');
+
+    const response = await updateListHandler(createEvent({ body: { name: 'Work' } }));
+
+    expect(response.statusCode).toBe(403);
+  });
+});
+
+describe('deleteListHandler', () => {
+  it('should delete the To-Dos of the list, then its members, invitations and the list itself', async () => {
+    mockMembership('owner');
+    ddbMock.on(QueryCommand, { ExpressionAttributeValues: { ':u': `list#${mockListId}` } }).resolves({
+      Items: [{ userId: `list#${mockListId}`, todoId: '1' }, { userId: `list#${mockListId}`, todoId: 'tombstone#2' }],
+    });
+    ddbMock.on(QueryCommand, { ExpressionAttributeValues: { ':l': mockListId, ':p': 'member#' } }).resolves({
+      Items: [{ listId: mockListId, memberKey: `member#${mockUserId}` }],
+    });
+    ddbMock.on(QueryCommand, { ExpressionAttributeValues: { ':l': mockListId, ':p': 'invite#' } }).resolves({ Items: [createInvitation()] });
+    ddbMock.on(BatchWriteCommand).resolves({});
+
+    const response = await deleteListHandler(createEvent());
+
+    expect(response.statusCode).toBe(200);
+    const [todos, listItems] = ddbMock.commandCalls(BatchWriteCommand).map(call => Object.values(call.args[0].input.RequestItems)[0]);
+    expect(todos.map(request => request.DeleteRequest.Key.todoId)).toEqual(['1', 'tombstone#2']);
+    expect(listItems.map(request => request.DeleteRequest.Key.memberKey)).toEqual(['invite#sam@example.com', `member#${mockUserId}`, 'list']);
+  });
+
+  it('should retry unprocessed deletes', async () => {
+    mockMembership('owner');
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+    const unprocessed = [{ DeleteRequest: { Key: { listId: mockListId, memberKey: 'list' } } }];
+    ddbMock.on(BatchWriteCommand)
+      .resolvesOnce({ UnprocessedItems: { [process.env.LISTS_TABLE_NAME]: unprocessed } })
+      .resolves({});
+
+    const response = await deleteListHandler(createEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(BatchWriteCommand)).toHaveLength(2);
+  });
+
+  it('should only let the owner delete the list', async () => {
+    mockMembership('editor');
+
+    const response = await deleteListHandler(createEvent());
+
+    expect(response.statusCode).toBe(403);
+    expect(ddbMock.commandCalls(BatchWriteCommand)).toHaveLength(0);
+  });
+});
+
+describe('getMembersHandler', () => {
+  const member = { memberUserId: 'user-456', email: 'sam@example.com', role: 'editor', joinedAt: '2025-01-01T00:00:00.000Z' };
+
+  it('should return the members and pending invitations to the owner', async () => {
+    mockMembership('owner');
+    ddbMock.on(QueryCommand, { ExpressionAttributeValues: { ':p': 'member#' } }).resolves({ Items: [member] });
+    ddbMock.on(QueryCommand, { ExpressionAttributeValues: { ':p': 'invite#' } }).resolves({
+      Items: [createInvitation(), createInvitation({ inviteEmail: 'old@example.com', expiresAt: 1 })],
+    });
+
+    const body = JSON.parse((await getMembersHandler(createEvent())).body);
+
+    expect(body.members).toEqual([{ userId: 'user-456', email: 'sam@example.com', role: 'editor', joinedAt: member.joinedAt }]);
+    expect(body.invitations.map(invitation => invitation.email)).toEqual(['sam@example.com']);
+  });
+
+  it('should not return the invitations to other members', async () => {
+    mockMembership('viewer');
+    ddbMock.on(QueryCommand).resolves({ Items: [member] });
+
+    const body = JSON.parse((await getMembersHandler(createEvent())).body);
+
+    expect(body.invitations).toEqual([]);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(1);
+  });
+
+  it('should return 404 to users who are not members', async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    const response = await getMembersHandler(createEvent());
+
+    expect(response.statusCode).toBe(404);
+  });
+});
+
+describe('inviteMemberHandler', () => {
+  it('should store an invitation that expires after 14 days', async () => {
+    mockMembership('owner');
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+    ddbMock.on(GetCommand, { Key: { listId: mockListId, memberKey: 'list' } }).resolves({ Item: { name: 'Groceries' } });
+    ddbMock.on(PutCommand).resolves({});
+
+    const response = await inviteMemberHandler(createEvent({ body: { email: ' Sam@Example.com', role: 'viewer' } }));
+
+    expect(response.statusCode).toBe(201);
+    const item = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+    expect(item).toMatchObject({ memberKey: 'invite#sam@example.com', inviteEmail: 'sam@example.com', role: 'viewer', listName: 'Groceries' });
+    expect(item.expiresAt - Math.floor(Date.now() / 1000)).toBeGreaterThan(13 * 24 * 60 * 60);
+  });
+
+  it('should return 403 to editors', async () => {
+    mockMembership('editor');
+
+    const response = await inviteMemberHandler(createEvent({ body: { email: 'sam@example.com' } }));
+
+    expect(response.statusCode).toBe(403);
+    expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for an invalid email or role', async () => {
+    mockMembership('owner');
+
+    expect((await inviteMemberHandler(createEvent({ body: { email: 'not-an-email' } }))).statusCode).toBe(400);
+    expect((await inviteMemberHandler(createEvent({ body: { email: 'sam@example.com', role: 'owner' } }))).statusCode).toBe(400);
+  });
+
+  it('should return 409 when the email already belongs to a member', async () => {
+    mockMembership('owner');
+    ddbMock.on(QueryCommand).resolves({ Items: [{ memberUserId: 'user-456', email: 'sam@example.com', role: 'viewer' }] });
+
+    const response = await inviteMemberHandler(createEvent({ body: { email: 'sam@example.com' } }));
+
+    expect(response.statusCode).toBe(409);
+  });
+});
+
+describe('deleteInvitationHandler', () => {
+  // API Gateway passes the path parameters URL decoded
+  const pathParams = { id: mockListId, email: 'sam@example.com' };
+
+  it('should let the invitee decline without being a member', async () => {
+    ddbMock.on(DeleteCommand).resolves({});
+
+    const response = await deleteInvitationHandler(createEvent({ pathParams, claims: { sub: 'user-456', email: 'sam@example.com' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(GetCommand)).toHaveLength(0);
+    expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ listId: mockListId, memberKey: 'invite#sam@example.com' });
+  });
+
+  it('should let the owner revoke it and nobody else', async () => {
+    mockMembership('owner');
+    ddbMock.on(DeleteCommand).resolves({});
+    expect((await deleteInvitationHandler(createEvent({ pathParams }))).statusCode).toBe(200);
+
+    ddbMock.reset();
+    mockMembership('editor');
+    expect((await deleteInvitationHandler(createEvent({ pathParams }))).statusCode).toBe(403);
+  });
+
+  it('should not decode the email address a second time', async () => {
+    ddbMock.on(DeleteCommand).resolves({});
+    const email = '100%25+sam@example.com';
+
+    const response = await deleteInvitationHandler(createEvent({ pathParams: { id: mockListId, email }, claims: { sub: 'user-456', email } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ listId: mockListId, memberKey: `invite#${email}` });
+  });
+
+  it('should return 400 without an email address', async () => {
+    const response = await deleteInvitationHandler(createEvent({ pathParams: { id: mockListId } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).code).toBe('MISSING_PARAMETER');
+    expect(ddbMock.commandCalls(DeleteCommand)).toHaveLength(0);
+  });
+
+  it('should return 404 if the invitation does not exist', async () => {
+    mockMembership('owner');
+    ddbMock.on(DeleteCommand).rejects(Object.assign(new Error('Conditional check failed'), { name: 'ConditionalCheckFailedException' }));
+
+    const response = await deleteInvitationHandler(createEvent({ pathParams }));
+
+    expect(response.statusCode).toBe(404);
+  });
+});
+
+describe('getInvitationsHandler', () => {
+  it('should return the unexpired invitations of the verified email', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [createInvitation(), createInvitation({ listId: 'old', expiresAt: 1 })] });
+
+    const response = await getInvitationsHandler(createEvent({ claims: { email: 'Sam@example.com' } }));
+
+    const { invitations } = JSON.parse(response.body);
+    expect(invitations).toHaveLength(1);
+    expect(invitations[0]).toMatchObject({ listId: mockListId, listName: 'Groceries', role: 'editor' });
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExpressionAttributeValues).toEqual({ ':e': 'sam@example.com' });
+  });
+
+  it('should return no invitations for an unverified email', async () => {
+    const response = await getInvitationsHandler(createEvent({ claims: { email_verified: 'false' } }));
+
+    expect(JSON.parse(response.body).invitations).toEqual([]);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+});
+
+describe('acceptInvitationHandler', () => {
+  const inviteeClaims = { sub: 'user-456', email: 'sam@example.com' };
+
+  it('should replace the invitation by a membership with its role', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createInvitation() });
+    ddbMock.on(TransactWriteCommand).resolves({});
+
+    const response = await acceptInvitationHandler(createEvent({ claims: inviteeClaims }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).list).toEqual({ listId: mockListId, name: 'Groceries', role: 'editor' });
+    const [invitation, member] = ddbMock.commandCalls(TransactWriteCommand)[0].args[0].input.TransactItems;
+    expect(invitation.Delete.Key).toEqual({ listId: mockListId, memberKey: 'invite#sam@example.com' });
+    expect(member.Put.Item).toMatchObject({ memberKey: 'member#user-456', memberUserId: 'user-456', email: 'sam@example.com', role: 'editor' });
+  });
+
+  it('should return 404 for a missing or expired invitation', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createInvitation({ expiresAt: 1 }) });
+
+    const response = await acceptInvitationHandler(createEvent({ claims: inviteeClaims }));
+
+    expect(response.statusCode).toBe(404);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should return 409 if the user is already a member', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createInvitation() });
+    ddbMock.on(TransactWriteCommand).rejects(new TransactionCanceledException({
+      message: 'Transaction cancelled',
+      $metadata: {},
+      CancellationReasons: [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }],
+    }));
+
+    const response = await acceptInvitationHandler(createEvent({ claims: inviteeClaims }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).code).toBe('ALREADY_MEMBER');
+  });
+});
+
+describe('updateMemberHandler', () => {
+  it('should change the role of a member', async () => {
+    mockMembership('owner');
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { memberUserId: 'user-456', email: 'sam@example.com', role: 'viewer' } });
+
+    const response = await updateMemberHandler(createEvent({ pathParams: { id: mockListId, memberId: 'user-456' }, body: { role: 'viewer' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).member.role).toBe('viewer');
+    expect(ddbMock.commandCalls(UpdateCommand)[0].args[0].input.Key).toEqual({ listId: mockListId, memberKey: 'member#user-456' });
+  });
+
+  it("should not change the owner's own role", async () => {
+    mockMembership('owner');
+
+    const response = await updateMemberHandler(createEvent({ pathParams: { id: mockListId, memberId: mockUserId }, body: { role: 'viewer' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+});
+
+describe('removeMemberHandler', () => {
+  it('should let a member leave the list', async () => {
+    mockMembership('viewer');
+    ddbMock.on(DeleteCommand).resolves({});
+
+    const response = await removeMemberHandler(createEvent({ pathParams: { id: mockListId, memberId: mockUserId } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).message).toMatch(/left the list/);
+  });
+
+  it('should only let the owner remove other members', async () => {
+    mockMembership('editor');
+
+    const response = await removeMemberHandler(createEvent({ pathParams: { id: mockListId, memberId: 'user-456' } }));
+
+    expect(response.statusCode).toBe(403);
+    expect(ddbMock.commandCalls(DeleteCommand)).toHaveLength(0);
+  });
+
+  it('should not let the owner leave', async () => {
+    mockMembership('owner');
+
+    const response = await removeMemberHandler(createEvent({ pathParams: { id: mockListId, memberId: mockUserId } }));
+
+    expect(response.statusCode).toBe(400);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Unit tests for the structured logging of the Lambda functions.
+ * @jest-environment node
+ * @group unit
+ * @group logger
+ * @module logger.test.js
+ */
+const logger = require('../../src/utils/logger');
+
+describe('logger', () => {
+  let write;
+
+  beforeEach(() => {
+    write = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    write.mockRestore();
+    delete process.env.LOG_LEVEL;
+  });
+
+  it('should write one JSON line per entry', () => {
+    logger.info('HTTP request', { method: 'GET', statusCode: 200 });
+
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(write.mock.calls[0][0])).toEqual({ level: 'info', message: 'HTTP request', method: 'GET', statusCode: 200 });
+  });
+
+  it('should write errors with their name, message and stack', () => {
+    logger.error("Error writing tombstone.", { error: new TypeError("Boom") });
+
+    const entry = JSON.parse(write.mock.calls[0][0]);
+    expect(entry).toMatchObject({ level: 'error', error: { name: 'TypeError', message: "Boom" } });
+    expect(entry.error.stack).toMatch(/TypeError: Boom/);
+  });
+
+  it('should respect LOG_LEVEL', () => {
+    process.env.LOG_LEVEL = 'warn';
+
+    logger.info('HTTP request');
+    logger.warn('Rejected WebSocket connection with an invalid token.');
+
+    expect(write).toHaveBeenCalledTimes(1);
+    expect(JSON.parse(write.mock.calls[0][0]).level).toBe('warn');
+  });
+
+  it('should write nothing when silent', () => {
+    process.env.LOG_LEVEL = 'silent';
+
+    logger.error("Error broadcasting To-Do changes.");
+
+    expect(write).not.toHaveBeenCalled();
+  });
+});
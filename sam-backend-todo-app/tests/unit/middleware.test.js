@@ -0,0 +1,389 @@
+/**
+ * Unit tests for the middleware pipeline of the HTTP API handlers, one middleware at a time.
+ * @jest-environment node
+ * @group unit
+ * @group middleware
+ * @module middleware.test.js
+ */
+const {
+  CORS_HEADERS,
+  compose,
+  logging,
+  timing,
+  cors,
+  errorMapping,
+  authenticate,
+  authorizeList,
+  parseJsonBody,
+  validation,
+  route,
+} = require('../../src/utils/middleware');
+const { NotFoundError } = require('../../src/utils/errors');
+const logger = require('../../src/utils/logger');
+
+const FRONTEND_ORIGIN = 'https://d111111abcdef8.cloudfront.net';
+const DEV_ORIGIN = 'http://localhost:8080';
+
+const EVENT = {
+  httpMethod: 'POST',
+  path: '/todos',
+  headers: { origin: FRONTEND_ORIGIN },
+  requestContext: { requestId: 'api-request-1', authorizer: { claims: { sub: 'user-123' } } },
+};
+
+const OK = { statusCode: 200, headers: { 'Content-Type': 'application/json' }, body: '{}' };
+
+/**
+ * Runs a single middleware around a handler.
+ * @param {function} middleware - The middleware under test.
+ * @param {object} event - The Lambda event object.
+ * @param {function} [handler] - The innermost handler; answers 200 by default.
+ * @returns {Promise<object>} - The response.
+ */
+const run = (middleware, event, handler = async () => OK) => compose([middleware], handler)(event, {});
+
+const TITLE_SCHEMA = {
+  type: 'object',
+  required: ['title'],
+  properties: { title: { type: 'string', minLength: 1, maxLength: 200 } },
+};
+
+describe('compose', () => {
+  it('should run the middlewares in order around the handler', async () => {
+    const calls = [];
+    const middleware = (name) => async (request, next) => {
+      calls.push(`${name} before`);
+      const response = await next();
+      calls.push(`${name} after`);
+      return response;
+    };
+    const handler = compose([middleware('outer'), middleware('inner')], async (request) => {
+      calls.push('handler');
+      return { statusCode: 200, body: request.event.path };
+    });
+
+    expect(await handler(EVENT, {})).toEqual({ statusCode: 200, body: '/todos' });
+    expect(calls).toEqual(['outer before', 'inner before', 'handler', 'inner after', 'outer after']);
+  });
+
+  it('should let a middleware answer without calling the rest of the pipeline', async () => {
+    const handler = jest.fn();
+
+    const response = await compose([async () => ({ statusCode: 204 })], handler)(EVENT, {});
+
+    expect(response.statusCode).toBe(204);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});
+
+describe('logging', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should write one structured entry per request', async () => {
+    await compose([logging(), timing()], async () => OK)(EVENT, {});
+
+    expect(logger.log).toHaveBeenCalledTimes(1);
+    expect(logger.log).toHaveBeenCalledWith('info', 'HTTP request', {
+      method: 'POST',
+      path: '/todos',
+      statusCode: 200,
+      durationMs: expect.any(Number),
+      requestId: 'api-request-1',
+    });
+  });
+
+  it('should log server errors at the error level with their code', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    await compose([logging(), errorMapping("Failed."), authenticate()], async () => {
+      throw new Error("Boom");
+    })(EVENT, {});
+
+    expect(logger.log).toHaveBeenCalledWith('error', 'HTTP request', expect.objectContaining({
+      statusCode: 500,
+      code: 'INTERNAL_ERROR',
+      userId: 'user-123',
+    }));
+  });
+});
+
+describe('timing', () => {
+  it('should return the duration in a Server-Timing header', async () => {
+    const response = await run(timing(), EVENT);
+
+    expect(response.headers['Server-Timing']).toMatch(/^app;dur=\d+$/);
+    expect(response.headers['Content-Type']).toBe('application/json');
+  });
+});
+
+describe('cors', () => {
+  beforeEach(() => {
+    process.env.ALLOWED_ORIGINS = `${FRONTEND_ORIGIN}/, ${DEV_ORIGIN}`;
+  });
+
+  afterEach(() => {
+    delete process.env.ALLOWED_ORIGINS;
+    delete process.env.CORS_ALLOW_CREDENTIALS;
+  });
+
+  /**
+   * Builds a request from an origin.
+   * @param {string} [origin] - The Origin header; none without it.
+   * @param {string} [method] - The HTTP method.
+   * @returns {object} - The Lambda event object.
+   */
+  const from = (origin, method = 'GET') => ({ ...EVENT, httpMethod: method, headers: origin ? { Origin: origin } : {} });
+
+  it.each([FRONTEND_ORIGIN, DEV_ORIGIN])('should echo the allowed origin %s', async (origin) => {
+    const response = await run(cors(), from(origin));
+
+    expect(response.headers).toEqual({
+      'Content-Type': 'application/json',
+      ...CORS_HEADERS,
+      'Access-Control-Allow-Origin': origin,
+      Vary: 'Origin',
+    });
+  });
+
+  it.each([
+    ['another site', 'https://evil.example.com'],
+    ['a lookalike domain', `${FRONTEND_ORIGIN}.evil.example.com`],
+    ['another port', 'http://localhost:3000'],
+    ['another scheme', 'http://d111111abcdef8.cloudfront.net'],
+    ['the null origin', 'null'],
+  ])('should process requests from %s without CORS headers', async (name, origin) => {
+    const handler = jest.fn(async () => OK);
+
+    const response = await run(cors(), from(origin), handler);
+
+    expect(handler).toHaveBeenCalled();
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(response.headers.Vary).toBe('Origin');
+  });
+
+  it('should answer requests without an Origin header without CORS headers', async () => {
+    const response = await run(cors(), from(undefined, 'OPTIONS'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+  });
+
+  it('should answer preflight requests from an allowed origin', async () => {
+    const response = await run(cors(), from(DEV_ORIGIN, 'OPTIONS'));
+
+    expect(response.statusCode).toBe(200);
+    expect(response.headers).toMatchObject({ 'Access-Control-Allow-Origin': DEV_ORIGIN, ...CORS_HEADERS });
+  });
+
+  it('should reject preflight requests from other origins with 403', async () => {
+    const handler = jest.fn();
+
+    const response = await run(cors(), from('https://evil.example.com', 'OPTIONS'), handler);
+
+    expect(response.statusCode).toBe(403);
+    expect(JSON.parse(response.body).code).toBe('ORIGIN_NOT_ALLOWED');
+    expect(response.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(response.headers.Vary).toBe('Origin');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should not allow any origin without ALLOWED_ORIGINS', async () => {
+    delete process.env.ALLOWED_ORIGINS;
+
+    const response = await run(cors(), from(FRONTEND_ORIGIN, 'OPTIONS'));
+
+    expect(response.statusCode).toBe(403);
+  });
+
+  it('should allow credentials when configured', async () => {
+    process.env.CORS_ALLOW_CREDENTIALS = 'true';
+
+    const allowed = await run(cors(), from(FRONTEND_ORIGIN));
+    const other = await run(cors(), from('https://evil.example.com'));
+
+    expect(allowed.headers['Access-Control-Allow-Credentials']).toBe('true');
+    expect(other.headers['Access-Control-Allow-Credentials']).toBeUndefined();
+  });
+
+  it('should add the CORS headers to problem details', async () => {
+    const response = await compose([cors(), errorMapping("Failed.")], async () => {
+      throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+    })(EVENT, {});
+
+    expect(response.statusCode).toBe(404);
+    expect(response.headers['Access-Control-Allow-Origin']).toBe(FRONTEND_ORIGIN);
+  });
+});
+
+describe('errorMapping', () => {
+  beforeEach(() => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return the response of the rest of the pipeline', async () => {
+    expect(await run(errorMapping("Failed."), EVENT)).toEqual(OK);
+  });
+
+  it('should answer thrown API errors with their status and code', async () => {
+    const response = await run(errorMapping("Failed."), EVENT, async () => {
+      throw new NotFoundError('TODO_NOT_FOUND', "To-Do item not found.");
+    });
+
+    expect(response.statusCode).toBe(404);
+    expect(response.headers['Content-Type']).toBe('application/problem+json');
+    expect(JSON.parse(response.body).code).toBe('TODO_NOT_FOUND');
+    expect(logger.error).not.toHaveBeenCalled();
+  });
+
+  it('should log unexpected errors and answer with 500 without their details', async () => {
+    const response = await run(errorMapping("Failed to create To-Do item."), EVENT, async () => {
+      throw new TypeError("Cannot read properties of undefined (reading 'id')");
+    });
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body)).toMatchObject({
+      title: 'Internal Server Error',
+      code: 'INTERNAL_ERROR',
+      detail: "Failed to create To-Do item.",
+      requestId: 'api-request-1',
+    });
+    expect(response.body).not.toMatch(/Cannot read/);
+    expect(logger.error).toHaveBeenCalledWith("Failed to create To-Do item.", { error: expect.any(TypeError) });
+  });
+});
+
+describe('authenticate', () => {
+  it('should provide the user ID from the Cognito claims', async () => {
+    const handler = jest.fn(async () => OK);
+
+    await run(authenticate(), EVENT, handler);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-123' }));
+  });
+
+  it('should reject requests without a user ID', async () => {
+    await expect(run(authenticate(), { ...EVENT, requestContext: {} })).rejects.toMatchObject({
+      status: 401,
+      code: 'UNAUTHORIZED',
+    });
+  });
+});
+
+describe('authorizeList', () => {
+  it('should provide the access to the personal To-Dos without a listId', async () => {
+    const handler = jest.fn(async () => OK);
+
+    await run(authorizeList('editor'), EVENT, handler);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-123',
+      access: { userId: 'user-123', listId: null, partitionKey: 'user-123', role: 'owner' },
+    }));
+  });
+
+  it('should reject an invalid listId before reading the list', async () => {
+    const event = { ...EVENT, queryStringParameters: { listId: 'not-a-list' } };
+
+    await expect(run(authorizeList('viewer'), event)).rejects.toMatchObject({ status: 400, code: 'INVALID_LIST_ID' });
+  });
+
+  it('should read the listId where the endpoint says', async () => {
+    const event = { ...EVENT, pathParameters: { id: 'not-a-list' } };
+
+    await expect(run(authorizeList('owner', ({ pathParameters }) => pathParameters.id), event)).rejects.toMatchObject({
+      status: 400,
+      code: 'INVALID_LIST_ID',
+    });
+  });
+});
+
+describe('parseJsonBody', () => {
+  it('should provide the parsed body', async () => {
+    const handler = jest.fn(async () => OK);
+
+    await run(parseJsonBody(), { ...EVENT, body: JSON.stringify({ title: 'Milk' }) }, handler);
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ body: { title: 'Milk' } }));
+  });
+
+  it('should reject malformed JSON', async () => {
+    await expect(run(parseJsonBody(), { ...EVENT, body: '{"title":' })).rejects.toMatchObject({
+      status: 400,
+      code: 'MALFORMED_JSON',
+    });
+  });
+});
+
+describe('validation', () => {
+  it('should provide the query string parameters of a valid request', async () => {
+    const handler = jest.fn(async () => OK);
+    const event = { ...EVENT, queryStringParameters: { limit: '10' } };
+
+    await compose([parseJsonBody(), validation({ body: TITLE_SCHEMA })], handler)({ ...event, body: '{"title":"Milk"}' }, {});
+
+    expect(handler).toHaveBeenCalledWith(expect.objectContaining({ body: { title: 'Milk' }, query: { limit: '10' } }));
+  });
+
+  it('should report body and query errors together', async () => {
+    const querySchema = { type: 'object', properties: {} };
+    const event = { ...EVENT, body: '{}', queryStringParameters: { colour: 'red' } };
+
+    const error = await compose([parseJsonBody(), validation({ body: TITLE_SCHEMA, query: querySchema })], async () => OK)(event, {})
+      .catch((thrown) => thrown);
+
+    expect(error).toMatchObject({ status: 400, code: 'VALIDATION_FAILED' });
+    expect(error.extensions.errors.map(({ field }) => field)).toEqual(['title', 'colour']);
+  });
+});
+
+describe('route', () => {
+  beforeEach(() => {
+    process.env.LOG_LEVEL = 'silent';
+    process.env.ALLOWED_ORIGINS = FRONTEND_ORIGIN;
+  });
+
+  afterEach(() => {
+    delete process.env.LOG_LEVEL;
+    delete process.env.ALLOWED_ORIGINS;
+  });
+
+  it('should send the result of the business function with the route status and headers', async () => {
+    const handler = route({ failureMessage: "Failed.", body: TITLE_SCHEMA, status: 201 }, async ({ userId, body }) => ({ userId, title: body.title }));
+
+    const response = await handler({ ...EVENT, body: JSON.stringify({ title: 'Milk' }) }, {});
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body)).toEqual({ userId: 'user-123', title: 'Milk' });
+    expect(response.headers).toMatchObject({ 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': FRONTEND_ORIGIN });
+    expect(response.headers['Server-Timing']).toBeDefined();
+  });
+
+  it('should not call the business function for unauthenticated requests', async () => {
+    const businessFunction = jest.fn();
+    const handler = route({ failureMessage: "Failed." }, businessFunction);
+
+    const response = await handler({ ...EVENT, requestContext: {} }, {});
+
+    expect(response.statusCode).toBe(401);
+    expect(response.headers['Access-Control-Allow-Origin']).toBe(FRONTEND_ORIGIN);
+    expect(businessFunction).not.toHaveBeenCalled();
+  });
+
+  it('should allow public routes', async () => {
+    const handler = route({ failureMessage: "Failed.", auth: false }, async () => ({}));
+
+    const response = await handler({ httpMethod: 'OPTIONS', path: '/todos' }, {});
+
+    expect(response.statusCode).toBe(200);
+  });
+});
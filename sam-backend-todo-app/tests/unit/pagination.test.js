@@ -0,0 +1,68 @@
+/**
+ * Unit tests for the pagination token helpers.
+ * @jest-environment node
+ * @group unit
+ * @group pagination
+ * @module pagination.test.js
+ */
+process.env.PAGINATION_TOKEN_SECRET = 'unit-test-pagination-secret';
+
+const {
+  DEFAULT_PAGE_LIMIT,
+  parseLimit,
+  encodeNextToken,
+  decodeNextToken,
+} = require('../../src/utils/pagination');
+
+const lastKey = { userId: 'user-123', todoId: 'todo-1' };
+
+describe('parseLimit', () => {
+  it('should default when no limit is given', () => {
+    expect(parseLimit(undefined)).toBe(DEFAULT_PAGE_LIMIT);
+  });
+
+  it('should accept integers within range', () => {
+    expect(parseLimit('25')).toBe(25);
+  });
+
+  it('should reject non-numeric and out of range values', () => {
+    expect(parseLimit('abc')).toBeNull();
+    expect(parseLimit('0')).toBeNull();
+    expect(parseLimit('101')).toBeNull();
+    expect(parseLimit('-5')).toBeNull();
+  });
+});
+
+describe('encodeNextToken / decodeNextToken', () => {
+  it('should return null when there is no LastEvaluatedKey', () => {
+    expect(encodeNextToken(undefined, 'user-123')).toBeNull();
+  });
+
+  it('should round-trip a key for the same user', () => {
+    const token = encodeNextToken(lastKey, 'user-123');
+    expect(decodeNextToken(token, 'user-123')).toEqual(lastKey);
+  });
+
+  it('should reject a token issued to another user', () => {
+    const token = encodeNextToken(lastKey, 'user-123');
+    expect(decodeNextToken(token, 'user-456')).toBeNull();
+  });
+
+  it('should reject a token issued for a different index', () => {
+    const token = encodeNextToken(lastKey, 'user-123', 'SomeIndex');
+    expect(decodeNextToken(token, 'user-123', 'SomeIndex')).toEqual(lastKey);
+    expect(decodeNextToken(token, 'user-123')).toBeNull();
+  });
+
+  it('should reject a token whose payload was altered', () => {
+    const [, signature] = encodeNextToken(lastKey, 'user-123').split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({ u: 'user-123', k: { userId: 'user-456', todoId: 'x' } })).toString('base64url');
+    expect(decodeNextToken(`${forgedPayload}.${signature}`, 'user-123')).toBeNull();
+  });
+
+  it('should reject malformed tokens', () => {
+    expect(decodeNextToken('not-a-token', 'user-123')).toBeNull();
+    expect(decodeNextToken('a.b.c', 'user-123')).toBeNull();
+    expect(decodeNextToken(undefined, 'user-123')).toBeNull();
+  });
+});
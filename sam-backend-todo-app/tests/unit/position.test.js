@@ -0,0 +1,71 @@
+/**
+ * Unit tests for the fractional index helpers of the manual order.
+ * @jest-environment node
+ * @group unit
+ * @group position
+ * @module position.test.js
+ */
+const {
+  MAX_POSITION_LENGTH,
+  isValidPosition,
+  positionBetween,
+  initialPosition,
+} = require('../../src/utils/position');
+
+describe('isValidPosition', () => {
+  it('should accept base-62 digits that do not end in 0', () => {
+    expect(isValidPosition('a0Z')).toBe(true);
+  });
+
+  it.each([[''], ['a0'], ['a-b'], [42], [null], ['a'.repeat(MAX_POSITION_LENGTH + 1)]])('should reject %p', (value) => {
+    expect(isValidPosition(value)).toBe(false);
+  });
+});
+
+describe('positionBetween', () => {
+  it.each([
+    ['A', 'C', 'B'],
+    ['A', 'B', 'AV'],
+    ['A', 'A1', 'A0V'],
+    ['AV', 'B', 'Al'],
+    [null, 'A', '5'],
+    [null, '1', '0V'],
+    ['y', null, 'z'],
+    ['z', null, 'zV'],
+    [null, null, 'V'],
+  ])('should place an item between %p and %p at %p', (after, before, expected) => {
+    expect(positionBetween(after, before)).toEqual({ value: expected });
+  });
+
+  it('should always find a position in between, however often an item is moved into the same gap', () => {
+    let after = 'A';
+    const before = 'B';
+    for (let move = 0; move < 200; move += 1) {
+      const { value } = positionBetween(after, before);
+      expect(value > after && value < before).toBe(true);
+      expect(isValidPosition(value)).toBe(true);
+      after = value;
+    }
+  });
+
+  it('should return an error for neighbours out of order or invalid positions', () => {
+    expect(positionBetween('B', 'A').error).toMatch(/must come before/);
+    expect(positionBetween('A', 'A').error).toMatch(/must come before/);
+    expect(positionBetween('A0', null).error).toMatch(/base-62 digits/);
+  });
+});
+
+describe('initialPosition', () => {
+  it('should order new items by their creation time', () => {
+    const first = initialPosition(new Date('2025-01-01T00:00:00.000Z'));
+    const second = initialPosition(new Date('2025-01-01T00:00:00.001Z'));
+
+    expect(isValidPosition(first)).toBe(true);
+    expect(first < second).toBe(true);
+  });
+
+  it('should give items created in the same millisecond distinct positions', () => {
+    const now = new Date();
+    expect(initialPosition(now)).not.toBe(initialPosition(now));
+  });
+});
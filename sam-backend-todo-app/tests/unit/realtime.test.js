@@ -0,0 +1,227 @@
+/**
+ * Unit tests for the real-time WebSocket Lambda functions
+ * using Jest and AWS SDK mock.
+ * @jest-environment node
+ * @group unit
+ * @group realtime
+ * @module realtime.test.js
+ */
+// The request log of the middleware pipeline would drown the test output
+process.env.LOG_LEVEL = 'silent';
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { PutCommand, DeleteCommand, QueryCommand, DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+const { ApiGatewayManagementApiClient, PostToConnectionCommand, GoneException } = require('@aws-sdk/client-apigatewaymanagementapi');
+const { marshall } = require('@aws-sdk/util-dynamodb');
+const logger = require('../../src/utils/logger');
+
+const mockVerify = jest.fn();
+jest.mock('aws-jwt-verify', () => ({
+  CognitoJwtVerifier: { create: jest.fn(() => ({ verify: mockVerify })) },
+}));
+
+const {
+  authorizeHandler,
+  connectHandler,
+  disconnectHandler,
+  broadcastHandler,
+} = require('../../src/realtime');
+
+// Mock the DynamoDB DocumentClient and the API Gateway Management API client
+const ddbMock = mockClient(DynamoDBDocumentClient);
+const managementMock = mockClient(ApiGatewayManagementApiClient);
+
+const mockUserId = 'user-123';
+const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:api-id/Prod/$connect';
+
+/**
+ * Helper function to create a mock WebSocket route event
+ * @param {Object} options - Options for the event
+ * @param {string} options.connectionId - The connection ID (default: 'conn-1')
+ * @param {boolean} options.authorizer - Whether to include the authorizer context (default: true)
+ * @return {Object} - Mock event object
+ */
+const createConnectionEvent = ({ connectionId = 'conn-1', authorizer = true } = {}) => ({
+  requestContext: {
+    connectionId,
+    ...(authorizer && { authorizer: { sub: mockUserId } }),
+  },
+});
+
+/**
+ * Helper function to create a DynamoDB stream record
+ * @param {string} eventName - INSERT, MODIFY or REMOVE
+ * @param {Object} item - The new image of the item
+ * @return {Object} - Mock stream record
+ */
+const createRecord = (eventName, item) => ({
+  eventName,
+  dynamodb: { NewImage: marshall(item), Keys: marshall({ userId: item.userId, todoId: item.todoId }) },
+});
+
+beforeEach(() => {
+  ddbMock.reset();
+  managementMock.reset();
+  mockVerify.mockReset();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('authorizeHandler', () => {
+  test('allows a connection with a valid ID token', async () => {
+    mockVerify.mockResolvedValue({ sub: mockUserId });
+
+    const result = await authorizeHandler({ queryStringParameters: { token: 'id-token' }, methodArn });
+
+    expect(mockVerify).toHaveBeenCalledWith('id-token');
+    expect(result.principalId).toBe(mockUserId);
+    expect(result.policyDocument.Statement[0]).toEqual({ Action: 'execute-api:Invoke', Effect: 'Allow', Resource: methodArn });
+    expect(result.context).toEqual({ sub: mockUserId });
+  });
+
+  test('denies a connection with an invalid token', async () => {
+    mockVerify.mockRejectedValue(new Error('Token expired'));
+
+    const result = await authorizeHandler({ queryStringParameters: { token: 'expired' }, methodArn });
+
+    expect(result.policyDocument.Statement[0].Effect).toBe('Deny');
+    expect(result.context).toBeUndefined();
+  });
+
+  test('denies a connection without a token', async () => {
+    const result = await authorizeHandler({ methodArn });
+
+    expect(result.policyDocument.Statement[0].Effect).toBe('Deny');
+    expect(mockVerify).not.toHaveBeenCalled();
+  });
+});
+
+describe('connectHandler', () => {
+  test('stores the connection under the user ID', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const response = await connectHandler(createConnectionEvent());
+
+    expect(response.statusCode).toBe(200);
+    const { Item } = ddbMock.commandCalls(PutCommand)[0].args[0].input;
+    expect(Item).toEqual(expect.objectContaining({ userId: mockUserId, connectionId: 'conn-1' }));
+    expect(Item.expiresAt).toBeGreaterThan(Math.floor(Date.now() / 1000));
+  });
+
+  test('returns 401 without the authorizer context', async () => {
+    const response = await connectHandler(createConnectionEvent({ authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+    expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+  });
+
+  test('returns 500 when the connection cannot be stored', async () => {
+    ddbMock.on(PutCommand).rejects(new Error('DynamoDB error'));
+
+    const response = await connectHandler(createConnectionEvent());
+
+    expect(response.statusCode).toBe(500);
+  });
+});
+
+describe('disconnectHandler', () => {
+  test('removes the connection', async () => {
+    ddbMock.on(DeleteCommand).resolves({});
+
+    const response = await disconnectHandler(createConnectionEvent());
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ userId: mockUserId, connectionId: 'conn-1' });
+  });
+});
+
+describe('broadcastHandler', () => {
+  const todo = { userId: mockUserId, todoId: 'todo-1', title: 'Buy milk', status: 'pending', updatedAt: '2025-01-01T00:00:00.000Z' };
+
+  test('sends the changes of a user to each of their connections', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ connectionId: 'conn-1' }, { connectionId: 'conn-2' }] });
+    managementMock.on(PostToConnectionCommand).resolves({});
+    const trashed = { ...todo, todoId: 'todo-2', deletedAt: '2025-01-02T00:00:00.000Z' };
+
+    const result = await broadcastHandler({ Records: [createRecord('INSERT', todo), createRecord('MODIFY', trashed)] });
+
+    expect(result).toEqual({ sent: 2 });
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(1);
+    const calls = managementMock.commandCalls(PostToConnectionCommand);
+    expect(calls.map(call => call.args[0].input.ConnectionId)).toEqual(['conn-1', 'conn-2']);
+    expect(JSON.parse(calls[0].args[0].input.Data)).toEqual({
+      type: 'changes',
+      todos: [todo],
+      tombstones: [{ todoId: 'todo-2', deletedAt: trashed.deletedAt, permanent: false }],
+    });
+  });
+
+  test('reports permanent deletes through their tombstone and skips removals', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ connectionId: 'conn-1' }] });
+    managementMock.on(PostToConnectionCommand).resolves({});
+    const tombstone = { userId: mockUserId, todoId: 'tombstone#todo-1', purgedAt: '2025-01-03T00:00:00.000Z', updatedAt: '2025-01-03T00:00:00.000Z' };
+
+    await broadcastHandler({ Records: [createRecord('REMOVE', todo), createRecord('INSERT', tombstone)] });
+
+    const message = JSON.parse(managementMock.commandCalls(PostToConnectionCommand)[0].args[0].input.Data);
+    expect(message).toEqual({
+      type: 'changes',
+      todos: [],
+      tombstones: [{ todoId: 'todo-1', deletedAt: tombstone.purgedAt, permanent: true }],
+    });
+  });
+
+  test('sends the changes of a shared list to the connections of every member', async () => {
+    const listId = '11111111-2222-4333-8444-555555555555';
+    ddbMock.on(QueryCommand).callsFake(input => (input.ExpressionAttributeValues[':l']
+      ? { Items: [{ memberUserId: mockUserId }, { memberUserId: 'user-456' }] }
+      : { Items: [{ connectionId: `conn-${input.ExpressionAttributeValues[':u']}` }] }));
+    managementMock.on(PostToConnectionCommand).resolves({});
+    const listTodo = { ...todo, userId: `list#${listId}` };
+
+    const result = await broadcastHandler({ Records: [createRecord('INSERT', listTodo)] });
+
+    expect(result).toEqual({ sent: 2 });
+    const calls = managementMock.commandCalls(PostToConnectionCommand);
+    expect(calls.map(call => call.args[0].input.ConnectionId)).toEqual([`conn-${mockUserId}`, 'conn-user-456']);
+    expect(JSON.parse(calls[0].args[0].input.Data)).toEqual({ type: 'changes', listId, todos: [listTodo], tombstones: [] });
+  });
+
+  test('removes connections that are gone', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ connectionId: 'conn-gone' }, { connectionId: 'conn-1' }] });
+    ddbMock.on(DeleteCommand).resolves({});
+    managementMock.on(PostToConnectionCommand, { ConnectionId: 'conn-gone' })
+      .rejects(new GoneException({ message: 'Gone', $metadata: { httpStatusCode: 410 } }));
+    managementMock.on(PostToConnectionCommand, { ConnectionId: 'conn-1' }).resolves({});
+
+    const result = await broadcastHandler({ Records: [createRecord('MODIFY', todo)] });
+
+    expect(result).toEqual({ sent: 1 });
+    expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.Key).toEqual({ userId: mockUserId, connectionId: 'conn-gone' });
+  });
+
+  test('asks clients to resync when the changes do not fit into one message', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ connectionId: 'conn-1' }] });
+    managementMock.on(PostToConnectionCommand).resolves({});
+    const large = { ...todo, description: 'x'.repeat(130 * 1024) };
+
+    await broadcastHandler({ Records: [createRecord('MODIFY', large)] });
+
+    const message = JSON.parse(managementMock.commandCalls(PostToConnectionCommand)[0].args[0].input.Data);
+    expect(message).toEqual({ type: 'changes', resync: true });
+  });
+
+  test('keeps going when a send fails', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ connectionId: 'conn-1' }] });
+    managementMock.on(PostToConnectionCommand).rejects(new Error('Throttled'));
+    jest.spyOn(logger, 'error');
+
+    const result = await broadcastHandler({ Records: [createRecord('MODIFY', todo)] });
+
+    expect(result).toEqual({ sent: 0 });
+    expect(logger.error).toHaveBeenCalledWith("Error sending change to WebSocket connection.", expect.objectContaining({ connectionId: 'conn-1' }));
+    expect(ddbMock.commandCalls(DeleteCommand)).toHaveLength(0);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for the recurrence rules of repeating To-Dos.
+ * @jest-environment node
+ * @group unit
+ * @group recurrence
+ * @module recurrence.test.js
+ */
+const { validateRecurrence, nextDueAt } = require('../../src/utils/recurrence');
+
+describe('validateRecurrence', () => {
+  it('should default the interval to 1 and store the weekdays Monday first without duplicates', () => {
+    expect(validateRecurrence({ frequency: 'weekly', weekdays: ['SU', 'MO', 'SU'] }))
+      .toEqual({ value: { frequency: 'weekly', interval: 1, weekdays: ['MO', 'SU'] } });
+    expect(validateRecurrence({ frequency: 'monthly', interval: 2, monthDay: 31 }))
+      .toEqual({ value: { frequency: 'monthly', interval: 2, monthDay: 31 } });
+  });
+
+  it.each([
+    ['a missing rule', null, /must be an object/],
+    ['an unknown frequency', { frequency: 'hourly' }, /frequency must be/],
+    ['a zero interval', { frequency: 'daily', interval: 0 }, /interval must be/],
+    ['weekly without weekdays', { frequency: 'weekly' }, /require weekdays/],
+    ['weekdays on a daily rule', { frequency: 'daily', weekdays: ['MO'] }, /require weekdays/],
+    ['an unknown weekday', { frequency: 'weekly', weekdays: ['XX'] }, /weekdays must be/],
+    ['a monthDay out of range', { frequency: 'monthly', monthDay: 32 }, /monthDay must be/],
+  ])('should reject %s', (_, recurrence, message) => {
+    expect(validateRecurrence(recurrence).error).toMatch(message);
+  });
+});
+
+describe('nextDueAt', () => {
+  const completedAt = new Date('2025-03-05T12:00:00.000Z'); // a Wednesday
+
+  it('should add the interval to the due date of a daily rule', () => {
+    expect(nextDueAt({ frequency: 'daily', interval: 2 }, '2025-03-06T09:00:00.000Z', completedAt)).toBe('2025-03-08T09:00:00.000Z');
+  });
+
+  it('should skip occurrences that were missed while the item was overdue', () => {
+    expect(nextDueAt({ frequency: 'daily', interval: 1 }, '2025-03-01T09:00:00.000Z', completedAt)).toBe('2025-03-06T09:00:00.000Z');
+  });
+
+  it('should use the next listed weekday of a weekly rule', () => {
+    const recurrence = { frequency: 'weekly', interval: 1, weekdays: ['MO', 'FR'] };
+    expect(nextDueAt(recurrence, '2025-03-03T08:00:00.000Z', completedAt)).toBe('2025-03-07T08:00:00.000Z');
+  });
+
+  it('should only use every interval-th week of a weekly rule', () => {
+    const recurrence = { frequency: 'weekly', interval: 2, weekdays: ['MO'] };
+    expect(nextDueAt(recurrence, '2025-03-03T08:00:00.000Z', completedAt)).toBe('2025-03-17T08:00:00.000Z');
+  });
+
+  it('should fall back to the last day of shorter months for a monthly rule', () => {
+    const recurrence = { frequency: 'monthly', interval: 1, monthDay: 31 };
+    expect(nextDueAt(recurrence, '2025-01-31T10:00:00.000Z', new Date('2025-01-31T11:00:00.000Z'))).toBe('2025-02-28T10:00:00.000Z');
+  });
+
+  it('should count an after-completion rule from the completion day, keeping the time of the due date', () => {
+    expect(nextDueAt({ frequency: 'afterCompletion', interval: 3 }, '2025-02-20T18:30:00.000Z', completedAt)).toBe('2025-03-08T18:30:00.000Z');
+  });
+
+  it('should count from the completion time when the item had no due date', () => {
+    expect(nextDueAt({ frequency: 'daily', interval: 1 }, undefined, completedAt)).toBe('2025-03-06T12:00:00.000Z');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for the full-text search helpers.
+ * @jest-environment node
+ * @group unit
+ * @group search
+ * @module search.test.js
+ */
+const {
+  MAX_QUERY_LENGTH,
+  tokenize,
+  parseSearchQuery,
+  scoreTodo,
+  rankTodos,
+} = require('../../src/utils/search');
+
+describe('tokenize', () => {
+  it('should split text into lower-cased words without accents', () => {
+    expect(tokenize('Pick up the CAFÉ order, 2x!')).toEqual(['pick', 'up', 'the', 'cafe', 'order', '2x']);
+  });
+
+  it('should return no words for missing text', () => {
+    expect(tokenize(undefined)).toEqual([]);
+  });
+});
+
+describe('parseSearchQuery', () => {
+  it('should return the distinct search terms', () => {
+    expect(parseSearchQuery('Tax tax return')).toEqual(['tax', 'return']);
+  });
+
+  it('should reject empty, too long and too many terms', () => {
+    expect(parseSearchQuery(undefined)).toBeNull();
+    expect(parseSearchQuery(' - ')).toBeNull();
+    expect(parseSearchQuery('a'.repeat(MAX_QUERY_LENGTH + 1))).toBeNull();
+    expect(parseSearchQuery('a b c d e f g h i j k')).toBeNull();
+  });
+});
+
+describe('scoreTodo', () => {
+  it('should require every term to match the start of a word', () => {
+    const item = { title: 'Renew passport', description: 'Bring photos' };
+
+    expect(scoreTodo(item, ['pass', 'photo'])).toBeGreaterThan(0);
+    expect(scoreTodo(item, ['passport', 'visa'])).toBe(0);
+    expect(scoreTodo(item, ['sport'])).toBe(0);
+  });
+
+  it('should score title and whole word matches higher', () => {
+    const inTitle = scoreTodo({ title: 'Budget review' }, ['budget']);
+    const inDescription = scoreTodo({ title: 'Meeting', description: 'Budget review' }, ['budget']);
+    const prefix = scoreTodo({ title: 'Budgeting' }, ['budget']);
+
+    expect(inTitle).toBeGreaterThan(inDescription);
+    expect(inTitle).toBeGreaterThan(prefix);
+  });
+});
+
+describe('rankTodos', () => {
+  it('should drop non-matching items and order by score, then by most recent update', () => {
+    const items = [
+      { todoId: 'old', title: 'Gym', updatedAt: '2025-01-01T00:00:00.000Z' },
+      { todoId: 'none', title: 'Groceries' },
+      { todoId: 'new', title: 'Gym', updatedAt: '2025-02-01T00:00:00.000Z' },
+      { todoId: 'desc', title: 'Evening', description: 'gym bag' },
+    ];
+
+    expect(rankTodos(items, ['gym']).map(item => item.todoId)).toEqual(['new', 'old', 'desc']);
+  });
+});
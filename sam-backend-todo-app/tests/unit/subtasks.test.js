@@ -0,0 +1,340 @@
+/**
+ * Unit tests for the subtask Lambda functions
+ * using Jest and AWS SDK mock.
+ * @jest-environment node
+ * @group unit
+ * @group subtasks
+ * @module subtasks.test.js
+ */
+// The request log of the middleware pipeline would drown the test output
+process.env.LOG_LEVEL = 'silent';
+
+const { mockClient } = require('aws-sdk-client-mock');
+const { GetCommand, UpdateCommand, TransactWriteCommand, DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
+
+const {
+  addSubtaskHandler,
+  updateSubtaskHandler,
+  reorderSubtasksHandler,
+  deleteSubtaskHandler,
+} = require('../../src/subtasks');
+
+// Mock the DynamoDB DocumentClient
+const ddbMock = mockClient(DynamoDBDocumentClient);
+
+jest.mock('uuid', () => ({
+  v4: jest.fn(() => 'mock-uuid'),
+}));
+
+const mockUserId = 'user-123';
+const updatedAt = '2025-01-01T00:00:00.000Z';
+
+/**
+ * Helper function to create a mock event for testing
+ * @param {Object} options - Options for the event
+ * @param {Object} options.pathParams - Path parameters (default: { id: 'todo-1' })
+ * @param {Object} options.body - Request body (default: {})
+ * @param {boolean} options.authorizer - Whether to include authorizer claims (default: true)
+ * @return {Object} - Mock event object
+ */
+const createEvent = ({ pathParams = { id: 'todo-1' }, body = {}, authorizer = true } = {}) => {
+  const event = {
+    pathParameters: pathParams,
+    body: JSON.stringify(body),
+  };
+  if (authorizer) {
+    event.requestContext = { authorizer: { claims: { sub: mockUserId } } };
+  }
+  return event;
+};
+
+/**
+ * Helper function to create a stored To-Do item with a checklist
+ * @param {Object} overrides - Attributes to override
+ * @return {Object} - Mock To-Do item
+ */
+const createTodo = (overrides = {}) => ({
+  userId: mockUserId,
+  todoId: 'todo-1',
+  title: 'Groceries',
+  status: 'pending',
+  autoComplete: false,
+  updatedAt,
+  subtasks: [
+    { subtaskId: 's1', title: 'Milk', done: true, createdAt: updatedAt },
+    { subtaskId: 's2', title: 'Eggs', done: false, createdAt: updatedAt },
+  ],
+  ...overrides,
+});
+
+/**
+ * Returns the input of the first UpdateCommand sent to DynamoDB
+ * @return {Object} - The UpdateCommand input
+ */
+const updateInput = () => ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+
+// Reset the mock before each test
+beforeEach(() => {
+  ddbMock.reset();
+  jest.clearAllMocks();
+  ddbMock.on(UpdateCommand).callsFake(input => ({ Attributes: { todoId: 'todo-1', subtasks: input.ExpressionAttributeValues[':st'] } }));
+});
+
+/**
+ * Unit tests for the addSubtaskHandler function
+ * @group addSubtaskHandler
+ */
+describe('addSubtaskHandler', () => {
+  it('should append a subtask and guard the write with the loaded updatedAt', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: ' Bread ' } }));
+
+    expect(response.statusCode).toBe(201);
+    const input = updateInput();
+    expect(input.Key).toEqual({ userId: mockUserId, todoId: 'todo-1' });
+    expect(input.ConditionExpression).toBe('updatedAt = :prev');
+    expect(input.ExpressionAttributeValues[':prev']).toBe(updatedAt);
+    expect(input.UpdateExpression).toContain('version = if_not_exists(version, :zero) + :one');
+    expect(input.ExpressionAttributeValues[':st'].map(s => s.subtaskId)).toEqual(['s1', 's2', 'mock-uuid']);
+    expect(input.ExpressionAttributeValues[':st'][2]).toMatchObject({ title: 'Bread', done: false });
+  });
+
+  it('should return 400 for a missing title', async () => {
+    const response = await addSubtaskHandler(createEvent({ body: { title: ' ' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Subtask title is required/i);
+    expect(ddbMock.commandCalls(GetCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for malformed JSON', async () => {
+    const response = await addSubtaskHandler({ ...createEvent(), body: '{"title":' });
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe("Request body must be valid JSON.");
+    expect(ddbMock.commandCalls(GetCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 when the checklist is full', async () => {
+    const subtasks = Array.from({ length: 50 }, (_, index) => ({ subtaskId: `s${index}`, title: 'x', done: false }));
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ subtasks }) });
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'One more' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/at most 50 subtasks/i);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 404 if the todo does not exist', async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'Bread' } }));
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should return 404 if the todo is in the trash', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ deletedAt: updatedAt }) });
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'Bread' } }));
+
+    expect(response.statusCode).toBe(404);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'Bread' }, authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 409 if the todo changed concurrently', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'Bread' } }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).message).toMatch(/modified by another request/i);
+    expect(JSON.parse(response.body).code).toBe('CONCURRENT_MODIFICATION');
+  });
+
+  it('should return 500 if DynamoDB fails', async () => {
+    ddbMock.on(GetCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await addSubtaskHandler(createEvent({ body: { title: 'Bread' } }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toMatch(/Failed to add subtask/i);
+  });
+});
+
+/**
+ * Unit tests for the updateSubtaskHandler function
+ * @group updateSubtaskHandler
+ */
+describe('updateSubtaskHandler', () => {
+  it('should toggle a subtask', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's2' }, body: { done: true } });
+    const response = await updateSubtaskHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = updateInput();
+    expect(input.ExpressionAttributeValues[':st'][1]).toMatchObject({ subtaskId: 's2', title: 'Eggs', done: true });
+    // autoComplete is off, so the status is left alone
+    expect(input.UpdateExpression).not.toContain('#s = :s');
+  });
+
+  it('should complete the todo when the last subtask is done and autoComplete is on', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ autoComplete: true }) });
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's2' }, body: { done: true } });
+    await updateSubtaskHandler(event);
+
+    const input = updateInput();
+    expect(input.UpdateExpression).toContain('#s = :s');
+    expect(input.ExpressionAttributeValues[':s']).toBe('completed');
+  });
+
+  it('should create the next occurrence when checking off the last subtask completes a repeating todo', async () => {
+    const recurrence = { frequency: 'daily', interval: 1 };
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ autoComplete: true, recurrence }) });
+    ddbMock.on(UpdateCommand).callsFake(input => ({
+      Attributes: { ...createTodo({ autoComplete: true, recurrence }), status: input.ExpressionAttributeValues[':s'], subtasks: input.ExpressionAttributeValues[':st'] },
+    }));
+    ddbMock.on(TransactWriteCommand).resolves({});
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's2' }, body: { done: true } });
+    const response = await updateSubtaskHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todo).toMatchObject({ status: 'completed', nextOccurrenceId: 'mock-uuid' });
+    expect(body.nextOccurrence).toMatchObject({
+      todoId: 'mock-uuid',
+      status: 'pending',
+      seriesId: 'todo-1',
+      subtasks: [{ subtaskId: 's1', done: false }, { subtaskId: 's2', done: false }],
+    });
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(1);
+  });
+
+  it('should keep the checklist change when the next occurrence cannot be created', async () => {
+    const recurrence = { frequency: 'daily', interval: 1 };
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ autoComplete: true, recurrence }) });
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { ...createTodo({ autoComplete: true, recurrence }), status: 'completed' } });
+    ddbMock.on(TransactWriteCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's2' }, body: { done: true } });
+    const response = await updateSubtaskHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).nextOccurrenceError).toMatchObject({ code: 'NEXT_OCCURRENCE_FAILED' });
+  });
+
+  it('should not create an occurrence for a change that leaves a repeating todo completed', async () => {
+    const subtasks = [{ subtaskId: 's1', title: 'Milk', done: true }];
+    const todo = createTodo({ autoComplete: true, status: 'completed', recurrence: { frequency: 'daily', interval: 1 }, subtasks });
+    ddbMock.on(GetCommand).resolves({ Item: todo });
+    ddbMock.on(UpdateCommand).resolves({ Attributes: todo });
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's1' }, body: { title: 'Oat milk' } });
+    const response = await updateSubtaskHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should reopen an auto-completed todo when a subtask is unchecked', async () => {
+    const subtasks = [{ subtaskId: 's1', title: 'Milk', done: true }];
+    ddbMock.on(GetCommand).resolves({ Item: createTodo({ autoComplete: true, status: 'completed', subtasks }) });
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 's1' }, body: { done: false } });
+    await updateSubtaskHandler(event);
+
+    expect(updateInput().ExpressionAttributeValues[':s']).toBe('pending');
+  });
+
+  it('should return 404 for an unknown subtask', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    const event = createEvent({ pathParams: { id: 'todo-1', subtaskId: 'nope' }, body: { done: true } });
+    const response = await updateSubtaskHandler(event);
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/Subtask not found./i);
+    expect(JSON.parse(response.body).code).toBe('SUBTASK_NOT_FOUND');
+  });
+
+  it('should return 400 for invalid fields', async () => {
+    const pathParams = { id: 'todo-1', subtaskId: 's1' };
+
+    let response = await updateSubtaskHandler(createEvent({ pathParams, body: { done: 'yes' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Done must be a boolean./i);
+
+    response = await updateSubtaskHandler(createEvent({ pathParams, body: {} }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/No valid fields provided/i);
+  });
+});
+
+/**
+ * Unit tests for the reorderSubtasksHandler function
+ * @group reorderSubtasksHandler
+ */
+describe('reorderSubtasksHandler', () => {
+  it('should store the subtasks in the requested order', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    const response = await reorderSubtasksHandler(createEvent({ body: { order: ['s2', 's1'] } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(updateInput().ExpressionAttributeValues[':st'].map(s => s.subtaskId)).toEqual(['s2', 's1']);
+  });
+
+  it('should return 400 unless every subtask is listed exactly once', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    for (const order of [['s1'], ['s1', 's1'], ['s1', 's3']]) {
+      const response = await reorderSubtasksHandler(createEvent({ body: { order } }));
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toMatch(/every subtask ID exactly once/i);
+    }
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 if the order is not an array', async () => {
+    const response = await reorderSubtasksHandler(createEvent({ body: { order: 's1,s2' } }));
+
+    expect(response.statusCode).toBe(400);
+  });
+});
+
+/**
+ * Unit tests for the deleteSubtaskHandler function
+ * @group deleteSubtaskHandler
+ */
+describe('deleteSubtaskHandler', () => {
+  it('should remove the subtask', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: createTodo() });
+
+    const response = await deleteSubtaskHandler(createEvent({ pathParams: { id: 'todo-1', subtaskId: 's1' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(updateInput().ExpressionAttributeValues[':st'].map(s => s.subtaskId)).toEqual(['s2']);
+  });
+
+  it('should return 400 for a missing subtask id', async () => {
+    const response = await deleteSubtaskHandler(createEvent({ pathParams: { id: 'todo-1' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Subtask ID is required./i);
+  });
+});
@@ -6,19 +6,41 @@
  * @group todos
  * @module todos.test.js
  */
+process.env.PAGINATION_TOKEN_SECRET = 'unit-test-pagination-secret';
+// The request log of the middleware pipeline would drown the test output
+process.env.LOG_LEVEL = 'silent';
+
 const { mockClient } = require('aws-sdk-client-mock');
-const { PutCommand, QueryCommand, UpdateCommand, DeleteCommand } = require('@aws-sdk/lib-dynamodb');
+const {
+  PutCommand,
+  GetCommand,
+  QueryCommand,
+  UpdateCommand,
+  DeleteCommand,
+  BatchWriteCommand,
+  TransactWriteCommand,
+} = require('@aws-sdk/lib-dynamodb');
 const { DynamoDBDocumentClient } = require('@aws-sdk/lib-dynamodb');
 
 const {
   createTodoHandler,
   getTodosHandler,
+  getTodoHandler,
+  getTagsHandler,
+  searchTodosHandler,
   updateTodoHandler,
   deleteTodoHandler,
+  restoreTodoHandler,
+  moveTodoHandler,
+  updateTodoPositionHandler,
+  getTrashHandler,
+  getChangesHandler,
+  batchTodosHandler,
   optionsHandler
 } = require('../../src/todos');
 
 const { v4: uuidv4 } = require('uuid');
+const { encodeNextToken } = require('../../src/utils/pagination');
 
 // Mock the DynamoDB DocumentClient
 const ddbMock = mockClient(DynamoDBDocumentClient);
@@ -34,14 +56,20 @@ const mockUserId = 'user-123';
  * @param {Object} options - Options for the event
  * @param {string} options.method - HTTP method (default: 'POST')
  * @param {Object} options.pathParams - Path parameters (default: {})
+ * @param {Object} options.queryParams - Query string parameters (default: null)
+ * @param {Object} options.multiValueQueryParams - Multi-value query string parameters (default: null)
  * @param {Object} options.body - Request body (default: {})
+ * @param {Object} options.headers - Request headers (default: {})
  * @param {boolean} options.authorizer - Whether to include authorizer claims (default: true)
  * @return {Object} - Mock event object
  */
-const createEvent = ({ method = 'POST', pathParams = {}, body = {}, authorizer = true } = {}) => {
+const createEvent = ({ method = 'POST', pathParams = {}, queryParams = null, multiValueQueryParams = null, body = {}, headers = {}, authorizer = true } = {}) => {
   const event = {
     httpMethod: method,
+    headers: headers,
     pathParameters: pathParams,
+    queryStringParameters: queryParams,
+    multiValueQueryStringParameters: multiValueQueryParams,
     body: JSON.stringify(body),
   };
 
@@ -71,6 +99,25 @@ describe('optionsHandler', () => {
     const result = await optionsHandler({});
     expect(result.statusCode).toBe(200);
   });
+
+  it('should answer preflight requests from the frontend without a token with the CORS headers', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://d111111abcdef8.cloudfront.net,http://localhost:8080';
+    const result = await optionsHandler({ httpMethod: 'OPTIONS', path: '/todos', headers: { origin: 'http://localhost:8080' } });
+    expect(result.statusCode).toBe(200);
+    expect(result.headers['Access-Control-Allow-Origin']).toBe('http://localhost:8080');
+    expect(result.headers['Access-Control-Allow-Headers']).toContain('If-Match');
+    expect(result.headers.Vary).toBe('Origin');
+    delete process.env.ALLOWED_ORIGINS;
+  });
+
+  it('should reject preflight requests from other origins with 403', async () => {
+    process.env.ALLOWED_ORIGINS = 'https://d111111abcdef8.cloudfront.net';
+    const result = await optionsHandler({ httpMethod: 'OPTIONS', path: '/todos', headers: { Origin: 'https://evil.example.com' } });
+    expect(result.statusCode).toBe(403);
+    expect(JSON.parse(result.body).code).toBe('ORIGIN_NOT_ALLOWED');
+    expect(result.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    delete process.env.ALLOWED_ORIGINS;
+  });
 });
 
 /**
@@ -91,6 +138,149 @@ describe('createTodoHandler', () => {
     expect(body.todo.todoId).toBe('mock-uuid');
   });
 
+  it('should store a normalised due date', async () => {
+    ddbMock.on(PutCommand).resolves({});
+    const dueAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    // Send the due date with an explicit offset; it is stored in UTC
+    const localDueAt = dueAt.toISOString().replace('Z', '+00:00');
+
+    const event = createEvent({ body: { title: 'Test Todo', dueAt: localDueAt } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).todo.dueAt).toBe(dueAt.toISOString());
+  });
+
+  it('should default to medium priority and store the derived sort keys', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const event = createEvent({ body: { title: '  Buy Milk ' } });
+    await createTodoHandler(event);
+
+    const item = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+    expect(item.priority).toBe('medium');
+    expect(item.priorityRank).toBe(2);
+    expect(item.titleSortKey).toBe('buy milk');
+    expect(item.position).toMatch(/^[0-9A-Za-z]{11}[1-9A-Za-z]$/);
+  });
+
+  it('should accept an explicit priority', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const event = createEvent({ body: { title: 'Fix prod', priority: 'urgent' } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(201);
+    expect(JSON.parse(response.body).todo.priorityRank).toBe(4);
+  });
+
+  it('should return 400 for an invalid priority', async () => {
+    const event = createEvent({ body: { title: 'Test Todo', priority: 'critical' } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Priority must be 'low', 'medium', 'high' or 'urgent'./i);
+  });
+
+  it('should not set dueAt when no due date is given', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const event = createEvent({ body: { title: 'Test Todo' } });
+    await createTodoHandler(event);
+
+    expect(ddbMock.commandCalls(PutCommand)[0].args[0].input.Item).not.toHaveProperty('dueAt');
+  });
+
+  it('should return 400 for a malformed due date', async () => {
+    const event = createEvent({ body: { title: 'Test Todo', dueAt: 'next tuesday' } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Due date must be a valid ISO-8601 date-time./i);
+  });
+
+  it('should return 400 for a due date in the past', async () => {
+    const event = createEvent({ body: { title: 'Test Todo', dueAt: '2020-01-01T00:00:00Z' } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Due date cannot be in the past./i);
+  });
+
+  it('should store normalised, de-duplicated tags', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const event = createEvent({ body: { title: 'Test Todo', tags: ['Work', ' urgent ', 'work'] } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(201);
+    expect(ddbMock.commandCalls(PutCommand)[0].args[0].input.Item.tags).toEqual(['work', 'urgent']);
+  });
+
+  it('should start with an empty checklist and autoComplete off', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    await createTodoHandler(createEvent({ body: { title: 'Test Todo' } }));
+
+    const item = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+    expect(item.subtasks).toEqual([]);
+    expect(item.autoComplete).toBe(false);
+  });
+
+  it('should store a normalised recurrence rule and reject an invalid one', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    await createTodoHandler(createEvent({ body: { title: 'Standup', recurrence: { frequency: 'weekly', weekdays: ['FR', 'MO'] } } }));
+    const response = await createTodoHandler(createEvent({ body: { title: 'Standup', recurrence: { frequency: 'weekly' } } }));
+
+    const item = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+    expect(item.recurrence).toEqual({ frequency: 'weekly', interval: 1, weekdays: ['MO', 'FR'] });
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should start at version 1', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const response = await createTodoHandler(createEvent({ body: { title: 'Test Todo' } }));
+
+    expect(JSON.parse(response.body).todo.version).toBe(1);
+  });
+
+  it('should return 400 for a non-boolean autoComplete', async () => {
+    const response = await createTodoHandler(createEvent({ body: { title: 'Test Todo', autoComplete: 'yes' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/autoComplete must be a boolean./i);
+  });
+
+  it('should default to no tags', async () => {
+    ddbMock.on(PutCommand).resolves({});
+
+    const response = await createTodoHandler(createEvent({ body: { title: 'Test Todo' } }));
+
+    expect(response.statusCode).toBe(201);
+    expect(ddbMock.commandCalls(PutCommand)[0].args[0].input.Item.tags).toEqual([]);
+  });
+
+  it('should return 400 for invalid tags', async () => {
+    let response = await createTodoHandler(createEvent({ body: { title: 'Test Todo', tags: 'work' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Tags must be an array of strings./i);
+
+    response = await createTodoHandler(createEvent({ body: { title: 'Test Todo', tags: ['no spaces'] } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Tags must be 1-30 characters/i);
+
+    response = await createTodoHandler(createEvent({ body: { title: 'Test Todo', tags: ['x'.repeat(31)] } }));
+    expect(response.statusCode).toBe(400);
+
+    const tooManyTags = Array.from({ length: 11 }, (_, index) => `tag${index}`);
+    response = await createTodoHandler(createEvent({ body: { title: 'Test Todo', tags: tooManyTags } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/at most 10 tags/i);
+    expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+  });
+
   it('should return 400 for invalid title', async () => {
     const event = createEvent({ body: { title: '', description: 'desc' } });
     const response = await createTodoHandler(event);
@@ -98,6 +288,51 @@ describe('createTodoHandler', () => {
     expect(response.statusCode).toBe(400);
   });
 
+  it('should return 400 listing every invalid field', async () => {
+    const event = createEvent({ body: { title: 'x'.repeat(201), priority: 'critical', colour: 'red' } });
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    const body = JSON.parse(response.body);
+    expect(body.errors).toEqual([
+      { field: 'title', message: "title must be at most 200 characters." },
+      { field: 'priority', message: "Priority must be 'low', 'medium', 'high' or 'urgent'." },
+      { field: 'colour', message: "colour is not an allowed field." },
+    ]);
+    expect(body.message).toBe(body.errors.map(error => error.message).join(' '));
+    expect(ddbMock.commandCalls(PutCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for malformed JSON', async () => {
+    const event = { ...createEvent(), body: '{"title": "Test' };
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe("Request body must be valid JSON.");
+    expect(JSON.parse(response.body).code).toBe('MALFORMED_JSON');
+  });
+
+  it('should answer errors with RFC 7807 problem details', async () => {
+    const event = { ...createEvent({ body: { description: 'No title' } }), path: '/todos' };
+    event.requestContext.requestId = 'request-1';
+
+    const response = await createTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(response.headers['Content-Type']).toBe('application/problem+json');
+    expect(JSON.parse(response.body)).toEqual({
+      type: 'about:blank',
+      title: 'Bad Request',
+      status: 400,
+      detail: "Title is required and must be a non-empty string.",
+      code: 'VALIDATION_FAILED',
+      requestId: 'request-1',
+      instance: '/todos',
+      message: "Title is required and must be a non-empty string.",
+      errors: [{ field: 'title', message: "Title is required and must be a non-empty string." }],
+    });
+  });
+
   it('should return 401 for missing user', async () => {
     const event = createEvent({ authorizer: false });
     const response = await createTodoHandler(event);
@@ -115,6 +350,8 @@ describe('createTodoHandler', () => {
   expect(response.statusCode).toBe(500);
   const body = JSON.parse(response.body);
   expect(body.message).toMatch(/Failed to create To-Do item. Please try again later./i);
+  expect(body.code).toBe('INTERNAL_ERROR');
+  expect(body.detail).not.toMatch(/DynamoDB/);
   });
 
 });
@@ -146,207 +383,1859 @@ describe('getTodosHandler', () => {
     expect(response.statusCode).toBe(401);
   });
 
-   it('should return 500 if DynamoDB query fails', async () => {
-     ddbMock.on(QueryCommand).rejects(new Error('DynamoDB is down'));
+  it('should start a delta sync with a syncCursor on the first page only', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [{ todoId: '1' }], LastEvaluatedKey: { userId: mockUserId, todoId: '1' } });
 
-     const event = createEvent({ method: 'GET' });
-     const response = await getTodosHandler(event);
+    const first = JSON.parse((await getTodosHandler(createEvent({ method: 'GET', queryParams: { limit: '1' } }))).body);
+    expect(typeof first.syncCursor).toBe('string');
 
-     expect(response.statusCode).toBe(500);
-     const body = JSON.parse(response.body);
-     expect(body.message).toMatch(/Failed to retrieve To-Do items. Please try again later./i);
+    const next = JSON.parse((await getTodosHandler(createEvent({ method: 'GET', queryParams: { nextToken: first.nextToken } }))).body);
+    expect(next.syncCursor).toBeUndefined();
   });
-});
 
-/**
- * Unit tests for the updateTodoHandler function
- * @group updateTodoHandler
- * @module updateTodoHandler.test.js
- */
-describe('updateTodoHandler', () => {
+  it('should return a nextToken when more items are available', async () => {
+    ddbMock.on(QueryCommand).resolves({
+      Items: [{ todoId: '1', title: 'Todo 1' }],
+      LastEvaluatedKey: { userId: mockUserId, todoId: '1' }
+    });
 
-  it('should return 401 for missing user', async () => {
-    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, authorizer: false });
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(401);
-    expect(JSON.parse(response.body).message).toMatch(/Unauthorized: User ID not found in token./i);
+    const event = createEvent({ method: 'GET', queryParams: { limit: '1' } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(typeof body.nextToken).toBe('string');
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.Limit).toBe(1);
   });
 
-  it('should update a todo successfully', async () => {
-    ddbMock.on(UpdateCommand).resolves({
-      Attributes: { todoId: '1', title: 'Updated Title' }
-    });
+  it('should keep querying until the page is full when the filter drops items', async () => {
+    const item = (todoId) => ({ userId: mockUserId, todoId, createdAt: `2025-01-0${todoId}T00:00:00.000Z` });
+    ddbMock.on(QueryCommand)
+      // Only trashed items in the first read
+      .resolvesOnce({ Items: [], LastEvaluatedKey: { userId: mockUserId, todoId: '0', createdAt: '2025-01-10T00:00:00.000Z' } })
+      .resolvesOnce({ Items: [item('1')], LastEvaluatedKey: { userId: mockUserId, todoId: '1', createdAt: '2025-01-01T00:00:00.000Z' } })
+      .resolvesOnce({ Items: [item('2'), item('3')], LastEvaluatedKey: { userId: mockUserId, todoId: '9', createdAt: '2024-12-01T00:00:00.000Z' } });
 
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { title: 'Updated Title' }
-    });
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { limit: '2' } }));
 
-    const response = await updateTodoHandler(event);
     expect(response.statusCode).toBe(200);
     const body = JSON.parse(response.body);
-    expect(body.todo.title).toBe('Updated Title');
+    expect(body.todos.map(todo => todo.todoId)).toEqual(['1', '2']);
+    const calls = ddbMock.commandCalls(QueryCommand);
+    expect(calls).toHaveLength(3);
+    expect(calls[1].args[0].input.ExclusiveStartKey).toMatchObject({ todoId: '0' });
+    expect(calls[2].args[0].input.ExclusiveStartKey).toMatchObject({ todoId: '1' });
+
+    // The next page starts right after the last item returned, not after the last item read
+    ddbMock.reset();
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+    await getTodosHandler(createEvent({ method: 'GET', queryParams: { limit: '2', nextToken: body.nextToken } }));
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExclusiveStartKey).toEqual(item('2'));
   });
 
-  it ('should return 400 for missing to-do id', async () => {
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: {}
-    });
+  it('should return a null nextToken on the last page', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(400);
-    expect(JSON.parse(response.body).message).toMatch(/To-Do ID is required./i);
+    const event = createEvent({ method: 'GET' });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).nextToken).toBeNull();
   });
 
-  it('should return 400 for missing title', async () => {
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { title: '', description: 'Test Description' }
-    });
+  it('should resume the query from a valid nextToken', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+    const lastKey = { userId: mockUserId, todoId: '42', createdAt: '2025-01-01T00:00:00.000Z' };
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(400);
-    expect(JSON.parse(response.body).message).toMatch(/Title must be a non-empty string./i);
+    const event = createEvent({ method: 'GET', queryParams: { nextToken: encodeNextToken(lastKey, mockUserId, 'UserCreatedAtIndex') } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExclusiveStartKey).toEqual(lastKey);
   });
 
-  it('should return 400 for missing description', async () => {
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { title: 'Test Title', description: 123 }
-    });
+  it('should return 400 for a nextToken issued to another user', async () => {
+    const token = encodeNextToken({ userId: 'someone-else', todoId: '42' }, 'someone-else');
+
+    const event = createEvent({ method: 'GET', queryParams: { nextToken: token } });
+    const response = await getTodosHandler(event);
 
-    const response = await updateTodoHandler(event);
     expect(response.statusCode).toBe(400);
-    expect(JSON.parse(response.body).message).toMatch(/Description must be a string./i);
+    expect(JSON.parse(response.body).message).toMatch(/Invalid pagination token./i);
   });
 
-  it('should return 400 for invalid status', async () => {
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { status: 'done' }
-    });
+  it('should return newest todos first by default', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(400);
-    expect(JSON.parse(response.body).message).toMatch(/Status must be 'pending' or 'completed'./i);
+    const response = await getTodosHandler(createEvent({ method: 'GET' }));
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserCreatedAtIndex');
+    expect(input.ScanIndexForward).toBe(false);
   });
 
-  it('should return 404 if item is not found or unauthorized to update', async () => {
-    // Simulate a case where the item is not found
-    // No Attributes returned
-    ddbMock.on(UpdateCommand).resolves({}); 
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { title: 'Test' }
-    });
+  it.each([
+    ['priority', 'desc', 'UserPriorityIndex', false],
+    ['dueAt', 'asc', 'UserDueAtIndex', true],
+    ['title', 'asc', 'UserTitleIndex', true],
+    ['createdAt', 'asc', 'UserCreatedAtIndex', true],
+    ['position', 'asc', 'UserPositionIndex', true],
+  ])('should sort by %s %s using %s', async (sort, order, indexName, scanIndexForward) => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(404);
-    expect(JSON.parse(response.body).message).toMatch(/To-Do item not found or unauthorized to update./i);
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { sort, order } }));
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe(indexName);
+    expect(input.ScanIndexForward).toBe(scanIndexForward);
   });
 
-  it('should return 500 if DynamoDB update fails', async () => {
-    ddbMock.on(UpdateCommand).rejects(new Error('DynamoDB is down'));
+  it('should filter on the due date when sorting by another attribute', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: '1' },
-      body: { title: 'Test' }
-    });
+    const event = createEvent({ method: 'GET', queryParams: { dueBefore: '2030-01-01T00:00:00Z', sort: 'priority' } });
+    await getTodosHandler(event);
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(500);
-    const body = JSON.parse(response.body);
-    expect(body.message).toMatch(/Failed to update To-Do item. Please try again later./i);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserPriorityIndex');
+    expect(input.KeyConditionExpression).toBe('userId = :u');
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND dueAt < :due');
   });
 
-  it('should return 400 if DynamoDB key does not match the schema', async () => {
-    const error = new Error('The provided key element does not match the schema');
-    error.name = 'ValidationException';
+  it('should list items without the sort key after the sorted ones', async () => {
+    const sorted = { userId: mockUserId, todoId: '1', createdAt: '2025-01-01T00:00:00.000Z', priorityRank: 3 };
+    // Created before priority sorting was introduced
+    const legacy = { userId: mockUserId, todoId: '2', createdAt: '2024-01-01T00:00:00.000Z' };
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({ Items: [sorted] })
+      .resolvesOnce({ Items: [legacy] });
 
-    ddbMock.on(UpdateCommand).rejects(error);
-    const event = createEvent({
-      method: 'PUT',
-      pathParams: { id: 'invalid-key' },
-      body: {
-        title: 'Test'
-      }
-    });
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { sort: 'priority', status: 'pending' } }));
 
-    const response = await updateTodoHandler(event);
-    expect(response.statusCode).toBe(400);
+    expect(response.statusCode).toBe(200);
     const body = JSON.parse(response.body);
-    expect(body.message).toMatch(/Invalid To-Do ID or data format./i);
+    expect(body.todos.map(todo => todo.todoId)).toEqual(['1', '2']);
+    expect(body.nextToken).toBeNull();
+    const input = ddbMock.commandCalls(QueryCommand)[1].args[0].input;
+    expect(input.IndexName).toBeUndefined();
+    expect(input.ExclusiveStartKey).toBeUndefined();
+    expect(input.KeyConditionExpression).toBe('userId = :u');
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND #s = :status AND attribute_exists(createdAt) AND attribute_not_exists(#sortKey)');
+    expect(input.ExpressionAttributeNames).toEqual({ '#s': 'status', '#sortKey': 'priorityRank' });
   });
-  
-});
 
-/**
- * Unit tests for the deleteTodoHandler function
- * @group deleteTodoHandler
- * @module deleteTodoHandler.test.js
- */
-describe('deleteTodoHandler', () => {
-  it('should delete a todo successfully', async () => {
-    ddbMock.on(DeleteCommand).resolves({
-      Attributes: { todoId: '1' }
-    });
+  it('should page from the sorted items to the items without the sort key', async () => {
+    const dated = { userId: mockUserId, todoId: '1', createdAt: '2025-01-01T00:00:00.000Z', dueAt: '2030-01-01T00:00:00.000Z' };
+    const undated = (todoId) => ({ userId: mockUserId, todoId, createdAt: '2025-01-02T00:00:00.000Z' });
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({ Items: [dated] })
+      .resolvesOnce({ Items: [undated('2'), undated('3')], LastEvaluatedKey: { userId: mockUserId, todoId: '3' } });
 
-    const event = createEvent({
-      method: 'DELETE',
-      pathParams: { id: '1' }
-    });
+    const first = JSON.parse((await getTodosHandler(createEvent({ method: 'GET', queryParams: { sort: 'dueAt', limit: '2' } }))).body);
+    expect(first.todos.map(todo => todo.todoId)).toEqual(['1', '2']);
 
-    const response = await deleteTodoHandler(event);
-    expect(response.statusCode).toBe(200);
+    ddbMock.reset();
+    ddbMock.on(QueryCommand).resolves({ Items: [undated('3')] });
+    const next = JSON.parse((await getTodosHandler(createEvent({
+      method: 'GET',
+      queryParams: { sort: 'dueAt', limit: '2', nextToken: first.nextToken },
+    }))).body);
+
+    expect(next.todos.map(todo => todo.todoId)).toEqual(['3']);
+    expect(next.nextToken).toBeNull();
+    const calls = ddbMock.commandCalls(QueryCommand);
+    expect(calls).toHaveLength(1);
+    expect(calls[0].args[0].input.IndexName).toBeUndefined();
+    expect(calls[0].args[0].input.ExclusiveStartKey).toEqual({ userId: mockUserId, todoId: '2' });
   });
 
-  it('should return 401 for missing user', async () => {
-    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, authorizer: false });
-    const response = await deleteTodoHandler(event);
-    expect(response.statusCode).toBe(401);
-    expect(JSON.parse(response.body).message).toMatch(/Unauthorized: User ID not found in token./i);
+  it('should not list items without a due date for a due date filter', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    await getTodosHandler(createEvent({ method: 'GET', queryParams: { dueBefore: '2030-01-01T00:00:00Z' } }));
+
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(1);
   });
 
-  it('should return 404 if todo not found', async () => {
-    ddbMock.on(DeleteCommand).resolves({}); // No Attributes
-    const event = createEvent({
-      method: 'DELETE',
-      pathParams: { id: '1' }
-    });
+  it('should not read the table after the creation date index', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
-    const response = await deleteTodoHandler(event);
-    expect(response.statusCode).toBe(404);
+    await getTodosHandler(createEvent({ method: 'GET' }));
+
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(1);
   });
 
-  it('should return 400 for missing id', async () => {
+  it('should return 400 for an invalid sort or order', async () => {
+    let response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { sort: 'todoId' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Sort must be/i);
+
+    response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { order: 'random' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Order must be 'asc' or 'desc'./i);
+  });
+
+  it('should query the due date index for dueBefore', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const event = createEvent({ method: 'GET', queryParams: { dueBefore: '2030-01-01T00:00:00Z' } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserDueAtIndex');
+    expect(input.KeyConditionExpression).toBe('userId = :u AND dueAt < :due');
+    expect(input.ExpressionAttributeValues[':due']).toBe('2030-01-01T00:00:00.000Z');
+    // Only the trash filter, the due date is part of the key condition
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt)');
+  });
+
+  it('should only return pending items due before now for overdue=true', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const event = createEvent({ method: 'GET', queryParams: { overdue: 'true', dueBefore: '2999-01-01T00:00:00Z' } });
+    const before = new Date().toISOString();
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserDueAtIndex');
+    expect(input.ExpressionAttributeValues[':due'] >= before).toBe(true);
+    expect(input.ExpressionAttributeValues[':due'] < '2999-01-01T00:00:00.000Z').toBe(true);
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND #s <> :completed');
+  });
+
+  it('should reject a nextToken issued for a different index', async () => {
+    const token = encodeNextToken({ userId: mockUserId, todoId: '42' }, mockUserId);
+
+    const event = createEvent({ method: 'GET', queryParams: { overdue: 'true', nextToken: token } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should return 400 for invalid due date filters', async () => {
+    let response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { dueBefore: 'tomorrow' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/dueBefore must be a valid ISO-8601 date-time./i);
+
+    response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { overdue: 'yes' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/overdue must be 'true' or 'false'./i);
+  });
+
+  it('should filter by status', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { status: 'completed' } }));
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND #s = :status');
+    expect(input.ExpressionAttributeNames).toEqual({ '#s': 'status' });
+    expect(input.ExpressionAttributeValues[':status']).toBe('completed');
+  });
+
+  it('should use the creation date range as key condition when sorting by creation date', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
     const event = createEvent({
-      method: 'DELETE',
-      pathParams: {}
+      method: 'GET',
+      queryParams: { createdAfter: '2025-01-01T00:00:00Z', createdBefore: '2025-02-01T01:00:00+01:00', updatedSince: '2025-01-15T00:00:00Z' },
     });
+    const response = await getTodosHandler(event);
 
-    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserCreatedAtIndex');
+    expect(input.KeyConditionExpression).toBe('userId = :u AND createdAt > :createdAfter');
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND createdAt < :createdBefore AND updatedAt >= :updatedSince');
+    expect(input.ExpressionAttributeValues).toMatchObject({
+      ':createdAfter': '2025-01-01T00:00:00.000Z',
+      ':createdBefore': '2025-02-01T00:00:00.000Z',
+      ':updatedSince': '2025-01-15T00:00:00.000Z',
+    });
+  });
+
+  it('should filter on the creation date when sorting by another attribute', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const event = createEvent({ method: 'GET', queryParams: { createdBefore: '2025-02-01T00:00:00Z', sort: 'title' } });
+    await getTodosHandler(event);
+
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.KeyConditionExpression).toBe('userId = :u');
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND createdAt < :createdBefore');
+  });
+
+  it('should return 400 for invalid status and date range filters', async () => {
+    let response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { status: 'done' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe("Status must be 'pending' or 'completed'.");
+
+    response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { updatedSince: '2025-01-01' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe('updatedSince must be a valid ISO-8601 date-time.');
+
+    response = await getTodosHandler(createEvent({
+      method: 'GET',
+      queryParams: { createdAfter: '2025-02-01T00:00:00Z', createdBefore: '2025-01-01T00:00:00Z' },
+    }));
     expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toBe('createdAfter must be earlier than createdBefore.');
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
   });
 
-  it('should return 500 if DynamoDB update fails', async () => {
-    ddbMock.on(DeleteCommand).rejects(new Error('DynamoDB is down'));
+  it('should require every tag by default when filtering on tags', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
 
     const event = createEvent({
-      method: 'DELETE',
-      pathParams: { id: '1' },
-      body: { title: 'Test' }
+      method: 'GET',
+      queryParams: { tag: 'urgent' },
+      multiValueQueryParams: { tag: ['Work', 'urgent'] },
     });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND (contains(tags, :tag0) AND contains(tags, :tag1))');
+    expect(input.ExpressionAttributeValues[':tag0']).toBe('work');
+    expect(input.ExpressionAttributeValues[':tag1']).toBe('urgent');
+  });
+
+  it('should match any tag for tagMode=any', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const event = createEvent({
+      method: 'GET',
+      queryParams: { tag: 'home', overdue: 'true', tagMode: 'any' },
+      multiValueQueryParams: { tag: ['work', 'home'] },
+    });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND #s <> :completed AND (contains(tags, :tag0) OR contains(tags, :tag1))');
+  });
+
+  it('should fall back to the single-value tag parameter', async () => {
+    ddbMock.on(QueryCommand).resolves({ Items: [] });
+
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { tag: 'work' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.FilterExpression).toBe('attribute_not_exists(deletedAt) AND (contains(tags, :tag0))');
+  });
+
+  it('should return 400 for invalid tag filters', async () => {
+    let response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { tag: 'not a tag' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Tags must be 1-30 characters/i);
+
+    response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { tag: 'work', tagMode: 'some' } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/tagMode must be 'all' or 'any'./i);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for an invalid limit', async () => {
+    const event = createEvent({ method: 'GET', queryParams: { limit: '1000' } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Limit must be an integer/i);
+  });
+
+  it('should return 400 for unknown query string parameters', async () => {
+    const event = createEvent({ method: 'GET', queryParams: { sortBy: 'title', limit: '0' } });
+    const response = await getTodosHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).errors.map(error => error.field)).toEqual(['sortBy', 'limit']);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+   it('should return 500 if DynamoDB query fails', async () => {
+     ddbMock.on(QueryCommand).rejects(new Error('DynamoDB is down'));
+
+     const event = createEvent({ method: 'GET' });
+     const response = await getTodosHandler(event);
+
+     expect(response.statusCode).toBe(500);
+     const body = JSON.parse(response.body);
+     expect(body.message).toMatch(/Failed to retrieve To-Do items. Please try again later./i);
+  });
+});
+
+/**
+ * Unit tests for the getTodoHandler function
+ * @group getTodoHandler
+ * @module getTodoHandler.test.js
+ */
+describe('getTodoHandler', () => {
+  it('should return the todo for the user', async () => {
+    ddbMock.on(GetCommand).resolves({
+      Item: { userId: mockUserId, todoId: '1', title: 'Todo 1' }
+    });
+
+    const event = createEvent({ method: 'GET', pathParams: { id: '1' } });
+    const response = await getTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.title).toBe('Todo 1');
+    expect(ddbMock.commandCalls(GetCommand)[0].args[0].input.Key).toEqual({ userId: mockUserId, todoId: '1' });
+  });
+
+  it('should return 401 for missing user', async () => {
+    const event = createEvent({ method: 'GET', pathParams: { id: '1' }, authorizer: false });
+    const response = await getTodoHandler(event);
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 400 for missing id', async () => {
+    const event = createEvent({ method: 'GET', pathParams: {} });
+    const response = await getTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/To-Do ID is required./i);
+  });
+
+  it('should return 404 if the todo does not exist or belongs to another user', async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    const event = createEvent({ method: 'GET', pathParams: { id: 'someone-elses-todo' } });
+    const response = await getTodoHandler(event);
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/To-Do item not found./i);
+  });
+
+  it('should return 404 if the todo is in the trash', async () => {
+    ddbMock.on(GetCommand).resolves({ Item: { userId: mockUserId, todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z' } });
+
+    const response = await getTodoHandler(createEvent({ method: 'GET', pathParams: { id: '1' } }));
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should return 500 if DynamoDB get fails', async () => {
+    ddbMock.on(GetCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({ method: 'GET', pathParams: { id: '1' } });
+    const response = await getTodoHandler(event);
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toMatch(/Failed to retrieve To-Do item. Please try again later./i);
+  });
+});
+
+/**
+ * Unit tests for the getTagsHandler function
+ * @group getTagsHandler
+ * @module getTagsHandler.test.js
+ */
+describe('getTagsHandler', () => {
+  it('should count tag usage across all pages, most used first', async () => {
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({
+        Items: [{ tags: ['work', 'urgent'] }, { tags: ['home'] }],
+        LastEvaluatedKey: { userId: mockUserId, todoId: '2' },
+      })
+      .resolvesOnce({
+        // Tags of trashed items are not counted
+        Items: [{ tags: ['work'] }, {}, { tags: ['urgent', 'trashed'], deletedAt: '2025-01-01T00:00:00.000Z' }],
+      });
+
+    const response = await getTagsHandler(createEvent({ method: 'GET' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).tags).toEqual([
+      { tag: 'work', count: 2 },
+      { tag: 'home', count: 1 },
+      { tag: 'urgent', count: 1 },
+    ]);
+    const calls = ddbMock.commandCalls(QueryCommand);
+    expect(calls).toHaveLength(2);
+    expect(calls[0].args[0].input.ProjectionExpression).toBe('tags, deletedAt');
+    expect(calls[1].args[0].input.ExclusiveStartKey).toEqual({ userId: mockUserId, todoId: '2' });
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await getTagsHandler(createEvent({ method: 'GET', authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 500 if DynamoDB query fails', async () => {
+    ddbMock.on(QueryCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await getTagsHandler(createEvent({ method: 'GET' }));
 
-    const response = await deleteTodoHandler(event);
     expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toMatch(/Failed to retrieve tags. Please try again later./i);
+  });
+});
+
+/**
+ * Unit tests for the searchTodosHandler function
+ * @group searchTodosHandler
+ */
+describe('searchTodosHandler', () => {
+  it('should return matching todos from all pages, best match first', async () => {
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({
+        Items: [
+          { todoId: '1', title: 'Call the plumber', description: 'About the dentist bill' },
+          { todoId: '2', title: 'Groceries' },
+        ],
+        LastEvaluatedKey: { userId: mockUserId, todoId: '2' },
+      })
+      .resolvesOnce({
+        Items: [{ todoId: '3', title: 'Dentist appointment' }],
+      });
+
+    const response = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'Dentist' } }));
+
+    expect(response.statusCode).toBe(200);
     const body = JSON.parse(response.body);
-    expect(body.message).toMatch(/Failed to delete To-Do item. Please try again later./i);
+    expect(body.todos.map(todo => todo.todoId)).toEqual(['3', '1']);
+    expect(body.total).toBe(2);
+    expect(body.terms).toEqual(['dentist']);
+    const calls = ddbMock.commandCalls(QueryCommand);
+    expect(calls).toHaveLength(2);
+    expect(calls[0].args[0].input.FilterExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt)');
+    expect(calls[1].args[0].input.ExclusiveStartKey).toEqual({ userId: mockUserId, todoId: '2' });
+  });
+
+  it('should filter by status and apply the limit', async () => {
+    ddbMock.on(QueryCommand).resolves({
+      Items: [{ todoId: '1', title: 'Report draft' }, { todoId: '2', title: 'Report review' }],
+    });
+
+    const response = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'report', status: 'completed', limit: '1' } }));
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todos).toHaveLength(1);
+    expect(body.total).toBe(2);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.FilterExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND #s = :s');
+    expect(input.ExpressionAttributeNames).toEqual({ '#s': 'status' });
+    expect(input.ExpressionAttributeValues[':s']).toBe('completed');
+  });
+
+  it('should return 400 for a missing or empty query', async () => {
+    const missing = await searchTodosHandler(createEvent({ method: 'GET' }));
+    const empty = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: ' ?! ' } }));
+
+    expect(missing.statusCode).toBe(400);
+    expect(empty.statusCode).toBe(400);
+    expect(JSON.parse(empty.body).message).toMatch(/Search query q must contain/);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for an invalid status or limit', async () => {
+    const badStatus = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'report', status: 'done' } }));
+    const badLimit = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'report', limit: '0' } }));
+
+    expect(badStatus.statusCode).toBe(400);
+    expect(JSON.parse(badStatus.body).message).toBe("Status must be 'pending' or 'completed'.");
+    expect(badLimit.statusCode).toBe(400);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'report' }, authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 500 if DynamoDB query fails', async () => {
+    ddbMock.on(QueryCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await searchTodosHandler(createEvent({ method: 'GET', queryParams: { q: 'report' } }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toBe('Failed to search To-Do items. Please try again later.');
+  });
+});
+
+/**
+ * Unit tests for the updateTodoHandler function
+ * @group updateTodoHandler
+ * @module updateTodoHandler.test.js
+ */
+describe('updateTodoHandler', () => {
+
+  it('should return 401 for missing user', async () => {
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, authorizer: false });
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(401);
+    expect(JSON.parse(response.body).message).toMatch(/Unauthorized: User ID not found in token./i);
+  });
+
+  it('should update a todo successfully', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: { todoId: '1', title: 'Updated Title' }
+    });
+
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: 'Updated Title' }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todo.title).toBe('Updated Title');
+  });
+
+  it('should reject fields that cannot be changed without writing anything', async () => {
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: 'Updated Title', userId: 'someone-else', description: 'x'.repeat(2001) }
+    });
+
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).errors).toEqual([
+      { field: 'userId', message: "userId is not an allowed field." },
+      { field: 'description', message: "description must be at most 2000 characters." },
+    ]);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should create the next occurrence when a repeating todo is completed', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: {
+        userId: mockUserId,
+        todoId: '1',
+        title: 'Water plants',
+        status: 'completed',
+        priority: 'high',
+        tags: ['home'],
+        subtasks: [{ subtaskId: 's1', title: 'Balcony', done: true }],
+        autoComplete: false,
+        recurrence: { frequency: 'daily', interval: 1 },
+        dueAt: '2030-01-01T09:00:00.000Z',
+        updatedAt: '2030-01-01T10:00:00.000Z',
+        version: 3,
+      },
+    });
+    ddbMock.on(TransactWriteCommand).resolves({});
+
+    const response = await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { status: 'completed' } }));
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.nextOccurrence).toMatchObject({
+      todoId: 'mock-uuid',
+      status: 'pending',
+      priority: 'high',
+      dueAt: '2030-01-02T09:00:00.000Z',
+      seriesId: '1',
+      subtasks: [{ subtaskId: 's1', title: 'Balcony', done: false }],
+      completionHistory: [{ todoId: '1', dueAt: '2030-01-01T09:00:00.000Z', completedAt: '2030-01-01T10:00:00.000Z' }],
+    });
+    expect(body.todo.nextOccurrenceId).toBe('mock-uuid');
+    const [put, update] = ddbMock.commandCalls(TransactWriteCommand)[0].args[0].input.TransactItems;
+    expect(put.Put.Item.recurrence).toEqual({ frequency: 'daily', interval: 1 });
+    expect(update.Update.ConditionExpression).toBe('attribute_not_exists(nextOccurrenceId) AND #s = :completed');
+  });
+
+  it('should keep the completion when the next occurrence cannot be created', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: { userId: mockUserId, todoId: '1', status: 'completed', recurrence: { frequency: 'daily', interval: 1 }, version: 2 },
+    });
+    ddbMock.on(TransactWriteCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { status: 'completed' } }));
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todo).toMatchObject({ todoId: '1', status: 'completed', version: 2 });
+    expect(body.nextOccurrence).toBeUndefined();
+    expect(body.nextOccurrenceError).toMatchObject({ code: 'NEXT_OCCURRENCE_FAILED' });
+  });
+
+  it('should not create another occurrence when it already exists', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: { todoId: '1', status: 'completed', recurrence: { frequency: 'daily', interval: 1 }, nextOccurrenceId: '2' },
+    });
+
+    const response = await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { status: 'completed' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).nextOccurrence).toBeUndefined();
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should set or remove the recurrence rule', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1' } });
+
+    await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { recurrence: { frequency: 'monthly', monthDay: 15 } } }));
+    await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { recurrence: null } }));
+    const response = await updateTodoHandler(createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { recurrence: { frequency: 'yearly' } } }));
+
+    const [set, remove] = ddbMock.commandCalls(UpdateCommand).map(call => call.args[0].input);
+    expect(set.ExpressionAttributeValues[':rec']).toEqual({ frequency: 'monthly', interval: 1, monthDay: 15 });
+    expect(remove.UpdateExpression).toContain('REMOVE #rec');
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should increment the version on every update', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', version: 2 } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { status: 'completed' } });
+    await updateTodoHandler(event);
+
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.UpdateExpression).toContain('version = if_not_exists(version, :zero) + :one');
+    // Without a precondition the update only requires the item to exist
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt)');
+  });
+
+  it('should only update the expected version from the If-Match header', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', version: 4 } });
+
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      headers: { 'if-match': 'W/"3"' },
+      body: { status: 'completed', expectedVersion: 7 },
+    });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND version = :ev');
+    expect(input.ExpressionAttributeValues[':ev']).toBe(3);
+  });
+
+  it('should accept unversioned items when version 1 is expected', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', version: 1 } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { status: 'completed', expectedVersion: 1 } });
+    await updateTodoHandler(event);
+
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND (version = :ev OR attribute_not_exists(version))');
+  });
+
+  it('should return 409 with the current server copy on a version mismatch', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({ Item: { todoId: '1', title: 'Changed elsewhere', version: 5 } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, headers: { 'If-Match': '4' }, body: { title: 'Mine' } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(409);
+    const body = JSON.parse(response.body);
+    expect(body.message).toMatch(/modified since you loaded it/i);
+    expect(body.code).toBe('VERSION_CONFLICT');
+    expect(body.todo).toEqual({ todoId: '1', title: 'Changed elsewhere', version: 5 });
+  });
+
+  it('should return 404 instead of creating a todo that does not exist', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({});
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: 'does-not-exist' }, body: { title: 'Phantom' } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/To-Do item not found./i);
+    expect(JSON.parse(response.body).code).toBe('TODO_NOT_FOUND');
+  });
+
+  it('should return 400 for an invalid expected version', async () => {
+    let event = createEvent({ method: 'PUT', pathParams: { id: '1' }, headers: { 'If-Match': 'abc' }, body: { title: 'Mine' } });
+    let response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Expected version must be a positive integer./i);
+
+    event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { title: 'Mine', expectedVersion: 0 } });
+    response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it ('should return 400 for missing to-do id', async () => {
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: {}
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/To-Do ID is required./i);
+  });
+
+  it('should return 400 for missing title', async () => {
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: '', description: 'Test Description' }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Title must be a non-empty string./i);
+  });
+
+  it('should return 400 for missing description', async () => {
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: 'Test Title', description: 123 }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Description must be a string./i);
+  });
+
+  it('should return 400 for invalid status', async () => {
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { status: 'done' }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Status must be 'pending' or 'completed'./i);
+  });
+
+  it('should replace the tags of a todo', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', tags: ['home'] } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { tags: ['Home'] } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.UpdateExpression).toContain('tags = :tg');
+    expect(input.ExpressionAttributeValues[':tg']).toEqual(['home']);
+  });
+
+  it('should update the autoComplete flag', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', autoComplete: true } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { autoComplete: true } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(UpdateCommand)[0].args[0].input.ExpressionAttributeValues[':ac']).toBe(true);
+  });
+
+  it('should return 400 for invalid tags on update', async () => {
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { tags: [42] } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should update the priority rank and title sort key together with their fields', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1' } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { title: 'New Title', priority: 'high' } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.ExpressionAttributeValues[':tk']).toBe('new title');
+    expect(input.ExpressionAttributeValues[':p']).toBe('high');
+    expect(input.ExpressionAttributeValues[':pr']).toBe(3);
+  });
+
+  it('should return 400 for an invalid priority', async () => {
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { priority: 'asap' } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should set a new due date', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1' } });
+    const dueAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { dueAt } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.UpdateExpression).toContain('#due = :due');
+    expect(input.ExpressionAttributeValues[':due']).toBe(dueAt);
+  });
+
+  it('should remove the due date when dueAt is null', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1' } });
+
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { dueAt: null } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.UpdateExpression).toMatch(/ REMOVE #due$/);
+    expect(input.ExpressionAttributeNames['#due']).toBe('dueAt');
+  });
+
+  it('should return 400 for a due date in the past', async () => {
+    const event = createEvent({ method: 'PUT', pathParams: { id: '1' }, body: { dueAt: '2001-09-09T01:46:40Z' } });
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Due date cannot be in the past./i);
+  });
+
+  it('should return 404 if item is not found or unauthorized to update', async () => {
+    // Simulate a case where the item is not found
+    // No Attributes returned
+    ddbMock.on(UpdateCommand).resolves({}); 
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: 'Test' }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/To-Do item not found or unauthorized to update./i);
+  });
+
+  it('should return 500 if DynamoDB update fails', async () => {
+    ddbMock.on(UpdateCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({
+      method: 'PUT',
+      pathParams: { id: '1' },
+      body: { title: 'Test' }
+    });
+
+    const response = await updateTodoHandler(event);
+    expect(response.statusCode).toBe(500);
+    const body = JSON.parse(response.body);
+    expect(body.message).toMatch(/Failed to update To-Do item. Please try again later./i);
+  });
+
+  it('should return 400 without reaching DynamoDB if the path parameters are missing', async () => {
+    const event = createEvent({ method: 'PUT', body: { title: 'Test' } });
+    event.pathParameters = null;
+
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body)).toMatchObject({ code: 'MISSING_PARAMETER', detail: "To-Do ID is required." });
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for a To-Do ID that cannot be a key', async () => {
+    const event = createEvent({ method: 'PUT', pathParams: { id: 'x'.repeat(200) }, body: { title: 'Test' } });
+
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).code).toBe('INVALID_PARAMETER');
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should not reveal DynamoDB validation errors', async () => {
+    const error = new Error('The provided key element does not match the schema');
+    error.name = 'ValidationException';
+    ddbMock.on(UpdateCommand).rejects(error);
+    const event = createEvent({ method: 'PUT', pathParams: { id: 'todo-1' }, body: { title: 'Test' } });
+
+    const response = await updateTodoHandler(event);
+
+    expect(response.statusCode).toBe(500);
+    const body = JSON.parse(response.body);
+    expect(body.code).toBe('INTERNAL_ERROR');
+    expect(body.detail).not.toMatch(/schema/);
+  });
+  
+});
+
+/**
+ * Unit tests for the deleteTodoHandler function
+ * @group deleteTodoHandler
+ * @module deleteTodoHandler.test.js
+ */
+describe('deleteTodoHandler', () => {
+  it('should move a todo to the trash with a TTL', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: { todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z' }
+    });
+
+    const event = createEvent({
+      method: 'DELETE',
+      pathParams: { id: '1' }
+    });
+
+    const before = Math.floor(Date.now() / 1000);
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.deletedAt).toBeDefined();
+
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.Key).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(input.UpdateExpression).toContain('deletedAt = :now');
+    expect(input.UpdateExpression).toContain('expiresAt = :exp');
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt)');
+    // Purged after the default retention of 30 days
+    expect(input.ExpressionAttributeValues[':exp'] - before).toBeGreaterThanOrEqual(30 * 24 * 60 * 60);
+    expect(input.ExpressionAttributeValues[':exp'] - before).toBeLessThan(30 * 24 * 60 * 60 + 5);
+    expect(ddbMock.commandCalls(DeleteCommand)).toHaveLength(0);
+  });
+
+  it('should only trash the expected version', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', version: 3 } });
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { expectedVersion: '2' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND version = :ev');
+    expect(input.ExpressionAttributeValues[':ev']).toBe(2);
+  });
+
+  it('should return 409 with the current server copy when deleting a stale version', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({ Item: { todoId: '1', version: 3 } });
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, headers: { 'If-Match': '"2"' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).todo.version).toBe(3);
+  });
+
+  it('should return 404 if the todo is already in the trash', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({ Item: { todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z' } });
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should delete a todo permanently with permanent=true', async () => {
+    ddbMock.on(DeleteCommand).resolves({ Attributes: { todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z' } });
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { permanent: 'true', expectedVersion: '2' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).message).toMatch(/deleted permanently/i);
+    const input = ddbMock.commandCalls(DeleteCommand)[0].args[0].input;
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND version = :ev');
+    expect(input.ExpressionAttributeValues).toEqual({ ':ev': 2 });
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+    // A tombstone records the deletion for GET /todos/changes
+    const tombstone = ddbMock.commandCalls(PutCommand)[0].args[0].input.Item;
+    expect(tombstone).toMatchObject({ userId: mockUserId, todoId: 'tombstone#1' });
+    expect(tombstone.updatedAt).toBe(tombstone.purgedAt);
+    expect(tombstone.deletedAt).toBeUndefined();
+  });
+
+  it('should still report a permanent delete when the tombstone cannot be written', async () => {
+    ddbMock.on(DeleteCommand).resolves({ Attributes: { todoId: '1' } });
+    ddbMock.on(PutCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { permanent: 'true' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(200);
+  });
+
+  it('should return 409 when permanently deleting a stale version', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(DeleteCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({ Item: { todoId: '1', version: 3, deletedAt: '2025-01-01T00:00:00.000Z' } });
+
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { permanent: 'true', expectedVersion: '2' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).todo.version).toBe(3);
+  });
+
+  it('should return 400 for an invalid permanent flag', async () => {
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { permanent: 'yes' } });
+    const response = await deleteTodoHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/permanent must be 'true' or 'false'./i);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const event = createEvent({ method: 'DELETE', pathParams: { id: '1' }, authorizer: false });
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(401);
+    expect(JSON.parse(response.body).message).toMatch(/Unauthorized: User ID not found in token./i);
+  });
+
+  it('should return 404 if todo not found', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+    ddbMock.on(GetCommand).resolves({});
+    const event = createEvent({
+      method: 'DELETE',
+      pathParams: { id: '1' }
+    });
+
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should return 404 if todo not found for a permanent delete', async () => {
+    ddbMock.on(DeleteCommand).resolves({}); // No Attributes
+    const event = createEvent({
+      method: 'DELETE',
+      pathParams: { id: '1' },
+      queryParams: { permanent: 'true' }
+    });
+
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(404);
+  });
+
+  it('should return 400 for missing id', async () => {
+    const event = createEvent({
+      method: 'DELETE',
+      pathParams: {}
+    });
+
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(400);
+  });
+
+  it('should return 500 if DynamoDB update fails', async () => {
+    ddbMock.on(UpdateCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({
+      method: 'DELETE',
+      pathParams: { id: '1' },
+      body: { title: 'Test' }
+    });
+
+    const response = await deleteTodoHandler(event);
+    expect(response.statusCode).toBe(500);
+    const body = JSON.parse(response.body);
+    expect(body.message).toMatch(/Failed to delete To-Do item. Please try again later./i);
+  });
+});
+
+/**
+ * Unit tests for the restoreTodoHandler function
+ * @group restoreTodoHandler
+ */
+describe('restoreTodoHandler', () => {
+  it('should remove the trash markers and return the restored todo', async () => {
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', version: 3 } });
+
+    const response = await restoreTodoHandler(createEvent({ pathParams: { id: '1' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.version).toBe(3);
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.Key).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(input.UpdateExpression).toContain('REMOVE deletedAt, expiresAt');
+    expect(input.ConditionExpression).toBe('attribute_exists(deletedAt)');
+  });
+
+  it('should return 404 if the todo is not in the trash', async () => {
+    const conflict = new Error('The conditional request failed');
+    conflict.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conflict);
+
+    const response = await restoreTodoHandler(createEvent({ pathParams: { id: '1' } }));
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/not found in trash/i);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await restoreTodoHandler(createEvent({ pathParams: { id: '1' }, authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 500 if DynamoDB fails', async () => {
+    ddbMock.on(UpdateCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await restoreTodoHandler(createEvent({ pathParams: { id: '1' } }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toMatch(/Failed to restore To-Do item/i);
+  });
+});
+
+/**
+ * Unit tests for the moveTodoHandler function
+ * @group moveTodoHandler
+ */
+describe('moveTodoHandler', () => {
+  const listId = '11111111-2222-4333-8444-555555555555';
+  const storedTodo = { userId: mockUserId, todoId: '1', listId: null, title: 'Buy milk', version: 2 };
+
+  /**
+   * Stores the authenticated user as an editor of the target list and the To-Do in the personal To-Dos
+   */
+  const mockTargetAndTodo = () => {
+    const memberKey = { listId, memberKey: `member#${mockUserId}` };
+    ddbMock.on(GetCommand, { Key: memberKey }).resolves({ Item: { ...memberKey, memberUserId: mockUserId, role: 'editor' } });
+    ddbMock.on(GetCommand, { Key: { userId: mockUserId, todoId: '1' } }).resolves({ Item: storedTodo });
+  };
+
+  it('should move the todo to the target list and leave a tombstone behind', async () => {
+    mockTargetAndTodo();
+    ddbMock.on(TransactWriteCommand).resolves({});
+
+    const response = await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: { listId } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo).toMatchObject({ userId: `list#${listId}`, todoId: '1', listId, title: 'Buy milk', version: 3 });
+    const [source, tombstone, target] = ddbMock.commandCalls(TransactWriteCommand)[0].args[0].input.TransactItems;
+    expect(source.Delete.Key).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(source.Delete.ExpressionAttributeValues[':ev']).toBe(2);
+    expect(tombstone.Put.Item).toMatchObject({ userId: mockUserId, todoId: 'tombstone#1' });
+    expect(target.Put.Item).toMatchObject({ userId: `list#${listId}`, listId, position: expect.any(String) });
+    expect(target.Put.ConditionExpression).toBe('attribute_not_exists(todoId)');
+  });
+
+  it('should return 400 without a target list or when the todo is already in it', async () => {
+    expect((await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: {} }))).statusCode).toBe(400);
+
+    const response = await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: { listId: null } }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/already in this list/);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should return 404 when the user is not a member of the target list', async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    const response = await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: { listId } }));
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/List not found/);
+  });
+
+  it('should return 409 with the server copy when the expected version is outdated', async () => {
+    mockTargetAndTodo();
+
+    const response = await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: { listId, expectedVersion: 1 } }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).todo.version).toBe(2);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should return a conflict when the todo changes while it is moved', async () => {
+    mockTargetAndTodo();
+    const cancelled = new Error('Transaction cancelled');
+    cancelled.name = 'TransactionCanceledException';
+    cancelled.CancellationReasons = [{ Code: 'ConditionalCheckFailed' }, { Code: 'None' }, { Code: 'None' }];
+    ddbMock.on(TransactWriteCommand).rejects(cancelled);
+
+    const response = await moveTodoHandler(createEvent({ pathParams: { id: '1' }, body: { listId } }));
+
+    expect(response.statusCode).toBe(409);
+  });
+});
+
+/**
+ * Unit tests for the updateTodoPositionHandler function
+ * @group updateTodoPositionHandler
+ */
+describe('updateTodoPositionHandler', () => {
+  /**
+   * Stores the neighbours the todo is moved between; other todos do not exist
+   * @param {Object} positions - The position of each neighbour by todoId
+   */
+  const mockNeighbours = (positions) => {
+    ddbMock.on(GetCommand).resolves({});
+    for (const [todoId, position] of Object.entries(positions)) {
+      ddbMock.on(GetCommand, { Key: { userId: mockUserId, todoId } }).resolves({ Item: { userId: mockUserId, todoId, position } });
+    }
+  };
+
+  it('should give the todo a position between its new neighbours', async () => {
+    mockNeighbours({ a: 'A', b: 'B' });
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1', position: 'AV', version: 3 } });
+
+    const response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: 'a', before: 'b' }, headers: { 'If-Match': '2' } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).todo.position).toBe('AV');
+    const input = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(input.Key).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(input.ExpressionAttributeNames).toEqual({ '#pos': 'position' });
+    expect(input.ExpressionAttributeValues[':pos']).toBe('AV');
+    expect(input.ExpressionAttributeValues[':ev']).toBe(2);
+    expect(input.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND version = :ev');
+  });
+
+  it('should move the todo to the start or the end of the list with a single neighbour', async () => {
+    mockNeighbours({ a: 'A' });
+    ddbMock.on(UpdateCommand).resolves({ Attributes: { todoId: '1' } });
+
+    await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { before: 'a' } }));
+    await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: 'a' } }));
+
+    const [first, last] = ddbMock.commandCalls(UpdateCommand).map(call => call.args[0].input.ExpressionAttributeValues[':pos']);
+    expect(first < 'A').toBe(true);
+    expect(last > 'A').toBe(true);
+  });
+
+  it('should return 400 without neighbours or with the todo as its own neighbour', async () => {
+    let response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: {} }));
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/after or before is required/);
+
+    response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: '1' } }));
+    expect(response.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 409 when a neighbour is gone or the neighbours are out of order', async () => {
+    mockNeighbours({ a: 'A', b: 'B' });
+
+    let response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: 'missing' } }));
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).message).toMatch(/no longer in the manual order/);
+
+    response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: 'b', before: 'a' } }));
+    expect(response.statusCode).toBe(409);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 409 with the server copy when the todo changed', async () => {
+    mockNeighbours({ a: 'A' });
+    ddbMock.on(GetCommand, { Key: { userId: mockUserId, todoId: '1' } }).resolves({ Item: { todoId: '1', version: 4 } });
+    const conditionFailed = new Error('The conditional request failed');
+    conditionFailed.name = 'ConditionalCheckFailedException';
+    ddbMock.on(UpdateCommand).rejects(conditionFailed);
+
+    const response = await updateTodoPositionHandler(createEvent({ method: 'PATCH', pathParams: { id: '1' }, body: { after: 'a', expectedVersion: 3 } }));
+
+    expect(response.statusCode).toBe(409);
+    expect(JSON.parse(response.body).todo.version).toBe(4);
+  });
+});
+
+/**
+ * Unit tests for the getTrashHandler function
+ * @group getTrashHandler
+ */
+describe('getTrashHandler', () => {
+  it('should list trashed todos from the trash index, most recently deleted first', async () => {
+    ddbMock.on(QueryCommand).resolves({
+      Items: [{ todoId: '1', deletedAt: '2025-01-02T00:00:00.000Z' }],
+      LastEvaluatedKey: { userId: mockUserId, todoId: '1', deletedAt: '2025-01-02T00:00:00.000Z' },
+    });
+
+    const response = await getTrashHandler(createEvent({ method: 'GET', queryParams: { limit: '10' } }));
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todos).toHaveLength(1);
+    expect(body.nextToken).toEqual(expect.any(String));
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserDeletedAtIndex');
+    expect(input.ScanIndexForward).toBe(false);
+    expect(input.Limit).toBe(10);
+  });
+
+  it('should reject a nextToken issued for the todo list', async () => {
+    const token = encodeNextToken({ userId: mockUserId, todoId: '42' }, mockUserId, 'UserCreatedAtIndex');
+
+    const response = await getTrashHandler(createEvent({ method: 'GET', queryParams: { nextToken: token } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/Invalid pagination token./i);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await getTrashHandler(createEvent({ method: 'GET', authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+});
+
+/**
+ * Unit tests for the getChangesHandler function
+ * @group getChangesHandler
+ */
+describe('getChangesHandler', () => {
+  it('should return every item and tombstone oldest change first when no cursor is given', async () => {
+    ddbMock.on(QueryCommand).resolves({
+      Items: [
+        { todoId: '1', title: 'Kept', updatedAt: '2025-01-01T00:00:00.000Z' },
+        { todoId: '2', title: 'Trashed', deletedAt: '2025-01-02T00:00:00.000Z', updatedAt: '2025-01-02T00:00:00.000Z' },
+        { todoId: 'tombstone#3', purgedAt: '2025-01-03T00:00:00.000Z', updatedAt: '2025-01-03T00:00:00.000Z' },
+      ],
+    });
+
+    const response = await getChangesHandler(createEvent({ method: 'GET' }));
+
+    expect(response.statusCode).toBe(200);
+    const body = JSON.parse(response.body);
+    expect(body.todos.map(todo => todo.todoId)).toEqual(['1']);
+    expect(body.tombstones).toEqual([
+      { todoId: '2', deletedAt: '2025-01-02T00:00:00.000Z', permanent: false },
+      { todoId: '3', deletedAt: '2025-01-03T00:00:00.000Z', permanent: true },
+    ]);
+    expect(body.hasMore).toBe(false);
+    const input = ddbMock.commandCalls(QueryCommand)[0].args[0].input;
+    expect(input.IndexName).toBe('UserUpdatedAtIndex');
+    expect(input.KeyConditionExpression).toBe('userId = :u');
+    expect(input.ScanIndexForward).toBe(true);
+  });
+
+  it('should continue from the latest change, with an overlap for the eventually consistent index', async () => {
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({ Items: [{ todoId: '1', updatedAt: '2025-01-01T00:00:10.000Z' }] })
+      .resolvesOnce({ Items: [] });
+
+    const first = JSON.parse((await getChangesHandler(createEvent({ method: 'GET' }))).body);
+    jest.useFakeTimers({ now: new Date('2025-01-02T00:00:00.000Z'), doNotFake: ['nextTick', 'setImmediate'] });
+    try {
+      const response = await getChangesHandler(createEvent({ method: 'GET', queryParams: { since: first.cursor } }));
+      expect(response.statusCode).toBe(200);
+    } finally {
+      jest.useRealTimers();
+    }
+
+    const input = ddbMock.commandCalls(QueryCommand)[1].args[0].input;
+    expect(input.KeyConditionExpression).toBe('userId = :u AND updatedAt >= :since');
+    expect(input.ExpressionAttributeValues[':since']).toBe('2025-01-01T00:00:05.000Z');
+  });
+
+  it('should page through the changes with the start key in the cursor', async () => {
+    ddbMock.on(QueryCommand)
+      .resolvesOnce({ Items: [{ todoId: '1', updatedAt: '2025-01-01T00:00:00.000Z' }], LastEvaluatedKey: { userId: mockUserId, todoId: '1' } })
+      .resolvesOnce({ Items: [] });
+
+    const first = JSON.parse((await getChangesHandler(createEvent({ method: 'GET', queryParams: { limit: '1' } }))).body);
+    expect(first.hasMore).toBe(true);
+    await getChangesHandler(createEvent({ method: 'GET', queryParams: { since: first.cursor } }));
+
+    const input = ddbMock.commandCalls(QueryCommand)[1].args[0].input;
+    expect(input.ExclusiveStartKey).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(input.KeyConditionExpression).toBe('userId = :u');
+  });
+
+  it('should reject cursors that are invalid or belong to a list query', async () => {
+    const listToken = encodeNextToken({ userId: mockUserId, todoId: '1' }, mockUserId, 'UserUpdatedAtIndex');
+
+    const invalid = await getChangesHandler(createEvent({ method: 'GET', queryParams: { since: 'garbage' } }));
+    const wrongShape = await getChangesHandler(createEvent({ method: 'GET', queryParams: { since: listToken } }));
+
+    expect(invalid.statusCode).toBe(400);
+    expect(JSON.parse(invalid.body).message).toBe('Invalid sync cursor.');
+    expect(wrongShape.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+  it('should return 410 for a cursor older than the tombstone retention', async () => {
+    const cursor = encodeNextToken({ since: '2000-01-01T00:00:00.000Z' }, mockUserId, 'UserUpdatedAtIndex');
+
+    const response = await getChangesHandler(createEvent({ method: 'GET', queryParams: { since: cursor } }));
+
+    expect(response.statusCode).toBe(410);
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await getChangesHandler(createEvent({ method: 'GET', authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 500 if DynamoDB query fails', async () => {
+    ddbMock.on(QueryCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await getChangesHandler(createEvent({ method: 'GET' }));
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toBe('Failed to retrieve To-Do changes. Please try again later.');
+  });
+});
+
+/**
+ * Unit tests for the batchTodosHandler function
+ * @group batchTodosHandler
+ */
+describe('batchTodosHandler', () => {
+  const conditionalCheckFailed = () => {
+    const error = new Error('The conditional request failed');
+    error.name = 'ConditionalCheckFailedException';
+    return error;
+  };
+
+  it('should apply independent operations and report a result per operation', async () => {
+    ddbMock.on(BatchWriteCommand).resolves({ UnprocessedItems: {} });
+    ddbMock.on(UpdateCommand).callsFake(input => ({ Attributes: { todoId: input.Key.todoId, version: 2 } }));
+
+    const event = createEvent({
+      body: {
+        operations: [
+          { op: 'complete', todoId: '1', expectedVersion: 1 },
+          { op: 'create', todo: { title: 'New Todo', tags: ['Work'] } },
+          { op: 'delete', todoId: '2' },
+        ],
+      },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const { results } = JSON.parse(response.body);
+    expect(results.map(result => [result.index, result.op, result.statusCode])).toEqual([
+      [0, 'complete', 200],
+      [1, 'create', 201],
+      [2, 'delete', 200],
+    ]);
+    expect(results[1].todo).toMatchObject({ todoId: 'mock-uuid', userId: mockUserId, tags: ['work'], version: 1 });
+
+    const update = ddbMock.commandCalls(UpdateCommand)[0].args[0].input;
+    expect(update.Key).toEqual({ userId: mockUserId, todoId: '1' });
+    expect(update.ExpressionAttributeValues[':s']).toBe('completed');
+    expect(update.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND (version = :ev OR attribute_not_exists(version))');
+    // Deletes move the todo to the trash
+    const trash = ddbMock.commandCalls(UpdateCommand)[1].args[0].input;
+    expect(trash.Key).toEqual({ userId: mockUserId, todoId: '2' });
+    expect(trash.UpdateExpression).toContain('deletedAt = :now');
+
+    const batchWrite = ddbMock.commandCalls(BatchWriteCommand)[0].args[0].input;
+    expect(batchWrite.RequestItems[process.env.TODOS_TABLE_NAME]).toHaveLength(1);
+  });
+
+  it('should keep going when one operation fails', async () => {
+    ddbMock.on(UpdateCommand).rejects(conditionalCheckFailed());
+    ddbMock.on(GetCommand).callsFake(input => (input.Key.todoId === '1' ? { Item: { todoId: '1', title: 'Server', version: 4 } } : {}));
+
+    const event = createEvent({
+      body: {
+        operations: [
+          { op: 'update', todoId: '1', changes: { title: 'Mine' }, expectedVersion: 3 },
+          { op: 'delete', todoId: 'missing' },
+          { op: 'archive', todoId: '3' },
+        ],
+      },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const { results } = JSON.parse(response.body);
+    expect(results[0]).toMatchObject({ statusCode: 409, todo: { version: 4 } });
+    expect(results[1]).toMatchObject({ statusCode: 404 });
+    expect(results[2]).toMatchObject({ statusCode: 400, message: expect.stringMatching(/Operation must be/i) });
+  });
+
+  it('should report the invalid fields of each operation', async () => {
+    const event = createEvent({
+      body: {
+        operations: [
+          { op: 'create', todo: { title: '', colour: 'red' } },
+          { op: 'update', todoId: '1', changes: { status: 'done' }, expectedVersion: 0 },
+        ],
+      },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const { results } = JSON.parse(response.body);
+    expect(results[0].errors.map(error => error.field)).toEqual(['todo.title', 'todo.colour']);
+    expect(results[1]).toMatchObject({ statusCode: 400, todoId: '1' });
+    expect(results[1].errors.map(error => error.field)).toEqual(['changes.status', 'expectedVersion']);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should retry unprocessed creates and report the ones that are left', async () => {
+    uuidv4.mockReturnValueOnce('a').mockReturnValueOnce('b');
+    const leftover = { PutRequest: { Item: { todoId: 'b' } } };
+    ddbMock.on(BatchWriteCommand).resolves({ UnprocessedItems: { [process.env.TODOS_TABLE_NAME]: [leftover] } });
+
+    const event = createEvent({
+      body: { operations: [{ op: 'create', todo: { title: 'A' } }, { op: 'create', todo: { title: 'B' } }] },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    const { results } = JSON.parse(response.body);
+    expect(results.map(result => result.statusCode)).toEqual([201, 503]);
+    expect(ddbMock.commandCalls(BatchWriteCommand)).toHaveLength(3);
+  });
+
+  it('should apply an atomic batch in a single transaction', async () => {
+    ddbMock.on(TransactWriteCommand).resolves({});
+    ddbMock.on(GetCommand).resolves({ Item: { todoId: '1', status: 'completed', version: 2 } });
+
+    const event = createEvent({
+      body: {
+        atomic: true,
+        operations: [
+          { op: 'create', todo: { title: 'New Todo' } },
+          { op: 'complete', todoId: '1' },
+          { op: 'delete', todoId: '2', expectedVersion: 5 },
+        ],
+      },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const { TransactItems } = ddbMock.commandCalls(TransactWriteCommand)[0].args[0].input;
+    expect(TransactItems[0].Put.ConditionExpression).toBe('attribute_not_exists(todoId)');
+    expect(TransactItems[1].Update.ReturnValues).toBeUndefined();
+    expect(TransactItems[1].Update.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt)');
+    expect(TransactItems[2].Update.UpdateExpression).toContain('deletedAt = :now');
+    expect(TransactItems[2].Update.ConditionExpression).toBe('attribute_exists(createdAt) AND attribute_not_exists(deletedAt) AND version = :ev');
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+    expect(JSON.parse(response.body).results.map(result => result.statusCode)).toEqual([201, 200, 200]);
+    // Only the completed item is read back, to check whether it repeats
+    expect(ddbMock.commandCalls(GetCommand).map(call => call.args[0].input.Key.todoId)).toEqual(['1']);
+  });
+
+  it('should create the next occurrence of a repeating item completed by an atomic batch', async () => {
+    ddbMock.on(TransactWriteCommand).resolves({});
+    ddbMock.on(GetCommand).resolves({
+      Item: {
+        userId: mockUserId,
+        todoId: '1',
+        title: 'Water plants',
+        status: 'completed',
+        recurrence: { frequency: 'daily', interval: 1 },
+        dueAt: '2030-01-01T09:00:00.000Z',
+        updatedAt: '2030-01-01T10:00:00.000Z',
+        version: 2,
+      },
+    });
+
+    const event = createEvent({ body: { atomic: true, operations: [{ op: 'complete', todoId: '1' }] } });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(200);
+    const [result] = JSON.parse(response.body).results;
+    expect(result).toMatchObject({ statusCode: 200, nextOccurrence: { todoId: 'mock-uuid', status: 'pending', seriesId: '1' } });
+    expect(result.nextOccurrence.dueAt).toBe('2030-01-02T09:00:00.000Z');
+    expect(ddbMock.commandCalls(GetCommand)[0].args[0].input.ConsistentRead).toBe(true);
+    // The batch transaction and the one creating the occurrence
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(2);
+  });
+
+  it('should report a next occurrence that could not be created without failing the completion', async () => {
+    ddbMock.on(UpdateCommand).resolves({
+      Attributes: { userId: mockUserId, todoId: '1', status: 'completed', recurrence: { frequency: 'daily', interval: 1 }, version: 2 },
+    });
+    ddbMock.on(TransactWriteCommand).rejects(new Error('DynamoDB is down'));
+
+    const response = await batchTodosHandler(createEvent({ body: { operations: [{ op: 'complete', todoId: '1' }] } }));
+
+    expect(response.statusCode).toBe(200);
+    const [result] = JSON.parse(response.body).results;
+    expect(result).toMatchObject({ statusCode: 200, todo: { todoId: '1', status: 'completed' } });
+    expect(result.nextOccurrence).toBeUndefined();
+    expect(result.nextOccurrenceError).toMatchObject({ code: 'NEXT_OCCURRENCE_FAILED' });
+  });
+
+  it('should return 409 with the failing operation when an atomic batch is cancelled', async () => {
+    const cancelled = new Error('Transaction cancelled');
+    cancelled.name = 'TransactionCanceledException';
+    cancelled.CancellationReasons = [{ Code: 'None' }, { Code: 'ConditionalCheckFailed' }];
+    ddbMock.on(TransactWriteCommand).rejects(cancelled);
+
+    const event = createEvent({
+      body: { atomic: true, operations: [{ op: 'complete', todoId: '1' }, { op: 'delete', todoId: '2' }] },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(409);
+    const { code, results } = JSON.parse(response.body);
+    expect(code).toBe('BATCH_NOT_APPLIED');
+    expect(results.map(result => result.statusCode)).toEqual([424, 409]);
+    expect(results.map(result => result.code)).toEqual(['NOT_APPLIED', 'CONDITION_FAILED']);
+  });
+
+  it('should reject an atomic batch with an invalid operation without writing anything', async () => {
+    const event = createEvent({
+      body: { atomic: true, operations: [{ op: 'complete', todoId: '1' }, { op: 'update', todoId: '2', changes: { status: 'done' } }] },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    const { results } = JSON.parse(response.body);
+    expect(results.map(result => result.statusCode)).toEqual([424, 400]);
+    expect(ddbMock.commandCalls(TransactWriteCommand)).toHaveLength(0);
+  });
+
+  it('should reject an atomic batch that touches a To-Do twice', async () => {
+    const event = createEvent({
+      body: { atomic: true, operations: [{ op: 'complete', todoId: '1' }, { op: 'delete', todoId: '1' }] },
+    });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(400);
+    expect(JSON.parse(response.body).message).toMatch(/only appear once/i);
+  });
+
+  it('should return 400 for an empty or oversized batch', async () => {
+    for (const operations of [[], undefined, Array.from({ length: 26 }, () => ({ op: 'complete', todoId: '1' }))]) {
+      const response = await batchTodosHandler(createEvent({ body: { operations } }));
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).message).toMatch(/array of 1 to 25 operations/i);
+    }
+  });
+
+  it('should return 401 for missing user', async () => {
+    const response = await batchTodosHandler(createEvent({ body: { operations: [] }, authorizer: false }));
+
+    expect(response.statusCode).toBe(401);
+  });
+
+  it('should return 500 if the transaction fails unexpectedly', async () => {
+    ddbMock.on(TransactWriteCommand).rejects(new Error('DynamoDB is down'));
+
+    const event = createEvent({ body: { atomic: true, operations: [{ op: 'complete', todoId: '1' }] } });
+
+    const response = await batchTodosHandler(event);
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).message).toMatch(/Failed to process batch/i);
+  });
+});
+
+/**
+ * Unit tests for keeping the tombstones of deleted items out of reach
+ * @group tombstones
+ */
+describe('tombstones', () => {
+  const tombstoneId = 'tombstone#1';
+
+  it('should reject tombstone IDs on the /todos/{id} endpoints', async () => {
+    const requests = [
+      [getTodoHandler, createEvent({ method: 'GET', pathParams: { id: tombstoneId } })],
+      [updateTodoHandler, createEvent({ method: 'PUT', pathParams: { id: tombstoneId }, body: { title: 'Revived' } })],
+      [deleteTodoHandler, createEvent({ method: 'DELETE', pathParams: { id: tombstoneId }, queryParams: { permanent: 'true' } })],
+      [restoreTodoHandler, createEvent({ pathParams: { id: tombstoneId } })],
+      [moveTodoHandler, createEvent({ pathParams: { id: tombstoneId }, body: { listId: null } })],
+      [updateTodoPositionHandler, createEvent({ method: 'PATCH', pathParams: { id: tombstoneId }, body: { after: '2' } })],
+    ];
+    for (const [handler, event] of requests) {
+      const response = await handler(event);
+      expect(response.statusCode).toBe(400);
+      expect(JSON.parse(response.body).code).toBe('INVALID_PARAMETER');
+    }
+    expect(ddbMock.calls()).toHaveLength(0);
+  });
+
+  it('should reject tombstone IDs in batch operations', async () => {
+    const response = await batchTodosHandler(createEvent({ body: { operations: [{ op: 'complete', todoId: tombstoneId }] } }));
+
+    expect(response.statusCode).toBe(200);
+    const [result] = JSON.parse(response.body).results;
+    expect(result).toMatchObject({ statusCode: 400, errors: [{ field: 'todoId' }] });
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should report a permanent delete that only found a tombstone as not found', async () => {
+    const conditionFailed = new Error('The conditional request failed');
+    conditionFailed.name = 'ConditionalCheckFailedException';
+    ddbMock.on(DeleteCommand).rejects(conditionFailed);
+    ddbMock.on(GetCommand).resolves({ Item: { userId: mockUserId, todoId: tombstoneId, purgedAt: '2030-01-01T00:00:00.000Z' } });
+
+    const response = await deleteTodoHandler(createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { permanent: 'true' } }));
+
+    expect(response.statusCode).toBe(404);
+    expect(ddbMock.commandCalls(DeleteCommand)[0].args[0].input.ConditionExpression).toBe('attribute_exists(createdAt)');
+  });
+});
+
+/**
+ * Unit tests for the access checks of shared lists (?listId=)
+ * @group sharedLists
+ */
+describe('shared lists', () => {
+  const listId = '11111111-2222-4333-8444-555555555555';
+  const memberKey = { listId, memberKey: `member#${mockUserId}` };
+
+  /**
+   * Stores the authenticated user as a member of the list with a role
+   * @param {string} role - viewer, editor or owner
+   */
+  const mockMembership = (role) => {
+    ddbMock.on(GetCommand, { Key: memberKey }).resolves({ Item: { ...memberKey, memberUserId: mockUserId, role } });
+  };
+
+  it('should read the To-Dos of a list from its own partition', async () => {
+    mockMembership('viewer');
+    ddbMock.on(QueryCommand).resolves({ Items: [{ todoId: '1', title: 'Shared' }] });
+
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { listId } }));
+
+    expect(response.statusCode).toBe(200);
+    expect(ddbMock.commandCalls(QueryCommand)[0].args[0].input.ExpressionAttributeValues[':u']).toBe(`list#${listId}`);
+  });
+
+  it('should create a To-Do in the list for an editor', async () => {
+    mockMembership('editor');
+    ddbMock.on(PutCommand).resolves({});
+
+    const response = await createTodoHandler(createEvent({ queryParams: { listId }, body: { title: 'Shared' } }));
+
+    expect(response.statusCode).toBe(201);
+    expect(ddbMock.commandCalls(PutCommand)[0].args[0].input.Item).toMatchObject({ userId: `list#${listId}`, listId });
+  });
+
+  it('should return 403 when a viewer changes the list', async () => {
+    mockMembership('viewer');
+
+    const response = await deleteTodoHandler(createEvent({ method: 'DELETE', pathParams: { id: '1' }, queryParams: { listId } }));
+
+    expect(response.statusCode).toBe(403);
+    expect(ddbMock.commandCalls(UpdateCommand)).toHaveLength(0);
+  });
+
+  it('should return 404 for a list the user is not a member of', async () => {
+    ddbMock.on(GetCommand).resolves({});
+
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { listId } }));
+
+    expect(response.statusCode).toBe(404);
+    expect(JSON.parse(response.body).message).toMatch(/List not found/);
+    expect(ddbMock.commandCalls(QueryCommand)).toHaveLength(0);
+  });
+
+  it('should return 400 for a malformed listId', async () => {
+    const response = await getTodosHandler(createEvent({ method: 'GET', queryParams: { listId: 'list#other' } }));
+
+    expect(response.statusCode).toBe(400);
+    expect(ddbMock.commandCalls(GetCommand)).toHaveLength(0);
   });
 });
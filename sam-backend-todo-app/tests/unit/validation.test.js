@@ -0,0 +1,128 @@
+/**
+ * Unit tests for the declarative validation of request bodies and query strings.
+ * @jest-environment node
+ * @group unit
+ * @group validation
+ * @module validation.test.js
+ */
+const { MAX_BODY_BYTES, validate, parseBody, requirePathParameter, requireTodoId } = require('../../src/utils/validation');
+
+const SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string', maxLength: 10, pattern: /\S/, message: "Title must be a non-empty string." },
+    count: { type: 'integer', minimum: 1, maximum: 5 },
+    done: { type: ['boolean', 'null'] },
+    tags: { type: 'array', maxItems: 2, items: { type: 'string' } },
+    colour: { enum: ['red', 'blue'] },
+    even: { type: 'integer', check: (value) => (value % 2 === 0 ? null : "even must be even.") },
+  },
+  required: ['title'],
+  additionalProperties: false,
+};
+
+describe('validate', () => {
+  it('should accept a valid value', () => {
+    expect(validate(SCHEMA, { title: 'Milk', count: 2, done: null, tags: ['a'], colour: 'red', even: 4 })).toEqual([]);
+  });
+
+  it('should report every invalid field with its path', () => {
+    const errors = validate(SCHEMA, { title: ' ', count: 9, done: 'yes', tags: ['a', 1], colour: 'green', extra: true });
+
+    expect(errors).toEqual([
+      { field: 'title', message: "Title must be a non-empty string." },
+      { field: 'count', message: "count must be at most 5." },
+      { field: 'done', message: "done must be a boolean or null." },
+      { field: 'tags[1]', message: "tags[1] must be a string." },
+      { field: 'colour', message: "colour must be one of: red, blue." },
+      { field: 'extra', message: "extra is not an allowed field." },
+    ]);
+  });
+
+  it('should use the custom message for a missing required field', () => {
+    expect(validate(SCHEMA, {})).toEqual([{ field: 'title', message: "Title must be a non-empty string." }]);
+  });
+
+  it('should always report size limits with the limit', () => {
+    expect(validate(SCHEMA, { title: 'A very long title', tags: ['a', 'b', 'c'] })).toEqual([
+      { field: 'title', message: "title must be at most 10 characters." },
+      { field: 'tags', message: "tags must contain at most 2 items." },
+    ]);
+  });
+
+  it('should run custom checks only on values of the right type', () => {
+    expect(validate(SCHEMA, { title: 'Milk', even: 3 })).toEqual([{ field: 'even', message: "even must be even." }]);
+    expect(validate(SCHEMA, { title: 'Milk', even: 'x' })).toEqual([{ field: 'even', message: "even must be an integer." }]);
+  });
+
+  it('should name nested fields by their path', () => {
+    const schema = { type: 'object', properties: { todo: SCHEMA } };
+
+    expect(validate(schema, { todo: { count: 0 } })).toEqual([
+      { field: 'todo.title', message: "Title must be a non-empty string." },
+      { field: 'todo.count', message: "todo.count must be at least 1." },
+    ]);
+  });
+
+  it('should reject a body that is not an object', () => {
+    expect(validate(SCHEMA, [])).toEqual([{ field: '', message: "Request body must be an object." }]);
+  });
+});
+
+describe('parseBody', () => {
+  it('should parse the JSON body', () => {
+    expect(parseBody({ body: JSON.stringify({ title: 'Milk' }) })).toEqual({ title: 'Milk' });
+  });
+
+  it('should treat a missing body as an empty object', () => {
+    expect(parseBody({ body: null })).toEqual({});
+  });
+
+  it('should decode base64 encoded bodies', () => {
+    const event = { body: Buffer.from(JSON.stringify({ title: 'Milk' })).toString('base64'), isBase64Encoded: true };
+
+    expect(parseBody(event)).toEqual({ title: 'Milk' });
+  });
+
+  it('should throw a 400 error for malformed JSON', () => {
+    expect(() => parseBody({ body: '{"title": ' })).toThrow(expect.objectContaining({
+      status: 400,
+      code: 'MALFORMED_JSON',
+      message: "Request body must be valid JSON.",
+      extensions: { errors: [{ field: '', message: "Request body must be valid JSON." }] },
+    }));
+  });
+
+  it('should throw a 413 error for an oversized body', () => {
+    const event = { body: JSON.stringify({ title: 'x'.repeat(MAX_BODY_BYTES) }) };
+
+    expect(() => parseBody(event)).toThrow(expect.objectContaining({ status: 413, code: 'PAYLOAD_TOO_LARGE' }));
+  });
+});
+
+describe('requirePathParameter', () => {
+  it('should return the parameter', () => {
+    expect(requirePathParameter({ pathParameters: { id: 'todo-1' } }, 'id', "To-Do ID")).toBe('todo-1');
+  });
+
+  it('should throw a 400 error for a missing parameter', () => {
+    expect(() => requirePathParameter({ pathParameters: null }, 'id', "To-Do ID"))
+      .toThrow(expect.objectContaining({ status: 400, code: 'MISSING_PARAMETER', message: "To-Do ID is required." }));
+  });
+
+  it('should throw a 400 error for a parameter too long to be a key', () => {
+    expect(() => requirePathParameter({ pathParameters: { id: 'x'.repeat(129) } }, 'id', "To-Do ID"))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_PARAMETER' }));
+  });
+});
+
+describe('requireTodoId', () => {
+  it('should return the To-Do ID', () => {
+    expect(requireTodoId({ pathParameters: { id: 'todo-1' } })).toBe('todo-1');
+  });
+
+  it('should throw a 400 error for the ID of a tombstone', () => {
+    expect(() => requireTodoId({ pathParameters: { id: 'tombstone#todo-1' } }))
+      .toThrow(expect.objectContaining({ status: 400, code: 'INVALID_PARAMETER' }));
+  });
+});
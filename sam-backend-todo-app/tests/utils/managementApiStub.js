@@ -0,0 +1,51 @@
+/**
+ * Local stub of the API Gateway Management API, used to test the WebSocket broadcast without AWS.
+ * It accepts PostToConnection requests (POST /@connections/{connectionId}) and records the posted messages.
+ * Connections listed as gone are answered with 410 GoneException, like closed connections on AWS.
+ * Point WEBSOCKET_MANAGEMENT_ENDPOINT at the returned endpoint before requiring src/realtime.
+ * @module managementApiStub
+ */
+const http = require('http');
+
+const CONNECTION_PATH = /^\/@connections\/([^/]+)$/;
+
+/**
+ * Starts the stub on a free local port.
+ * @param {Object} [options] - The stub options.
+ * @param {string[]} [options.goneConnectionIds] - IDs of connections that no longer exist.
+ * @returns {Promise<Object>} - { endpoint, messages, close }: the stub's URL, the received messages
+ * as { connectionId, data } with the parsed JSON data, and a function that stops the stub.
+ */
+async function startManagementApiStub({ goneConnectionIds = [] } = {}) {
+  const messages = [];
+  const server = http.createServer((req, res) => {
+    const match = CONNECTION_PATH.exec(req.url);
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      if (req.method !== 'POST' || !match) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Not Found' }));
+        return;
+      }
+      const connectionId = decodeURIComponent(match[1]);
+      if (goneConnectionIds.includes(connectionId)) {
+        res.writeHead(410, { 'Content-Type': 'application/json', 'x-amzn-errortype': 'GoneException' });
+        res.end(JSON.stringify({ message: 'Gone' }));
+        return;
+      }
+      messages.push({ connectionId, data: JSON.parse(Buffer.concat(chunks).toString()) });
+      res.writeHead(200);
+      res.end();
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    endpoint: `http://127.0.0.1:${server.address().port}`,
+    messages,
+    close: () => new Promise(resolve => server.close(resolve)),
+  };
+}
+
+module.exports = { startManagementApiStub };
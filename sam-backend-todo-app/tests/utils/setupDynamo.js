@@ -9,7 +9,8 @@ const client = require('./dynamoClient');
 
 /**
  * Creates the Todos table in DynamoDB.
- * The table has a partition key 'userId' and a sort key 'todoId'.
+ * The table has a partition key 'userId' and a sort key 'todoId',
+ * plus the same global secondary indexes as the TodosTable in template.yaml.
  * The table uses on-demand billing mode.
  * If the table already exists, it catches the ResourceInUseException and does not throw an
  * error.
@@ -27,6 +28,71 @@ async function createTodosTable() {
     AttributeDefinitions: [
       { AttributeName: 'userId', AttributeType: 'S' },
       { AttributeName: 'todoId', AttributeType: 'S' },
+      { AttributeName: 'dueAt', AttributeType: 'S' },
+      { AttributeName: 'createdAt', AttributeType: 'S' },
+      { AttributeName: 'priorityRank', AttributeType: 'N' },
+      { AttributeName: 'titleSortKey', AttributeType: 'S' },
+      { AttributeName: 'deletedAt', AttributeType: 'S' },
+      { AttributeName: 'updatedAt', AttributeType: 'S' },
+      { AttributeName: 'position', AttributeType: 'S' },
+    ],
+    GlobalSecondaryIndexes: [
+      {
+        IndexName: 'UserDueAtIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'dueAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserCreatedAtIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'createdAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserPriorityIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'priorityRank', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserTitleIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'titleSortKey', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserDeletedAtIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'deletedAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserUpdatedAtIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'updatedAt', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
+      {
+        IndexName: 'UserPositionIndex',
+        KeySchema: [
+          { AttributeName: 'userId', KeyType: 'HASH' },
+          { AttributeName: 'position', KeyType: 'RANGE' },
+        ],
+        Projection: { ProjectionType: 'ALL' },
+      },
     ],
     BillingMode: 'PAY_PER_REQUEST',
   };
@@ -64,9 +130,125 @@ async function deleteTodosTable() {
 }
 
 /**
- * Exports the createTodosTable and deleteTodosTable functions for use in test setup and teardown.
+ * Creates the table of open WebSocket connections in DynamoDB,
+ * with the same keys as the ConnectionsTable in template.yaml.
+ * If the table already exists, it catches the ResourceInUseException and does not throw an
+ * error.
+ * @returns {Promise<void>} A promise that resolves when the table is created or already exists.
+ * @throws {Error} If there is an error other than ResourceInUseException.
+ */
+async function createConnectionsTable() {
+  try {
+    await client.send(new CreateTableCommand({
+      TableName: process.env.CONNECTIONS_TABLE_NAME,
+      KeySchema: [
+        { AttributeName: 'userId', KeyType: 'HASH' },       // Partition key
+        { AttributeName: 'connectionId', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'userId', AttributeType: 'S' },
+        { AttributeName: 'connectionId', AttributeType: 'S' },
+      ],
+      BillingMode: 'PAY_PER_REQUEST',
+    }));
+  } catch (error) {
+    if (error.name !== 'ResourceInUseException') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Deletes the table of open WebSocket connections in DynamoDB.
+ * If the table does not exist, it catches the ResourceNotFoundException and does not throw an
+ * error.
+ * @returns {Promise<void>} A promise that resolves when the table is deleted or does not exist.
+ * @throws {Error} If there is an error other than ResourceNotFoundException.
+ */
+async function deleteConnectionsTable() {
+  try {
+    await client.send(new DeleteTableCommand({ TableName: process.env.CONNECTIONS_TABLE_NAME }));
+  } catch (error) {
+    if (error.name !== 'ResourceNotFoundException') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Creates the table of shared lists, their members and invitations in DynamoDB,
+ * with the same keys and global secondary indexes as the ListsTable in template.yaml.
+ * If the table already exists, it catches the ResourceInUseException and does not throw an
+ * error.
+ * @returns {Promise<void>} A promise that resolves when the table is created or already exists.
+ * @throws {Error} If there is an error other than ResourceInUseException.
+ */
+async function createListsTable() {
+  try {
+    await client.send(new CreateTableCommand({
+      TableName: process.env.LISTS_TABLE_NAME,
+      KeySchema: [
+        { AttributeName: 'listId', KeyType: 'HASH' },     // Partition key
+        { AttributeName: 'memberKey', KeyType: 'RANGE' }, // Sort key
+      ],
+      AttributeDefinitions: [
+        { AttributeName: 'listId', AttributeType: 'S' },
+        { AttributeName: 'memberKey', AttributeType: 'S' },
+        { AttributeName: 'memberUserId', AttributeType: 'S' },
+        { AttributeName: 'inviteEmail', AttributeType: 'S' },
+      ],
+      GlobalSecondaryIndexes: [
+        {
+          IndexName: 'MemberUserIndex',
+          KeySchema: [
+            { AttributeName: 'memberUserId', KeyType: 'HASH' },
+            { AttributeName: 'listId', KeyType: 'RANGE' },
+          ],
+          Projection: { ProjectionType: 'ALL' },
+        },
+        {
+          IndexName: 'InviteEmailIndex',
+          KeySchema: [
+            { AttributeName: 'inviteEmail', KeyType: 'HASH' },
+            { AttributeName: 'listId', KeyType: 'RANGE' },
+          ],
+          Projection: { ProjectionType: 'ALL' },
+        },
+      ],
+      BillingMode: 'PAY_PER_REQUEST',
+    }));
+  } catch (error) {
+    if (error.name !== 'ResourceInUseException') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Deletes the table of shared lists in DynamoDB.
+ * If the table does not exist, it catches the ResourceNotFoundException and does not throw an
+ * error.
+ * @returns {Promise<void>} A promise that resolves when the table is deleted or does not exist.
+ * @throws {Error} If there is an error other than ResourceNotFoundException.
+ */
+async function deleteListsTable() {
+  try {
+    await client.send(new DeleteTableCommand({ TableName: process.env.LISTS_TABLE_NAME }));
+  } catch (error) {
+    if (error.name !== 'ResourceNotFoundException') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Exports the table setup and teardown functions for use in tests.
  */
 module.exports = {
   createTodosTable,
   deleteTodosTable,
+  createConnectionsTable,
+  deleteConnectionsTable,
+  createListsTable,
+  deleteListsTable,
 };
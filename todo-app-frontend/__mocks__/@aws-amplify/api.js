@@ -1,7 +1,7 @@
 /**
  * Mock implementation of AWS Amplify API module for testing purposes.
  * This file is used to mock the API calls made by the todo app frontend.
- * It provides mock functions for GET, POST, PUT, and DELETE requests.
+ * It provides mock functions for GET, POST, PUT, PATCH, and DELETE requests.
  */
 export const get = jest.fn(() => Promise.resolve({
   response: Promise.resolve({
@@ -24,6 +24,13 @@ export const put = jest.fn(() => Promise.resolve({
     },
   }),
 }));
+export const patch = jest.fn(() => Promise.resolve({
+  response: Promise.resolve({
+    body: {
+      json: () => Promise.resolve({ success: true }),
+    },
+  }),
+}));
 export const del = jest.fn(() => Promise.resolve({
   response: Promise.resolve({
     body: {
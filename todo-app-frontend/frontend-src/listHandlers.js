@@ -0,0 +1,375 @@
+/**
+ * listHandlers.js
+ * @fileoverview
+ * This module provides functions to handle named To-Do lists: switching between the personal To-Dos and
+ * the lists of the user, creating, renaming, archiving and deleting lists, inviting people by email and managing the members.
+ * Lists have an owner and members with the viewer (read only) or editor role; only the owner manages the list and its members.
+ * Invitations are sent to an email address and accepted by the user who signs in with it.
+ * The To-Dos of the picked list are loaded by the To-Do handlers (see selectList in todoHandlers.js).
+ * List management needs a connection; unlike To-Do changes, it is not queued while offline.
+ * @module listHandlers
+ * @requires @aws-amplify/auth
+ * @requires @aws-amplify/api
+ * @requires ./uiHandlers.js
+ */
+import { fetchAuthSession } from '@aws-amplify/auth';
+import { get, post, put, patch, del } from '@aws-amplify/api';
+import { renderListTabs, renderListAccess, renderInvitations, renderMembers, showMembersPanel, markInvalidFields } from './uiHandlers.js';
+import { getErrorMessage, getValidationErrors } from './offlineApi.js';
+
+/**
+ * Initializes the list handlers with the provided input elements and message display.
+ * @param {Object} params - The parameters for initializing the list handlers.
+ * @param {HTMLInputElement} params.newListNameInput - Input element for the name of a new list.
+ * @param {HTMLInputElement} params.renameListInput - Input element for the new name of the shown list.
+ * @param {HTMLInputElement} params.inviteEmailInput - Input element for the email address to invite.
+ * @param {HTMLSelectElement} params.inviteRoleInput - Select element for the role of the invitee.
+ * @param {HTMLElement} params.listMessage - Element to display messages related to list operations.
+ * @param {Function} params.onSelectList - Called with the picked list, { listId, name, role }, or null for
+ * the personal To-Dos, and the options of todoHandlers' selectList.
+ * @returns {Object} An object containing functions to switch, create, change and share lists.
+ */
+export function initListHandlers({ newListNameInput, renameListInput, inviteEmailInput, inviteRoleInput, listMessage, onSelectList }) {
+  // Lists of the user, and the one that is shown (null for the personal To-Dos)
+  let lists = [];
+  let currentList = null;
+
+  /**
+   * Shows a message about a list operation.
+   * @param {string} text - The message.
+   * @param {boolean} [isError] - Whether the message reports a failure.
+   */
+  function showMessage(text, isError = false) {
+    listMessage.textContent = text;
+    listMessage.className = `text-sm mt-2 text-center ${isError ? 'text-red-500' : 'text-green-600'}`;
+  }
+
+  /**
+   * Sends a request to the list endpoints of the backend.
+   * @param {Function} method - The Amplify API method (get, post, put, patch or del).
+   * @param {string} path - The API path.
+   * @param {Object} [body] - The request body, if any.
+   * @returns {Promise<Object>} A promise that resolves to the response body.
+   */
+  async function request(method, path, body) {
+    const session = await fetchAuthSession();
+    const options = { headers: { Authorization: `Bearer ${session.tokens.idToken.toString()}` } };
+    if (body) {
+      options.body = body;
+    }
+    const result = await method({ apiName: 'TodoApi', path, options });
+    const raw = await result.response;
+    // DELETE responses of the Amplify API client may come without a body
+    return raw.body ? raw.body.json() : {};
+  }
+
+  /**
+   * Fetches the lists of the user and fills the list switcher.
+   * @returns {Promise<Object[]>} A promise that resolves to the lists, or to an empty array if they could not be loaded.
+   */
+  async function fetchLists() {
+    try {
+      const data = await request(get, '/lists');
+      lists = data.lists || [];
+      renderListTabs(lists, currentList?.listId || null, selectList);
+      return lists;
+    } catch (error) {
+      console.error('Error fetching lists:', error);
+      showMessage('Failed to load your lists.', true);
+      return [];
+    }
+  }
+
+  /**
+   * Shows the To-Dos of a list, or the personal To-Dos.
+   * @param {string|null} listId - The ID of the list, or null (or '') for the personal To-Dos.
+   * @param {Object} [options] - The options passed on to todoHandlers' selectList, e.g. { reload: false }.
+   * @returns {Promise<void>} A promise that resolves when the list is loaded.
+   */
+  function selectList(listId, options) {
+    currentList = lists.find(list => list.listId === listId) || null;
+    renderListTabs(lists, currentList?.listId || null, selectList);
+    renderListAccess(currentList);
+    showMembersPanel(false);
+    return onSelectList(currentList, options);
+  }
+
+  /**
+   * Creates a list with the name in the input, owned by the user, and shows it.
+   * @returns {Promise<void>} A promise that resolves when the list is created and shown, or an error occurs.
+   */
+  async function createList() {
+    const name = newListNameInput.value.trim();
+    if (!name) {
+      showMessage('List name cannot be empty.', true);
+      return;
+    }
+    const inputs = new Map([['name', newListNameInput]]);
+    try {
+      const data = await request(post, '/lists', { name });
+      markInvalidFields(inputs, []);
+      newListNameInput.value = '';
+      lists = [...lists, data.list];
+      await selectList(data.list.listId);
+    } catch (error) {
+      console.error('Error creating list:', error);
+      markInvalidFields(inputs, getValidationErrors(error));
+      showMessage(`Failed to create list: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Saves a change to the shown list and shows the list as returned by the backend.
+   * @param {Object} changes - The changes, e.g. { name } or { archived }.
+   * @param {string} successMessage - The message shown after the change.
+   * @returns {Promise<void>} A promise that resolves when the change is saved or an error occurs.
+   */
+  async function updateList(changes, successMessage) {
+    const inputs = new Map([['name', renameListInput]]);
+    try {
+      const data = await request(patch, `/lists/${encodeURIComponent(currentList.listId)}`, changes);
+      markInvalidFields(inputs, []);
+      currentList = data.list;
+      lists = lists.map(list => (list.listId === currentList.listId ? currentList : list));
+      renderListTabs(lists, currentList.listId, selectList);
+      renderListAccess(currentList);
+      showMessage(successMessage);
+    } catch (error) {
+      console.error('Error updating list:', error);
+      markInvalidFields(inputs, getValidationErrors(error));
+      showMessage(`Failed to update the list: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Renames the shown list to the name in the input.
+   * @returns {Promise<void>} A promise that resolves when the list is renamed or an error occurs.
+   */
+  function renameList() {
+    if (!currentList) {
+      return Promise.resolve();
+    }
+    const name = renameListInput.value.trim();
+    if (!name) {
+      showMessage('List name cannot be empty.', true);
+      return Promise.resolve();
+    }
+    return updateList({ name }, `List renamed to "${name}".`);
+  }
+
+  /**
+   * Archives the shown list, or restores it if it is archived.
+   * Archived lists keep their To-Dos and members and are listed apart in the list switcher.
+   * @returns {Promise<void>} A promise that resolves when the list is changed or an error occurs.
+   */
+  function toggleArchived() {
+    if (!currentList) {
+      return Promise.resolve();
+    }
+    const archived = !currentList.archived;
+    return updateList({ archived }, archived ? `"${currentList.name}" archived.` : `"${currentList.name}" restored.`);
+  }
+
+  /**
+   * Deletes the shown list with all of its To-Dos after the user confirmed it, and shows the personal To-Dos.
+   * @returns {Promise<void>} A promise that resolves when the personal To-Dos are shown, or the deletion was cancelled or failed.
+   */
+  async function deleteList() {
+    if (!currentList || !window.confirm(`Delete "${currentList.name}" and all of its To-Dos? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await request(del, `/lists/${encodeURIComponent(currentList.listId)}`);
+      showMessage(`"${currentList.name}" deleted.`);
+      lists = lists.filter(list => list.listId !== currentList.listId);
+      await selectList(null);
+    } catch (error) {
+      console.error('Error deleting list:', error);
+      showMessage(`Failed to delete the list: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Fetches the pending invitations to the user's email address and shows them.
+   * @returns {Promise<void>} A promise that resolves when the invitations are shown or an error occurs.
+   */
+  async function fetchInvitations() {
+    try {
+      const data = await request(get, '/invitations');
+      renderInvitations(data.invitations || [], acceptInvitation, declineInvitation);
+    } catch (error) {
+      console.error('Error fetching invitations:', error);
+    }
+  }
+
+  /**
+   * Accepts an invitation and shows the list the user joined.
+   * @param {Object} invitation - The invitation, { listId, listName, role }.
+   * @returns {Promise<void>} A promise that resolves when the list is shown or an error occurs.
+   */
+  async function acceptInvitation(invitation) {
+    try {
+      await request(post, `/invitations/${encodeURIComponent(invitation.listId)}/accept`);
+      await Promise.all([fetchInvitations(), fetchLists()]);
+      await selectList(invitation.listId);
+      showMessage(`You joined "${invitation.listName}".`);
+    } catch (error) {
+      console.error('Error accepting invitation:', error);
+      showMessage(`Failed to accept the invitation: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Declines an invitation.
+   * @param {Object} invitation - The invitation, { listId, email }.
+   * @returns {Promise<void>} A promise that resolves when the invitations are shown again or an error occurs.
+   */
+  async function declineInvitation(invitation) {
+    try {
+      await request(del, `/lists/${encodeURIComponent(invitation.listId)}/invitations/${encodeURIComponent(invitation.email)}`);
+      await fetchInvitations();
+    } catch (error) {
+      console.error('Error declining invitation:', error);
+      showMessage(`Failed to decline the invitation: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Fetches the members of the shown list and shows them in the members panel.
+   * @returns {Promise<void>} A promise that resolves when the members are shown or an error occurs.
+   */
+  async function openMembers() {
+    if (!currentList) {
+      return;
+    }
+    try {
+      const data = await request(get, `/lists/${encodeURIComponent(currentList.listId)}/members`);
+      renderMembers(
+        { members: data.members || [], invitations: data.invitations || [] },
+        currentList.role,
+        { changeMemberRole, removeMember, revokeInvitation }
+      );
+      showMembersPanel(true);
+    } catch (error) {
+      console.error('Error fetching members:', error);
+      showMessage(`Failed to load the members: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Hides the members panel.
+   */
+  function closeMembers() {
+    showMembersPanel(false);
+  }
+
+  /**
+   * Runs a change to the members of the shown list and shows the members again.
+   * @param {Function} change - Sends the change; resolves when it is saved.
+   * @param {string} successMessage - The message shown after the change.
+   * @returns {Promise<void>} A promise that resolves when the members are shown again or an error occurs.
+   */
+  async function changeMembers(change, successMessage) {
+    try {
+      await change();
+      showMessage(successMessage);
+      await openMembers();
+    } catch (error) {
+      console.error('Error changing list members:', error);
+      showMessage(`Failed to update the members: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Invites the email address in the input to the shown list, with the selected role.
+   * @returns {Promise<void>} A promise that resolves when the invitation is sent or an error occurs.
+   */
+  function inviteMember() {
+    const email = inviteEmailInput.value.trim();
+    if (!email) {
+      showMessage('Email cannot be empty.', true);
+      return Promise.resolve();
+    }
+    const inputs = new Map([['email', inviteEmailInput], ['role', inviteRoleInput]]);
+    return changeMembers(async () => {
+      try {
+        await request(post, `/lists/${encodeURIComponent(currentList.listId)}/invitations`, { email, role: inviteRoleInput.value });
+      } catch (error) {
+        markInvalidFields(inputs, getValidationErrors(error));
+        throw error;
+      }
+      markInvalidFields(inputs, []);
+      inviteEmailInput.value = '';
+    }, `Invitation sent to ${email}.`);
+  }
+
+  /**
+   * Changes the role of a member of the shown list.
+   * @param {string} memberId - The user ID of the member.
+   * @param {string} role - 'viewer' or 'editor'.
+   * @returns {Promise<void>} A promise that resolves when the members are shown again or an error occurs.
+   */
+  function changeMemberRole(memberId, role) {
+    return changeMembers(
+      () => request(put, `/lists/${encodeURIComponent(currentList.listId)}/members/${encodeURIComponent(memberId)}`, { role }),
+      'Role updated.'
+    );
+  }
+
+  /**
+   * Removes a member from the shown list.
+   * @param {string} memberId - The user ID of the member.
+   * @returns {Promise<void>} A promise that resolves when the members are shown again or an error occurs.
+   */
+  function removeMember(memberId) {
+    return changeMembers(
+      () => request(del, `/lists/${encodeURIComponent(currentList.listId)}/members/${encodeURIComponent(memberId)}`),
+      'Member removed.'
+    );
+  }
+
+  /**
+   * Revokes a pending invitation to the shown list.
+   * @param {Object} invitation - The invitation, { email }.
+   * @returns {Promise<void>} A promise that resolves when the members are shown again or an error occurs.
+   */
+  function revokeInvitation(invitation) {
+    return changeMembers(
+      () => request(del, `/lists/${encodeURIComponent(currentList.listId)}/invitations/${encodeURIComponent(invitation.email)}`),
+      'Invitation revoked.'
+    );
+  }
+
+  /**
+   * Leaves the shown list and goes back to the personal To-Dos.
+   * @returns {Promise<void>} A promise that resolves when the personal To-Dos are shown or an error occurs.
+   */
+  async function leaveList() {
+    if (!currentList) {
+      return;
+    }
+    try {
+      const session = await fetchAuthSession();
+      const userId = session.tokens.idToken.payload.sub;
+      await request(del, `/lists/${encodeURIComponent(currentList.listId)}/members/${encodeURIComponent(userId)}`);
+      showMessage(`You left "${currentList.name}".`);
+      lists = lists.filter(list => list.listId !== currentList.listId);
+      await selectList(null);
+    } catch (error) {
+      console.error('Error leaving list:', error);
+      showMessage(`Failed to leave the list: ${getErrorMessage(error)}`, true);
+    }
+  }
+
+  /**
+   * Forgets the lists and goes back to the personal To-Dos without loading them, e.g. when the user signs out.
+   * @returns {Promise<void>} A promise that resolves when the list switcher is reset.
+   */
+  function reset() {
+    lists = [];
+    renderInvitations([], acceptInvitation, declineInvitation);
+    return selectList(null, { reload: false });
+  }
+
+  return { fetchLists, selectList, createList, renameList, toggleArchived, deleteList, fetchInvitations, acceptInvitation, declineInvitation, openMembers, closeMembers, inviteMember, changeMemberRole, removeMember, revokeInvitation, leaveList, reset };
+}
@@ -1,8 +1,19 @@
 // main.js
+// Styles are bundled into dist/styles.css: the Inter font (Latin subset) and the compiled Tailwind classes
+import '@fontsource/inter/latin-400.css';
+import '@fontsource/inter/latin-500.css';
+import '@fontsource/inter/latin-600.css';
+import '@fontsource/inter/latin-700.css';
+import './styles.css';
 import { configureAmplify } from './amplifyConfig.js';
 import { initAuthHandlers } from './authHandlers.js';
 import { initTodoHandlers } from './todoHandlers.js';
-import { setFetchTodos } from './uiHandlers.js';
+import { initListHandlers } from './listHandlers.js';
+import { setFetchTodos, getSelectedTodoIds, debounce, setActiveStatusTab, showUpdatePrompt, showRecurrenceOptions, PERSONAL_LIST_VALUE } from './uiHandlers.js';
+import { registerServiceWorker } from './serviceWorker.js';
+
+// Pause in typing after which the search box runs the search.
+const SEARCH_DEBOUNCE_MS = 300;
 
 document.addEventListener('DOMContentLoaded', () => {
   configureAmplify();
@@ -23,21 +34,112 @@ document.addEventListener('DOMContentLoaded', () => {
   const todoElements = {
     newTodoTitleInput: document.getElementById('new-todo-title'),
     newTodoDescriptionInput: document.getElementById('new-todo-description'),
+    newTodoDueInput: document.getElementById('new-todo-due'),
+    newTodoPriorityInput: document.getElementById('new-todo-priority'),
+    newTodoTagsInput: document.getElementById('new-todo-tags'),
+    newTodoAutoCompleteInput: document.getElementById('new-todo-auto-complete'),
+    newTodoRepeatInput: document.getElementById('new-todo-recurrence'),
+    newTodoRepeatIntervalInput: document.getElementById('new-todo-recurrence-interval'),
+    newTodoRepeatWeekdays: document.getElementById('recurrence-weekdays'),
+    newTodoRepeatDayInput: document.getElementById('new-todo-recurrence-month-day'),
     todoMessage: document.getElementById('todo-message'),
-    todoList: document.getElementById('todo-list')
+    todoList: document.getElementById('todo-list'),
+    loadMoreButton: document.getElementById('load-more-button'),
+    tagFilter: document.getElementById('tag-filter'),
+    tagFilterLabel: document.getElementById('tag-filter-label')
+  };
+
+  const listElements = {
+    newListNameInput: document.getElementById('new-list-name'),
+    renameListInput: document.getElementById('rename-list-name'),
+    inviteEmailInput: document.getElementById('invite-email'),
+    inviteRoleInput: document.getElementById('invite-role'),
+    listMessage: document.getElementById('list-message')
   };
 
   const authHandlers = initAuthHandlers(authElements);
   const todoHandlers = initTodoHandlers(todoElements);
+  const listHandlers = initListHandlers({ ...listElements, onSelectList: todoHandlers.selectList });
 
-  setFetchTodos(todoHandlers.fetchTodos);
+  // Showing the list (after sign-in) also starts the live updates from the user's other devices
+  // and loads the user's lists and pending invitations
+  setFetchTodos(() => {
+    todoHandlers.startRealtimeUpdates();
+    listHandlers.fetchLists();
+    listHandlers.fetchInvitations();
+    return todoHandlers.fetchTodos();
+  });
 
   authElements.signupButton.addEventListener('click', authHandlers.handleSignUp);
   authElements.signinButton.addEventListener('click', authHandlers.handleSignIn);
   authElements.confirmSignupButton.addEventListener('click', authHandlers.handleConfirmSignUp);
   authElements.toggleAuthModeButton.addEventListener('click', authHandlers.toggleAuthMode);
-  document.getElementById('signout-button').addEventListener('click', () => authHandlers.handleSignOut(todoElements.todoList));
+  document.getElementById('signout-button').addEventListener('click', async () => {
+    // The next user of this device must not see the saved list or send the queued changes
+    todoHandlers.stopRealtimeUpdates();
+    await listHandlers.reset();
+    await todoHandlers.clearOfflineData();
+    authHandlers.handleSignOut(todoElements.todoList);
+  });
   document.getElementById('add-todo-button').addEventListener('click', todoHandlers.createTodo);
+  todoElements.newTodoRepeatInput.addEventListener('change', (event) => showRecurrenceOptions(event.target.value));
+  document.getElementById('create-list-button').addEventListener('click', listHandlers.createList);
+  document.getElementById('rename-list-button').addEventListener('click', listHandlers.renameList);
+  document.getElementById('archive-list-button').addEventListener('click', listHandlers.toggleArchived);
+  document.getElementById('delete-list-button').addEventListener('click', listHandlers.deleteList);
+  document.getElementById('members-button').addEventListener('click', listHandlers.openMembers);
+  document.getElementById('close-members-button').addEventListener('click', listHandlers.closeMembers);
+  document.getElementById('invite-button').addEventListener('click', listHandlers.inviteMember);
+  document.getElementById('leave-list-button').addEventListener('click', listHandlers.leaveList);
+  todoElements.loadMoreButton.addEventListener('click', todoHandlers.loadMoreTodos);
+  document.getElementById('sort-select').addEventListener('change', (event) => {
+    // Option values have the form "<sort>:<order>", e.g. "priority:desc"
+    const [sort, order] = event.target.value.split(':');
+    todoHandlers.setListQuery({ sort, order });
+  });
+  document.getElementById('overdue-filter').addEventListener('change', (event) => {
+    todoHandlers.setListQuery({ overdue: event.target.checked ? 'true' : null });
+  });
+  const debouncedSearch = debounce(todoHandlers.searchTodos, SEARCH_DEBOUNCE_MS);
+  document.getElementById('search-input').addEventListener('input', (event) => debouncedSearch(event.target.value));
+  document.querySelectorAll('.status-tab').forEach(tab => {
+    tab.addEventListener('click', () => {
+      setActiveStatusTab(tab.dataset.status);
+      todoHandlers.filterByStatus(tab.dataset.status || null);
+    });
+  });
+  document.getElementById('clear-tag-filter').addEventListener('click', () => todoHandlers.filterByTag(null));
+  document.getElementById('complete-selected-button').addEventListener('click', () => todoHandlers.completeSelected(getSelectedTodoIds()));
+  document.getElementById('delete-selected-button').addEventListener('click', () => todoHandlers.deleteSelected(getSelectedTodoIds()));
+  document.getElementById('move-selected-select').addEventListener('change', (event) => {
+    const select = event.target;
+    if (!select.value) {
+      return;
+    }
+    const listId = select.value === PERSONAL_LIST_VALUE ? null : select.value;
+    const listName = select.selectedOptions[0].textContent;
+    select.value = '';
+    todoHandlers.moveSelected(getSelectedTodoIds(), listId, listName);
+  });
+  document.getElementById('show-trash-button').addEventListener('click', todoHandlers.openTrash);
+  document.getElementById('hide-trash-button').addEventListener('click', todoHandlers.closeTrash);
+
+  // Send the changes made offline as soon as the connection is back
+  window.addEventListener('online', todoHandlers.replayOfflineChanges);
+  window.addEventListener('offline', todoHandlers.updateSyncStatus);
+
+  // Infinite scroll: load the next page as soon as the "Load more" button scrolls into view
+  if ('IntersectionObserver' in window) {
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        todoHandlers.loadMoreTodos();
+      }
+    });
+    observer.observe(todoElements.loadMoreButton);
+  }
+
+  // Precache the app shell for offline use and offer to reload when a new version was deployed
+  registerServiceWorker({ onUpdateReady: showUpdatePrompt });
 
   authHandlers.checkUserAuth();
 });
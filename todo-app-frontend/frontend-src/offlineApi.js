@@ -0,0 +1,368 @@
+/**
+ * offlineApi.js
+ * @fileoverview
+ * This module wraps the post, put, patch and del calls of AWS Amplify's API module so changes
+ * made while offline are not lost. A change that cannot be sent right away is stored in a queue
+ * on the device and replayed in order once the connection is back.
+ * While changes are waiting in the queue, new changes are queued behind them, so the backend
+ * always receives the changes in the order they were made.
+ * @module offlineApi
+ * @requires @aws-amplify/auth
+ * @requires @aws-amplify/api
+ */
+import { fetchAuthSession } from '@aws-amplify/auth';
+import { post, put, patch, del } from '@aws-amplify/api';
+
+// Storage key of the queued changes.
+const QUEUE_KEY = 'mutationQueue';
+// Prefix of the temporary IDs given to To-Dos created while offline.
+export const LOCAL_ID_PREFIX = 'local-';
+// Status code of the responses of queued calls (202 Accepted).
+export const QUEUED_STATUS_CODE = 202;
+// Amplify API methods by name; queued changes store the name, since functions cannot be stored.
+const METHODS = new Map([['post', post], ['put', put], ['patch', patch], ['del', del]]);
+// Outcome of a replayed change that has to stay queued.
+const RETRY_LATER = Symbol('retryLater');
+
+// Friendly messages for the stable error codes of the backend's problem details (see src/utils/errors.js
+// of the backend and the API Gateway responses). Codes without an entry show the detail sent by the backend,
+// which already names the problem, e.g. which fields are invalid.
+const ERROR_MESSAGES = new Map([
+  ['UNAUTHORIZED', 'Your session has expired. Please sign in again.'],
+  ['EXPIRED_TOKEN', 'Your session has expired. Please sign in again.'],
+  ['INSUFFICIENT_ROLE', 'You do not have permission to do this in this list.'],
+  ['ACCESS_DENIED', 'You do not have permission to do this.'],
+  ['LIST_NOT_FOUND', 'This list no longer exists, or you are no longer a member of it.'],
+  ['TODO_NOT_FOUND', 'This To-Do no longer exists. It may have been deleted on another device.'],
+  ['SUBTASK_NOT_FOUND', 'This subtask no longer exists. It may have been deleted on another device.'],
+  ['INVITATION_NOT_FOUND', 'This invitation is no longer valid.'],
+  ['MEMBER_NOT_FOUND', 'This person is no longer a member of the list.'],
+  ['VERSION_CONFLICT', 'This To-Do was changed on another device. Please reload and try again.'],
+  ['CONCURRENT_MODIFICATION', 'This To-Do was changed on another device. Please reload and try again.'],
+  ['STALE_ORDER', 'The list was changed in the meantime. Please reload it and try again.'],
+  ['PAYLOAD_TOO_LARGE', 'That is too much to save at once.'],
+  ['THROTTLED', 'Too many requests. Please wait a moment and try again.'],
+  ['INTERNAL_ERROR', 'Something went wrong on our side. Please try again later.'],
+  ['DEFAULT_5XX', 'Something went wrong on our side. Please try again later.'],
+  ['INTEGRATION_TIMEOUT', 'The server took too long to answer. Please try again.'],
+]);
+
+/**
+ * Parses the body of an error response of the Amplify API client.
+ * The backend answers errors with RFC 7807 problem details: { type, title, status, detail, code, requestId, ... }.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {Object} The parsed body, empty if the error has no JSON body.
+ */
+function getErrorBody(error) {
+  try {
+    return JSON.parse(error?.response?.body) || {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Extracts the stable error code from an error thrown by the Amplify API client, e.g. 'LIST_NOT_FOUND'.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {string|null} The code, or null if the error did not come from the backend.
+ */
+export function getErrorCode(error) {
+  return getErrorBody(error).code || null;
+}
+
+/**
+ * Returns the message to show the user for a failed API call: a friendly message picked by the error code,
+ * or the message of the error itself for codes without one and errors that did not come from the backend.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {string} The message.
+ */
+export function getErrorMessage(error) {
+  return ERROR_MESSAGES.get(getErrorCode(error)) || error?.message || 'Unknown error';
+}
+
+/**
+ * Extracts the server copy of a To-Do from a 409 Conflict error thrown by the Amplify API client.
+ * The backend answers a write with a stale version with 409 and the current item.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {Object|null} The current To-Do item, or null if the error is not a version conflict.
+ */
+export function getConflictingTodo(error) {
+  if (error?.response?.statusCode !== 409) {
+    return null;
+  }
+  return getErrorBody(error).todo || null;
+}
+
+/**
+ * Extracts the invalid fields from a 400 Bad Request error thrown by the Amplify API client.
+ * The backend validates every request against a schema and lists each invalid field as { field, message },
+ * e.g. { field: 'title', message: 'title must be at most 200 characters.' }.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {Object[]} The invalid fields, empty if the error is not a validation error.
+ */
+export function getValidationErrors(error) {
+  if (error?.response?.statusCode !== 400) {
+    return [];
+  }
+  const { errors } = getErrorBody(error);
+  return Array.isArray(errors) ? errors : [];
+}
+
+/**
+ * Tells whether a response belongs to a call that was queued instead of sent.
+ * @param {Object} response - The settled response of a wrapped API call.
+ * @returns {boolean} True if the change is waiting in the offline queue.
+ */
+export function isQueued(response) {
+  return response?.statusCode === QUEUED_STATUS_CODE;
+}
+
+/**
+ * Tells whether an API call failed because the backend could not be reached,
+ * as opposed to the backend rejecting the request.
+ * @param {Error} error - The error thrown by the API call.
+ * @returns {boolean} True for network errors.
+ */
+export function isNetworkError(error) {
+  return !error?.response && error?.name === 'NetworkError';
+}
+
+/**
+ * Builds the result of a queued call. It has the same shape as the result of the Amplify API methods,
+ * with a 202 Accepted response whose body tells the caller that the change was queued.
+ * @param {string|undefined} localId - The temporary ID of a To-Do created while offline.
+ * @returns {Object} The result, with a response promise.
+ */
+function queuedResult(localId) {
+  const data = localId ? { queued: true, localId } : { queued: true };
+  return { response: Promise.resolve({ statusCode: QUEUED_STATUS_CODE, body: { json: () => Promise.resolve(data) } }) };
+}
+
+/**
+ * Replaces the temporary ID of a To-Do created while offline in a queued change,
+ * once the backend has assigned the real ID.
+ * @param {Object} mutation - The queued change.
+ * @param {string} localId - The temporary ID.
+ * @param {string} todoId - The ID assigned by the backend.
+ * @returns {Object} The change with the real ID.
+ */
+function replaceLocalId(mutation, localId, todoId) {
+  const options = { ...mutation.options };
+  const operations = options.body?.operations;
+  if (Array.isArray(operations)) {
+    options.body = {
+      ...options.body,
+      operations: operations.map(operation => (operation.todoId === localId ? { ...operation, todoId } : operation)),
+    };
+  }
+  return { ...mutation, path: mutation.path.split(localId).join(todoId), options };
+}
+
+/**
+ * Creates the offline-aware API client.
+ * @param {Object} params - The parameters for the client.
+ * @param {Object|Promise<Object>} params.storage - The storage of the queue, see offlineStorage.js.
+ * @param {Function} [params.isOnline] - Tells whether the browser is online.
+ * @param {Function} [params.onStatusChange] - Called with { online, syncing, pending } whenever the status changes.
+ * @returns {Object} The client, with post, put, patch and del functions taking the same arguments as the Amplify API methods,
+ * and functions to replay the queue, read the status and clear the queue.
+ */
+export function createOfflineApi({ storage, isOnline = () => navigator.onLine, onStatusChange = () => {} }) {
+  const storageReady = Promise.resolve(storage);
+  // Queued changes, oldest first; loaded from the storage on first use
+  let queue = null;
+  let syncing = false;
+  let lastId = 0;
+
+  /**
+   * Returns the queued changes, loading them from the storage on first use.
+   * @returns {Promise<Object[]>} The queued changes.
+   */
+  async function loadQueue() {
+    if (!queue) {
+      const stored = await (await storageReady).get(QUEUE_KEY);
+      queue = queue || stored || [];
+    }
+    return queue;
+  }
+
+  /**
+   * Returns the connection and queue status, e.g. for the status indicator.
+   * @returns {Object} { online, syncing, pending }.
+   */
+  function status() {
+    return { online: isOnline(), syncing, pending: queue ? queue.length : 0 };
+  }
+
+  /**
+   * Stores the queue and reports the new status.
+   * @returns {Promise<void>} A promise that resolves when the queue is stored.
+   */
+  async function saveQueue() {
+    await (await storageReady).set(QUEUE_KEY, queue);
+    onStatusChange(status());
+  }
+
+  /**
+   * Adds a change to the queue. The Authorization header is not stored; a fresh token is used on replay.
+   * @param {string} method - 'post', 'put', 'patch' or 'del'.
+   * @param {Object} request - The arguments of the Amplify API method.
+   * @returns {Promise<Object>} A promise that resolves to the queued result.
+   */
+  async function enqueue(method, { path, options = {} }) {
+    await loadQueue();
+    const headers = Object.fromEntries(Object.entries(options.headers || {}).filter(([name]) => name !== 'Authorization'));
+    lastId += 1;
+    const mutation = { id: `${Date.now()}-${lastId}`, method, path, options: { ...options, headers }, queuedAt: new Date().toISOString() };
+    if (method === 'post' && path === '/todos') {
+      mutation.localId = `${LOCAL_ID_PREFIX}${mutation.id}`;
+    }
+    queue = [...queue, mutation];
+    await saveQueue();
+    return queuedResult(mutation.localId);
+  }
+
+  /**
+   * Creates the wrapper for one Amplify API method.
+   * The call is queued when the browser is offline, when earlier changes are still queued
+   * or when the backend cannot be reached; otherwise it is sent right away.
+   * @param {string} method - 'post', 'put', 'patch' or 'del'.
+   * @returns {Function} The wrapped method. It resolves to the Amplify result with a settled response.
+   */
+  function wrap(method) {
+    return async (request) => {
+      if (!isOnline() || (await loadQueue()).length > 0) {
+        return enqueue(method, request);
+      }
+      try {
+        const result = await METHODS.get(method)(request);
+        await result.response;
+        return result;
+      } catch (error) {
+        if (isNetworkError(error)) {
+          return enqueue(method, request);
+        }
+        throw error;
+      }
+    };
+  }
+
+  /**
+   * Sends a queued change.
+   * @param {Object} mutation - The queued change.
+   * @param {string} idToken - The Cognito ID token.
+   * @param {Object} [headers] - Headers replacing the stored ones, e.g. for a retry with a new If-Match version.
+   * @returns {Promise<Object>} A promise that resolves to the response body.
+   */
+  async function send(mutation, idToken, headers = mutation.options.headers) {
+    const result = await METHODS.get(mutation.method)({
+      apiName: 'TodoApi',
+      path: mutation.path,
+      options: { ...mutation.options, headers: { ...headers, Authorization: `Bearer ${idToken}` } },
+    });
+    const raw = await result.response;
+    // DELETE responses of the Amplify API client may come without a body
+    return raw.body ? raw.body.json() : {};
+  }
+
+  /**
+   * Resolves a version conflict of a replayed change.
+   * The change is sent again on top of the server copy if that copy was last changed before the change was made
+   * offline, or by an earlier change of this replay. Otherwise the To-Do was changed elsewhere later, and the server wins.
+   * @param {Object} mutation - The queued change.
+   * @param {Error} error - The 409 Conflict error.
+   * @param {string} idToken - The Cognito ID token.
+   * @param {Map<string, string>} written - updatedAt of the To-Dos changed by this replay, by ID.
+   * @returns {Promise<Object|null>} The response body of the retry, or null if the change was discarded.
+   */
+  async function resolveConflict(mutation, error, idToken, written) {
+    const current = getConflictingTodo(error);
+    if (!current) {
+      return null;
+    }
+    const ownChange = written.get(current.todoId) === current.updatedAt;
+    if (!ownChange && (current.updatedAt || '') >= mutation.queuedAt) {
+      return null;
+    }
+    return send(mutation, idToken, { ...mutation.options.headers, 'If-Match': String(current.version) });
+  }
+
+  /**
+   * Sends one queued change, resolving a version conflict if needed.
+   * @param {Object} mutation - The queued change.
+   * @param {string} idToken - The Cognito ID token.
+   * @param {Map<string, string>} written - updatedAt of the To-Dos changed by this replay, by ID.
+   * @returns {Promise<Object|null|symbol>} The response body, null if the backend rejected the change,
+   * or RETRY_LATER if the backend could not be reached or failed.
+   */
+  async function replayOne(mutation, idToken, written) {
+    try {
+      return await send(mutation, idToken);
+    } catch (error) {
+      if (isNetworkError(error) || error?.response?.statusCode >= 500) {
+        return RETRY_LATER;
+      }
+      const data = await resolveConflict(mutation, error, idToken, written).catch(() => null);
+      if (!data) {
+        console.error('Queued change was rejected:', error);
+      }
+      return data;
+    }
+  }
+
+  /**
+   * Sends the queued changes to the backend, oldest first.
+   * The replay stops when the connection is lost again or the backend fails; the remaining changes stay queued.
+   * Changes the backend rejects (e.g. because the To-Do was changed elsewhere later or no longer exists) are dropped
+   * and returned, so the user can be told about them.
+   * @returns {Promise<Object>} A promise that resolves to { replayed, discarded }, the number of changes sent
+   * and the discarded changes.
+   */
+  async function replay() {
+    await loadQueue();
+    if (syncing || queue.length === 0 || !isOnline()) {
+      return { replayed: 0, discarded: [] };
+    }
+    syncing = true;
+    onStatusChange(status());
+    const discarded = [];
+    const written = new Map();
+    let replayed = 0;
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      while (queue.length > 0 && isOnline()) {
+        const [mutation, ...rest] = queue;
+        const data = await replayOne(mutation, idToken, written);
+        if (data === RETRY_LATER) {
+          break;
+        }
+        if (data?.todo) {
+          written.set(data.todo.todoId, data.todo.updatedAt);
+        }
+        if (!data) {
+          discarded.push(mutation);
+        }
+        const todoId = data?.todo?.todoId;
+        queue = mutation.localId && todoId ? rest.map(next => replaceLocalId(next, mutation.localId, todoId)) : rest;
+        replayed += 1;
+        await saveQueue();
+      }
+    } finally {
+      syncing = false;
+      onStatusChange(status());
+    }
+    return { replayed, discarded };
+  }
+
+  /**
+   * Drops all queued changes, e.g. when the user signs out.
+   * @returns {Promise<void>} A promise that resolves when the queue is cleared.
+   */
+  async function clear() {
+    queue = [];
+    await saveQueue();
+  }
+
+  return { post: wrap('post'), put: wrap('put'), patch: wrap('patch'), del: wrap('del'), replay, status, clear };
+}
@@ -0,0 +1,72 @@
+/**
+ * offlineStorage.js
+ * @fileoverview
+ * This module provides a small asynchronous key-value storage for offline use,
+ * backed by IndexedDB so the cached To-Do list and the queued changes survive a reload.
+ * When IndexedDB is not available (e.g. in some private browsing modes or in tests)
+ * an in-memory storage with the same interface is used instead.
+ * @module offlineStorage
+ */
+
+// Name of the IndexedDB database and of its only object store.
+const DB_NAME = 'serverless-todo';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+/**
+ * Turns an IndexedDB request into a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} A promise that resolves to the result of the request.
+ */
+function toPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates a storage that only keeps the values in memory.
+ * @returns {Object} The storage with async get, set and clear functions.
+ */
+export function createMemoryStorage() {
+  const values = new Map();
+  return {
+    get: async (key) => values.get(key),
+    set: async (key, value) => {
+      values.set(key, value);
+    },
+    clear: async () => {
+      values.clear();
+    },
+  };
+}
+
+/**
+ * Opens the offline storage.
+ * @param {IDBFactory} [indexedDB] - The IndexedDB factory, the browser's by default.
+ * @returns {Promise<Object>} A promise that resolves to the storage with async get(key), set(key, value) and clear() functions.
+ */
+export async function openOfflineStorage(indexedDB = globalThis.indexedDB) {
+  if (!indexedDB) {
+    return createMemoryStorage();
+  }
+  try {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    const db = await toPromise(request);
+    const run = (mode, action) => toPromise(action(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME)));
+    return {
+      get: (key) => run('readonly', store => store.get(key)),
+      set: async (key, value) => {
+        await run('readwrite', store => store.put(value, key));
+      },
+      clear: async () => {
+        await run('readwrite', store => store.clear());
+      },
+    };
+  } catch (error) {
+    console.warn('IndexedDB is not available, offline data is kept in memory only:', error);
+    return createMemoryStorage();
+  }
+}
@@ -0,0 +1,116 @@
+/**
+ * realtime.js
+ * @fileoverview
+ * This module keeps a connection to the WebSocket API of the backend open, which pushes every change
+ * to the user's To-Dos, so changes made on another device or tab show up without reloading.
+ * The messages have the same { todos, tombstones } format as GET /todos/changes.
+ * Browsers cannot send an Authorization header when opening a WebSocket, so the Cognito ID token
+ * is passed in the `token` query string parameter.
+ * The connection is opened again with an increasing delay whenever it is closed, e.g. when the device
+ * goes offline or API Gateway closes an idle connection.
+ * @module realtime
+ */
+
+// Delay before the first reconnect attempt; it doubles after every failed attempt up to the maximum.
+const INITIAL_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+/**
+ * Parses a message of the WebSocket API.
+ * @param {string} data - The message.
+ * @returns {Object|null} The message, or null if it is not valid JSON.
+ */
+function parseMessage(data) {
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    console.error('Ignoring malformed real-time message:', error);
+    return null;
+  }
+}
+
+/**
+ * Opens the real-time connection and keeps it open until it is closed.
+ * @param {Object} params - The parameters for the connection.
+ * @param {Function} params.getToken - Resolves to the current Cognito ID token; called for every connection attempt,
+ * so a reconnect uses a fresh token.
+ * @param {Function} params.onChanges - Called with every change message, { type: 'changes', todos, tombstones },
+ * or { type: 'changes', resync: true } if the changes were too large to be pushed.
+ * @param {Function} [params.onReconnect] - Called when the connection is open again after it was lost,
+ * so the changes missed in the meantime can be fetched.
+ * @param {string} [params.url] - The URL of the WebSocket API; defaults to the WEBSOCKET_ENDPOINT of the build.
+ * @param {Function} [params.WebSocketImpl] - The WebSocket constructor; defaults to the browser's.
+ * @returns {Object|null} { close } to close the connection for good, or null if no WebSocket API is configured.
+ */
+export function connectRealtime({ getToken, onChanges, onReconnect, url = process.env.WEBSOCKET_ENDPOINT, WebSocketImpl = globalThis.WebSocket }) {
+  if (!url || !WebSocketImpl) {
+    return null;
+  }
+  let socket = null;
+  let retryTimer = null;
+  let retryMs = INITIAL_RETRY_MS;
+  let wasConnected = false;
+  let closed = false;
+
+  /**
+   * Opens the connection again after the current delay.
+   */
+  function scheduleReconnect() {
+    if (closed) {
+      return;
+    }
+    retryTimer = setTimeout(open, retryMs);
+    retryMs = Math.min(retryMs * 2, MAX_RETRY_MS);
+  }
+
+  /**
+   * Opens a connection with a fresh ID token.
+   * @returns {Promise<void>} A promise that resolves once the connection attempt has started.
+   */
+  async function open() {
+    retryTimer = null;
+    let token;
+    try {
+      token = await getToken();
+    } catch (error) {
+      console.error('Failed to get a token for real-time updates:', error);
+      scheduleReconnect();
+      return;
+    }
+    if (closed) {
+      return;
+    }
+    socket = new WebSocketImpl(`${url}?token=${encodeURIComponent(token)}`);
+    socket.addEventListener('open', () => {
+      retryMs = INITIAL_RETRY_MS;
+      if (wasConnected && onReconnect) {
+        onReconnect();
+      }
+      wasConnected = true;
+    });
+    socket.addEventListener('message', (event) => {
+      const message = parseMessage(event.data);
+      if (message?.type === 'changes') {
+        onChanges(message);
+      }
+    });
+    socket.addEventListener('close', () => {
+      socket = null;
+      scheduleReconnect();
+    });
+  }
+
+  open();
+  return {
+    /**
+     * Closes the connection and stops reconnecting, e.g. when the user signs out.
+     */
+    close() {
+      closed = true;
+      clearTimeout(retryTimer);
+      if (socket) {
+        socket.close();
+      }
+    },
+  };
+}
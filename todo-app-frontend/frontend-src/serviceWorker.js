@@ -0,0 +1,37 @@
+/**
+ * serviceWorker.js
+ * @fileoverview
+ * This module registers the service worker generated by the webpack build (see webpack.config.cjs).
+ * The service worker precaches the app shell, so the app can be installed and opened without network.
+ * A new version is installed in the background and waits until the user accepts the update prompt,
+ * so the page is never reloaded while the user is typing.
+ * @module serviceWorker
+ * @requires workbox-window
+ */
+import { Workbox } from 'workbox-window';
+
+// Path of the generated service worker, relative to index.html.
+const SERVICE_WORKER_URL = 'service-worker.js';
+
+/**
+ * Registers the service worker, if the browser supports it.
+ * @param {Object} params - The parameters for the registration.
+ * @param {Function} params.onUpdateReady - Called with an activate function once a new version is waiting;
+ * calling it activates the new version and reloads the page.
+ * @returns {Workbox|null} The Workbox instance, or null if service workers are not supported.
+ */
+export function registerServiceWorker({ onUpdateReady }) {
+  if (!('serviceWorker' in navigator)) {
+    return null;
+  }
+  const workbox = new Workbox(SERVICE_WORKER_URL);
+  workbox.addEventListener('waiting', () => {
+    onUpdateReady(() => {
+      // Reload once the new version has taken over, so the page and the cache match
+      workbox.addEventListener('controlling', () => window.location.reload());
+      workbox.messageSkipWaiting();
+    });
+  });
+  workbox.register().catch(error => console.error('Service worker registration failed:', error));
+  return workbox;
+}
@@ -7,26 +7,206 @@
  * The functions are designed to be used in a front-end application, managing the UI updates accordingly
  * and providing feedback to the user.
  * It also handles errors gracefully, displaying appropriate messages to the user.
+ * Changes are sent through the offline API client, which queues them while the device is offline,
+ * and the list is saved on the device so it can be shown without a connection.
+ * Changes made on other devices are pushed over the real-time connection and patched into the list.
+ * The handlers work on the user's personal To-Dos or on one shared list at a time: every request for a shared
+ * list carries its `listId` query string parameter.
  * @module todoHandlers
  * @requires @aws-amplify/auth
  * @requires @aws-amplify/api
  * @requires ./uiHandlers.js
+ * @requires ./todoStore.js
+ * @requires ./offlineStorage.js
+ * @requires ./offlineApi.js
+ * @requires ./realtime.js
  */
 import { fetchAuthSession } from '@aws-amplify/auth';
-import { get, post, put, del } from '@aws-amplify/api';
-import { renderTodos } from './uiHandlers.js';
+import { get } from '@aws-amplify/api';
+import { renderTodos, renderTrash, showTrashView, showUndoToast, isOverdue, renderSyncStatus, showRecurrenceOptions, markInvalidFields } from './uiHandlers.js';
+import { createTodoStore } from './todoStore.js';
+import { openOfflineStorage } from './offlineStorage.js';
+import { createOfflineApi, getConflictingTodo, getErrorMessage, getValidationErrors, isQueued } from './offlineApi.js';
+import { connectRealtime } from './realtime.js';
+
+export { getConflictingTodo, getValidationErrors };
+
+// Number of To-Dos requested per page from GET /todos.
+const PAGE_SIZE = 25;
+// Maximum number of results requested from GET /todos/search, which is not paginated.
+const SEARCH_LIMIT = 100;
+
+/**
+ * Splits the comma separated tags input into a list of tags.
+ * Tags are lower-cased and duplicates are dropped, matching how the backend stores them.
+ * @param {string} value - The raw input value, e.g. "Work, urgent".
+ * @returns {string[]} The tags, e.g. ['work', 'urgent'].
+ */
+export function parseTags(value) {
+  const tags = value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Builds the recurrence rule of a new To-Do from the "Repeat" picker.
+ * @param {Object} values - The picker values.
+ * @param {string} values.frequency - 'daily', 'weekly', 'monthly', 'afterCompletion' or '' for no recurrence.
+ * @param {string} [values.interval] - The raw interval input, defaults to 1.
+ * @param {string[]} [values.weekdays] - The checked weekdays of a weekly rule, e.g. ['MO', 'FR'].
+ * @param {string} [values.monthDay] - The raw day of the month of a monthly rule.
+ * @returns {Object} Either { recurrence } with the rule (null when the To-Do does not repeat) or { error } with a message.
+ */
+export function buildRecurrence({ frequency, interval = '', weekdays = [], monthDay = '' }) {
+  if (!frequency) {
+    return { recurrence: null };
+  }
+  const recurrence = { frequency, interval: interval === '' ? 1 : Number(interval) };
+  if (!Number.isInteger(recurrence.interval) || recurrence.interval < 1 || recurrence.interval > 365) {
+    return { error: 'Repeat interval must be a whole number between 1 and 365.' };
+  }
+  if (frequency === 'weekly') {
+    if (weekdays.length === 0) {
+      return { error: 'Pick at least one weekday to repeat on.' };
+    }
+    recurrence.weekdays = weekdays;
+  }
+  if (frequency === 'monthly') {
+    recurrence.monthDay = Number(monthDay);
+    if (!Number.isInteger(recurrence.monthDay) || recurrence.monthDay < 1 || recurrence.monthDay > 31) {
+      return { error: 'Day of the month must be between 1 and 31.' };
+    }
+  }
+  return { recurrence };
+}
 
 /**
  * Initializes the To-Do handlers with the provided input elements and message display.
  * @param {Object} params - The parameters for initializing the To-Do handlers.
  * @param {HTMLInputElement} params.newTodoTitleInput - Input element for the new To-Do title.
  * @param {HTMLInputElement} params.newTodoDescriptionInput - Input element for the new To-Do description.
+ * @param {HTMLInputElement} params.newTodoDueInput - Optional datetime-local input for the new To-Do due date.
+ * @param {HTMLSelectElement} params.newTodoPriorityInput - Optional select element for the new To-Do priority.
+ * @param {HTMLInputElement} params.newTodoTagsInput - Optional input for the comma separated tags of the new To-Do.
+ * @param {HTMLInputElement} params.newTodoAutoCompleteInput - Optional checkbox to complete the new To-Do once all subtasks are done.
+ * @param {HTMLSelectElement} params.newTodoRepeatInput - Optional select element for the repeat frequency of the new To-Do.
+ * @param {HTMLInputElement} params.newTodoRepeatIntervalInput - Optional input for the repeat interval.
+ * @param {HTMLElement} params.newTodoRepeatWeekdays - Optional container of the weekday checkboxes of weekly rules.
+ * @param {HTMLInputElement} params.newTodoRepeatDayInput - Optional input for the day of the month of monthly rules.
  * @param {HTMLElement} params.todoMessage - Element to display messages related to To-Do operations.
  * @param {HTMLElement} params.todoList - Element to render the list of To-Dos.
+ * @param {HTMLButtonElement} params.loadMoreButton - Button that loads the next page of To-Dos.
+ * @param {HTMLElement} params.tagFilter - Optional container showing the active tag filter.
+ * @param {HTMLElement} params.tagFilterLabel - Optional element that displays the name of the active tag filter.
  * @returns {Object} An object containing functions to create, fetch, update, and delete To-Dos.
  */
-export function initTodoHandlers({ newTodoTitleInput, newTodoDescriptionInput, todoMessage, todoList }) {
-  
+export function initTodoHandlers({ newTodoTitleInput, newTodoDescriptionInput, newTodoDueInput, newTodoPriorityInput, newTodoTagsInput, newTodoAutoCompleteInput, newTodoRepeatInput, newTodoRepeatIntervalInput, newTodoRepeatWeekdays, newTodoRepeatDayInput, todoMessage, todoList, loadMoreButton, tagFilter, tagFilterLabel }) {
+  // To-Dos loaded so far and the token for the next page (null when everything is loaded)
+  const store = createTodoStore();
+  let nextToken = null;
+  // Cursor for GET /todos/changes, issued with the first page of the list (null while searching)
+  let syncCursor = null;
+  let isLoadingMore = false;
+  // Filters sent as query string parameters with every GET /todos request
+  let listQuery = {};
+  // Whether the Trash view is shown instead of the list
+  let trashOpen = false;
+  // Active search; while a query is set the list shows the search results instead of GET /todos
+  let searchQuery = '';
+  let searchTerms = [];
+  // Storage on the device for the last loaded list and the changes made offline
+  const storage = openOfflineStorage();
+  const api = createOfflineApi({ storage, onStatusChange: renderSyncStatus });
+  // Open connection to the WebSocket API while the user is signed in (null when not connected)
+  let realtime = null;
+  // List shown instead of the personal To-Dos, { listId, name, role } (null for the personal To-Dos)
+  let currentList = null;
+  // Inputs of the "Add New To-Do" form by the field of POST /todos they fill, to mark the fields the backend rejects
+  const newTodoInputs = new Map([
+    ['title', newTodoTitleInput],
+    ['description', newTodoDescriptionInput],
+    ['dueAt', newTodoDueInput],
+    ['priority', newTodoPriorityInput],
+    ['tags', newTodoTagsInput],
+    ['autoComplete', newTodoAutoCompleteInput],
+    ['recurrence', newTodoRepeatInput],
+  ]);
+
+  /**
+   * Adds the `listId` query string parameter of the shown list to the options of an API call.
+   * @param {Object} options - The options of the Amplify API call.
+   * @returns {Object} The options, unchanged for the personal To-Dos.
+   */
+  function withList(options) {
+    if (!currentList) {
+      return options;
+    }
+    return { ...options, queryParams: { ...options.queryParams, listId: currentList.listId } };
+  }
+
+  /**
+   * Clears the "Add New To-Do" form after a To-Do was created.
+   * The optional inputs are only reset when they were provided.
+   */
+  function resetNewTodoInputs() {
+    markInvalidFields(newTodoInputs, []);
+    newTodoTitleInput.value = '';
+    newTodoDescriptionInput.value = '';
+    if (newTodoDueInput) {
+      newTodoDueInput.value = '';
+    }
+    if (newTodoPriorityInput) {
+      newTodoPriorityInput.value = 'medium';
+    }
+    if (newTodoTagsInput) {
+      newTodoTagsInput.value = '';
+    }
+    if (newTodoAutoCompleteInput) {
+      newTodoAutoCompleteInput.checked = false;
+    }
+    if (newTodoRepeatInput) {
+      newTodoRepeatInput.value = '';
+      newTodoRepeatIntervalInput.value = '1';
+      newTodoRepeatDayInput.value = '';
+      newTodoRepeatWeekdays.querySelectorAll('input').forEach(checkbox => { checkbox.checked = false; });
+      showRecurrenceOptions('');
+    }
+  }
+
+  /**
+   * Reads the optional priority, auto-complete flag and tags of the new To-Do.
+   * @returns {Object} The fields to add to the body of POST /todos; fields that were not set are left out.
+   */
+  function readNewTodoOptions() {
+    const options = {};
+    if (newTodoPriorityInput && newTodoPriorityInput.value) {
+      options.priority = newTodoPriorityInput.value;
+    }
+    if (newTodoAutoCompleteInput && newTodoAutoCompleteInput.checked) {
+      options.autoComplete = true;
+    }
+    const tags = parseTags(newTodoTagsInput ? newTodoTagsInput.value : '');
+    if (tags.length > 0) {
+      options.tags = tags;
+    }
+    return options;
+  }
+
+  /**
+   * Reads the recurrence rule of the new To-Do from the "Repeat" picker.
+   * @returns {Object} Either { recurrence } (null when the To-Do does not repeat or there is no picker) or { error }.
+   */
+  function readNewTodoRecurrence() {
+    if (!newTodoRepeatInput) {
+      return { recurrence: null };
+    }
+    return buildRecurrence({
+      frequency: newTodoRepeatInput.value,
+      interval: newTodoRepeatIntervalInput.value,
+      weekdays: [...newTodoRepeatWeekdays.querySelectorAll('input:checked')].map(checkbox => checkbox.value),
+      monthDay: newTodoRepeatDayInput.value,
+    });
+  }
+
   /**
    * Creates a new To-Do with the provided title and description.
    * Handles user input validation and API interaction.
@@ -37,68 +217,623 @@ export function initTodoHandlers({ newTodoTitleInput, newTodoDescriptionInput, t
   async function createTodo() {
     const title = newTodoTitleInput.value.trim();
     const description = newTodoDescriptionInput.value.trim();
+    const dueValue = newTodoDueInput ? newTodoDueInput.value : '';
     todoMessage.textContent = '';
     if (!title) {
       todoMessage.textContent = 'To-Do title cannot be empty.';
       todoMessage.className = 'text-sm mt-4 text-center text-red-500';
       return;
     }
+    const body = { title, description, ...readNewTodoOptions() };
+    const { recurrence, error: recurrenceError } = readNewTodoRecurrence();
+    if (recurrenceError) {
+      todoMessage.textContent = recurrenceError;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+      return;
+    }
+    if (recurrence) {
+      body.recurrence = recurrence;
+    }
+    if (dueValue) {
+      // datetime-local values have no timezone; interpret them in the user's local time
+      const dueDate = new Date(dueValue);
+      if (Number.isNaN(dueDate.getTime()) || dueDate.getTime() < Date.now()) {
+        todoMessage.textContent = 'Due date must be in the future.';
+        todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+        return;
+      }
+      body.dueAt = dueDate.toISOString();
+    }
     try {
       const session = await fetchAuthSession();
       const idToken = session.tokens.idToken.toString();
-      const result = await post({
+      const result = await api.post({
         apiName: 'TodoApi',
         path: '/todos',
-        options: {
-          body: { title, description },
+        options: withList({
+          body,
           headers: { Authorization: `Bearer ${idToken}` }
-        }
+        })
       });
       const raw = await result.response;
       const data = await raw.body.json();
       console.log('Create To-Do response:', data);
-      newTodoTitleInput.value = '';
-      newTodoDescriptionInput.value = '';
-      fetchTodos();
+      resetNewTodoInputs();
+      if (isQueued(raw)) {
+        addLocalTodo(body, data.localId);
+      } else {
+        syncTodos();
+      }
     } catch (error) {
       console.error('Error creating To-Do:', error);
-      todoMessage.textContent = `Failed to create To-Do: ${error.message || 'Unknown error'}`;
+      // A 400 response lists every invalid field; its message joins their messages
+      markInvalidFields(newTodoInputs, getValidationErrors(error));
+      todoMessage.textContent = `Failed to create To-Do: ${getErrorMessage(error)}`;
       todoMessage.className = 'text-sm mt-4 text-center text-red-500';
     }
   }
   /**
-   * Fetches the list of To-Dos from the backend and renders them in the UI.
+   * Requests a single page of To-Dos from the backend.
+   * @param {string|null} token - The nextToken returned by the previous page, or null for the first page.
+   * @returns {Promise<Object>} A promise that resolves to the response body ({ todos, nextToken }).
+   */
+  async function requestTodosPage(token) {
+    const session = await fetchAuthSession();
+    const idToken = session.tokens.idToken.toString();
+    const queryParams = { ...listQuery, limit: String(PAGE_SIZE) };
+    if (token) {
+      queryParams.nextToken = token;
+    }
+    const result = await get({
+      apiName: 'TodoApi',
+      path: '/todos',
+      options: withList({ headers: { Authorization: `Bearer ${idToken}` }, queryParams })
+    });
+    const raw = await result.response;
+    return raw.body.json();
+  }
+
+  /**
+   * Shows the "Load more" button only while there are more pages to fetch.
+   */
+  function updateLoadMoreButton() {
+    if (nextToken) {
+      loadMoreButton.classList.remove('hidden');
+    } else {
+      loadMoreButton.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Fetches the first page of To-Dos from the backend and renders them in the UI.
+   * Any previously loaded pages are discarded. While a search is active, the search results are reloaded instead.
    * Displays a loading message while fetching and handles errors gracefully.
    * @returns {Promise<void>} A promise that resolves when the To-Dos are fetched or an error occurs.
    */
   async function fetchTodos() {
+    if (searchQuery) {
+      return fetchSearchResults();
+    }
     todoList.innerHTML = '<p class="text-gray-500 text-center">Loading To-Dos...</p>';
+    store.reset();
+    nextToken = null;
+    syncCursor = null;
+    // Show the copy saved on this device right away; it is replaced as soon as the backend answers
+    const cached = await readListCache();
+    if (cached) {
+      store.reset(cached.todos || []);
+      renderList();
+    }
+    try {
+      // Changes made offline are sent first, so the list includes them
+      await flushOfflineChanges();
+      const data = await requestTodosPage(null);
+      console.log('Fetched To-Dos data:', data);
+      store.reset(data.todos || []);
+      nextToken = data.nextToken || null;
+      syncCursor = data.syncCursor || null;
+      renderList();
+    } catch (error) {
+      console.error('Error fetching To-Dos:', error);
+      showFetchError(cached);
+    }
+    updateLoadMoreButton();
+  }
+
+  /**
+   * Tells the user that the list could not be loaded.
+   * If a copy of the list is saved on this device it stays on screen, and syncing resumes from its cursor later.
+   * @param {Object|null} cached - The saved copy of the list, { todos, syncCursor }.
+   */
+  function showFetchError(cached) {
+    if (!cached) {
+      todoList.innerHTML = '<p class="text-red-500 text-center">Failed to load To-Dos. Please sign in again.</p>';
+      return;
+    }
+    syncCursor = cached.syncCursor || null;
+    todoMessage.textContent = 'Could not reach the server. Showing the To-Dos saved on this device.';
+    todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+  }
+
+  /**
+   * Returns the storage key of the saved copy of the list; each list and combination of filters is saved separately.
+   * @returns {string} The key, e.g. 'list:{"status":"pending"}'.
+   */
+  function listCacheKey() {
+    const scope = currentList ? { ...listQuery, listId: currentList.listId } : listQuery;
+    return `list:${JSON.stringify(scope)}`;
+  }
+
+  /**
+   * Reads the copy of the list with the current filters saved on this device.
+   * @returns {Promise<Object|null>} A promise that resolves to { todos, syncCursor }, or null if nothing is saved.
+   */
+  async function readListCache() {
+    try {
+      return (await (await storage).get(listCacheKey())) || null;
+    } catch (error) {
+      console.error('Error reading the saved To-Dos:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves the To-Dos shown in the list on this device, so they can be shown while offline.
+   * @returns {Promise<void>} A promise that resolves when the list is saved.
+   */
+  async function saveListCache() {
+    try {
+      await (await storage).set(listCacheKey(), { todos: store.all(), syncCursor });
+    } catch (error) {
+      console.error('Error saving the To-Dos:', error);
+    }
+  }
+
+  /**
+   * Sends the changes made offline and tells the user about changes that could not be saved.
+   * @returns {Promise<boolean>} A promise that resolves to true if any queued change was sent.
+   */
+  async function flushOfflineChanges() {
+    const { replayed, discarded } = await api.replay();
+    if (discarded.length > 0) {
+      todoMessage.textContent = `${discarded.length} change(s) made offline could not be saved, because the To-Do was changed or removed elsewhere.`;
+      todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+    }
+    return replayed > 0;
+  }
+
+  /**
+   * Sends the changes made offline once the connection is back and reloads the list,
+   * so To-Dos created offline are shown with the IDs assigned by the backend.
+   * @returns {Promise<void>} A promise that resolves when the changes are sent and the list is reloaded.
+   */
+  async function replayOfflineChanges() {
+    renderSyncStatus(api.status());
+    if (await flushOfflineChanges()) {
+      return fetchTodos();
+    }
+  }
+
+  /**
+   * Shows the connection status, e.g. when the browser goes offline.
+   */
+  function updateSyncStatus() {
+    renderSyncStatus(api.status());
+  }
+
+  /**
+   * Deletes the saved list and the queued changes, e.g. when the user signs out.
+   * @returns {Promise<void>} A promise that resolves when the offline data is deleted.
+   */
+  async function clearOfflineData() {
+    try {
+      await api.clear();
+      await (await storage).clear();
+    } catch (error) {
+      console.error('Error deleting the offline data:', error);
+    }
+  }
+
+  /**
+   * Tells the user that a change was saved on this device and will be sent later.
+   */
+  function showQueuedMessage() {
+    todoMessage.textContent = 'You are offline. The change is saved on this device and will sync when you are back online.';
+    todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+  }
+
+  /**
+   * Shows a To-Do created while offline at the top of the list until it is sent.
+   * @param {Object} body - The request body of the To-Do.
+   * @param {string} localId - The temporary ID of the To-Do.
+   */
+  function addLocalTodo(body, localId) {
+    const now = new Date().toISOString();
+    const item = { ...body, todoId: localId, status: 'pending', createdAt: now, updatedAt: now, localOnly: true };
+    store.applyChanges({ todos: [item] }, matchesListQuery);
+    renderList();
+    showQueuedMessage();
+  }
+
+  /**
+   * Shows changes made while offline in the list until they are sent.
+   * Changed To-Dos that no longer match the filters are removed from the list.
+   * @param {Object[]} items - The changed To-Dos.
+   */
+  function applyLocally(items) {
+    items.forEach(item => store.replace(item));
+    store.applyChanges({ tombstones: items.filter(item => !matchesListQuery(item)) });
+    renderList();
+    showQueuedMessage();
+  }
+
+  /**
+   * Removes To-Dos deleted while offline from the list.
+   * @param {string[]} todoIds - The IDs of the deleted To-Dos.
+   */
+  function removeLocally(todoIds) {
+    store.applyChanges({ tombstones: todoIds.map(todoId => ({ todoId })) });
+    renderList();
+    showQueuedMessage();
+  }
+
+  /**
+   * Tells whether the user can move the To-Dos in the list: only in the manual order, not while searching
+   * and not in a list the user can only view.
+   * @returns {boolean} True if the To-Dos can be reordered.
+   */
+  function canReorder() {
+    return listQuery.sort === 'position' && !searchQuery && currentList?.role !== 'viewer';
+  }
+
+  /**
+   * Renders the To-Dos in the store, with drag and drop when they can be reordered.
+   */
+  function renderLoadedTodos() {
+    renderTodos(store.all(), updateTodoStatus, deleteTodo, filterByTag, subtaskHandlers, searchTerms, canReorder() ? reorderTodo : null);
+  }
+
+  /**
+   * Renders the To-Dos in the store, or a message when there are none, and saves them on this device.
+   */
+  function renderList() {
+    saveListCache();
+    if (store.all().length > 0) {
+      renderLoadedTodos();
+    } else {
+      todoList.innerHTML = '<p class="text-green-500 text-center">No tasks for you, today!</p>';
+    }
+  }
+
+  /**
+   * Tells whether a To-Do belongs in the list with the current filters, for To-Dos received through the delta sync.
+   * @param {Object} item - The To-Do item.
+   * @returns {boolean} True if the To-Do matches the status tab, tag filter, overdue filter and due date or manual sort.
+   */
+  function matchesListQuery(item) {
+    if (listQuery.status && item.status !== listQuery.status) {
+      return false;
+    }
+    if (listQuery.tag && !(item.tags || []).includes(listQuery.tag)) {
+      return false;
+    }
+    if (listQuery.overdue === 'true' && !isOverdue(item)) {
+      return false;
+    }
+    // The due date and position indexes only contain To-Dos that have a due date and a position
+    if (listQuery.sort === 'position') {
+      return Boolean(item.position);
+    }
+    return listQuery.sort !== 'dueAt' || Boolean(item.dueAt);
+  }
+
+  /**
+   * Puts the loaded To-Dos back in the manual order after a delta, e.g. when a To-Do was moved on another device.
+   */
+  function keepManualOrder() {
+    if (listQuery.sort === 'position' && !searchQuery) {
+      store.sortByPosition();
+    }
+  }
+
+  /**
+   * Brings the list up to date after a change, without reloading it.
+   * Fetches what changed since the last sync from GET /todos/changes and updates only the affected To-Dos.
+   * Falls back to reloading the list while searching, before the list was loaded and when the sync fails
+   * (e.g. because the cursor has expired).
+   * @returns {Promise<void>} A promise that resolves when the list is up to date.
+   */
+  async function syncTodos() {
+    if (!syncCursor || searchQuery) {
+      return fetchTodos();
+    }
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      let changed = false;
+      let hasMore = true;
+      while (hasMore) {
+        const result = await get({
+          apiName: 'TodoApi',
+          path: '/todos/changes',
+          options: withList({ headers: { Authorization: `Bearer ${idToken}` }, queryParams: { since: syncCursor } })
+        });
+        const raw = await result.response;
+        const data = await raw.body.json();
+        changed = store.applyChanges(data, matchesListQuery) || changed;
+        syncCursor = data.cursor;
+        hasMore = Boolean(data.hasMore);
+      }
+      if (changed) {
+        keepManualOrder();
+        renderList();
+      }
+    } catch (error) {
+      console.error('Error syncing To-Dos:', error);
+      return fetchTodos();
+    }
+  }
+
+  /**
+   * Patches a change pushed over the real-time connection into the list.
+   * While searching, only the results already shown are updated or removed, since new matches are not known.
+   * Changes to the personal To-Dos or to a shared list that is not shown are ignored; they are loaded when it is opened.
+   * @param {Object} changes - The pushed change message, { todos, tombstones } or { resync: true },
+   * with the `listId` of a shared list.
+   */
+  function applyRealtimeChanges(changes) {
+    if ((changes.listId || null) !== (currentList?.listId || null)) {
+      return;
+    }
+    if (changes.resync) {
+      syncTodos();
+      return;
+    }
+    const accepts = searchQuery ? item => Boolean(store.get(item.todoId)) : matchesListQuery;
+    if (store.applyChanges(changes, accepts)) {
+      keepManualOrder();
+      renderList();
+    }
+  }
+
+  /**
+   * Opens the real-time connection, unless it is already open or no WebSocket API is configured.
+   * After a lost connection is back, the changes missed in the meantime are fetched with the delta sync.
+   */
+  function startRealtimeUpdates() {
+    if (realtime) {
+      return;
+    }
+    realtime = connectRealtime({
+      getToken: async () => (await fetchAuthSession()).tokens.idToken.toString(),
+      onChanges: applyRealtimeChanges,
+      onReconnect: syncTodos,
+    });
+  }
+
+  /**
+   * Closes the real-time connection, e.g. when the user signs out.
+   */
+  function stopRealtimeUpdates() {
+    if (realtime) {
+      realtime.close();
+      realtime = null;
+    }
+  }
+
+  /**
+   * Runs the active search and renders the results, most relevant first, with the matching words highlighted.
+   * Results that arrive after the query has changed again are discarded.
+   * @returns {Promise<void>} A promise that resolves when the results are shown or an error occurs.
+   */
+  async function fetchSearchResults() {
+    const query = searchQuery;
+    todoList.innerHTML = '<p class="text-gray-500 text-center">Searching...</p>';
+    store.reset();
+    nextToken = null;
+    syncCursor = null;
+    updateLoadMoreButton();
     try {
       const session = await fetchAuthSession();
       const idToken = session.tokens.idToken.toString();
+      // The status tab applies to the search results as well
+      const searchParams = { q: query, limit: String(SEARCH_LIMIT) };
+      if (listQuery.status) {
+        searchParams.status = listQuery.status;
+      }
       const result = await get({
         apiName: 'TodoApi',
-        path: '/todos',
-        options: { headers: { Authorization: `Bearer ${idToken}` } }
+        path: '/todos/search',
+        options: withList({ headers: { Authorization: `Bearer ${idToken}` }, queryParams: searchParams })
       });
       const raw = await result.response;
       const data = await raw.body.json();
-      console.log('Fetched To-Dos data:', data);
-      if (data.todos && data.todos.length > 0) {
-        renderTodos(data.todos, updateTodoStatus, deleteTodo);
+      if (query !== searchQuery) {
+        return;
+      }
+      store.reset(data.todos || []);
+      searchTerms = data.terms || [];
+      if (store.all().length > 0) {
+        renderLoadedTodos();
       } else {
-        todoList.innerHTML = '<p class="text-green-500 text-center">No tasks for you, today!</p>';
+        todoList.innerHTML = '<p class="text-gray-500 text-center">No To-Dos match your search.</p>';
       }
     } catch (error) {
-      console.error('Error fetching To-Dos:', error);
-      todoList.innerHTML = '<p class="text-red-500 text-center">Failed to load To-Dos. Please sign in again.</p>';
+      console.error('Error searching To-Dos:', error);
+      if (query === searchQuery) {
+        todoList.innerHTML = '<p class="text-red-500 text-center">Search failed. Please try again.</p>';
+      }
+    }
+  }
+
+  /**
+   * Searches the To-Dos by title and description, e.g. as the user types in the search box.
+   * An empty query ends the search and shows the regular list again.
+   * @param {string} query - The search query.
+   * @returns {Promise<void>} A promise that resolves when the results or the list are loaded.
+   */
+  function searchTodos(query) {
+    searchQuery = query.trim();
+    searchTerms = [];
+    return fetchTodos();
+  }
+
+  /**
+   * Changes the filters applied to the To-Do list and reloads it from the first page.
+   * Keys with an empty value are removed from the query.
+   * @param {Object} changes - Query string parameters to set, e.g. { overdue: 'true' }.
+   * @returns {Promise<void>} A promise that resolves when the filtered list is loaded.
+   */
+  function setListQuery(changes) {
+    listQuery = Object.fromEntries(
+      Object.entries({ ...listQuery, ...changes }).filter(([, value]) => value !== undefined && value !== null && value !== '')
+    );
+    updateTagFilter();
+    return fetchTodos();
+  }
+
+  /**
+   * Shows the active tag filter above the list, or hides it when no tag is selected.
+   */
+  function updateTagFilter() {
+    if (!tagFilter || !tagFilterLabel) {
+      return;
+    }
+    tagFilterLabel.textContent = listQuery.tag || '';
+    if (listQuery.tag) {
+      tagFilter.classList.remove('hidden');
+    } else {
+      tagFilter.classList.add('hidden');
+    }
+  }
+
+  /**
+   * Filters the To-Do list by a tag, e.g. when a tag chip is clicked.
+   * Pass null to remove the tag filter.
+   * @param {string|null} tag - The tag to filter by.
+   * @returns {Promise<void>} A promise that resolves when the filtered list is loaded.
+   */
+  function filterByTag(tag) {
+    return setListQuery({ tag });
+  }
+
+  /**
+   * Shows only the active or completed To-Dos, e.g. when a status tab is clicked.
+   * Pass null to show all To-Dos.
+   * @param {string|null} status - 'pending', 'completed' or null.
+   * @returns {Promise<void>} A promise that resolves when the filtered list is loaded.
+   */
+  function filterByStatus(status) {
+    return setListQuery({ status });
+  }
+
+  /**
+   * Shows the To-Dos of a list, or the personal To-Dos, e.g. when another list is picked in the list switcher.
+   * Filters and search stay as they are; the Trash is closed, since it belongs to the previous list.
+   * @param {Object|null} list - The list, { listId, name, role }, or null for the personal To-Dos.
+   * @param {Object} [options] - Options.
+   * @param {boolean} [options.reload] - Whether to load the list right away (default: true); false e.g. on sign-out.
+   * @returns {Promise<void>} A promise that resolves when the list is loaded.
+   */
+  async function selectList(list, { reload = true } = {}) {
+    currentList = list;
+    if (trashOpen) {
+      trashOpen = false;
+      showTrashView(false);
+    }
+    if (reload) {
+      await fetchTodos();
+    }
+  }
+
+  /**
+   * Fetches the next page of To-Dos and appends it to the rendered list.
+   * Used by the "Load more" button and by infinite scrolling; concurrent calls are ignored.
+   * @returns {Promise<void>} A promise that resolves when the page is loaded or an error occurs.
+   */
+  async function loadMoreTodos() {
+    if (!nextToken || isLoadingMore) {
+      return;
+    }
+    isLoadingMore = true;
+    try {
+      const data = await requestTodosPage(nextToken);
+      store.append(data.todos || []);
+      nextToken = data.nextToken || null;
+      renderLoadedTodos();
+    } catch (error) {
+      console.error('Error loading more To-Dos:', error);
+      todoMessage.textContent = `Failed to load more To-Dos: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+    } finally {
+      isLoadingMore = false;
+      updateLoadMoreButton();
+    }
+  }
+
+  /**
+   * Fetches a single To-Do item by its ID, e.g. for deep links or the edit view.
+   * @param {string} todoId - The ID of the To-Do item to fetch.
+   * @returns {Promise<Object|null>} A promise that resolves to the To-Do item, or null if it could not be loaded.
+   */
+  async function fetchTodo(todoId) {
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await get({
+        apiName: 'TodoApi',
+        path: `/todos/${encodeURIComponent(todoId)}`,
+        options: withList({ headers: { Authorization: `Bearer ${idToken}` } })
+      });
+      const raw = await result.response;
+      const data = await raw.body.json();
+      return data.todo || null;
+    } catch (error) {
+      console.error('Error fetching To-Do:', error);
+      todoMessage.textContent = 'To-Do not found or you do not have access to it.';
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+      return null;
+    }
+  }
+
+  /**
+   * Builds the headers for a change to a loaded To-Do item.
+   * The If-Match header carries the version the user saw, so the backend rejects the change
+   * with 409 Conflict if the item was changed elsewhere (e.g. in another tab) in the meantime.
+   * @param {string} todoId - The ID of the To-Do item.
+   * @param {string} idToken - The Cognito ID token.
+   * @returns {Object} The request headers.
+   */
+  function versionedHeaders(todoId, idToken) {
+    const headers = { Authorization: `Bearer ${idToken}` };
+    const loaded = store.get(todoId);
+    if (loaded && loaded.version) {
+      headers['If-Match'] = String(loaded.version);
+    }
+    return headers;
+  }
+
+  /**
+   * Shows the server copy of a To-Do that was changed elsewhere, instead of overwriting it.
+   * @param {Error} error - The error thrown by the API call.
+   * @returns {boolean} True if the error was a version conflict and has been handled.
+   */
+  function handleConflict(error) {
+    const current = getConflictingTodo(error);
+    if (!current) {
+      return false;
     }
+    replaceLoadedTodo(current);
+    todoMessage.textContent = 'This To-Do was changed elsewhere. The latest version is shown; please try again.';
+    todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+    return true;
   }
 
   /**
    * Updates the status of a To-Do item.
    * Toggles the status between 'pending' and 'completed'.
    * Handles API interaction and updates the UI accordingly.
+   * If the To-Do was changed elsewhere, the conflict is shown instead of reloading the list.
    * @param {string} todoId - The ID of the To-Do item to update.
    * @param {string} currentStatus - The current status of the To-Do item.
    * @returns {Promise<void>} A promise that resolves when the To-Do status is updated or an error occurs.
@@ -109,28 +844,42 @@ export function initTodoHandlers({ newTodoTitleInput, newTodoDescriptionInput, t
     try {
       const session = await fetchAuthSession();
       const idToken = session.tokens.idToken.toString();
-      const result = await put({
+      const result = await api.put({
         apiName: 'TodoApi',
         path: `/todos/${todoId}`,
-        options: {
+        options: withList({
           body: { status: newStatus },
-          headers: { Authorization: `Bearer ${idToken}` }
-        }
+          headers: versionedHeaders(todoId, idToken)
+        })
       });
       const raw = await result.response;
       const data = await raw.body.json();
       console.log(`To-Do ${todoId} status updated to ${newStatus}`, data);
-      fetchTodos();
+      if (isQueued(raw)) {
+        applyLocally([{ ...store.get(todoId), todoId, status: newStatus }]);
+        return;
+      }
+      if (data.nextOccurrence) {
+        // Completing a recurring To-Do creates its next occurrence, which arrives with the sync below
+        todoMessage.textContent = `Next occurrence due ${new Date(data.nextOccurrence.dueAt).toLocaleString()}.`;
+        todoMessage.className = 'text-sm mt-4 text-center text-green-500';
+      }
+      syncTodos();
     } catch (error) {
       console.error('Error updating To-Do status:', error);
-      todoMessage.textContent = `Failed to update To-Do status: ${error.message || 'Unknown error'}`;
+      if (handleConflict(error)) {
+        return;
+      }
+      todoMessage.textContent = `Failed to update To-Do status: ${getErrorMessage(error)}`;
       todoMessage.className = 'text-sm mt-4 text-center text-red-500';
     }
   }
 
   /**
    * Deletes a To-Do item by its ID.
+   * The backend moves the To-Do to the trash, so an undo toast is shown that restores it again.
    * Handles API interaction and updates the UI accordingly.
+   * A To-Do that was changed elsewhere since it was loaded is not deleted; the latest version is shown instead.
    * @param {string} todoId - The ID of the To-Do item to delete.
    * @returns {Promise<void>} A promise that resolves when the To-Do is deleted or an error occurs.
    * @throws {Error} Throws an error if the To-Do deletion fails. 
@@ -139,21 +888,391 @@ export function initTodoHandlers({ newTodoTitleInput, newTodoDescriptionInput, t
     try {
       const session = await fetchAuthSession();
       const idToken = session.tokens.idToken.toString();
-      const result = await del({
+      const result = await api.del({
         apiName: 'TodoApi',
         path: `/todos/${todoId}`,
-        options: { headers: { Authorization: `Bearer ${idToken}` } }
+        options: withList({ headers: versionedHeaders(todoId, idToken) })
       });
       const raw = await result.response;
       const data = await raw.body.json();
       console.log(`To-Do ${todoId} deleted successfully`, data);
-      fetchTodos();
+      if (isQueued(raw)) {
+        removeLocally([todoId]);
+        return;
+      }
+      showUndoToast('To-Do moved to trash.', () => restoreTodo(todoId));
+      syncTodos();
     } catch (error) {
       console.error('Error deleting To-Do:', error);
-      todoMessage.textContent = `Failed to delete To-Do: ${error.message || 'Unknown error'}`;
+      if (handleConflict(error)) {
+        return;
+      }
+      todoMessage.textContent = `Failed to delete To-Do: ${getErrorMessage(error)}`;
       todoMessage.className = 'text-sm mt-4 text-center text-red-500';
     }
   }
 
-  return { createTodo, fetchTodos, updateTodoStatus, deleteTodo };
+  /**
+   * Restores a To-Do item from the trash, syncs the list and reloads the Trash when it is open.
+   * @param {string} todoId - The ID of the To-Do item to restore.
+   * @returns {Promise<void>} A promise that resolves when the To-Do is restored or an error occurs.
+   */
+  async function restoreTodo(todoId) {
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await api.post({
+        apiName: 'TodoApi',
+        path: `/todos/${todoId}/restore`,
+        options: withList({ headers: { Authorization: `Bearer ${idToken}` } })
+      });
+      if (isQueued(await result.response)) {
+        showQueuedMessage();
+        return;
+      }
+      todoMessage.textContent = 'To-Do restored.';
+      todoMessage.className = 'text-sm mt-4 text-center text-green-500';
+      syncTodos();
+      if (trashOpen) {
+        fetchTrash();
+      }
+    } catch (error) {
+      console.error('Error restoring To-Do:', error);
+      todoMessage.textContent = `Failed to restore To-Do: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+    }
+  }
+
+  /**
+   * Deletes a To-Do item from the trash for good and reloads the Trash.
+   * @param {string} todoId - The ID of the trashed To-Do item.
+   * @returns {Promise<void>} A promise that resolves when the To-Do is deleted or an error occurs.
+   */
+  async function purgeTodo(todoId) {
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await api.del({
+        apiName: 'TodoApi',
+        path: `/todos/${todoId}`,
+        options: withList({
+          headers: { Authorization: `Bearer ${idToken}` },
+          queryParams: { permanent: 'true' }
+        })
+      });
+      if (isQueued(await result.response)) {
+        showQueuedMessage();
+        return;
+      }
+      fetchTrash();
+    } catch (error) {
+      console.error('Error deleting To-Do permanently:', error);
+      todoMessage.textContent = `Failed to delete To-Do: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+    }
+  }
+
+  /**
+   * Fetches the trashed To-Dos (most recently deleted first) and renders the Trash.
+   * @returns {Promise<void>} A promise that resolves when the Trash is rendered or an error occurs.
+   */
+  async function fetchTrash() {
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await get({
+        apiName: 'TodoApi',
+        path: '/todos/trash',
+        options: withList({
+          headers: { Authorization: `Bearer ${idToken}` },
+          queryParams: { limit: '100' }
+        })
+      });
+      const raw = await result.response;
+      const data = await raw.body.json();
+      renderTrash(data.todos || [], restoreTodo, purgeTodo);
+    } catch (error) {
+      console.error('Error fetching trash:', error);
+      todoMessage.textContent = `Failed to load the trash: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+    }
+  }
+
+  /**
+   * Shows the Trash instead of the list and loads its contents.
+   * @returns {Promise<void>} A promise that resolves when the Trash is rendered.
+   */
+  function openTrash() {
+    trashOpen = true;
+    showTrashView(true);
+    return fetchTrash();
+  }
+
+  /**
+   * Goes back from the Trash to the list and syncs it, since To-Dos may have been restored.
+   * @returns {Promise<void>} A promise that resolves when the list is up to date.
+   */
+  function closeTrash() {
+    trashOpen = false;
+    showTrashView(false);
+    return syncTodos();
+  }
+
+  /**
+   * Replaces a loaded To-Do with the copy returned by the backend and re-renders the list,
+   * so checklist changes show up without reloading every page.
+   * @param {Object} item - The updated To-Do item.
+   */
+  function replaceLoadedTodo(item) {
+    store.replace(item);
+    renderLoadedTodos();
+  }
+
+  /**
+   * Sends a change to the checklist of a To-Do item and shows the updated item.
+   * @param {Function} method - The API method to call (api.post, api.put or api.del).
+   * @param {string} path - The API path of the subtask resource.
+   * @param {Object} [body] - The request body, if any.
+   * @returns {Promise<void>} A promise that resolves when the change is saved or an error occurs.
+   */
+  async function sendSubtaskChange(method, path, body) {
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const options = withList({ headers: { Authorization: `Bearer ${idToken}` } });
+      if (body) {
+        options.body = body;
+      }
+      const result = await method({ apiName: 'TodoApi', path, options });
+      const raw = await result.response;
+      if (isQueued(raw)) {
+        showQueuedMessage();
+        return;
+      }
+      const data = await raw.body.json();
+      replaceLoadedTodo(data.todo);
+    } catch (error) {
+      console.error('Error updating subtasks:', error);
+      todoMessage.textContent = `Failed to update subtasks: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+      syncTodos();
+    }
+  }
+
+  /**
+   * Adds a subtask to the end of a To-Do item's checklist.
+   * @param {string} todoId - The ID of the parent To-Do item.
+   * @param {string} title - The title of the subtask.
+   * @returns {Promise<void>} A promise that resolves when the subtask is added or an error occurs.
+   */
+  function addSubtask(todoId, title) {
+    return sendSubtaskChange(api.post, `/todos/${todoId}/subtasks`, { title });
+  }
+
+  /**
+   * Checks off or unchecks a subtask.
+   * @param {string} todoId - The ID of the parent To-Do item.
+   * @param {string} subtaskId - The ID of the subtask.
+   * @param {boolean} done - The new done state.
+   * @returns {Promise<void>} A promise that resolves when the subtask is updated or an error occurs.
+   */
+  function toggleSubtask(todoId, subtaskId, done) {
+    return sendSubtaskChange(api.put, `/todos/${todoId}/subtasks/${subtaskId}`, { done });
+  }
+
+  /**
+   * Deletes a subtask from a To-Do item's checklist.
+   * @param {string} todoId - The ID of the parent To-Do item.
+   * @param {string} subtaskId - The ID of the subtask.
+   * @returns {Promise<void>} A promise that resolves when the subtask is deleted or an error occurs.
+   */
+  function deleteSubtask(todoId, subtaskId) {
+    return sendSubtaskChange(api.del, `/todos/${todoId}/subtasks/${subtaskId}`);
+  }
+
+  /**
+   * Moves the subtasks of a To-Do item into a new order.
+   * @param {string} todoId - The ID of the parent To-Do item.
+   * @param {string[]} order - Every subtask ID of the To-Do, in the new order.
+   * @returns {Promise<void>} A promise that resolves when the order is saved or an error occurs.
+   */
+  function reorderSubtasks(todoId, order) {
+    return sendSubtaskChange(api.put, `/todos/${todoId}/subtasks`, { order });
+  }
+
+  /**
+   * Applies the same operation to several To-Dos with a single POST /todos/batch request.
+   * The operations are applied independently, so one To-Do that was changed elsewhere
+   * does not keep the others from being updated; the message reports how many succeeded.
+   * @param {string} op - The batch operation, 'complete' or 'delete'.
+   * @param {string[]} todoIds - The IDs of the selected To-Do items.
+   * @param {string} verb - The past tense shown to the user, e.g. 'Completed'.
+   * @returns {Promise<void>} A promise that resolves when the batch is applied or an error occurs.
+   */
+  async function runBatch(op, todoIds, verb) {
+    if (todoIds.length === 0) {
+      return;
+    }
+    const operations = todoIds.map(todoId => {
+      const loaded = store.get(todoId);
+      return loaded && loaded.version ? { op, todoId, expectedVersion: loaded.version } : { op, todoId };
+    });
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await api.post({
+        apiName: 'TodoApi',
+        path: '/todos/batch',
+        options: withList({
+          body: { operations },
+          headers: { Authorization: `Bearer ${idToken}` }
+        })
+      });
+      const raw = await result.response;
+      if (isQueued(raw)) {
+        applyBatchLocally(op, todoIds);
+        return;
+      }
+      const data = await raw.body.json();
+      const failed = data.results.filter(entry => entry.statusCode >= 300).length;
+      if (failed === 0) {
+        todoMessage.textContent = `${verb} ${todoIds.length} To-Do(s).`;
+        todoMessage.className = 'text-sm mt-4 text-center text-green-500';
+      } else {
+        todoMessage.textContent = `${verb} ${todoIds.length - failed} of ${todoIds.length} To-Dos. ${failed} could not be changed, possibly because they were changed elsewhere.`;
+        todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+      }
+    } catch (error) {
+      console.error('Error applying batch:', error);
+      todoMessage.textContent = `Failed to update the selected To-Dos: ${getErrorMessage(error)}`;
+      todoMessage.className = 'text-sm mt-4 text-center text-red-500';
+    }
+    syncTodos();
+  }
+
+  /**
+   * Shows a batch queued while offline in the list until it is sent.
+   * @param {string} op - The batch operation, 'complete' or 'delete'.
+   * @param {string[]} todoIds - The IDs of the selected To-Do items.
+   */
+  function applyBatchLocally(op, todoIds) {
+    if (op === 'delete') {
+      removeLocally(todoIds);
+      return;
+    }
+    const loaded = todoIds.map(todoId => store.get(todoId)).filter(Boolean);
+    applyLocally(loaded.map(item => ({ ...item, status: 'completed' })));
+  }
+
+  /**
+   * Marks the selected To-Do items as completed.
+   * @param {string[]} todoIds - The IDs of the selected To-Do items.
+   * @returns {Promise<void>} A promise that resolves when the To-Dos are completed or an error occurs.
+   */
+  function completeSelected(todoIds) {
+    return runBatch('complete', todoIds, 'Completed');
+  }
+
+  /**
+   * Deletes the selected To-Do items.
+   * @param {string[]} todoIds - The IDs of the selected To-Do items.
+   * @returns {Promise<void>} A promise that resolves when the To-Dos are deleted or an error occurs.
+   */
+  function deleteSelected(todoIds) {
+    return runBatch('delete', todoIds, 'Deleted');
+  }
+
+  /**
+   * Moves the selected To-Do items to another list, or to the personal To-Dos, one POST /todos/{id}/move at a time.
+   * Each To-Do is only moved if it was not changed elsewhere since it was loaded; the message reports how many were moved.
+   * @param {string[]} todoIds - The IDs of the selected To-Do items.
+   * @param {string|null} listId - The ID of the target list, or null for the personal To-Dos.
+   * @param {string} listName - The name of the target list, shown in the message.
+   * @returns {Promise<void>} A promise that resolves when the To-Dos are moved or an error occurs.
+   */
+  async function moveSelected(todoIds, listId, listName) {
+    if (todoIds.length === 0) {
+      return;
+    }
+    let failed = 0;
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      for (const todoId of todoIds) {
+        try {
+          const result = await api.post({
+            apiName: 'TodoApi',
+            path: `/todos/${todoId}/move`,
+            options: withList({ headers: versionedHeaders(todoId, idToken), body: { listId } })
+          });
+          const raw = await result.response;
+          if (isQueued(raw)) {
+            removeLocally([todoId]);
+          }
+        } catch (error) {
+          console.error(`Error moving To-Do ${todoId}:`, error);
+          failed += 1;
+        }
+      }
+    } catch (error) {
+      console.error('Error moving To-Dos:', error);
+      failed = todoIds.length;
+    }
+    if (failed === 0) {
+      todoMessage.textContent = `Moved ${todoIds.length} To-Do(s) to "${listName}".`;
+      todoMessage.className = 'text-sm mt-4 text-center text-green-500';
+    } else {
+      todoMessage.textContent = `Moved ${todoIds.length - failed} of ${todoIds.length} To-Dos to "${listName}". ${failed} could not be moved, possibly because they were changed elsewhere.`;
+      todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+    }
+    syncTodos();
+  }
+
+  /**
+   * Moves a To-Do to another place in the manual order.
+   * The list shows the new order right away; PATCH /todos/{id}/position then stores it. If the move is rejected,
+   * e.g. because a neighbour was moved or deleted elsewhere, the list is loaded again to show the order on the server.
+   * @param {string} todoId - The ID of the moved To-Do item.
+   * @param {Object} neighbours - The new neighbours.
+   * @param {string|null} neighbours.after - The ID of the To-Do that comes right before it, null at the start of the list.
+   * @param {string|null} neighbours.before - The ID of the To-Do that comes right after it, null at the end of the list.
+   * @returns {Promise<void>} A promise that resolves when the new order is saved or an error occurs.
+   */
+  async function reorderTodo(todoId, { after, before }) {
+    const moved = store.get(todoId);
+    if (!moved) {
+      return;
+    }
+    const others = store.all().filter(item => item.todoId !== todoId);
+    const index = after ? others.findIndex(item => item.todoId === after) + 1 : 0;
+    store.reset([...others.slice(0, index), moved, ...others.slice(index)]);
+    renderList();
+    try {
+      const session = await fetchAuthSession();
+      const idToken = session.tokens.idToken.toString();
+      const result = await api.patch({
+        apiName: 'TodoApi',
+        path: `/todos/${todoId}/position`,
+        options: withList({ headers: versionedHeaders(todoId, idToken), body: { after, before } })
+      });
+      const raw = await result.response;
+      if (isQueued(raw)) {
+        showQueuedMessage();
+        return;
+      }
+      const data = await raw.body.json();
+      store.replace(data.todo);
+      saveListCache();
+    } catch (error) {
+      console.error('Error moving To-Do:', error);
+      todoMessage.textContent = 'The To-Do could not be moved, possibly because the list was changed elsewhere. The current order is shown.';
+      todoMessage.className = 'text-sm mt-4 text-center text-yellow-600';
+      return fetchTodos();
+    }
+  }
+
+  // Checklist callbacks passed to renderTodos
+  const subtaskHandlers = { addSubtask, toggleSubtask };
+
+  return { createTodo, fetchTodos, loadMoreTodos, setListQuery, filterByTag, filterByStatus, searchTodos, fetchTodo, updateTodoStatus, deleteTodo, addSubtask, toggleSubtask, deleteSubtask, reorderSubtasks, reorderTodo, completeSelected, deleteSelected, moveSelected, restoreTodo, purgeTodo, openTrash, closeTrash, replayOfflineChanges, updateSyncStatus, clearOfflineData, startRealtimeUpdates, stopRealtimeUpdates, selectList };
 }
@@ -0,0 +1,146 @@
+/**
+ * todoStore.js
+ * @fileoverview
+ * This module keeps the local copy of the To-Dos shown in the list.
+ * The list is loaded page by page from GET /todos and afterwards kept up to date with the
+ * deltas of GET /todos/changes, so a change only touches the affected To-Dos instead of reloading everything.
+ * @module todoStore
+ */
+
+/**
+ * Tells whether a copy of a To-Do is more recent than the one in the store.
+ * The version is compared when both copies have one, the last update time otherwise.
+ * @param {Object} candidate - The copy received from the backend.
+ * @param {Object} current - The copy in the store.
+ * @returns {boolean} True if the candidate is newer.
+ */
+function isNewer(candidate, current) {
+  if (candidate.version && current.version) {
+    return candidate.version > current.version;
+  }
+  return (candidate.updatedAt || '') > (current.updatedAt || '');
+}
+
+/**
+ * Compares two positions of the manual order by their character codes.
+ * localeCompare is not used, since it would order upper- and lower-case digits differently than the backend.
+ * @param {string} [first] - The first position.
+ * @param {string} [second] - The second position.
+ * @returns {number} A negative number if first comes first, a positive number if second does, 0 if they are equal.
+ */
+function comparePositions(first = '', second = '') {
+  if (first === second) {
+    return 0;
+  }
+  return first < second ? -1 : 1;
+}
+
+/**
+ * Creates an empty store.
+ * @returns {Object} The store with functions to read, load and change the To-Dos, in list order.
+ */
+export function createTodoStore() {
+  let todos = [];
+
+  /**
+   * Applies one created or updated To-Do.
+   * @param {Object} item - The To-Do from the delta.
+   * @param {Function} accepts - Tells whether the To-Do belongs in the list with the current filters.
+   * @param {Set<string>} removed - Collects the IDs of To-Dos that no longer match the filters.
+   * @returns {boolean} True if the store changed.
+   */
+  function applyChangedItem(item, accepts, removed) {
+    const current = todos.find(loaded => loaded.todoId === item.todoId);
+    if (!current) {
+      // New To-Dos are shown on top until the list is reloaded
+      if (!accepts(item)) {
+        return false;
+      }
+      todos = [item, ...todos];
+      return true;
+    }
+    if (!isNewer(item, current)) {
+      return false;
+    }
+    if (!accepts(item)) {
+      removed.add(item.todoId);
+      return false;
+    }
+    todos = todos.map(loaded => (loaded === current ? item : loaded));
+    return true;
+  }
+
+  return {
+    /**
+     * Returns the To-Dos in list order.
+     * @returns {Object[]} The To-Dos.
+     */
+    all() {
+      return todos;
+    },
+
+    /**
+     * Looks up a To-Do by its ID.
+     * @param {string} todoId - The ID of the To-Do.
+     * @returns {Object|null} The To-Do, or null if it is not in the store.
+     */
+    get(todoId) {
+      return todos.find(item => item.todoId === todoId) || null;
+    },
+
+    /**
+     * Replaces the contents of the store, e.g. with the first page of GET /todos.
+     * @param {Object[]} [items] - The To-Dos.
+     */
+    reset(items = []) {
+      todos = [...items];
+    },
+
+    /**
+     * Adds the next page of To-Dos. To-Dos that are already in the store (e.g. added by a delta) are skipped.
+     * @param {Object[]} items - The To-Dos of the page.
+     */
+    append(items) {
+      const known = new Set(todos.map(item => item.todoId));
+      todos = todos.concat(items.filter(item => !known.has(item.todoId)));
+    },
+
+    /**
+     * Replaces a To-Do with a copy returned by the backend, keeping its position.
+     * @param {Object} item - The updated To-Do.
+     */
+    replace(item) {
+      todos = todos.map(loaded => (loaded.todoId === item.todoId ? item : loaded));
+    },
+
+    /**
+     * Orders the To-Dos by their position in the manual order, e.g. after a delta moved some of them.
+     * Positions are compared character by character, like the UserPositionIndex of the backend does.
+     */
+    sortByPosition() {
+      todos = [...todos].sort((first, second) => comparePositions(first.position, second.position));
+    },
+
+    /**
+     * Applies a delta of GET /todos/changes.
+     * Changed To-Dos replace older copies in place, new ones are added on top and tombstones remove To-Dos.
+     * Changes already applied are ignored, so the same delta can safely be applied twice.
+     * @param {Object} changes - The response of GET /todos/changes.
+     * @param {Object[]} [changes.todos] - Created or updated To-Dos.
+     * @param {Object[]} [changes.tombstones] - { todoId } of the To-Dos that were deleted.
+     * @param {Function} [accepts] - Tells whether a To-Do belongs in the list, e.g. whether it matches the status tab;
+     * To-Dos that no longer match are removed.
+     * @returns {boolean} True if the store changed and the list has to be rendered again.
+     */
+    applyChanges({ todos: changed = [], tombstones = [] }, accepts = () => true) {
+      const removed = new Set(tombstones.map(tombstone => tombstone.todoId));
+      let modified = false;
+      changed.forEach(item => {
+        modified = applyChangedItem(item, accepts, removed) || modified;
+      });
+      const count = todos.length;
+      todos = todos.filter(item => !removed.has(item.todoId));
+      return modified || todos.length !== count;
+    },
+  };
+}
@@ -24,37 +24,886 @@ export function showAuthSection() {
   document.getElementById('confirmation-code').value = '';
 }
 
-export function renderTodos(todos, updateTodoStatus, deleteTodo) {
+// Units used to describe how far away a due date is, from largest to smallest.
+const RELATIVE_TIME_UNITS = [
+  ['day', 24 * 60 * 60 * 1000],
+  ['hour', 60 * 60 * 1000],
+  ['minute', 60 * 1000],
+];
+
+/**
+ * Describes a date relative to now, e.g. "in 3 days" or "2 hours ago".
+ * @param {string} isoDate - The ISO-8601 date to describe.
+ * @param {Date} [now] - The reference point, defaults to the current time.
+ * @returns {string} The human readable relative time.
+ */
+export function formatRelativeTime(isoDate, now = new Date()) {
+  const diff = new Date(isoDate).getTime() - now.getTime();
+  const formatter = new Intl.RelativeTimeFormat('en', { numeric: 'auto' });
+  for (const [unit, size] of RELATIVE_TIME_UNITS) {
+    if (Math.abs(diff) >= size) {
+      return formatter.format(Math.round(diff / size), unit);
+    }
+  }
+  return formatter.format(0, 'minute');
+}
+
+/**
+ * A To-Do is overdue when it is still pending and its due date has passed.
+ * @param {Object} item - The To-Do item.
+ * @param {Date} [now] - The reference point, defaults to the current time.
+ * @returns {boolean} True if the To-Do is overdue.
+ */
+export function isOverdue(item, now = new Date()) {
+  return Boolean(item.dueAt) && item.status !== 'completed' && new Date(item.dueAt).getTime() < now.getTime();
+}
+
+/**
+ * Creates an element with the given classes and text.
+ * The text is set as textContent, so values entered by users are never parsed as HTML.
+ * @param {string} tagName - The tag of the element, e.g. 'span'.
+ * @param {string} className - The classes of the element.
+ * @param {string} text - The text of the element.
+ * @returns {HTMLElement} The element.
+ */
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Builds the "Due in 3 days" line of a To-Do item, highlighted in red when overdue.
+ * @param {Object} item - The To-Do item.
+ * @param {boolean} overdue - Whether the To-Do is overdue.
+ * @param {Date} now - The reference point for the relative time.
+ * @returns {HTMLElement|null} The due date line, or null if the To-Do has no due date.
+ */
+function createDueLabel(item, overdue, now) {
+  if (!item.dueAt) {
+    return null;
+  }
+  const colorClass = overdue ? 'text-red-600 font-semibold' : 'text-gray-500';
+  const label = createTextElement('p', `due-label text-xs mt-1 ${colorClass}`, `Due ${formatRelativeTime(item.dueAt, now)}`);
+  label.title = new Date(item.dueAt).toLocaleString();
+  return label;
+}
+
+// Badge colours per priority level; medium is the default and gets no badge.
+const PRIORITY_BADGE_CLASSES = {
+  low: 'bg-gray-100 text-gray-600',
+  high: 'bg-orange-100 text-orange-700',
+  urgent: 'bg-red-600 text-white',
+};
+
+/**
+ * Builds the priority badge of a To-Do item.
+ * @param {Object} item - The To-Do item.
+ * @returns {HTMLElement|null} The badge, or null for medium or unknown priorities.
+ */
+function createPriorityBadge(item) {
+  const badgeClass = PRIORITY_BADGE_CLASSES[item.priority];
+  if (!badgeClass) {
+    return null;
+  }
+  return createTextElement('span', `priority-badge inline-block text-xs font-bold uppercase px-2 py-0.5 rounded-full ${badgeClass}`, item.priority);
+}
+
+// Short weekday names of the RRULE weekdays a weekly recurrence is stored with.
+const WEEKDAY_NAMES = new Map([['MO', 'Mon'], ['TU', 'Tue'], ['WE', 'Wed'], ['TH', 'Thu'], ['FR', 'Fri'], ['SA', 'Sat'], ['SU', 'Sun']]);
+
+/**
+ * Describes a recurrence rule in words, e.g. "Every 2 weeks on Mon, Fri".
+ * @param {Object} recurrence - The rule, { frequency, interval, weekdays?, monthDay? }.
+ * @returns {string} The description.
+ */
+export function describeRecurrence({ frequency, interval = 1, weekdays = [], monthDay }) {
+  const days = weekdays.map(day => WEEKDAY_NAMES.get(day)).join(', ');
+  switch (frequency) {
+    case 'weekly':
+      return interval === 1 ? `Weekly on ${days}` : `Every ${interval} weeks on ${days}`;
+    case 'monthly':
+      return interval === 1 ? `Monthly on day ${monthDay}` : `Every ${interval} months on day ${monthDay}`;
+    case 'afterCompletion':
+      return interval === 1 ? '1 day after completion' : `${interval} days after completion`;
+    default:
+      return interval === 1 ? 'Daily' : `Every ${interval} days`;
+  }
+}
+
+/**
+ * Builds the repeat icon of a recurring To-Do item, with the rule as its label.
+ * @param {Object} item - The To-Do item.
+ * @returns {HTMLElement|null} The icon, or null if the To-Do does not repeat.
+ */
+function createRecurrenceBadge(item) {
+  if (!item.recurrence) {
+    return null;
+  }
+  const description = describeRecurrence(item.recurrence);
+  const badge = createTextElement('span', 'recurrence-badge inline-block text-xs font-semibold bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full', `↻ ${description}`);
+  badge.title = `Repeats: ${description}`;
+  badge.setAttribute('aria-label', badge.title);
+  return badge;
+}
+
+/**
+ * Shows the inputs of the "Repeat" picker that belong to the selected frequency:
+ * the weekdays for weekly and the day of the month for monthly rules.
+ * @param {string} frequency - The selected frequency, '' when the To-Do does not repeat.
+ */
+export function showRecurrenceOptions(frequency) {
+  document.getElementById('recurrence-weekdays').classList.toggle('hidden', frequency !== 'weekly');
+  document.getElementById('recurrence-month-day').classList.toggle('hidden', frequency !== 'monthly');
+}
+
+/**
+ * Marks the inputs of a form whose fields the backend rejected and clears the marks of the other inputs.
+ * The backend names fields by their path, e.g. 'tags[2]' or 'recurrence.interval';
+ * an input is marked when the path starts with its field.
+ * @param {Map<string, HTMLElement>} inputsByField - The inputs of the form by field name; missing inputs are skipped.
+ * @param {Object[]} errors - The invalid fields as { field, message }, see getValidationErrors in offlineApi.js.
+ */
+export function markInvalidFields(inputsByField, errors) {
+  const invalidFields = new Set(errors.map(error => error.field.split(/[.[]/)[0]));
+  inputsByField.forEach((input, field) => {
+    if (!input) {
+      return;
+    }
+    const invalid = invalidFields.has(field);
+    input.classList.toggle('border-red-500', invalid);
+    if (invalid) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  });
+}
+
+/**
+ * Builds the clickable tag chips of a To-Do item.
+ * @param {Object} item - The To-Do item.
+ * @param {Function} [filterByTag] - Called with the tag when a chip is clicked.
+ * @returns {HTMLElement|null} The chips, or null if the To-Do has no tags.
+ */
+function createTagChips(item, filterByTag) {
+  if (!Array.isArray(item.tags) || item.tags.length === 0) {
+    return null;
+  }
+  const chips = document.createElement('div');
+  chips.className = 'flex flex-wrap gap-1 mt-1';
+  item.tags.forEach(tag => {
+    const chip = createTextElement('button', 'tag-chip text-xs bg-blue-100 hover:bg-blue-200 text-blue-700 px-2 py-0.5 rounded-full', `#${tag}`);
+    chip.dataset.tag = tag;
+    if (filterByTag) {
+      chip.addEventListener('click', () => filterByTag(tag));
+    }
+    chips.appendChild(chip);
+  });
+  return chips;
+}
+
+/**
+ * Builds the "3/5" checklist progress of a To-Do item.
+ * @param {Object} item - The To-Do item.
+ * @returns {HTMLElement|null} The progress, or null if the To-Do has no subtasks.
+ */
+function createSubtaskProgress(item) {
+  const subtasks = item.subtasks || [];
+  if (subtasks.length === 0) {
+    return null;
+  }
+  const done = subtasks.filter(subtask => subtask.done).length;
+  return createTextElement('span', 'subtask-progress inline-block text-xs font-semibold bg-gray-100 text-gray-700 px-2 py-0.5 rounded-full', `${done}/${subtasks.length}`);
+}
+
+/**
+ * Builds the checklist of a To-Do item with a checkbox per subtask and an input to add a subtask.
+ * The elements are created through the DOM so subtask titles are never parsed as HTML.
+ * @param {Object} item - The To-Do item.
+ * @param {Object} subtaskHandlers - Callbacks for the checklist.
+ * @param {Function} [subtaskHandlers.toggleSubtask] - Called with (todoId, subtaskId, done) when a checkbox changes.
+ * @param {Function} [subtaskHandlers.addSubtask] - Called with (todoId, title) when a subtask is added.
+ * @returns {HTMLElement} The checklist element.
+ */
+function createChecklist(item, { toggleSubtask, addSubtask }) {
+  const checklist = document.createElement('ul');
+  checklist.className = 'subtask-list mt-2 space-y-1';
+  (item.subtasks || []).forEach(subtask => {
+    const entry = document.createElement('li');
+    entry.className = 'flex items-center text-sm text-gray-700';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'subtask-toggle mr-2';
+    checkbox.checked = Boolean(subtask.done);
+    checkbox.disabled = !toggleSubtask;
+    checkbox.addEventListener('change', () => toggleSubtask(item.todoId, subtask.subtaskId, checkbox.checked));
+    const title = document.createElement('span');
+    title.textContent = subtask.title;
+    if (subtask.done) {
+      title.className = 'line-through text-gray-400';
+    }
+    entry.append(checkbox, title);
+    checklist.appendChild(entry);
+  });
+  if (addSubtask) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'subtask-input text-sm border rounded px-2 py-0.5 w-full';
+    input.placeholder = 'Add a subtask and press Enter';
+    input.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && input.value.trim()) {
+        addSubtask(item.todoId, input.value.trim());
+      }
+    });
+    const entry = document.createElement('li');
+    entry.appendChild(input);
+    checklist.appendChild(entry);
+  }
+  return checklist;
+}
+
+/**
+ * Returns the IDs of the To-Do items whose selection checkbox is checked.
+ * @returns {string[]} The selected To-Do IDs, in list order.
+ */
+export function getSelectedTodoIds() {
+  return Array.from(document.querySelectorAll('.select-todo:checked')).map(checkbox => checkbox.dataset.todoId);
+}
+
+/**
+ * Shows the bulk actions with the number of selected To-Dos, or hides them when nothing is selected.
+ * The bulk actions are optional; nothing happens when the page does not contain them.
+ */
+function updateBulkActions() {
+  const bulkActions = document.getElementById('bulk-actions');
+  if (!bulkActions) {
+    return;
+  }
+  const count = getSelectedTodoIds().length;
+  bulkActions.classList.toggle('hidden', count === 0);
+  document.getElementById('selected-count').textContent = `${count} selected`;
+}
+
+/**
+ * Builds the checkbox that selects a To-Do item for the bulk actions.
+ * @param {Object} item - The To-Do item.
+ * @returns {HTMLInputElement} The checkbox.
+ */
+function createSelectCheckbox(item) {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'select-todo mr-4 h-4 w-4';
+  checkbox.dataset.todoId = item.todoId;
+  checkbox.setAttribute('aria-label', 'Select To-Do');
+  checkbox.addEventListener('change', updateBulkActions);
+  return checkbox;
+}
+
+// Words as the search backend splits them: runs of letters and digits.
+const SEARCH_WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Lower-cases a word and removes its accents, the same way the search backend does.
+ * @param {string} word - The word to fold.
+ * @returns {string} The folded word, e.g. "cafe" for "Café".
+ */
+function foldWord(word) {
+  return word.normalize('NFKD').replace(/\p{M}/gu, '').toLowerCase();
+}
+
+/**
+ * Highlights the words of an element's text that start with one of the search terms.
+ * The text is rebuilt from text nodes and <mark> elements, so it is never parsed as HTML.
+ * @param {HTMLElement} element - The element whose text is highlighted.
+ * @param {string[]} terms - The search terms returned by GET /todos/search.
+ */
+export function highlightMatches(element, terms) {
+  if (terms.length === 0) {
+    return;
+  }
+  const text = element.textContent;
+  const fragment = document.createDocumentFragment();
+  let lastIndex = 0;
+  for (const match of text.matchAll(SEARCH_WORD_PATTERN)) {
+    const word = foldWord(match[0]);
+    if (terms.some(term => word.startsWith(term))) {
+      const mark = document.createElement('mark');
+      mark.className = 'search-highlight bg-yellow-200 rounded';
+      mark.textContent = match[0];
+      fragment.append(text.slice(lastIndex, match.index), mark);
+      lastIndex = match.index + match[0].length;
+    }
+  }
+  fragment.append(text.slice(lastIndex));
+  element.replaceChildren(fragment);
+}
+
+/**
+ * Returns a function that calls fn only once no further calls were made for the given time,
+ * e.g. to search when the user pauses typing rather than on every keystroke.
+ * @param {Function} fn - The function to call.
+ * @param {number} waitMs - The pause in milliseconds.
+ * @returns {Function} The debounced function; it is called with the arguments of the last call.
+ */
+export function debounce(fn, waitMs) {
+  let timer = null;
+  return (...args) => {
+    clearTimeout(timer);
+    timer = setTimeout(() => fn(...args), waitMs);
+  };
+}
+
+// Classes of the selected and the other tabs, shared by the status tabs and the list tabs.
+const ACTIVE_TAB_CLASSES = ['border-blue-500', 'text-blue-600', 'font-semibold'];
+const INACTIVE_TAB_CLASSES = ['border-transparent', 'text-gray-500', 'hover:text-gray-700'];
+
+/**
+ * Marks the "All / Active / Completed" tab for a status filter as selected.
+ * @param {string} status - The status of the tab, 'pending', 'completed' or '' for All.
+ */
+export function setActiveStatusTab(status) {
+  document.querySelectorAll('.status-tab').forEach(tab => {
+    const selected = tab.dataset.status === status;
+    tab.setAttribute('aria-selected', String(selected));
+    tab.classList.remove(...(selected ? INACTIVE_TAB_CLASSES : ACTIVE_TAB_CLASSES));
+    tab.classList.add(...(selected ? ACTIVE_TAB_CLASSES : INACTIVE_TAB_CLASSES));
+  });
+}
+
+// Keys that move a To-Do up or down in the manual order while its reorder handle has the focus, and the step they move it by.
+const REORDER_KEYS = new Map([['ArrowUp', -1], ['ArrowDown', 1]]);
+// Highlight of the To-Do a dragged To-Do is about to be dropped on.
+const DROP_TARGET_CLASSES = ['ring-2', 'ring-blue-300'];
+
+/**
+ * Computes the new neighbours of a To-Do that is moved to another place in the list,
+ * in the form PATCH /todos/{id}/position expects them.
+ * @param {string[]} order - The IDs of the To-Dos in list order.
+ * @param {string} todoId - The ID of the moved To-Do.
+ * @param {number} index - The index the To-Do moves to, counted in the list without the moved To-Do.
+ * @returns {Object} { after, before }: the IDs of the To-Dos that end up right before and right after it,
+ * null at the start or the end of the list.
+ */
+export function getReorderNeighbours(order, todoId, index) {
+  const others = order.filter(id => id !== todoId);
+  return {
+    after: index > 0 ? others.at(index - 1) ?? null : null,
+    before: others.at(index) ?? null,
+  };
+}
+
+/**
+ * Builds the handle that moves a To-Do with the keyboard: Arrow Up and Arrow Down move it by one place.
+ * The handle keeps the focus after the list is rendered again, so the To-Do can be moved several places in a row.
+ * @param {Object} item - The To-Do item.
+ * @param {string[]} order - The IDs of the rendered To-Dos in list order.
+ * @param {Function} onReorder - Called with (todoId, { after, before }) when the To-Do is moved.
+ * @returns {HTMLButtonElement} The handle.
+ */
+function createReorderHandle(item, order, onReorder) {
+  const handle = document.createElement('button');
+  handle.type = 'button';
+  handle.className = 'reorder-handle mr-2 px-1 text-gray-400 hover:text-gray-700 cursor-move';
+  handle.dataset.todoId = item.todoId;
+  handle.textContent = '\u2630';
+  handle.setAttribute('aria-label', `Move "${item.title}", use the up and down arrow keys`);
+  handle.addEventListener('keydown', (event) => {
+    const index = order.indexOf(item.todoId) + (REORDER_KEYS.get(event.key) || 0);
+    if (!REORDER_KEYS.has(event.key) || index < 0 || index >= order.length) {
+      return;
+    }
+    event.preventDefault();
+    onReorder(item.todoId, getReorderNeighbours(order, item.todoId, index));
+    document.querySelector(`.reorder-handle[data-todo-id="${item.todoId}"]`)?.focus();
+  });
+  return handle;
+}
+
+/**
+ * Lets a To-Do be dragged onto another To-Do. It is dropped before the target when released over
+ * the upper half of the target, and after it when released over the lower half.
+ * @param {HTMLElement} todoItem - The element of the To-Do.
+ * @param {Object} item - The To-Do item.
+ * @param {string[]} order - The IDs of the rendered To-Dos in list order.
+ * @param {Function} onReorder - Called with (todoId, { after, before }) when a To-Do is dropped.
+ */
+function enableDragAndDrop(todoItem, item, order, onReorder) {
+  todoItem.draggable = true;
+  todoItem.addEventListener('dragstart', (event) => {
+    event.dataTransfer.setData('text/plain', item.todoId);
+    event.dataTransfer.effectAllowed = 'move';
+  });
+  todoItem.addEventListener('dragover', (event) => {
+    // Without preventing the default, the element does not accept drops
+    event.preventDefault();
+    todoItem.classList.add(...DROP_TARGET_CLASSES);
+  });
+  todoItem.addEventListener('dragleave', () => todoItem.classList.remove(...DROP_TARGET_CLASSES));
+  todoItem.addEventListener('drop', (event) => {
+    event.preventDefault();
+    todoItem.classList.remove(...DROP_TARGET_CLASSES);
+    const draggedId = event.dataTransfer.getData('text/plain');
+    if (draggedId === item.todoId || !order.includes(draggedId)) {
+      return;
+    }
+    const bounds = todoItem.getBoundingClientRect();
+    const dropAfter = event.clientY > bounds.top + bounds.height / 2;
+    const index = order.filter(id => id !== draggedId).indexOf(item.todoId) + (dropAfter ? 1 : 0);
+    onReorder(draggedId, getReorderNeighbours(order, draggedId, index));
+  });
+}
+
+/**
+ * Builds the title, badges, description, tags and dates of a To-Do item.
+ * @param {Object} item - The To-Do item.
+ * @param {boolean} overdue - Whether the To-Do is overdue.
+ * @param {Date} now - The reference point for relative times.
+ * @param {Function} [filterByTag] - Called with the tag when a tag chip is clicked.
+ * @returns {HTMLElement} The details element.
+ */
+function createTodoDetails(item, overdue, now, filterByTag) {
+  const completed = item.status === 'completed';
+  const details = document.createElement('div');
+  details.className = 'flex-grow';
+  details.appendChild(createTextElement('h4', `todo-title text-lg font-semibold text-gray-800 ${completed ? 'line-through text-gray-500' : ''}`, item.title));
+  const badges = [
+    createPriorityBadge(item),
+    createRecurrenceBadge(item),
+    createSubtaskProgress(item),
+    overdue ? createTextElement('span', 'overdue-badge inline-block text-xs font-bold uppercase bg-red-100 text-red-700 px-2 py-0.5 rounded-full', 'Overdue') : null,
+  ].filter(Boolean);
+  if (badges.length > 0) {
+    const badgeRow = document.createElement('div');
+    badgeRow.className = 'flex flex-wrap items-center gap-1';
+    badgeRow.append(...badges);
+    details.appendChild(badgeRow);
+  }
+  if (item.description) {
+    details.appendChild(createTextElement('p', 'todo-description text-sm text-gray-600 mt-1', item.description));
+  }
+  const extras = [createTagChips(item, filterByTag), createDueLabel(item, overdue, now)].filter(Boolean);
+  details.append(...extras, createTextElement('p', 'text-xs text-gray-400 mt-2', `Created: ${new Date(item.createdAt).toLocaleString()}`));
+  return details;
+}
+
+/**
+ * Builds the Done/Undo and Delete buttons of a To-Do item.
+ * @param {Object} item - The To-Do item.
+ * @param {Function} updateTodoStatus - Called with (todoId, currentStatus) when the Done/Undo button is clicked.
+ * @param {Function} deleteTodo - Called with the todoId when the Delete button is clicked.
+ * @returns {HTMLElement} The element with the buttons.
+ */
+function createTodoActions(item, updateTodoStatus, deleteTodo) {
+  const completed = item.status === 'completed';
+  const toggleColor = completed ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600';
+  const toggleButton = createTextElement('button', `toggle-status-button p-2 rounded-full ${toggleColor} text-white transition duration-300`, completed ? 'Undo' : 'Done');
+  toggleButton.dataset.todoId = item.todoId;
+  toggleButton.dataset.currentStatus = item.status;
+  toggleButton.addEventListener('click', () => updateTodoStatus(item.todoId, item.status));
+  const deleteButton = createTextElement('button', 'delete-todo-button p-2 rounded-full bg-red-500 hover:bg-red-600 text-white transition duration-300', 'Delete');
+  deleteButton.dataset.todoId = item.todoId;
+  deleteButton.addEventListener('click', () => deleteTodo(item.todoId));
+  const actions = document.createElement('div');
+  actions.className = 'flex items-center space-x-2 ml-4';
+  actions.append(toggleButton, deleteButton);
+  return actions;
+}
+
+/**
+ * Renders the list of To-Do items.
+ * The elements are created through the DOM and titles, descriptions and tags are set as text,
+ * so values entered by users (or by other members of a shared list) are never parsed as HTML.
+ * Each item gets a checkbox to select it for the bulk actions; rendering clears the selection.
+ * When the To-Dos are shown in the manual order, they can be moved by drag and drop or with the keyboard.
+ * @param {Object[]} todos - The To-Do items to render.
+ * @param {Function} updateTodoStatus - Called with (todoId, currentStatus) when the Done/Undo button is clicked.
+ * @param {Function} deleteTodo - Called with the todoId when the Delete button is clicked.
+ * @param {Function} [filterByTag] - Called with the tag when a tag chip is clicked.
+ * @param {Object} [subtaskHandlers] - Callbacks for the checklist, { toggleSubtask, addSubtask }.
+ * @param {string[]} [highlightTerms] - Search terms to highlight in the titles and descriptions.
+ * @param {Function|null} [onReorder] - Called with (todoId, { after, before }) when a To-Do is moved; null when the
+ * To-Dos cannot be reordered.
+ */
+export function renderTodos(todos, updateTodoStatus, deleteTodo, filterByTag, subtaskHandlers = {}, highlightTerms = [], onReorder = null) {
   const todoList = document.getElementById('todo-list');
-  todoList.innerHTML = '';
+  todoList.replaceChildren();
+  updateBulkActions();
   if (todos.length === 0) {
-    todoList.innerHTML = '<p class="text-gray-500 text-center">No To-Do items yet. Add one above!</p>';
+    todoList.appendChild(createTextElement('p', 'text-gray-500 text-center', 'No To-Do items yet. Add one above!'));
     return;
   }
+  const now = new Date();
+  const order = todos.map(todo => todo.todoId);
   todos.forEach(todo => {
+    const overdue = isOverdue(todo, now);
+    const pendingClass = overdue ? 'bg-white border-l-4 border-red-500' : 'bg-white border-l-4 border-blue-500';
     const todoItem = document.createElement('div');
-    todoItem.className = `flex items-center justify-between p-4 rounded-lg shadow-md ${todo.status === 'completed' ? 'bg-green-100 border-l-4 border-green-500' : 'bg-white border-l-4 border-blue-500'}`;
-    todoItem.innerHTML = `
-      <div class="flex-grow">
-        <h4 class="text-lg font-semibold text-gray-800 ${todo.status === 'completed' ? 'line-through text-gray-500' : ''}">${todo.title}</h4>
-        ${todo.description ? `<p class="text-sm text-gray-600 mt-1">${todo.description}</p>` : ''}
-        <p class="text-xs text-gray-400 mt-2">Created: ${new Date(todo.createdAt).toLocaleString()}</p>
-      </div>
-      <div class="flex items-center space-x-2 ml-4">
-        <button class="toggle-status-button p-2 rounded-full ${todo.status === 'completed' ? 'bg-yellow-500 hover:bg-yellow-600' : 'bg-green-500 hover:bg-green-600'} text-white transition duration-300" data-todo-id="${todo.todoId}" data-current-status="${todo.status}">${todo.status === 'completed' ? 'Undo' : 'Done'}</button>
-        <button class="delete-todo-button p-2 rounded-full bg-red-500 hover:bg-red-600 text-white transition duration-300" data-todo-id="${todo.todoId}">Delete</button>
-      </div>
-    `;
+    todoItem.className = `flex items-center justify-between p-4 rounded-lg shadow-md ${todo.status === 'completed' ? 'bg-green-100 border-l-4 border-green-500' : pendingClass}`;
+    const details = createTodoDetails(todo, overdue, now, filterByTag);
+    details.querySelectorAll('.todo-title, .todo-description').forEach(element => highlightMatches(element, highlightTerms));
+    details.appendChild(createChecklist(todo, subtaskHandlers));
+    todoItem.append(details, createTodoActions(todo, updateTodoStatus, deleteTodo));
+    todoItem.prepend(createSelectCheckbox(todo));
+    if (onReorder) {
+      todoItem.prepend(createReorderHandle(todo, order, onReorder));
+      enableDragAndDrop(todoItem, todo, order, onReorder);
+    }
     todoList.appendChild(todoItem);
   });
-  document.querySelectorAll('.toggle-status-button').forEach(button => {
-    button.addEventListener('click', (event) => {
-      updateTodoStatus(event.target.dataset.todoId, event.target.dataset.currentStatus);
-    });
+}
+
+// How long the undo toast stays visible after a To-Do was deleted.
+const UNDO_TOAST_DURATION_MS = 8000;
+let undoToastTimer = null;
+
+/**
+ * Shows the undo toast with a message and an Undo button.
+ * The toast hides itself after a few seconds or once Undo is clicked; showing it again replaces the previous undo.
+ * @param {string} message - The message to show, e.g. "To-Do moved to trash."
+ * @param {Function} onUndo - Called when the Undo button is clicked.
+ */
+export function showUndoToast(message, onUndo) {
+  const toast = document.getElementById('undo-toast');
+  if (!toast) {
+    return;
+  }
+  document.getElementById('undo-toast-message').textContent = message;
+  document.getElementById('undo-button').onclick = () => {
+    hideUndoToast();
+    onUndo();
+  };
+  toast.classList.remove('hidden');
+  clearTimeout(undoToastTimer);
+  undoToastTimer = setTimeout(hideUndoToast, UNDO_TOAST_DURATION_MS);
+}
+
+/**
+ * Hides the undo toast.
+ */
+export function hideUndoToast() {
+  clearTimeout(undoToastTimer);
+  undoToastTimer = null;
+  const toast = document.getElementById('undo-toast');
+  if (toast) {
+    toast.classList.add('hidden');
+  }
+}
+
+/**
+ * Shows the banner telling the user that a new version of the app is ready.
+ * @param {Function} onReload - Called when the Reload button is clicked, to activate the new version.
+ */
+export function showUpdatePrompt(onReload) {
+  const prompt = document.getElementById('update-prompt');
+  if (!prompt) {
+    return;
+  }
+  document.getElementById('update-reload-button').onclick = () => {
+    prompt.classList.add('hidden');
+    onReload();
+  };
+  document.getElementById('update-dismiss-button').onclick = () => prompt.classList.add('hidden');
+  prompt.classList.remove('hidden');
+}
+
+/**
+ * Switches between the To-Do list and the Trash view.
+ * @param {boolean} showTrash - True to show the Trash, false to show the list.
+ */
+export function showTrashView(showTrash) {
+  document.getElementById('todo-list-view').classList.toggle('hidden', showTrash);
+  document.getElementById('trash-view').classList.toggle('hidden', !showTrash);
+  document.getElementById('show-trash-button').classList.toggle('hidden', showTrash);
+}
+
+/**
+ * Shows the connection status in the header, e.g. "Offline · 2 pending".
+ * The indicator is hidden while online with nothing left to sync.
+ * @param {Object} status - The status reported by the offline API client.
+ * @param {boolean} status.online - Whether the browser is online.
+ * @param {boolean} status.syncing - Whether queued changes are being sent.
+ * @param {number} status.pending - The number of queued changes.
+ */
+export function renderSyncStatus({ online, syncing, pending }) {
+  const indicator = document.getElementById('sync-status');
+  if (!indicator) {
+    return;
+  }
+  const parts = [];
+  if (!online) {
+    parts.push('Offline');
+  } else if (syncing) {
+    parts.push('Syncing...');
+  }
+  if (pending > 0) {
+    parts.push(`${pending} pending`);
+  }
+  indicator.textContent = parts.join(' · ');
+  indicator.classList.toggle('hidden', parts.length === 0);
+  indicator.classList.toggle('text-yellow-600', !online);
+}
+
+/**
+ * Creates a small button for an entry of a list, e.g. of the Trash or the members of a shared list.
+ * @param {string} className - The classes of the button.
+ * @param {string} label - The text of the button.
+ * @param {Function} onClick - Called when the button is clicked.
+ * @returns {HTMLButtonElement} The button.
+ */
+function createActionButton(className, label, onClick) {
+  const button = document.createElement('button');
+  button.className = `${className} text-sm text-white font-bold py-1 px-3 rounded-lg transition duration-300`;
+  button.textContent = label;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Renders the trashed To-Do items with buttons to restore them or delete them permanently.
+ * The elements are created through the DOM so titles are never parsed as HTML.
+ * @param {Object[]} todos - The trashed To-Do items, each with deletedAt and expiresAt (epoch seconds).
+ * @param {Function} restoreTodo - Called with the todoId when Restore is clicked.
+ * @param {Function} purgeTodo - Called with the todoId when Delete forever is clicked.
+ */
+export function renderTrash(todos, restoreTodo, purgeTodo) {
+  const trashList = document.getElementById('trash-list');
+  trashList.replaceChildren();
+  if (todos.length === 0) {
+    const empty = document.createElement('p');
+    empty.className = 'text-gray-500 text-center';
+    empty.textContent = 'The trash is empty.';
+    trashList.appendChild(empty);
+    return;
+  }
+  const now = new Date();
+  todos.forEach(item => {
+    const entry = document.createElement('div');
+    entry.className = 'trash-item flex items-center justify-between p-4 rounded-lg shadow-md bg-gray-100 border-l-4 border-gray-400';
+    const details = document.createElement('div');
+    details.className = 'flex-grow';
+    const title = document.createElement('h4');
+    title.className = 'text-lg font-semibold text-gray-600';
+    title.textContent = item.title;
+    const info = document.createElement('p');
+    info.className = 'text-xs text-gray-500 mt-1';
+    info.textContent = `Deleted ${formatRelativeTime(item.deletedAt, now)}`;
+    if (item.expiresAt) {
+      info.textContent += `, removed permanently ${formatRelativeTime(new Date(item.expiresAt * 1000).toISOString(), now)}`;
+    }
+    details.append(title, info);
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center space-x-2 ml-4';
+    actions.append(
+      createActionButton('restore-todo-button bg-blue-500 hover:bg-blue-600', 'Restore', () => restoreTodo(item.todoId)),
+      createActionButton('purge-todo-button bg-red-500 hover:bg-red-600', 'Delete forever', () => purgeTodo(item.todoId))
+    );
+    entry.append(details, actions);
+    trashList.appendChild(entry);
   });
-  document.querySelectorAll('.delete-todo-button').forEach(button => {
-    button.addEventListener('click', (event) => {
-      deleteTodo(event.target.dataset.todoId);
-    });
+}
+
+// Value of the "My To-Dos" option of the move select; list IDs are UUIDs, so it cannot clash with one
+export const PERSONAL_LIST_VALUE = 'personal';
+
+/**
+ * Returns the label of a list in the list switcher: its name, followed by the user's role if they do not own it.
+ * @param {Object} list - The list, { name, role }.
+ * @returns {string} The label.
+ */
+function getListLabel(list) {
+  return list.role === 'owner' ? list.name : `${list.name} (${list.role})`;
+}
+
+/**
+ * Creates a tab of the list switcher.
+ * @param {string} label - The text of the tab.
+ * @param {string|null} listId - The ID of the list, or null for the personal To-Dos.
+ * @param {boolean} selected - Whether the list is shown.
+ * @param {Function} onSelect - Called with the listId when the tab is clicked.
+ * @returns {HTMLButtonElement} The tab.
+ */
+function createListTab(label, listId, selected, onSelect) {
+  const tab = document.createElement('button');
+  tab.className = 'list-tab px-4 py-2 -mb-px border-b-2 whitespace-nowrap';
+  tab.classList.add(...(selected ? ACTIVE_TAB_CLASSES : INACTIVE_TAB_CLASSES));
+  tab.setAttribute('role', 'tab');
+  tab.setAttribute('aria-selected', String(selected));
+  tab.dataset.listId = listId || '';
+  tab.textContent = label;
+  tab.addEventListener('click', () => onSelect(listId));
+  return tab;
+}
+
+/**
+ * Fills the "Move to" select of the bulk actions with the lists the selected To-Dos can be moved to:
+ * the personal To-Dos and every list the user may edit, except the shown one.
+ * @param {Object[]} lists - The lists that are not archived.
+ * @param {string|null} selectedListId - The ID of the list that is shown, or null for the personal To-Dos.
+ */
+function renderMoveTargets(lists, selectedListId) {
+  const select = document.getElementById('move-selected-select');
+  if (!select) {
+    return;
+  }
+  const targets = lists
+    .filter(list => list.listId !== selectedListId && list.role !== 'viewer')
+    .map(list => new Option(list.name, list.listId));
+  if (selectedListId) {
+    targets.unshift(new Option('My To-Dos', PERSONAL_LIST_VALUE));
+  }
+  select.replaceChildren(new Option('Move to…', ''), ...targets);
+  select.value = '';
+  select.disabled = targets.length === 0;
+}
+
+/**
+ * Renders the list switcher: a tab for the personal To-Dos and one for each list of the user.
+ * Archived lists get their own row of tabs below, which is hidden when there are none.
+ * Also updates the lists the selected To-Dos can be moved to.
+ * @param {Object[]} lists - The lists, each with listId, name, the user's role and archived.
+ * @param {string|null} selectedListId - The ID of the list that is shown, or null for the personal To-Dos.
+ * @param {Function} onSelect - Called with the listId (null for the personal To-Dos) when a tab is clicked.
+ */
+export function renderListTabs(lists, selectedListId, onSelect) {
+  const tabs = document.getElementById('list-tabs');
+  if (!tabs) {
+    return;
+  }
+  const active = lists.filter(list => !list.archived);
+  const archived = lists.filter(list => list.archived);
+  tabs.replaceChildren(
+    createListTab('My To-Dos', null, !selectedListId, onSelect),
+    ...active.map(list => createListTab(getListLabel(list), list.listId, list.listId === selectedListId, onSelect))
+  );
+  document.getElementById('archived-list-tabs').replaceChildren(
+    ...archived.map(list => createListTab(getListLabel(list), list.listId, list.listId === selectedListId, onSelect))
+  );
+  document.getElementById('archived-lists').classList.toggle('hidden', archived.length === 0);
+  renderMoveTargets(active, selectedListId);
+}
+
+/**
+ * Adapts the list view to the shown list and the user's role in it: the heading shows the name of the list,
+ * viewers get no form to add To-Dos, the Members button is only shown for lists, and only the owner
+ * gets the controls to rename, archive and delete the list.
+ * @param {Object|null} list - The list, { listId, name, role, archived }, or null for the personal To-Dos.
+ */
+export function renderListAccess(list) {
+  let heading = 'My To-Do List';
+  if (list) {
+    heading = list.archived ? `${list.name} (archived)` : list.name;
+  }
+  document.getElementById('list-heading').textContent = heading;
+  document.getElementById('add-todo-form').classList.toggle('hidden', list?.role === 'viewer');
+  document.getElementById('members-button').classList.toggle('hidden', !list);
+  const isOwner = list?.role === 'owner';
+  document.getElementById('list-actions').classList.toggle('hidden', !isOwner);
+  if (isOwner) {
+    document.getElementById('rename-list-name').value = list.name;
+    document.getElementById('archive-list-button').textContent = list.archived ? 'Unarchive' : 'Archive';
+  }
+}
+
+/**
+ * Shows the pending invitations to shared lists above the list, or hides the banner when there are none.
+ * @param {Object[]} invitations - The invitations, each with listId, listName, role and invitedBy.
+ * @param {Function} acceptInvitation - Called with the invitation when Accept is clicked.
+ * @param {Function} declineInvitation - Called with the invitation when Decline is clicked.
+ */
+export function renderInvitations(invitations, acceptInvitation, declineInvitation) {
+  const banner = document.getElementById('invitations');
+  if (!banner) {
+    return;
+  }
+  banner.replaceChildren();
+  banner.classList.toggle('hidden', invitations.length === 0);
+  invitations.forEach(invitation => {
+    const entry = document.createElement('div');
+    entry.className = 'invitation flex items-center justify-between bg-indigo-50 text-sm text-gray-700 rounded-lg px-3 py-2 mb-2';
+    const text = document.createElement('span');
+    text.textContent = `${invitation.invitedBy || 'Someone'} invited you to "${invitation.listName}" as ${invitation.role}.`;
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center space-x-2 ml-4';
+    actions.append(
+      createActionButton('accept-invitation-button bg-green-500 hover:bg-green-600', 'Accept', () => acceptInvitation(invitation)),
+      createActionButton('decline-invitation-button bg-gray-400 hover:bg-gray-500', 'Decline', () => declineInvitation(invitation))
+    );
+    entry.append(text, actions);
+    banner.appendChild(entry);
   });
 }
+
+/**
+ * Creates the role select of a member, shown to the owner of the list.
+ * @param {Object} member - The member, { userId, role }.
+ * @param {Function} changeMemberRole - Called with the member's userId and the new role.
+ * @returns {HTMLSelectElement} The select.
+ */
+function createRoleSelect(member, changeMemberRole) {
+  const select = document.createElement('select');
+  select.className = 'member-role-select border rounded-lg py-1 px-2 text-sm text-gray-700';
+  select.setAttribute('aria-label', `Role of ${member.email || member.userId}`);
+  select.append(new Option('Viewer', 'viewer'), new Option('Editor', 'editor'));
+  select.value = member.role;
+  select.addEventListener('change', () => changeMemberRole(member.userId, select.value));
+  return select;
+}
+
+/**
+ * Renders the members of the shown shared list and, for its owner, the pending invitations.
+ * The owner can change roles, remove members and revoke invitations; everybody else can only leave the list.
+ * @param {Object} params - The members panel contents.
+ * @param {Object[]} params.members - The members, each with userId, email and role.
+ * @param {Object[]} params.invitations - The pending invitations, each with email and role.
+ * @param {string} role - The role of the signed-in user in the list.
+ * @param {Object} handlers - Callbacks of the owner's actions.
+ * @param {Function} handlers.changeMemberRole - Called with a member's userId and the new role.
+ * @param {Function} handlers.removeMember - Called with a member's userId when Remove is clicked.
+ * @param {Function} handlers.revokeInvitation - Called with the invitation when Revoke is clicked.
+ */
+export function renderMembers({ members, invitations }, role, { changeMemberRole, removeMember, revokeInvitation }) {
+  const isOwner = role === 'owner';
+  const entries = members.map(member => {
+    const entry = document.createElement('li');
+    entry.className = 'member flex items-center justify-between py-1';
+    const name = document.createElement('span');
+    name.textContent = member.email || member.userId;
+    entry.appendChild(name);
+    if (!isOwner || member.role === 'owner') {
+      const label = document.createElement('span');
+      label.className = 'text-gray-500';
+      label.textContent = member.role;
+      entry.appendChild(label);
+      return entry;
+    }
+    const actions = document.createElement('div');
+    actions.className = 'flex items-center space-x-2 ml-4';
+    actions.append(
+      createRoleSelect(member, changeMemberRole),
+      createActionButton('remove-member-button bg-red-500 hover:bg-red-600', 'Remove', () => removeMember(member.userId))
+    );
+    entry.appendChild(actions);
+    return entry;
+  });
+  const invited = invitations.map(invitation => {
+    const entry = document.createElement('li');
+    entry.className = 'pending-invitation flex items-center justify-between py-1 text-gray-500';
+    const name = document.createElement('span');
+    name.textContent = `${invitation.email} (invited as ${invitation.role})`;
+    entry.append(name, createActionButton('revoke-invitation-button bg-gray-400 hover:bg-gray-500', 'Revoke', () => revokeInvitation(invitation)));
+    return entry;
+  });
+  document.getElementById('members-list').replaceChildren(...entries, ...invited);
+  document.getElementById('invite-form').classList.toggle('hidden', !isOwner);
+  document.getElementById('leave-list-button').classList.toggle('hidden', isOwner);
+}
+
+/**
+ * Shows or hides the members panel of the shown shared list.
+ * @param {boolean} show - True to show the panel.
+ */
+export function showMembersPanel(show) {
+  document.getElementById('members-panel').classList.toggle('hidden', !show);
+}
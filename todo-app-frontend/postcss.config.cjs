@@ -0,0 +1,8 @@
+// postcss.config.cjs
+// Used by postcss-loader when webpack bundles frontend-src/styles.css.
+module.exports = {
+  plugins: {
+    tailwindcss: {},
+    autoprefixer: {},
+  },
+};
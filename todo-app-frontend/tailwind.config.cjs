@@ -0,0 +1,10 @@
+// tailwind.config.cjs
+// Only the classes found in these files end up in dist/styles.css. Classes have to appear as complete strings
+// (e.g. 'bg-red-600 text-white'), classes assembled from parts are not found.
+module.exports = {
+  content: ['./index.html', './frontend-src/**/*.js'],
+  theme: {
+    extend: {},
+  },
+  plugins: [],
+};
@@ -0,0 +1,233 @@
+/**
+ * This file contains tests for the listHandlers module.
+ * It mocks AWS Amplify Auth and API modules and the UI rendering, and tests switching between lists,
+ * creating, renaming, archiving and deleting lists, accepting invitations and managing the members of a shared list.
+ */
+import { initListHandlers } from '../frontend-src/listHandlers.js';
+import * as Auth from '@aws-amplify/auth';
+import * as API from '@aws-amplify/api';
+import { renderListTabs, renderListAccess, renderInvitations, renderMembers, showMembersPanel, markInvalidFields } from '../frontend-src/uiHandlers.js';
+
+jest.mock('@aws-amplify/auth');
+jest.mock('@aws-amplify/api');
+jest.mock('../frontend-src/uiHandlers.js');
+
+/**
+ * Builds the result of an Amplify API call that resolves to a JSON body.
+ * @param {Object} data - The response body.
+ * @returns {Object} The API result.
+ */
+const respond = (data) => ({ response: Promise.resolve({ body: { json: () => Promise.resolve(data) } }) });
+
+const home = { listId: 'list-home', name: 'Home', role: 'owner' };
+const team = { listId: 'list-team', name: 'Team', role: 'viewer' };
+
+describe('initListHandlers', () => {
+  let listElements;
+  let onSelectList;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    onSelectList = jest.fn(() => Promise.resolve());
+    listElements = {
+      newListNameInput: { value: '' },
+      renameListInput: { value: '' },
+      inviteEmailInput: { value: '' },
+      inviteRoleInput: { value: 'editor' },
+      listMessage: { textContent: '', className: '' },
+      onSelectList,
+    };
+    Auth.fetchAuthSession.mockResolvedValue({
+      tokens: { idToken: { toString: () => 'mock-token', payload: { sub: 'user-1' } } },
+    });
+    API.get.mockImplementation(({ path }) => Promise.resolve(respond(path === '/lists' ? { lists: [home, team] } : { invitations: [] })));
+  });
+
+  it('fetchLists fills the list switcher', async () => {
+    const { fetchLists, selectList } = initListHandlers(listElements);
+
+    await expect(fetchLists()).resolves.toEqual([home, team]);
+
+    expect(API.get.mock.calls[0][0].options.headers.Authorization).toBe('Bearer mock-token');
+    expect(renderListTabs).toHaveBeenCalledWith([home, team], null, selectList);
+  });
+
+  it('selectList shows the picked list with the user role and loads its To-Dos', async () => {
+    const { fetchLists, selectList } = initListHandlers(listElements);
+    await fetchLists();
+
+    await selectList('list-team');
+
+    expect(renderListAccess).toHaveBeenCalledWith(team);
+    expect(showMembersPanel).toHaveBeenCalledWith(false);
+    expect(onSelectList).toHaveBeenCalledWith(team, undefined);
+
+    await selectList(null);
+    expect(onSelectList).toHaveBeenLastCalledWith(null, undefined);
+  });
+
+  it('createList validates the name, creates the list and shows it', async () => {
+    API.post.mockResolvedValue(respond({ list: { listId: 'list-new', name: 'Trip', role: 'owner' } }));
+    const { createList } = initListHandlers(listElements);
+
+    await createList();
+    expect(listElements.listMessage.textContent).toBe('List name cannot be empty.');
+    expect(API.post).not.toHaveBeenCalled();
+
+    listElements.newListNameInput.value = ' Trip ';
+    await createList();
+
+    expect(API.post.mock.calls[0][0]).toMatchObject({ path: '/lists', options: { body: { name: 'Trip' } } });
+    expect(listElements.newListNameInput.value).toBe('');
+    expect(onSelectList).toHaveBeenCalledWith({ listId: 'list-new', name: 'Trip', role: 'owner' }, undefined);
+  });
+
+  it('createList marks the name input when the backend rejects the name', async () => {
+    const errors = [{ field: 'name', message: 'List name must be at most 100 characters.' }];
+    API.post.mockRejectedValueOnce(Object.assign(new Error(errors[0].message), {
+      response: { statusCode: 400, body: JSON.stringify({ message: errors[0].message, errors }) },
+    }));
+    const { createList } = initListHandlers(listElements);
+    listElements.newListNameInput.value = 'Trip';
+
+    await createList();
+
+    expect(markInvalidFields).toHaveBeenCalledWith(new Map([['name', listElements.newListNameInput]]), errors);
+    expect(listElements.listMessage.textContent).toBe(`Failed to create list: ${errors[0].message}`);
+    expect(listElements.newListNameInput.value).toBe('Trip');
+  });
+
+  it('renameList and toggleArchived save the change and show the updated list', async () => {
+    const { fetchLists, selectList, renameList, toggleArchived } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    listElements.renameListInput.value = ' ';
+    await renameList();
+    expect(listElements.listMessage.textContent).toBe('List name cannot be empty.');
+
+    API.patch.mockResolvedValueOnce(respond({ list: { ...home, name: 'House' } }));
+    listElements.renameListInput.value = 'House';
+    await renameList();
+    expect(API.patch.mock.calls[0][0]).toMatchObject({ path: '/lists/list-home', options: { body: { name: 'House' } } });
+    expect(renderListAccess).toHaveBeenLastCalledWith({ ...home, name: 'House' });
+
+    API.patch.mockResolvedValueOnce(respond({ list: { ...home, name: 'House', archived: true } }));
+    await toggleArchived();
+    expect(API.patch.mock.calls[1][0].options.body).toEqual({ archived: true });
+    expect(renderListTabs).toHaveBeenLastCalledWith([{ ...home, name: 'House', archived: true }, team], 'list-home', expect.any(Function));
+  });
+
+  it('deleteList deletes the list after confirmation and shows the personal To-Dos', async () => {
+    const confirm = jest.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const { fetchLists, selectList, deleteList } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    await deleteList();
+    expect(API.del).not.toHaveBeenCalled();
+
+    await deleteList();
+    expect(API.del.mock.calls[0][0].path).toBe('/lists/list-home');
+    expect(onSelectList).toHaveBeenLastCalledWith(null, undefined);
+    expect(renderListTabs).toHaveBeenLastCalledWith([team], null, expect.any(Function));
+    confirm.mockRestore();
+  });
+
+  it('acceptInvitation joins the list and shows it', async () => {
+    const invitation = { listId: 'list-team', listName: 'Team', role: 'viewer', email: 'me@example.com' };
+    API.get.mockImplementation(({ path }) => Promise.resolve(respond(path === '/lists' ? { lists: [home, team] } : { invitations: [invitation] })));
+    const { fetchInvitations } = initListHandlers(listElements);
+    await fetchInvitations();
+
+    const [invitations, acceptInvitation] = renderInvitations.mock.calls[0];
+    expect(invitations).toEqual([invitation]);
+    await acceptInvitation(invitation);
+
+    expect(API.post.mock.calls[0][0].path).toBe('/invitations/list-team/accept');
+    expect(onSelectList).toHaveBeenCalledWith(team, undefined);
+    expect(listElements.listMessage.textContent).toBe('You joined "Team".');
+  });
+
+  it('declineInvitation deletes the invitation of the user email', async () => {
+    const { declineInvitation } = initListHandlers(listElements);
+
+    await declineInvitation({ listId: 'list-team', email: 'me+todo@example.com' });
+
+    expect(API.del.mock.calls[0][0].path).toBe('/lists/list-team/invitations/me%2Btodo%40example.com');
+  });
+
+  it('openMembers renders the members and the owner can invite and change roles', async () => {
+    API.get.mockImplementation(({ path }) => Promise.resolve(respond(path === '/lists'
+      ? { lists: [home] }
+      : { members: [{ userId: 'user-1', role: 'owner' }], invitations: [] })));
+    const { fetchLists, selectList, openMembers, inviteMember } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    await openMembers();
+    expect(API.get).toHaveBeenLastCalledWith(expect.objectContaining({ path: '/lists/list-home/members' }));
+    const [contents, role, handlers] = renderMembers.mock.calls[0];
+    expect(contents).toEqual({ members: [{ userId: 'user-1', role: 'owner' }], invitations: [] });
+    expect(role).toBe('owner');
+    expect(showMembersPanel).toHaveBeenLastCalledWith(true);
+
+    listElements.inviteEmailInput.value = 'sam@example.com';
+    listElements.inviteRoleInput.value = 'viewer';
+    await inviteMember();
+    expect(API.post.mock.calls[0][0]).toMatchObject({ path: '/lists/list-home/invitations', options: { body: { email: 'sam@example.com', role: 'viewer' } } });
+    expect(listElements.inviteEmailInput.value).toBe('');
+
+    await handlers.changeMemberRole('user-2', 'editor');
+    expect(API.put.mock.calls[0][0]).toMatchObject({ path: '/lists/list-home/members/user-2', options: { body: { role: 'editor' } } });
+  });
+
+  it('shows an error when a member change is rejected', async () => {
+    API.get.mockImplementation(() => Promise.resolve(respond({ lists: [home] })));
+    API.del.mockRejectedValueOnce(new Error('Forbidden'));
+    const { fetchLists, selectList, removeMember } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    await removeMember('user-2');
+
+    expect(listElements.listMessage.textContent).toBe('Failed to update the members: Forbidden');
+    expect(listElements.listMessage.className).toContain('text-red-500');
+  });
+
+  it('shows a friendly message for the error code of a rejected change', async () => {
+    API.get.mockImplementation(() => Promise.resolve(respond({ lists: [home] })));
+    const body = { status: 403, code: 'INSUFFICIENT_ROLE', detail: 'Insufficient permissions for this list.', message: 'Insufficient permissions for this list.' };
+    API.del.mockRejectedValueOnce(Object.assign(new Error(body.message), { response: { statusCode: 403, body: JSON.stringify(body) } }));
+    const { fetchLists, selectList, removeMember } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    await removeMember('user-2');
+
+    expect(listElements.listMessage.textContent).toBe('Failed to update the members: You do not have permission to do this in this list.');
+  });
+
+  it('leaveList removes the user from the list and shows the personal To-Dos', async () => {
+    const { fetchLists, selectList, leaveList } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-team');
+
+    await leaveList();
+
+    expect(API.del.mock.calls[0][0].path).toBe('/lists/list-team/members/user-1');
+    expect(onSelectList).toHaveBeenLastCalledWith(null, undefined);
+    expect(renderListTabs).toHaveBeenLastCalledWith([home], null, expect.any(Function));
+  });
+
+  it('reset goes back to the personal To-Dos without loading them', async () => {
+    const { fetchLists, selectList, reset } = initListHandlers(listElements);
+    await fetchLists();
+    await selectList('list-home');
+
+    await reset();
+
+    expect(onSelectList).toHaveBeenLastCalledWith(null, { reload: false });
+    expect(renderInvitations).toHaveBeenLastCalledWith([], expect.any(Function), expect.any(Function));
+  });
+});
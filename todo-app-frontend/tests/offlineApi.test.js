@@ -0,0 +1,189 @@
+/**
+ * This file contains tests for the offlineApi module.
+ * It tests queuing changes while offline or behind other queued changes, replaying the queue in order
+ * with the real IDs of To-Dos created offline, and resolving version conflicts against the server copy.
+ */
+import { createOfflineApi, isQueued, isNetworkError, getErrorCode, getErrorMessage } from '../frontend-src/offlineApi.js';
+import { createMemoryStorage } from '../frontend-src/offlineStorage.js';
+import * as Auth from '@aws-amplify/auth';
+import * as API from '@aws-amplify/api';
+
+jest.mock('@aws-amplify/auth');
+jest.mock('@aws-amplify/api');
+
+/**
+ * Builds a resolved Amplify API result with the given body.
+ * @param {Object} body - The response body.
+ * @returns {Object} The result.
+ */
+const apiResult = (body) => ({ response: Promise.resolve({ statusCode: 200, body: { json: () => Promise.resolve(body) } }) });
+
+/**
+ * Builds a 409 Conflict error as thrown by the Amplify API client.
+ * @param {Object} serverCopy - The server copy of the To-Do.
+ * @returns {Error} The error.
+ */
+const conflictError = (serverCopy) => Object.assign(new Error('Conflict'), { response: { statusCode: 409, body: JSON.stringify({ todo: serverCopy }) } });
+
+describe('createOfflineApi', () => {
+  let online;
+  let storage;
+  let onStatusChange;
+  let api;
+
+  beforeEach(() => {
+    online = true;
+    storage = createMemoryStorage();
+    onStatusChange = jest.fn();
+    api = createOfflineApi({ storage, isOnline: () => online, onStatusChange });
+    Auth.fetchAuthSession.mockResolvedValue({ tokens: { idToken: { toString: () => 'fresh-token' } } });
+  });
+
+  test('sends calls right away while online', async () => {
+    API.put.mockResolvedValue(apiResult({ todo: { todoId: '1' } }));
+
+    const result = await api.put({ apiName: 'TodoApi', path: '/todos/1', options: { body: { status: 'completed' } } });
+    const raw = await result.response;
+
+    expect(isQueued(raw)).toBe(false);
+    expect(API.put).toHaveBeenCalledTimes(1);
+  });
+
+  test('queues calls while offline and stores them without the Authorization header', async () => {
+    online = false;
+
+    const result = await api.post({
+      apiName: 'TodoApi',
+      path: '/todos',
+      options: { body: { title: 'Offline' }, headers: { Authorization: 'Bearer old-token' } },
+    });
+    const raw = await result.response;
+    const data = await raw.body.json();
+
+    expect(isQueued(raw)).toBe(true);
+    expect(data.localId).toMatch(/^local-/);
+    expect(API.post).not.toHaveBeenCalled();
+    const [mutation] = await storage.get('mutationQueue');
+    expect(mutation).toEqual(expect.objectContaining({ method: 'post', path: '/todos', localId: data.localId }));
+    expect(mutation.options.headers).toEqual({});
+    expect(onStatusChange).toHaveBeenLastCalledWith({ online: false, syncing: false, pending: 1 });
+  });
+
+  test('queues calls when the backend cannot be reached and behind other queued calls', async () => {
+    API.del.mockRejectedValue(Object.assign(new Error('Network error'), { name: 'NetworkError' }));
+
+    const first = await api.del({ apiName: 'TodoApi', path: '/todos/1', options: {} });
+    const second = await api.put({ apiName: 'TodoApi', path: '/todos/2', options: { body: { status: 'completed' } } });
+
+    expect(isQueued(await first.response)).toBe(true);
+    expect(isQueued(await second.response)).toBe(true);
+    expect(API.put).not.toHaveBeenCalled();
+    expect(api.status().pending).toBe(2);
+  });
+
+  test('rethrows errors returned by the backend', async () => {
+    API.put.mockRejectedValue(conflictError({ todoId: '1', version: 3 }));
+
+    await expect(api.put({ apiName: 'TodoApi', path: '/todos/1', options: {} })).rejects.toThrow('Conflict');
+    expect(api.status().pending).toBe(0);
+  });
+
+  test('replay sends the queue in order and uses the real ID of To-Dos created offline', async () => {
+    online = false;
+    const created = await api.post({ apiName: 'TodoApi', path: '/todos', options: { body: { title: 'Offline' } } });
+    const { localId } = await (await created.response).body.json();
+    await api.put({ apiName: 'TodoApi', path: `/todos/${localId}`, options: { body: { status: 'completed' } } });
+    await api.post({ apiName: 'TodoApi', path: '/todos/batch', options: { body: { operations: [{ op: 'delete', todoId: localId }] } } });
+
+    online = true;
+    API.post
+      .mockResolvedValueOnce(apiResult({ todo: { todoId: 'real-id', updatedAt: '2025-01-01T00:00:00.000Z' } }))
+      .mockResolvedValueOnce(apiResult({ results: [] }));
+    API.put.mockResolvedValue(apiResult({ todo: { todoId: 'real-id' } }));
+
+    const outcome = await api.replay();
+
+    expect(outcome).toEqual({ replayed: 3, discarded: [] });
+    expect(API.put.mock.calls[0][0].path).toBe('/todos/real-id');
+    expect(API.put.mock.calls[0][0].options.headers.Authorization).toBe('Bearer fresh-token');
+    expect(API.post.mock.calls[1][0].options.body.operations).toEqual([{ op: 'delete', todoId: 'real-id' }]);
+    expect(await storage.get('mutationQueue')).toEqual([]);
+  });
+
+  test('replay keeps the remaining changes queued when the connection is lost again', async () => {
+    online = false;
+    await api.del({ apiName: 'TodoApi', path: '/todos/1', options: {} });
+    await api.del({ apiName: 'TodoApi', path: '/todos/2', options: {} });
+
+    online = true;
+    API.del
+      .mockResolvedValueOnce({ response: Promise.resolve({ statusCode: 200 }) })
+      .mockRejectedValueOnce(Object.assign(new Error('Network error'), { name: 'NetworkError' }));
+
+    const outcome = await api.replay();
+
+    expect(outcome.replayed).toBe(1);
+    expect(api.status()).toEqual({ online: true, syncing: false, pending: 1 });
+    expect((await storage.get('mutationQueue'))[0].path).toBe('/todos/2');
+  });
+
+  test('replay reapplies a change on top of a server copy that is older than the change', async () => {
+    online = false;
+    await api.put({ apiName: 'TodoApi', path: '/todos/1', options: { body: { status: 'completed' }, headers: { 'If-Match': '1' } } });
+
+    online = true;
+    API.put
+      .mockRejectedValueOnce(conflictError({ todoId: '1', version: 2, updatedAt: '2000-01-01T00:00:00.000Z' }))
+      .mockResolvedValueOnce(apiResult({ todo: { todoId: '1', version: 3 } }));
+
+    const outcome = await api.replay();
+
+    expect(outcome).toEqual({ replayed: 1, discarded: [] });
+    expect(API.put.mock.calls[1][0].options.headers['If-Match']).toBe('2');
+  });
+
+  test('replay discards a change when the To-Do was changed elsewhere after it', async () => {
+    online = false;
+    await api.put({ apiName: 'TodoApi', path: '/todos/1', options: { body: { status: 'completed' }, headers: { 'If-Match': '1' } } });
+
+    online = true;
+    API.put.mockRejectedValueOnce(conflictError({ todoId: '1', version: 2, updatedAt: '2999-01-01T00:00:00.000Z' }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const outcome = await api.replay();
+
+    expect(outcome.discarded).toEqual([expect.objectContaining({ path: '/todos/1' })]);
+    expect(API.put).toHaveBeenCalledTimes(1);
+    expect(api.status().pending).toBe(0);
+    console.error.mockRestore();
+  });
+
+  test('clear drops the queued changes', async () => {
+    online = false;
+    await api.del({ apiName: 'TodoApi', path: '/todos/1', options: {} });
+
+    await api.clear();
+
+    expect(api.status().pending).toBe(0);
+    expect(await storage.get('mutationQueue')).toEqual([]);
+  });
+
+  test('isNetworkError only matches failures to reach the backend', () => {
+    expect(isNetworkError(Object.assign(new Error('Network error'), { name: 'NetworkError' }))).toBe(true);
+    expect(isNetworkError(conflictError({}))).toBe(false);
+    expect(isNetworkError(new TypeError('x is undefined'))).toBe(false);
+  });
+
+  test('getErrorMessage picks a friendly message by the code of the problem details', () => {
+    const problem = (status, body) => Object.assign(new Error(body.message), { response: { statusCode: status, body: JSON.stringify(body) } });
+    const notFound = problem(404, { status: 404, code: 'TODO_NOT_FOUND', detail: 'To-Do item not found.', message: 'To-Do item not found.' });
+    const invalid = problem(400, { status: 400, code: 'VALIDATION_FAILED', detail: 'Title is required.', message: 'Title is required.' });
+
+    expect(getErrorCode(notFound)).toBe('TODO_NOT_FOUND');
+    expect(getErrorMessage(notFound)).toBe('This To-Do no longer exists. It may have been deleted on another device.');
+    expect(getErrorMessage(invalid)).toBe('Title is required.');
+    expect(getErrorCode(new Error('Network error'))).toBeNull();
+    expect(getErrorMessage(new Error('Network error'))).toBe('Network error');
+    expect(getErrorMessage({})).toBe('Unknown error');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * This file contains tests for the offlineStorage module.
+ * jsdom has no IndexedDB, so it tests the in-memory storage used as a fallback.
+ */
+import { openOfflineStorage, createMemoryStorage } from '../frontend-src/offlineStorage.js';
+
+describe('offlineStorage', () => {
+  test('createMemoryStorage stores, returns and clears values', async () => {
+    const storage = createMemoryStorage();
+    await storage.set('list:{}', { todos: [{ todoId: '1' }] });
+
+    expect(await storage.get('list:{}')).toEqual({ todos: [{ todoId: '1' }] });
+    expect(await storage.get('missing')).toBeUndefined();
+
+    await storage.clear();
+    expect(await storage.get('list:{}')).toBeUndefined();
+  });
+
+  test('openOfflineStorage falls back to memory when IndexedDB is missing or fails', async () => {
+    const withoutIndexedDb = await openOfflineStorage(undefined);
+    await withoutIndexedDb.set('key', 1);
+    expect(await withoutIndexedDb.get('key')).toBe(1);
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const failing = { open: jest.fn(() => { throw new Error('SecurityError'); }) };
+    const fallback = await openOfflineStorage(failing);
+    await fallback.set('key', 2);
+    expect(await fallback.get('key')).toBe(2);
+    expect(warn).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
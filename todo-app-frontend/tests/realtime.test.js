@@ -0,0 +1,121 @@
+/**
+ * This file contains tests for the realtime module.
+ * It replaces the browser's WebSocket with a fake one and tests that the ID token is sent on connect,
+ * that change messages are passed on and that a lost connection is opened again with backoff.
+ */
+import { connectRealtime } from '../frontend-src/realtime.js';
+
+// Sockets opened by the module under test, oldest first
+let sockets = [];
+
+/**
+ * Fake WebSocket that records the opened connections and lets the tests fire their events.
+ */
+class FakeWebSocket {
+  constructor(url) {
+    this.url = url;
+    this.listeners = new Map();
+    this.close = jest.fn();
+    sockets.push(this);
+  }
+
+  addEventListener(type, listener) {
+    this.listeners.set(type, listener);
+  }
+
+  emit(type, event = {}) {
+    this.listeners.get(type)(event);
+  }
+}
+
+/**
+ * Waits until the pending connection attempt has created its socket.
+ * @returns {Promise<void>}
+ */
+const flush = () => new Promise(process.nextTick);
+
+describe('connectRealtime', () => {
+  const url = 'wss://example.execute-api.us-east-1.amazonaws.com/Prod';
+  let getToken;
+
+  beforeEach(() => {
+    sockets = [];
+    getToken = jest.fn(() => Promise.resolve('id token'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('connects with the ID token and passes change messages on', async () => {
+    const onChanges = jest.fn();
+    connectRealtime({ url, getToken, onChanges, WebSocketImpl: FakeWebSocket });
+    await flush();
+
+    const socket = sockets[0];
+    expect(socket.url).toBe(`${url}?token=id%20token`);
+
+    socket.emit('message', { data: JSON.stringify({ type: 'changes', todos: [{ todoId: '1' }], tombstones: [] }) });
+    expect(onChanges).toHaveBeenCalledWith({ type: 'changes', todos: [{ todoId: '1' }], tombstones: [] });
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    socket.emit('message', { data: 'not json' });
+    socket.emit('message', { data: JSON.stringify({ type: 'other' }) });
+    expect(onChanges).toHaveBeenCalledTimes(1);
+    error.mockRestore();
+  });
+
+  test('reconnects with a fresh token and catches up after the connection was lost', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick'] });
+    const onReconnect = jest.fn();
+    connectRealtime({ url, getToken, onChanges: jest.fn(), onReconnect, WebSocketImpl: FakeWebSocket });
+    await flush();
+    sockets[0].emit('open');
+    expect(onReconnect).not.toHaveBeenCalled();
+
+    sockets[0].emit('close');
+    jest.advanceTimersByTime(999);
+    expect(getToken).toHaveBeenCalledTimes(1);
+    jest.advanceTimersByTime(1);
+    await flush();
+
+    expect(getToken).toHaveBeenCalledTimes(2);
+    sockets[1].emit('open');
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+  });
+
+  test('doubles the delay after every failed attempt', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick'] });
+    connectRealtime({ url, getToken, onChanges: jest.fn(), WebSocketImpl: FakeWebSocket });
+    await flush();
+
+    sockets[0].emit('close');
+    jest.advanceTimersByTime(1000);
+    await flush();
+    sockets[1].emit('close');
+    jest.advanceTimersByTime(1999);
+    await flush();
+    expect(sockets).toHaveLength(2);
+    jest.advanceTimersByTime(1);
+    await flush();
+    expect(sockets).toHaveLength(3);
+  });
+
+  test('close stops reconnecting', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick'] });
+    const connection = connectRealtime({ url, getToken, onChanges: jest.fn(), WebSocketImpl: FakeWebSocket });
+    await flush();
+
+    connection.close();
+    expect(sockets[0].close).toHaveBeenCalled();
+    sockets[0].emit('close');
+    jest.advanceTimersByTime(60000);
+    await flush();
+    expect(sockets).toHaveLength(1);
+  });
+
+  test('does nothing when no WebSocket API is configured', () => {
+    expect(connectRealtime({ url: undefined, getToken, onChanges: jest.fn(), WebSocketImpl: FakeWebSocket })).toBeNull();
+    expect(getToken).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * This file contains tests for the serviceWorker module.
+ * It tests that the generated service worker is registered and that a waiting update
+ * is only activated once the user accepts the update prompt.
+ */
+import { registerServiceWorker } from '../frontend-src/serviceWorker.js';
+import { Workbox } from 'workbox-window';
+
+jest.mock('workbox-window');
+
+describe('registerServiceWorker', () => {
+  let listeners;
+
+  beforeEach(() => {
+    listeners = new Map();
+    Workbox.mockImplementation(() => ({
+      addEventListener: jest.fn((type, listener) => listeners.set(type, listener)),
+      register: jest.fn(() => Promise.resolve()),
+      messageSkipWaiting: jest.fn(),
+    }));
+    Object.defineProperty(navigator, 'serviceWorker', { value: {}, configurable: true });
+  });
+
+  afterEach(() => {
+    delete navigator.serviceWorker;
+  });
+
+  test('registers the generated service worker', () => {
+    const workbox = registerServiceWorker({ onUpdateReady: jest.fn() });
+
+    expect(Workbox).toHaveBeenCalledWith('service-worker.js');
+    expect(workbox.register).toHaveBeenCalled();
+  });
+
+  test('activates a waiting version only when the update is accepted', () => {
+    const onUpdateReady = jest.fn();
+    const workbox = registerServiceWorker({ onUpdateReady });
+
+    listeners.get('waiting')();
+    expect(onUpdateReady).toHaveBeenCalledWith(expect.any(Function));
+    expect(workbox.messageSkipWaiting).not.toHaveBeenCalled();
+
+    onUpdateReady.mock.calls[0][0]();
+    expect(workbox.messageSkipWaiting).toHaveBeenCalled();
+    expect(listeners.has('controlling')).toBe(true);
+  });
+
+  test('does nothing when service workers are not supported', () => {
+    delete navigator.serviceWorker;
+
+    expect(registerServiceWorker({ onUpdateReady: jest.fn() })).toBeNull();
+    expect(Workbox).not.toHaveBeenCalled();
+  });
+});
@@ -4,15 +4,17 @@
  * fetching, updating, and deleting todos.
  * The tests ensure that the UI updates correctly and that API calls are made as expected.
  */
-import { initTodoHandlers } from '../frontend-src/todoHandlers.js';
+import { initTodoHandlers, parseTags, buildRecurrence, getConflictingTodo, getValidationErrors } from '../frontend-src/todoHandlers.js';
 import * as Auth from '@aws-amplify/auth';
 import * as API from '@aws-amplify/api';
-import { renderTodos } from '../frontend-src/uiHandlers.js';
+import { renderTodos, renderTrash, showTrashView, showUndoToast, renderSyncStatus, showRecurrenceOptions, markInvalidFields } from '../frontend-src/uiHandlers.js';
+import { connectRealtime } from '../frontend-src/realtime.js';
 
 jest.mock('aws-amplify');
 jest.mock('@aws-amplify/auth');
 jest.mock('@aws-amplify/api');
 jest.mock('../frontend-src/uiHandlers.js');
+jest.mock('../frontend-src/realtime.js');
 
 
 describe('initTodoHandlers', () => {
@@ -22,11 +24,18 @@ describe('initTodoHandlers', () => {
     todoElements = {
       newTodoTitleInput: { value: 'My Todo' },
       newTodoDescriptionInput: { value: 'Description' },
+      newTodoDueInput: { value: '' },
+      newTodoPriorityInput: { value: 'medium' },
+      newTodoTagsInput: { value: '' },
+      newTodoAutoCompleteInput: { checked: false },
       todoMessage: { textContent: '', className: '' },
       todoList: {
         innerHTML: '',
         querySelectorAll: jest.fn(() => []), // for event listeners
       },
+      loadMoreButton: { classList: { add: jest.fn(), remove: jest.fn() } },
+      tagFilter: { classList: { add: jest.fn(), remove: jest.fn() } },
+      tagFilterLabel: { textContent: '' },
     };
     Auth.fetchAuthSession.mockResolvedValue({
       tokens: { idToken: { toString: () => 'mock-token' } },
@@ -61,6 +70,216 @@ describe('initTodoHandlers', () => {
     expect(todoElements.newTodoDescriptionInput.value).toBe('');
   });
 
+  it('createTodo marks the fields the backend rejected and keeps the inputs', async () => {
+    const errors = [
+      { field: 'title', message: 'title must be at most 200 characters.' },
+      { field: 'tags[0]', message: 'Tags must be 1-30 characters of letters, digits, \'-\' or \'_\'.' },
+    ];
+    const invalid = Object.assign(new Error(errors.map(error => error.message).join(' ')), {
+      response: { statusCode: 400, body: JSON.stringify({ message: 'invalid', errors }) },
+    });
+    API.post.mockRejectedValueOnce(invalid);
+    const { createTodo } = initTodoHandlers(todoElements);
+
+    await createTodo();
+
+    const [inputs, marked] = markInvalidFields.mock.calls[markInvalidFields.mock.calls.length - 1];
+    expect(inputs.get('title')).toBe(todoElements.newTodoTitleInput);
+    expect(inputs.get('tags')).toBe(todoElements.newTodoTagsInput);
+    expect(marked).toEqual(errors);
+    expect(todoElements.todoMessage.textContent).toBe(`Failed to create To-Do: ${invalid.message}`);
+    expect(todoElements.newTodoTitleInput.value).toBe('My Todo');
+  });
+
+  it('createTodo sends the due date as an ISO-8601 string', async () => {
+    const { createTodo } = initTodoHandlers(todoElements);
+    const due = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
+    // datetime-local format: YYYY-MM-DDTHH:mm in local time
+    const pad = (n) => String(n).padStart(2, '0');
+    todoElements.newTodoDueInput.value = `${due.getFullYear()}-${pad(due.getMonth() + 1)}-${pad(due.getDate())}T${pad(due.getHours())}:${pad(due.getMinutes())}`;
+
+    await createTodo();
+
+    const body = API.post.mock.calls[0][0].options.body;
+    expect(new Date(body.dueAt).getTime()).toBeGreaterThan(Date.now());
+    expect(todoElements.newTodoDueInput.value).toBe('');
+  });
+
+  it('createTodo sends the selected priority and resets the select', async () => {
+    const { createTodo } = initTodoHandlers(todoElements);
+    todoElements.newTodoPriorityInput.value = 'urgent';
+
+    await createTodo();
+
+    expect(API.post.mock.calls[0][0].options.body.priority).toBe('urgent');
+    expect(todoElements.newTodoPriorityInput.value).toBe('medium');
+  });
+
+  it('createTodo sends the parsed tags and clears the tags input', async () => {
+    const { createTodo } = initTodoHandlers(todoElements);
+    todoElements.newTodoTagsInput.value = 'Work, urgent, ,work';
+
+    await createTodo();
+
+    expect(API.post.mock.calls[0][0].options.body.tags).toEqual(['work', 'urgent']);
+    expect(todoElements.newTodoTagsInput.value).toBe('');
+  });
+
+  it('createTodo sends autoComplete only when the checkbox is checked', async () => {
+    const { createTodo } = initTodoHandlers(todoElements);
+    await createTodo();
+    expect(API.post.mock.calls[0][0].options.body).not.toHaveProperty('autoComplete');
+
+    todoElements.newTodoTitleInput.value = 'Trip';
+    todoElements.newTodoAutoCompleteInput.checked = true;
+    await createTodo();
+    expect(API.post.mock.calls[1][0].options.body.autoComplete).toBe(true);
+    expect(todoElements.newTodoAutoCompleteInput.checked).toBe(false);
+  });
+
+  it('filterByTag filters the list and shows the active tag', async () => {
+    const { filterByTag } = initTodoHandlers(todoElements);
+
+    await filterByTag('work');
+    expect(API.get.mock.calls[0][0].options.queryParams.tag).toBe('work');
+    expect(todoElements.tagFilterLabel.textContent).toBe('work');
+    expect(todoElements.tagFilter.classList.remove).toHaveBeenCalledWith('hidden');
+
+    await filterByTag(null);
+    expect(API.get.mock.calls[1][0].options.queryParams).not.toHaveProperty('tag');
+    expect(todoElements.tagFilter.classList.add).toHaveBeenCalledWith('hidden');
+  });
+
+  it('toggleSubtask updates the subtask and re-renders the returned todo', async () => {
+    const updated = { todoId: '1', title: 'Trip', subtasks: [{ subtaskId: 's1', title: 'Passport', done: true }] };
+    API.get.mockResolvedValue({
+      response: Promise.resolve({ body: { json: () => Promise.resolve({ todos: [{ todoId: '1', title: 'Trip' }], nextToken: null }) } }),
+    });
+    API.put.mockResolvedValue({
+      response: Promise.resolve({ body: { json: () => Promise.resolve({ todo: updated }) } }),
+    });
+    const { fetchTodos, toggleSubtask } = initTodoHandlers(todoElements);
+    await fetchTodos();
+
+    await toggleSubtask('1', 's1', true);
+
+    expect(API.put).toHaveBeenCalledWith(expect.objectContaining({
+      path: '/todos/1/subtasks/s1',
+      options: expect.objectContaining({ body: { done: true } }),
+    }));
+    const lastRender = renderTodos.mock.calls[renderTodos.mock.calls.length - 1];
+    expect(lastRender[0]).toEqual([updated]);
+    expect(lastRender[4]).toEqual(expect.objectContaining({ toggleSubtask: expect.any(Function), addSubtask: expect.any(Function) }));
+  });
+
+  it('addSubtask shows a message and reloads the list when the request fails', async () => {
+    API.post.mockRejectedValue(new Error('Conflict'));
+    const { addSubtask } = initTodoHandlers(todoElements);
+
+    await addSubtask('1', 'Passport');
+
+    expect(API.post.mock.calls[0][0].path).toBe('/todos/1/subtasks');
+    expect(todoElements.todoMessage.textContent).toBe('Failed to update subtasks: Conflict');
+    await new Promise(process.nextTick);
+    expect(API.get).toHaveBeenCalled();
+  });
+
+  it('parseTags splits, lower-cases and de-duplicates tags', () => {
+    expect(parseTags(' Work ,urgent,,work ')).toEqual(['work', 'urgent']);
+    expect(parseTags('')).toEqual([]);
+  });
+
+  it('buildRecurrence builds the rule of the selected frequency', () => {
+    expect(buildRecurrence({ frequency: '' })).toEqual({ recurrence: null });
+    expect(buildRecurrence({ frequency: 'daily', interval: '' })).toEqual({ recurrence: { frequency: 'daily', interval: 1 } });
+    expect(buildRecurrence({ frequency: 'weekly', interval: '2', weekdays: ['MO', 'FR'] }))
+      .toEqual({ recurrence: { frequency: 'weekly', interval: 2, weekdays: ['MO', 'FR'] } });
+    expect(buildRecurrence({ frequency: 'monthly', monthDay: '31' })).toEqual({ recurrence: { frequency: 'monthly', interval: 1, monthDay: 31 } });
+    expect(buildRecurrence({ frequency: 'weekly' }).error).toBe('Pick at least one weekday to repeat on.');
+    expect(buildRecurrence({ frequency: 'monthly', monthDay: '' }).error).toBe('Day of the month must be between 1 and 31.');
+    expect(buildRecurrence({ frequency: 'afterCompletion', interval: '0' }).error).toBe('Repeat interval must be a whole number between 1 and 365.');
+  });
+
+  it('createTodo sends the recurrence rule and resets the picker', async () => {
+    API.post.mockResolvedValue({
+      response: Promise.resolve({ body: { json: () => Promise.resolve({ todoId: '123' }) } }),
+    });
+    const mondayCheckbox = { value: 'MO', checked: true };
+    todoElements.newTodoRepeatInput = { value: 'weekly' };
+    todoElements.newTodoRepeatIntervalInput = { value: '2' };
+    todoElements.newTodoRepeatDayInput = { value: '' };
+    todoElements.newTodoRepeatWeekdays = {
+      querySelectorAll: jest.fn(() => [mondayCheckbox]),
+    };
+    const { createTodo } = initTodoHandlers(todoElements);
+
+    await createTodo();
+
+    expect(API.post.mock.calls[0][0].options.body.recurrence).toEqual({ frequency: 'weekly', interval: 2, weekdays: ['MO'] });
+    expect(todoElements.newTodoRepeatInput.value).toBe('');
+    expect(todoElements.newTodoRepeatIntervalInput.value).toBe('1');
+    expect(mondayCheckbox.checked).toBe(false);
+    expect(showRecurrenceOptions).toHaveBeenCalledWith('');
+  });
+
+  it('createTodo shows the error of an incomplete recurrence rule', async () => {
+    todoElements.newTodoRepeatInput = { value: 'weekly' };
+    todoElements.newTodoRepeatIntervalInput = { value: '1' };
+    todoElements.newTodoRepeatDayInput = { value: '' };
+    todoElements.newTodoRepeatWeekdays = { querySelectorAll: jest.fn(() => []) };
+    const { createTodo } = initTodoHandlers(todoElements);
+
+    await createTodo();
+
+    expect(API.post).not.toHaveBeenCalled();
+    expect(todoElements.todoMessage.textContent).toBe('Pick at least one weekday to repeat on.');
+  });
+
+  it('updateTodoStatus tells when the next occurrence of a recurring To-Do was created', async () => {
+    API.put.mockResolvedValue({
+      response: Promise.resolve({
+        body: { json: () => Promise.resolve({ todo: { todoId: '1' }, nextOccurrence: { todoId: '2', dueAt: '2030-01-08T09:00:00.000Z' } }) },
+      }),
+    });
+    const { updateTodoStatus } = initTodoHandlers(todoElements);
+
+    await updateTodoStatus('1', 'pending');
+
+    expect(API.put.mock.calls[0][0].options.body).toEqual({ status: 'completed' });
+    expect(todoElements.todoMessage.textContent)
+      .toBe(`Next occurrence due ${new Date('2030-01-08T09:00:00.000Z').toLocaleString()}.`);
+  });
+
+  it('createTodo rejects a due date in the past', async () => {
+    const { createTodo } = initTodoHandlers(todoElements);
+    todoElements.newTodoDueInput.value = '2020-01-01T10:00';
+
+    await createTodo();
+
+    expect(API.post).not.toHaveBeenCalled();
+    expect(todoElements.todoMessage.textContent).toBe('Due date must be in the future.');
+  });
+
+  it('setListQuery reloads the list with the given filters', async () => {
+    const { setListQuery } = initTodoHandlers(todoElements);
+
+    await setListQuery({ overdue: 'true' });
+    expect(API.get.mock.calls[0][0].options.queryParams.overdue).toBe('true');
+
+    await setListQuery({ overdue: null });
+    expect(API.get.mock.calls[1][0].options.queryParams).not.toHaveProperty('overdue');
+  });
+
+  it('setListQuery keeps the chosen sort across later filter changes', async () => {
+    const { setListQuery } = initTodoHandlers(todoElements);
+
+    await setListQuery({ sort: 'priority', order: 'desc' });
+    await setListQuery({ overdue: 'true' });
+
+    const queryParams = API.get.mock.calls[1][0].options.queryParams;
+    expect(queryParams).toMatchObject({ sort: 'priority', order: 'desc', overdue: 'true' });
+  });
+
   it('fetchTodos renders todos', async () => {
     API.get.mockResolvedValue({
       response: {
@@ -74,6 +293,79 @@ describe('initTodoHandlers', () => {
     expect(renderTodos).toHaveBeenCalled();
   });
 
+  it('fetchTodos requests the first page and shows the load more button when more pages exist', async () => {
+    API.get.mockResolvedValue({
+      response: {
+        body: {
+          json: () => Promise.resolve({ todos: [{ todoId: '1', title: 'Test', status: 'pending' }], nextToken: 'page-2' }),
+        },
+      },
+    });
+    const { fetchTodos } = initTodoHandlers(todoElements);
+    await fetchTodos();
+
+    const options = API.get.mock.calls[0][0].options;
+    expect(options.queryParams.nextToken).toBeUndefined();
+    expect(options.queryParams.limit).toBeDefined();
+    expect(todoElements.loadMoreButton.classList.remove).toHaveBeenCalledWith('hidden');
+  });
+
+  it('loadMoreTodos appends the next page and hides the button on the last page', async () => {
+    API.get
+      .mockResolvedValueOnce({
+        response: {
+          body: {
+            json: () => Promise.resolve({ todos: [{ todoId: '1', title: 'First' }], nextToken: 'page-2' }),
+          },
+        },
+      })
+      .mockResolvedValueOnce({
+        response: {
+          body: {
+            json: () => Promise.resolve({ todos: [{ todoId: '2', title: 'Second' }], nextToken: null }),
+          },
+        },
+      });
+    const { fetchTodos, loadMoreTodos } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    await loadMoreTodos();
+
+    expect(API.get.mock.calls[1][0].options.queryParams.nextToken).toBe('page-2');
+    const renderedTodos = renderTodos.mock.calls[renderTodos.mock.calls.length - 1][0];
+    expect(renderedTodos.map(todo => todo.todoId)).toEqual(['1', '2']);
+    expect(todoElements.loadMoreButton.classList.add).toHaveBeenLastCalledWith('hidden');
+  });
+
+  it('loadMoreTodos does nothing when there is no next page', async () => {
+    const { loadMoreTodos } = initTodoHandlers(todoElements);
+    await loadMoreTodos();
+    expect(API.get).not.toHaveBeenCalled();
+  });
+
+  it('fetchTodo returns a single todo by id', async () => {
+    API.get.mockResolvedValue({
+      response: {
+        body: {
+          json: () => Promise.resolve({ todo: { todoId: 'abc', title: 'One' } }),
+        },
+      },
+    });
+    const { fetchTodo } = initTodoHandlers(todoElements);
+    const todo = await fetchTodo('abc');
+
+    expect(API.get.mock.calls[0][0].path).toBe('/todos/abc');
+    expect(todo.title).toBe('One');
+  });
+
+  it('fetchTodo returns null and shows a message when the todo cannot be loaded', async () => {
+    API.get.mockRejectedValue(new Error('Not Found'));
+    const { fetchTodo } = initTodoHandlers(todoElements);
+    const todo = await fetchTodo('missing');
+
+    expect(todo).toBeNull();
+    expect(todoElements.todoMessage.textContent).toMatch(/not found/i);
+  });
+
   it('updateTodoStatus toggles status and calls API.put', async () => {
     API.put.mockResolvedValue({
       response: {
@@ -91,6 +383,45 @@ describe('initTodoHandlers', () => {
     expect(API.put).toHaveBeenCalled();
   });
 
+  it('updateTodoStatus sends the loaded version and shows the server copy on a conflict', async () => {
+    API.get.mockResolvedValue({
+      response: Promise.resolve({ body: { json: () => Promise.resolve({ todos: [{ todoId: '1', status: 'pending', version: 3 }], nextToken: null }) } }),
+    });
+    const serverCopy = { todoId: '1', status: 'completed', version: 4 };
+    const conflict = new Error('Conflict');
+    conflict.response = { statusCode: 409, body: JSON.stringify({ message: 'modified', todo: serverCopy }) };
+    API.put.mockRejectedValue(conflict);
+    const { fetchTodos, updateTodoStatus } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    API.get.mockClear();
+
+    await updateTodoStatus('1', 'pending');
+
+    expect(API.put.mock.calls[0][0].options.headers['If-Match']).toBe('3');
+    expect(todoElements.todoMessage.textContent).toMatch(/changed elsewhere/);
+    // The conflict is surfaced instead of silently reloading the list
+    expect(API.get).not.toHaveBeenCalled();
+    const lastRender = renderTodos.mock.calls[renderTodos.mock.calls.length - 1];
+    expect(lastRender[0]).toEqual([serverCopy]);
+  });
+
+  it('getConflictingTodo only returns the server copy of 409 errors', () => {
+    const todo = { todoId: '1' };
+    expect(getConflictingTodo({ response: { statusCode: 409, body: JSON.stringify({ todo }) } })).toEqual(todo);
+    expect(getConflictingTodo({ response: { statusCode: 500, body: '{}' } })).toBeNull();
+    expect(getConflictingTodo({ response: { statusCode: 409, body: 'not json' } })).toBeNull();
+    expect(getConflictingTodo(new Error('Network error'))).toBeNull();
+  });
+
+  it('getValidationErrors only returns the invalid fields of 400 errors', () => {
+    const errors = [{ field: 'title', message: 'Title must be a non-empty string.' }];
+    expect(getValidationErrors({ response: { statusCode: 400, body: JSON.stringify({ message: 'x', errors }) } })).toEqual(errors);
+    expect(getValidationErrors({ response: { statusCode: 400, body: JSON.stringify({ message: 'x' }) } })).toEqual([]);
+    expect(getValidationErrors({ response: { statusCode: 409, body: JSON.stringify({ errors }) } })).toEqual([]);
+    expect(getValidationErrors({ response: { statusCode: 400, body: 'not json' } })).toEqual([]);
+    expect(getValidationErrors(new Error('Network error'))).toEqual([]);
+  });
+
   it('deleteTodo calls API.del and then fetchTodos', async () => {
     API.del.mockResolvedValue({
       response: {
@@ -103,4 +434,337 @@ describe('initTodoHandlers', () => {
     await deleteTodo('1');
     expect(API.del).toHaveBeenCalled();
   });
+
+  it('completeSelected sends one batch with the loaded versions and reloads the list', async () => {
+    API.get.mockResolvedValue({
+      response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1', version: 2 }, { todoId: '2' }] }) } },
+    });
+    API.post.mockResolvedValue({
+      response: { body: { json: () => Promise.resolve({ results: [{ statusCode: 200 }, { statusCode: 200 }] }) } },
+    });
+    const { fetchTodos, completeSelected } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    await completeSelected(['1', '2']);
+
+    const request = API.post.mock.calls[0][0];
+    expect(request.path).toBe('/todos/batch');
+    expect(request.options.body.operations).toEqual([
+      { op: 'complete', todoId: '1', expectedVersion: 2 },
+      { op: 'complete', todoId: '2' },
+    ]);
+    expect(todoElements.todoMessage.textContent).toBe('Completed 2 To-Do(s).');
+    await new Promise(process.nextTick);
+    expect(API.get).toHaveBeenCalledTimes(2);
+  });
+
+  it('deleteSelected reports operations that could not be applied', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [] }) } } });
+    API.post.mockResolvedValue({
+      response: { body: { json: () => Promise.resolve({ results: [{ statusCode: 200 }, { statusCode: 409 }] }) } },
+    });
+    const { deleteSelected } = initTodoHandlers(todoElements);
+    await deleteSelected(['1', '2']);
+
+    expect(API.post.mock.calls[0][0].options.body.operations.map(operation => operation.op)).toEqual(['delete', 'delete']);
+    expect(todoElements.todoMessage.textContent).toMatch(/Deleted 1 of 2 To-Dos. 1 could not be changed/);
+  });
+
+  it('completeSelected does nothing without a selection', async () => {
+    const { completeSelected } = initTodoHandlers(todoElements);
+    await completeSelected([]);
+    expect(API.post).not.toHaveBeenCalled();
+  });
+
+  it('moveSelected moves each todo with its loaded version to the target list', async () => {
+    API.get.mockResolvedValue({
+      response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1', version: 2 }, { todoId: '2' }] }) } },
+    });
+    API.post.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todo: {} }) } } });
+    const { fetchTodos, moveSelected } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    await moveSelected(['1', '2'], 'list-work', 'Work');
+
+    expect(API.post.mock.calls.map(([request]) => request.path)).toEqual(['/todos/1/move', '/todos/2/move']);
+    expect(API.post.mock.calls[0][0].options).toMatchObject({ body: { listId: 'list-work' }, headers: { 'If-Match': '2' } });
+    expect(todoElements.todoMessage.textContent).toBe('Moved 2 To-Do(s) to "Work".');
+  });
+
+  it('moveSelected reports the todos that could not be moved', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [] }) } } });
+    API.post
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todo: {} }) } } })
+      .mockRejectedValueOnce(new Error('Conflict'));
+    const { moveSelected } = initTodoHandlers(todoElements);
+    await moveSelected(['1', '2'], null, 'My To-Dos');
+
+    expect(API.post.mock.calls[1][0].options.body).toEqual({ listId: null });
+    expect(todoElements.todoMessage.textContent).toMatch(/Moved 1 of 2 To-Dos to "My To-Dos". 1 could not be moved/);
+  });
+
+  it('reorderTodo shows the new order right away and saves it with the loaded version', async () => {
+    const page = { todos: ['1', '2', '3'].map(todoId => ({ todoId, position: todoId, version: 1 })) };
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve(page) } } });
+    API.patch.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todo: { todoId: '3', position: '0V', version: 2 } }) } } });
+    const { setListQuery, reorderTodo } = initTodoHandlers(todoElements);
+    await setListQuery({ sort: 'position', order: 'asc' });
+    expect(renderTodos.mock.calls.at(-1)[6]).toBe(reorderTodo);
+
+    const saved = reorderTodo('3', { after: null, before: '1' });
+    expect(renderTodos.mock.calls.at(-1)[0].map(item => item.todoId)).toEqual(['3', '1', '2']);
+    await saved;
+
+    expect(API.patch.mock.calls[0][0]).toMatchObject({
+      path: '/todos/3/position',
+      options: { body: { after: null, before: '1' }, headers: { 'If-Match': '1' } },
+    });
+  });
+
+  it('reorderTodo reloads the list when the move is rejected', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1', position: '1' }, { todoId: '2', position: '2' }] }) } } });
+    API.patch.mockRejectedValue(new Error('Conflict'));
+    const { setListQuery, reorderTodo } = initTodoHandlers(todoElements);
+    await setListQuery({ sort: 'position', order: 'asc' });
+    API.get.mockClear();
+
+    await reorderTodo('2', { after: null, before: '1' });
+
+    expect(todoElements.todoMessage.textContent).toMatch(/could not be moved/);
+    expect(API.get).toHaveBeenCalledTimes(1);
+  });
+
+  it('To-Dos cannot be reordered outside the manual order', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1', position: '1' }] }) } } });
+    const { setListQuery } = initTodoHandlers(todoElements);
+
+    await setListQuery({ sort: 'priority', order: 'desc' });
+
+    expect(renderTodos.mock.calls.at(-1)[6]).toBeNull();
+  });
+
+  it('deleteTodo offers to undo the deletion by restoring the todo', async () => {
+    API.del.mockResolvedValue({ response: { body: { json: () => Promise.resolve({}) } } });
+    API.post.mockResolvedValue({ response: Promise.resolve({}) });
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [] }) } } });
+    const { deleteTodo } = initTodoHandlers(todoElements);
+    await deleteTodo('1');
+
+    expect(showUndoToast).toHaveBeenCalledWith('To-Do moved to trash.', expect.any(Function));
+    await showUndoToast.mock.calls[0][1]();
+    expect(API.post.mock.calls[0][0].path).toBe('/todos/1/restore');
+    expect(todoElements.todoMessage.textContent).toBe('To-Do restored.');
+  });
+
+  it('openTrash shows the trash view and renders the trashed todos', async () => {
+    const trashed = [{ todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z' }];
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: trashed }) } } });
+    const { openTrash } = initTodoHandlers(todoElements);
+    await openTrash();
+
+    expect(showTrashView).toHaveBeenCalledWith(true);
+    expect(API.get.mock.calls[0][0].path).toBe('/todos/trash');
+    expect(renderTrash).toHaveBeenCalledWith(trashed, expect.any(Function), expect.any(Function));
+  });
+
+  it('purgeTodo deletes the todo permanently and reloads the trash', async () => {
+    API.del.mockResolvedValue({ response: Promise.resolve({}) });
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [] }) } } });
+    const { purgeTodo } = initTodoHandlers(todoElements);
+    await purgeTodo('1');
+
+    expect(API.del.mock.calls[0][0].options.queryParams).toEqual({ permanent: 'true' });
+    expect(API.get.mock.calls[0][0].path).toBe('/todos/trash');
+  });
+
+  it('searchTodos shows the ranked results with the search terms to highlight', async () => {
+    const matches = [{ todoId: '2', title: 'Dentist' }];
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: matches, terms: ['dentist'] }) } } });
+    const { searchTodos } = initTodoHandlers(todoElements);
+    await searchTodos('  Dentist ');
+
+    expect(API.get.mock.calls[0][0].path).toBe('/todos/search');
+    expect(API.get.mock.calls[0][0].options.queryParams).toEqual({ q: 'Dentist', limit: '100' });
+    expect(renderTodos).toHaveBeenCalledWith(matches, expect.any(Function), expect.any(Function), expect.any(Function), expect.any(Object), ['dentist'], null);
+  });
+
+  it('searchTodos shows a message when nothing matches and an empty query shows the list again', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [], terms: ['zzz'] }) } } });
+    const { searchTodos } = initTodoHandlers(todoElements);
+    await searchTodos('zzz');
+    expect(todoElements.todoList.innerHTML).toContain('No To-Dos match your search.');
+
+    await searchTodos('');
+    expect(API.get.mock.calls[1][0].path).toBe('/todos');
+  });
+
+  it('filterByStatus requests only todos with that status, also when searching', async () => {
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [], terms: [] }) } } });
+    const { filterByStatus, searchTodos } = initTodoHandlers(todoElements);
+    await filterByStatus('completed');
+    expect(API.get.mock.calls[0][0].options.queryParams).toEqual({ status: 'completed', limit: '25' });
+
+    await searchTodos('report');
+    expect(API.get.mock.calls[1][0].options.queryParams).toEqual({ q: 'report', limit: '100', status: 'completed' });
+
+    await filterByStatus(null);
+    expect(API.get.mock.calls[2][0].options.queryParams).toEqual({ q: 'report', limit: '100' });
+  });
+
+  it('a change syncs the list through GET /todos/changes instead of reloading it', async () => {
+    const page = { todos: [{ todoId: '1', title: 'Old', status: 'pending', version: 1 }], nextToken: null, syncCursor: 'cursor-1' };
+    const changes = { todos: [{ todoId: '1', title: 'Old', status: 'completed', version: 2 }], tombstones: [], cursor: 'cursor-2', hasMore: false };
+    API.get
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve(page) } } })
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve(changes) } } });
+    API.put.mockResolvedValue({ response: { body: { json: () => Promise.resolve({}) } } });
+    const { fetchTodos, updateTodoStatus } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    todoElements.todoList.innerHTML = '';
+    await updateTodoStatus('1', 'pending');
+    await new Promise(process.nextTick);
+
+    expect(API.get).toHaveBeenCalledTimes(2);
+    expect(API.get.mock.calls[1][0].path).toBe('/todos/changes');
+    expect(API.get.mock.calls[1][0].options.queryParams).toEqual({ since: 'cursor-1' });
+    expect(renderTodos).toHaveBeenLastCalledWith([changes.todos[0]], expect.any(Function), expect.any(Function), expect.any(Function), expect.any(Object), [], null);
+    // No loading message replaces the list while syncing
+    expect(todoElements.todoList.innerHTML).toBe('');
+  });
+
+  it('a failed sync falls back to reloading the list', async () => {
+    API.get
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todos: [], syncCursor: 'expired' }) } } })
+      .mockRejectedValueOnce(new Error('Gone'))
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todos: [], syncCursor: 'fresh' }) } } });
+    API.del.mockResolvedValue({ response: { body: { json: () => Promise.resolve({}) } } });
+    const { fetchTodos, deleteTodo } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    await deleteTodo('1');
+    await new Promise(process.nextTick);
+
+    expect(API.get.mock.calls.map(call => call[0].path)).toEqual(['/todos', '/todos/changes', '/todos']);
+  });
+
+  it('changes pushed over the real-time connection are patched into the list', async () => {
+    const page = { todos: [{ todoId: '1', title: 'Old', status: 'pending', version: 1 }, { todoId: '2', title: 'Gone', status: 'pending', version: 1 }], syncCursor: 'cursor-1' };
+    API.get.mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve(page) } } });
+    const close = jest.fn();
+    connectRealtime.mockReturnValue({ close });
+    const { fetchTodos, startRealtimeUpdates, stopRealtimeUpdates } = initTodoHandlers(todoElements);
+    startRealtimeUpdates();
+    startRealtimeUpdates();
+    await fetchTodos();
+
+    expect(connectRealtime).toHaveBeenCalledTimes(1);
+    const { getToken, onChanges } = connectRealtime.mock.calls[0][0];
+    await expect(getToken()).resolves.toBe('mock-token');
+
+    const updated = { todoId: '1', title: 'New', status: 'pending', version: 2 };
+    onChanges({ type: 'changes', todos: [updated], tombstones: [{ todoId: '2', permanent: true }] });
+    expect(renderTodos).toHaveBeenLastCalledWith([updated], expect.any(Function), expect.any(Function), expect.any(Function), expect.any(Object), [], null);
+    expect(API.get).toHaveBeenCalledTimes(1);
+
+    stopRealtimeUpdates();
+    expect(close).toHaveBeenCalled();
+  });
+
+  it('a real-time resync hint fetches the changes through GET /todos/changes', async () => {
+    API.get
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todos: [], syncCursor: 'cursor-1' }) } } })
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todos: [], tombstones: [], cursor: 'cursor-2' }) } } });
+    const { fetchTodos, startRealtimeUpdates } = initTodoHandlers(todoElements);
+    startRealtimeUpdates();
+    await fetchTodos();
+
+    connectRealtime.mock.calls[0][0].onChanges({ type: 'changes', resync: true });
+    await new Promise(process.nextTick);
+
+    expect(API.get.mock.calls[1][0].path).toBe('/todos/changes');
+  });
+
+  it('selectList sends the listId of a shared list with every request', async () => {
+    const { selectList, createTodo, deleteTodo } = initTodoHandlers(todoElements);
+
+    await selectList({ listId: 'list-1', name: 'Team', role: 'editor' });
+    await createTodo();
+    await deleteTodo('1');
+
+    expect(API.get.mock.calls[0][0].options.queryParams).toEqual({ limit: '25', listId: 'list-1' });
+    expect(API.post.mock.calls[0][0].options.queryParams).toEqual({ listId: 'list-1' });
+    expect(API.del.mock.calls[0][0].options.queryParams).toEqual({ listId: 'list-1' });
+
+    await selectList(null);
+    expect(API.get.mock.calls[API.get.mock.calls.length - 1][0].options.queryParams).toEqual({ limit: '25' });
+  });
+
+  it('selectList closes the trash and can skip loading the list', async () => {
+    const { selectList, openTrash } = initTodoHandlers(todoElements);
+    await openTrash();
+    API.get.mockClear();
+
+    await selectList({ listId: 'list-1', name: 'Team', role: 'viewer' }, { reload: false });
+
+    expect(showTrashView).toHaveBeenLastCalledWith(false);
+    expect(API.get).not.toHaveBeenCalled();
+  });
+
+  it('real-time changes of another list are ignored', async () => {
+    connectRealtime.mockReturnValue({ close: jest.fn() });
+    const { selectList, startRealtimeUpdates } = initTodoHandlers(todoElements);
+    startRealtimeUpdates();
+    await selectList({ listId: 'list-1', name: 'Team', role: 'viewer' });
+    renderTodos.mockClear();
+    const { onChanges } = connectRealtime.mock.calls[0][0];
+
+    onChanges({ type: 'changes', todos: [{ todoId: 'personal', status: 'pending' }], tombstones: [] });
+    onChanges({ type: 'changes', listId: 'list-2', todos: [{ todoId: 'other', status: 'pending' }], tombstones: [] });
+    expect(renderTodos).not.toHaveBeenCalled();
+
+    const shared = { todoId: 'shared', status: 'pending' };
+    onChanges({ type: 'changes', listId: 'list-1', todos: [shared], tombstones: [] });
+    expect(renderTodos).toHaveBeenLastCalledWith([shared], expect.any(Function), expect.any(Function), expect.any(Function), expect.any(Object), [], null);
+  });
+
+  it('changes made offline are shown right away, queued and sent once back online', async () => {
+    const onLine = jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+    API.get.mockResolvedValue({ response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1', status: 'pending', version: 1 }] }) } } });
+    const { fetchTodos, createTodo, updateTodoStatus, replayOfflineChanges } = initTodoHandlers(todoElements);
+    await fetchTodos();
+
+    todoElements.newTodoTitleInput.value = 'Offline';
+    await createTodo();
+    await updateTodoStatus('1', 'pending');
+
+    expect(API.post).not.toHaveBeenCalled();
+    expect(API.put).not.toHaveBeenCalled();
+    expect(todoElements.todoMessage.textContent).toMatch(/saved on this device/);
+    const lastRender = renderTodos.mock.calls[renderTodos.mock.calls.length - 1][0];
+    expect(lastRender).toEqual([
+      expect.objectContaining({ title: 'Offline', localOnly: true }),
+      expect.objectContaining({ todoId: '1', status: 'completed' }),
+    ]);
+    expect(renderSyncStatus).toHaveBeenLastCalledWith({ online: false, syncing: false, pending: 2 });
+
+    onLine.mockReturnValue(true);
+    API.post.mockResolvedValue({ response: Promise.resolve({ statusCode: 201, body: { json: () => Promise.resolve({ todo: { todoId: 'new' } }) } }) });
+    API.put.mockResolvedValue({ response: Promise.resolve({ statusCode: 200, body: { json: () => Promise.resolve({ todo: { todoId: '1' } }) } }) });
+    await replayOfflineChanges();
+
+    expect(API.post.mock.calls[0][0].path).toBe('/todos');
+    expect(API.put.mock.calls[0][0].options.headers).toEqual({ 'If-Match': '1', Authorization: 'Bearer mock-token' });
+    expect(API.get).toHaveBeenCalledTimes(2);
+    onLine.mockRestore();
+  });
+
+  it('fetchTodos keeps showing the list saved on this device when the backend cannot be reached', async () => {
+    API.get
+      .mockResolvedValueOnce({ response: { body: { json: () => Promise.resolve({ todos: [{ todoId: '1' }], syncCursor: 'cursor' }) } } })
+      .mockRejectedValueOnce(new Error('Network error'));
+    const { fetchTodos } = initTodoHandlers(todoElements);
+    await fetchTodos();
+    await fetchTodos();
+
+    expect(renderTodos).toHaveBeenCalledTimes(2);
+    expect(renderTodos.mock.calls[1][0]).toEqual([{ todoId: '1' }]);
+    expect(todoElements.todoMessage.textContent).toBe('Could not reach the server. Showing the To-Dos saved on this device.');
+  });
 });
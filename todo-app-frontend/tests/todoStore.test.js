@@ -0,0 +1,67 @@
+/**
+ * This file contains tests for the todoStore module.
+ * It tests loading pages into the store and applying the deltas of GET /todos/changes:
+ * updates in place, new To-Dos on top, tombstones, stale or repeated changes and filters.
+ */
+import { createTodoStore } from '../frontend-src/todoStore.js';
+
+describe('createTodoStore', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createTodoStore();
+    store.reset([
+      { todoId: '1', title: 'First', version: 1 },
+      { todoId: '2', title: 'Second', version: 4 },
+    ]);
+  });
+
+  test('append skips To-Dos that are already in the store', () => {
+    store.append([{ todoId: '2', title: 'Second', version: 4 }, { todoId: '3', title: 'Third', version: 1 }]);
+
+    expect(store.all().map(item => item.todoId)).toEqual(['1', '2', '3']);
+  });
+
+  test('applyChanges updates in place, adds new To-Dos on top and removes tombstoned ones', () => {
+    const changed = store.applyChanges({
+      todos: [{ todoId: '2', title: 'Second (edited)', version: 5 }, { todoId: '3', title: 'New', version: 1 }],
+      tombstones: [{ todoId: '1', deletedAt: '2025-01-01T00:00:00.000Z', permanent: false }],
+    });
+
+    expect(changed).toBe(true);
+    expect(store.all().map(item => item.title)).toEqual(['New', 'Second (edited)']);
+    expect(store.get('1')).toBeNull();
+  });
+
+  test('applyChanges ignores changes that are not newer than the stored copy', () => {
+    const changed = store.applyChanges({ todos: [{ todoId: '2', title: 'Stale', version: 4 }], tombstones: [] });
+
+    expect(changed).toBe(false);
+    expect(store.get('2').title).toBe('Second');
+  });
+
+  test('applyChanges removes To-Dos that no longer match the filters and skips new ones that do not', () => {
+    const accepts = item => item.status !== 'completed';
+
+    const changed = store.applyChanges({
+      todos: [{ todoId: '1', status: 'completed', version: 2 }, { todoId: '3', status: 'completed', version: 1 }],
+    }, accepts);
+
+    expect(changed).toBe(true);
+    expect(store.all().map(item => item.todoId)).toEqual(['2']);
+  });
+
+  test('replace swaps a To-Do for the copy returned by the backend', () => {
+    store.replace({ todoId: '1', title: 'Replaced', version: 2 });
+
+    expect(store.all().map(item => item.title)).toEqual(['Replaced', 'Second']);
+  });
+
+  test('sortByPosition orders the To-Dos like the manual order of the backend', () => {
+    store.reset([{ todoId: 'a', position: 'b' }, { todoId: 'b', position: 'B' }, { todoId: 'c', position: 'Ba' }]);
+
+    store.sortByPosition();
+
+    expect(store.all().map(item => item.todoId)).toEqual(['b', 'c', 'a']);
+  });
+});
@@ -0,0 +1,688 @@
+/**
+ * This file contains tests for the uiHandlers module.
+ * It tests the functionality of showing the app itself, showing the auth section,
+ * and rendering different tasks.
+ * The tests ensure that the UI updates correctly when switching between auth and app sections,
+ * and that todos are rendered correctly in the UI.
+ * @jest-environment jsdom
+ */
+import { showTodoApp, showAuthSection, renderTodos, formatRelativeTime, isOverdue, getSelectedTodoIds, showUndoToast, renderTrash, highlightMatches, debounce, setActiveStatusTab, renderSyncStatus, showUpdatePrompt, renderListTabs, renderListAccess, renderInvitations, renderMembers, getReorderNeighbours, describeRecurrence, showRecurrenceOptions, markInvalidFields } from '../frontend-src/uiHandlers.js';
+
+describe('uiHandlers', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="auth-section"></div>
+      <div id="todo-app-section"></div>
+      <input id="email" />
+      <input id="password" />
+      <input id="confirmation-code" />
+      <div id="todo-list"></div>
+    `;
+  });
+
+  test('showTodoApp hides auth section and shows todo app section', () => {
+    showTodoApp();
+    expect(document.getElementById('auth-section').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('todo-app-section').classList.contains('hidden')).toBe(false);
+  });
+
+  test('showAuthSection shows auth section and hides todo app section and clears inputs', () => {
+    showAuthSection();
+    expect(document.getElementById('auth-section').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('todo-app-section').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('email').value).toBe('');
+    expect(document.getElementById('password').value).toBe('');
+    expect(document.getElementById('confirmation-code').value).toBe('');
+  });
+
+  test('renderTodos renders no todos message when todos empty', () => {
+    renderTodos([], jest.fn(), jest.fn());
+    expect(document.getElementById('todo-list').textContent).toContain('No To-Do items yet');
+  });
+
+  test('renderTodos renders todo items', () => {
+    const todos = [
+      { todoId: '1', title: 'Todo 1', status: 'pending', createdAt: new Date().toISOString() },
+    ];
+    renderTodos(todos, jest.fn(), jest.fn());
+    expect(document.getElementById('todo-list').textContent).toContain('Todo 1');
+  });
+
+  test('renderTodos shows an overdue badge and relative due time for overdue todos', () => {
+    const todos = [
+      { todoId: '1', title: 'Late', status: 'pending', dueAt: new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString(), createdAt: new Date().toISOString() },
+      { todoId: '2', title: 'Later', status: 'pending', dueAt: new Date(Date.now() + 3 * 24 * 60 * 60 * 1000).toISOString(), createdAt: new Date().toISOString() },
+    ];
+    renderTodos(todos, jest.fn(), jest.fn());
+
+    const badges = document.querySelectorAll('.overdue-badge');
+    expect(badges.length).toBe(1);
+    const dueLabels = Array.from(document.querySelectorAll('.due-label')).map(el => el.textContent);
+    expect(dueLabels).toEqual(['Due 2 hours ago', 'Due in 3 days']);
+  });
+});
+
+describe('priority badges', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+  });
+
+  test('renderTodos shows a badge for non-default priorities only', () => {
+    const todos = [
+      { todoId: '1', title: 'A', status: 'pending', priority: 'urgent', createdAt: new Date().toISOString() },
+      { todoId: '2', title: 'B', status: 'pending', priority: 'medium', createdAt: new Date().toISOString() },
+    ];
+    renderTodos(todos, jest.fn(), jest.fn());
+
+    const badges = Array.from(document.querySelectorAll('.priority-badge')).map(el => el.textContent);
+    expect(badges).toEqual(['urgent']);
+  });
+});
+
+describe('recurrence', () => {
+  test('describeRecurrence puts the rule in words', () => {
+    expect(describeRecurrence({ frequency: 'daily', interval: 1 })).toBe('Daily');
+    expect(describeRecurrence({ frequency: 'daily', interval: 3 })).toBe('Every 3 days');
+    expect(describeRecurrence({ frequency: 'weekly', interval: 1, weekdays: ['MO', 'FR'] })).toBe('Weekly on Mon, Fri');
+    expect(describeRecurrence({ frequency: 'weekly', interval: 2, weekdays: ['SU'] })).toBe('Every 2 weeks on Sun');
+    expect(describeRecurrence({ frequency: 'monthly', interval: 1, monthDay: 15 })).toBe('Monthly on day 15');
+    expect(describeRecurrence({ frequency: 'afterCompletion', interval: 5 })).toBe('5 days after completion');
+  });
+
+  test('renderTodos shows a repeat icon for recurring To-Dos only', () => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+    const todos = [
+      { todoId: '1', title: 'Gym', status: 'pending', recurrence: { frequency: 'weekly', interval: 1, weekdays: ['TU'] }, createdAt: new Date().toISOString() },
+      { todoId: '2', title: 'Once', status: 'pending', createdAt: new Date().toISOString() },
+    ];
+    renderTodos(todos, jest.fn(), jest.fn());
+
+    const badges = Array.from(document.querySelectorAll('.recurrence-badge'));
+    expect(badges.map(el => el.textContent)).toEqual(['\u21bb Weekly on Tue']);
+    expect(badges[0].getAttribute('title')).toBe('Repeats: Weekly on Tue');
+  });
+
+  test('showRecurrenceOptions shows the inputs of the selected frequency', () => {
+    document.body.innerHTML = '<fieldset id="recurrence-weekdays" class="hidden"></fieldset><label id="recurrence-month-day" class="hidden"></label>';
+    const weekdays = document.getElementById('recurrence-weekdays');
+    const monthDay = document.getElementById('recurrence-month-day');
+
+    showRecurrenceOptions('weekly');
+    expect(weekdays.classList.contains('hidden')).toBe(false);
+    expect(monthDay.classList.contains('hidden')).toBe(true);
+
+    showRecurrenceOptions('monthly');
+    expect(weekdays.classList.contains('hidden')).toBe(true);
+    expect(monthDay.classList.contains('hidden')).toBe(false);
+  });
+});
+
+describe('validation errors', () => {
+  test('markInvalidFields marks the rejected inputs and clears the others', () => {
+    document.body.innerHTML = '<input id="title"><input id="tags"><select id="repeat"></select>';
+    // The title was rejected before
+    document.getElementById('title').classList.add('border-red-500');
+    document.getElementById('title').setAttribute('aria-invalid', 'true');
+    const inputs = new Map([
+      ['title', document.getElementById('title')],
+      ['tags', document.getElementById('tags')],
+      ['recurrence', document.getElementById('repeat')],
+      ['dueAt', undefined],
+    ]);
+
+    markInvalidFields(inputs, [
+      { field: 'tags[1]', message: 'Invalid tag.' },
+      { field: 'recurrence.interval', message: 'Invalid interval.' },
+    ]);
+
+    expect(document.querySelectorAll('[aria-invalid="true"]')).toHaveLength(2);
+    expect(document.getElementById('title').classList.contains('border-red-500')).toBe(false);
+    expect(document.getElementById('title').hasAttribute('aria-invalid')).toBe(false);
+    expect(document.getElementById('tags').classList.contains('border-red-500')).toBe(true);
+    expect(document.getElementById('repeat').getAttribute('aria-invalid')).toBe('true');
+  });
+});
+
+describe('tag chips', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+  });
+
+  test('renderTodos renders clickable tag chips that apply the filter', () => {
+    const todos = [
+      { todoId: '1', title: 'A', status: 'pending', tags: ['work', 'urgent'], createdAt: new Date().toISOString() },
+    ];
+    const filterByTag = jest.fn();
+    renderTodos(todos, jest.fn(), jest.fn(), filterByTag);
+
+    const chips = Array.from(document.querySelectorAll('.tag-chip'));
+    expect(chips.map(el => el.textContent)).toEqual(['#work', '#urgent']);
+
+    chips[1].click();
+    expect(filterByTag).toHaveBeenCalledWith('urgent');
+  });
+});
+
+describe('hostile content', () => {
+  // Values entered by users are stored unescaped by the backend and may come from other members of a shared list
+  const PAYLOADS = [
+    '<img src=x onerror="window.__xss = true">',
+    '<script>window.__xss = true</script>',
+    '"><svg onload="window.__xss = true">',
+    '<a href="javascript:alert(1)">click</a>',
+  ];
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div><div id="trash-list"></div><nav id="list-tabs"></nav><div id="archived-lists"><div id="archived-list-tabs"></div></div><select id="move-selected-select"></select>';
+    delete window.__xss;
+  });
+
+  /**
+   * Asserts that no markup of the payloads was turned into elements.
+   * @param {HTMLElement} root - The rendered container.
+   */
+  function expectNoInjectedElements(root) {
+    expect(root.querySelectorAll('img, script, svg, a, [onerror], [onload]')).toHaveLength(0);
+    expect(window.__xss).toBeUndefined();
+  }
+
+  test.each(PAYLOADS)('renderTodos shows %s as text', (payload) => {
+    const todos = [{
+      todoId: 'x"><img src=x onerror=alert(1)>',
+      title: payload,
+      description: payload,
+      status: 'pending',
+      priority: payload,
+      tags: [payload],
+      subtasks: [{ subtaskId: 's1', title: payload, done: false }],
+      recurrence: { frequency: 'weekly', interval: 1, weekdays: [payload] },
+      createdAt: new Date().toISOString(),
+    }];
+    const filterByTag = jest.fn();
+    renderTodos(todos, jest.fn(), jest.fn(), filterByTag, { toggleSubtask: jest.fn() }, ['img', 'script'], jest.fn());
+
+    const todoList = document.getElementById('todo-list');
+    expectNoInjectedElements(todoList);
+    expect(todoList.querySelector('.todo-title').textContent).toBe(payload);
+    expect(todoList.querySelector('.todo-description').textContent).toBe(payload);
+    expect(todoList.querySelector('.subtask-list span').textContent).toBe(payload);
+    const chip = todoList.querySelector('.tag-chip');
+    expect(chip.textContent).toBe(`#${payload}`);
+    chip.click();
+    expect(filterByTag).toHaveBeenCalledWith(payload);
+    expect(todoList.querySelector('.delete-todo-button').dataset.todoId).toBe(todos[0].todoId);
+  });
+
+  test.each(PAYLOADS)('renderTrash and renderListTabs show %s as text', (payload) => {
+    renderTrash([{ todoId: '1', title: payload, deletedAt: new Date().toISOString() }], jest.fn(), jest.fn());
+    renderListTabs([{ listId: 'a', name: payload, role: 'owner', archived: false }], null, jest.fn());
+
+    expectNoInjectedElements(document.body);
+    expect(document.querySelector('#trash-list h4').textContent).toBe(payload);
+    expect(document.querySelectorAll('#list-tabs .list-tab')[1].textContent).toBe(payload);
+  });
+});
+
+describe('search', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+  });
+
+  test('highlightMatches marks the words starting with a search term, ignoring case and accents', () => {
+    const element = document.createElement('p');
+    element.textContent = 'Book Café table for <b>Cafeteria</b> staff';
+
+    highlightMatches(element, ['cafe']);
+
+    expect(Array.from(element.querySelectorAll('mark')).map(mark => mark.textContent)).toEqual(['Café', 'Cafeteria']);
+    expect(element.querySelector('b')).toBeNull();
+    expect(element.textContent).toBe('Book Café table for <b>Cafeteria</b> staff');
+  });
+
+  test('renderTodos highlights search terms in titles and descriptions', () => {
+    const todos = [
+      { todoId: '1', title: 'Dentist appointment', description: 'Ask the dentist about it', status: 'pending', createdAt: new Date().toISOString() },
+    ];
+    renderTodos(todos, jest.fn(), jest.fn(), jest.fn(), {}, ['dentist']);
+
+    expect(document.querySelectorAll('.todo-title mark')).toHaveLength(1);
+    expect(document.querySelectorAll('.todo-description mark')).toHaveLength(1);
+  });
+
+  test('debounce only calls the function once typing pauses', () => {
+    jest.useFakeTimers();
+    const search = jest.fn();
+    const debounced = debounce(search, 300);
+
+    debounced('d');
+    debounced('de');
+    jest.advanceTimersByTime(299);
+    expect(search).not.toHaveBeenCalled();
+    debounced('den');
+    jest.advanceTimersByTime(300);
+
+    expect(search).toHaveBeenCalledTimes(1);
+    expect(search).toHaveBeenCalledWith('den');
+    jest.useRealTimers();
+  });
+});
+
+describe('status tabs', () => {
+  test('setActiveStatusTab selects the tab of the given status only', () => {
+    document.body.innerHTML = `
+      <button class="status-tab border-blue-500" data-status="" aria-selected="true">All</button>
+      <button class="status-tab border-transparent" data-status="pending" aria-selected="false">Active</button>
+      <button class="status-tab border-transparent" data-status="completed" aria-selected="false">Completed</button>
+    `;
+
+    setActiveStatusTab('completed');
+
+    const tabs = Array.from(document.querySelectorAll('.status-tab'));
+    expect(tabs.map(tab => tab.getAttribute('aria-selected'))).toEqual(['false', 'false', 'true']);
+    expect(tabs[2].classList.contains('border-blue-500')).toBe(true);
+    expect(tabs[0].classList.contains('border-blue-500')).toBe(false);
+    expect(tabs[0].classList.contains('border-transparent')).toBe(true);
+  });
+});
+
+describe('update prompt', () => {
+  test('showUpdatePrompt shows the banner and reloads only when Reload is clicked', () => {
+    document.body.innerHTML = `
+      <div id="update-prompt" class="hidden">
+        <button id="update-reload-button">Reload</button>
+        <button id="update-dismiss-button">Later</button>
+      </div>
+    `;
+    const onReload = jest.fn();
+    const prompt = document.getElementById('update-prompt');
+
+    showUpdatePrompt(onReload);
+    expect(prompt.classList.contains('hidden')).toBe(false);
+
+    document.getElementById('update-dismiss-button').click();
+    expect(prompt.classList.contains('hidden')).toBe(true);
+    expect(onReload).not.toHaveBeenCalled();
+
+    showUpdatePrompt(onReload);
+    document.getElementById('update-reload-button').click();
+    expect(onReload).toHaveBeenCalledTimes(1);
+    expect(prompt.classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('sync status', () => {
+  test('renderSyncStatus shows the offline and pending state and hides itself when everything is synced', () => {
+    document.body.innerHTML = '<span id="sync-status" class="hidden"></span>';
+    const indicator = document.getElementById('sync-status');
+
+    renderSyncStatus({ online: false, syncing: false, pending: 2 });
+    expect(indicator.textContent).toBe('Offline · 2 pending');
+    expect(indicator.classList.contains('hidden')).toBe(false);
+
+    renderSyncStatus({ online: true, syncing: true, pending: 2 });
+    expect(indicator.textContent).toBe('Syncing... · 2 pending');
+
+    renderSyncStatus({ online: true, syncing: false, pending: 0 });
+    expect(indicator.classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('subtasks', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+  });
+
+  const todo = {
+    todoId: '1',
+    title: 'Trip',
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+    subtasks: [
+      { subtaskId: 's1', title: 'Passport', done: true },
+      { subtaskId: 's2', title: '<b>Charger</b>', done: false },
+    ],
+  };
+
+  test('renderTodos shows the checklist progress and subtask titles as text', () => {
+    renderTodos([todo], jest.fn(), jest.fn());
+
+    expect(document.querySelector('.subtask-progress').textContent).toBe('1/2');
+    const titles = Array.from(document.querySelectorAll('.subtask-list li span')).map(el => el.textContent);
+    expect(titles).toEqual(['Passport', '<b>Charger</b>']);
+    expect(document.querySelector('.subtask-list b')).toBeNull();
+  });
+
+  test('checking a subtask and pressing Enter in the input call the subtask handlers', () => {
+    const toggleSubtask = jest.fn();
+    const addSubtask = jest.fn();
+    renderTodos([todo], jest.fn(), jest.fn(), jest.fn(), { toggleSubtask, addSubtask });
+
+    document.querySelectorAll('.subtask-toggle')[1].click();
+    expect(toggleSubtask).toHaveBeenCalledWith('1', 's2', true);
+
+    const input = document.querySelector('.subtask-input');
+    input.value = ' Tickets ';
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter' }));
+    expect(addSubtask).toHaveBeenCalledWith('1', 'Tickets');
+  });
+});
+
+describe('selection', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div id="bulk-actions" class="hidden"><span id="selected-count"></span></div>
+      <div id="todo-list"></div>
+    `;
+  });
+
+  const todos = ['1', '2', '3'].map(todoId => ({ todoId, title: `Todo ${todoId}`, status: 'pending', createdAt: new Date().toISOString() }));
+
+  test('selecting todos shows the bulk actions and getSelectedTodoIds returns them', () => {
+    renderTodos(todos, jest.fn(), jest.fn());
+    const checkboxes = document.querySelectorAll('.select-todo');
+    expect(checkboxes).toHaveLength(3);
+    expect(document.getElementById('bulk-actions').classList.contains('hidden')).toBe(true);
+
+    checkboxes[0].click();
+    checkboxes[2].click();
+
+    expect(getSelectedTodoIds()).toEqual(['1', '3']);
+    expect(document.getElementById('bulk-actions').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('selected-count').textContent).toBe('2 selected');
+  });
+
+  test('rendering again clears the selection and hides the bulk actions', () => {
+    renderTodos(todos, jest.fn(), jest.fn());
+    document.querySelector('.select-todo').click();
+
+    renderTodos(todos.slice(1), jest.fn(), jest.fn());
+
+    expect(getSelectedTodoIds()).toEqual([]);
+    expect(document.getElementById('bulk-actions').classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('manual order', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="todo-list"></div>';
+  });
+
+  const todos = ['1', '2', '3'].map(todoId => ({ todoId, title: `Todo ${todoId}`, status: 'pending', createdAt: new Date().toISOString() }));
+
+  /**
+   * Dispatches a drag and drop event with a minimal dataTransfer, which jsdom does not provide.
+   * @param {HTMLElement} element - The element to dispatch the event on.
+   * @param {string} type - The event type, e.g. 'drop'.
+   * @param {Map<string, string>} data - The dragged data by format.
+   * @param {number} [clientY] - The vertical pointer position.
+   */
+  const dispatchDragEvent = (element, type, data, clientY = 0) => {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    event.dataTransfer = { setData: (format, value) => data.set(format, value), getData: format => data.get(format) || '' };
+    event.clientY = clientY;
+    element.dispatchEvent(event);
+  };
+
+  test('getReorderNeighbours returns the To-Dos around the new place', () => {
+    const order = ['1', '2', '3'];
+
+    expect(getReorderNeighbours(order, '3', 0)).toEqual({ after: null, before: '1' });
+    expect(getReorderNeighbours(order, '1', 1)).toEqual({ after: '2', before: '3' });
+    expect(getReorderNeighbours(order, '1', 2)).toEqual({ after: '3', before: null });
+  });
+
+  test('renderTodos only adds reorder handles when the To-Dos can be reordered', () => {
+    renderTodos(todos, jest.fn(), jest.fn());
+    expect(document.querySelectorAll('.reorder-handle')).toHaveLength(0);
+
+    renderTodos(todos, jest.fn(), jest.fn(), null, {}, [], jest.fn());
+    expect(document.querySelectorAll('.reorder-handle')).toHaveLength(3);
+    expect(document.querySelector('#todo-list > div').draggable).toBe(true);
+  });
+
+  test('the arrow keys move a To-Do by one place', () => {
+    const onReorder = jest.fn();
+    renderTodos(todos, jest.fn(), jest.fn(), null, {}, [], onReorder);
+    const handles = document.querySelectorAll('.reorder-handle');
+
+    handles[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown' }));
+    handles[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+    handles[2].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp' }));
+
+    expect(onReorder.mock.calls).toEqual([
+      ['1', { after: '2', before: '3' }],
+      ['3', { after: '1', before: '2' }],
+    ]);
+  });
+
+  test('dropping a To-Do on the upper half of another one moves it before that one', () => {
+    const onReorder = jest.fn();
+    renderTodos(todos, jest.fn(), jest.fn(), null, {}, [], onReorder);
+    const items = document.querySelectorAll('#todo-list > div');
+    const data = new Map();
+
+    dispatchDragEvent(items[2], 'dragstart', data);
+    dispatchDragEvent(items[0], 'dragover', data);
+    expect(items[0].classList.contains('ring-2')).toBe(true);
+    dispatchDragEvent(items[0], 'drop', data);
+
+    expect(items[0].classList.contains('ring-2')).toBe(false);
+    expect(onReorder).toHaveBeenCalledWith('3', { after: null, before: '1' });
+  });
+
+  test('dropping a To-Do on itself does nothing', () => {
+    const onReorder = jest.fn();
+    renderTodos(todos, jest.fn(), jest.fn(), null, {}, [], onReorder);
+    const item = document.querySelector('#todo-list > div');
+
+    dispatchDragEvent(item, 'drop', new Map([['text/plain', '1']]));
+
+    expect(onReorder).not.toHaveBeenCalled();
+  });
+});
+
+describe('undo toast', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = `
+      <div id="undo-toast" class="hidden"><span id="undo-toast-message"></span><button id="undo-button">Undo</button></div>
+    `;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('showUndoToast shows the message and calls the undo callback once', () => {
+    const onUndo = jest.fn();
+    showUndoToast('To-Do moved to trash.', onUndo);
+
+    const toast = document.getElementById('undo-toast');
+    expect(toast.classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('undo-toast-message').textContent).toBe('To-Do moved to trash.');
+
+    document.getElementById('undo-button').click();
+    expect(onUndo).toHaveBeenCalledTimes(1);
+    expect(toast.classList.contains('hidden')).toBe(true);
+  });
+
+  test('the undo toast hides itself after a few seconds', () => {
+    showUndoToast('To-Do moved to trash.', jest.fn());
+
+    jest.advanceTimersByTime(8000);
+
+    expect(document.getElementById('undo-toast').classList.contains('hidden')).toBe(true);
+  });
+});
+
+describe('trash', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="trash-list"></div>';
+  });
+
+  test('renderTrash lists trashed todos with restore and delete forever buttons', () => {
+    const restoreTodo = jest.fn();
+    const purgeTodo = jest.fn();
+    const expiresAt = Math.floor(Date.now() / 1000) + 3 * 24 * 60 * 60;
+    renderTrash([{ todoId: '1', title: '<i>Old</i>', deletedAt: new Date().toISOString(), expiresAt }], restoreTodo, purgeTodo);
+
+    const entry = document.querySelector('.trash-item');
+    expect(entry.querySelector('h4').textContent).toBe('<i>Old</i>');
+    expect(entry.querySelector('i')).toBeNull();
+    expect(entry.textContent).toMatch(/removed permanently in 3 days/);
+
+    entry.querySelector('.restore-todo-button').click();
+    entry.querySelector('.purge-todo-button').click();
+    expect(restoreTodo).toHaveBeenCalledWith('1');
+    expect(purgeTodo).toHaveBeenCalledWith('1');
+  });
+
+  test('renderTrash shows a message when the trash is empty', () => {
+    renderTrash([], jest.fn(), jest.fn());
+
+    expect(document.getElementById('trash-list').textContent).toBe('The trash is empty.');
+  });
+});
+
+describe('shared lists', () => {
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav id="list-tabs"></nav>
+      <div id="archived-lists"><div id="archived-list-tabs"></div></div>
+      <select id="move-selected-select"></select>
+      <h2 id="list-heading"></h2>
+      <div id="add-todo-form"></div>
+      <button id="members-button"></button>
+      <div id="list-actions"><input id="rename-list-name"><button id="archive-list-button"></button></div>
+      <div id="invitations"></div>
+      <ul id="members-list"></ul>
+      <div id="invite-form"></div>
+      <button id="leave-list-button"></button>
+    `;
+  });
+
+  test('renderListTabs shows a tab per list with the role, and the archived lists apart', () => {
+    const onSelect = jest.fn();
+    renderListTabs([
+      { listId: 'a', name: 'Home', role: 'owner', archived: false },
+      { listId: 'b', name: 'Team', role: 'viewer', archived: false },
+      { listId: 'c', name: 'Old', role: 'owner', archived: true },
+    ], 'b', onSelect);
+
+    const tabs = [...document.querySelectorAll('#list-tabs .list-tab')];
+    expect(tabs.map(tab => tab.textContent)).toEqual(['My To-Dos', 'Home', 'Team (viewer)']);
+    expect(tabs.map(tab => tab.getAttribute('aria-selected'))).toEqual(['false', 'false', 'true']);
+    expect(document.querySelector('#archived-list-tabs .list-tab').textContent).toBe('Old');
+    expect(document.getElementById('archived-lists').classList.contains('hidden')).toBe(false);
+
+    tabs[0].click();
+    expect(onSelect).toHaveBeenCalledWith(null);
+    tabs[1].click();
+    expect(onSelect).toHaveBeenLastCalledWith('a');
+  });
+
+  test('renderListTabs offers the personal To-Dos and the editable lists as move targets', () => {
+    renderListTabs([
+      { listId: 'a', name: 'Home', role: 'owner', archived: false },
+      { listId: 'b', name: 'Team', role: 'viewer', archived: false },
+      { listId: 'c', name: 'Work', role: 'editor', archived: false },
+    ], 'a', jest.fn());
+
+    const select = document.getElementById('move-selected-select');
+    expect([...select.options].map(option => [option.value, option.textContent])).toEqual([['', 'Move to…'], ['personal', 'My To-Dos'], ['c', 'Work']]);
+    expect(document.getElementById('archived-lists').classList.contains('hidden')).toBe(true);
+
+    renderListTabs([{ listId: 'b', name: 'Team', role: 'viewer', archived: false }], null, jest.fn());
+    expect(select.disabled).toBe(true);
+  });
+
+  test('renderListAccess shows the rename, archive and delete controls to the owner only', () => {
+    renderListAccess({ listId: 'a', name: 'Home', role: 'owner', archived: true });
+    expect(document.getElementById('list-heading').textContent).toBe('Home (archived)');
+    expect(document.getElementById('list-actions').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('rename-list-name').value).toBe('Home');
+    expect(document.getElementById('archive-list-button').textContent).toBe('Unarchive');
+
+    renderListAccess({ listId: 'b', name: 'Team', role: 'editor' });
+    expect(document.getElementById('list-actions').classList.contains('hidden')).toBe(true);
+  });
+
+  test('renderListAccess hides the add form from viewers and shows the members button for shared lists', () => {
+    renderListAccess({ listId: 'b', name: 'Team', role: 'viewer' });
+    expect(document.getElementById('list-heading').textContent).toBe('Team');
+    expect(document.getElementById('add-todo-form').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('members-button').classList.contains('hidden')).toBe(false);
+
+    renderListAccess(null);
+    expect(document.getElementById('list-heading').textContent).toBe('My To-Do List');
+    expect(document.getElementById('add-todo-form').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('members-button').classList.contains('hidden')).toBe(true);
+  });
+
+  test('renderInvitations shows accept and decline buttons, and hides the banner without invitations', () => {
+    const accept = jest.fn();
+    const decline = jest.fn();
+    const invitation = { listId: 'a', listName: '<b>Home</b>', role: 'editor', invitedBy: 'sam@example.com' };
+    renderInvitations([invitation], accept, decline);
+
+    const banner = document.getElementById('invitations');
+    expect(banner.textContent).toContain('sam@example.com invited you to "<b>Home</b>" as editor.');
+    expect(banner.querySelector('b')).toBeNull();
+    banner.querySelector('.accept-invitation-button').click();
+    banner.querySelector('.decline-invitation-button').click();
+    expect(accept).toHaveBeenCalledWith(invitation);
+    expect(decline).toHaveBeenCalledWith(invitation);
+
+    renderInvitations([], accept, decline);
+    expect(banner.classList.contains('hidden')).toBe(true);
+  });
+
+  test('renderMembers lets the owner change roles, remove members and revoke invitations', () => {
+    const handlers = { changeMemberRole: jest.fn(), removeMember: jest.fn(), revokeInvitation: jest.fn() };
+    const invitation = { email: 'kim@example.com', role: 'viewer' };
+    renderMembers({
+      members: [{ userId: 'u1', email: 'me@example.com', role: 'owner' }, { userId: 'u2', email: 'sam@example.com', role: 'editor' }],
+      invitations: [invitation],
+    }, 'owner', handlers);
+
+    const select = document.querySelector('.member-role-select');
+    select.value = 'viewer';
+    select.dispatchEvent(new Event('change'));
+    document.querySelector('.remove-member-button').click();
+    document.querySelector('.revoke-invitation-button').click();
+    expect(document.querySelectorAll('.member-role-select')).toHaveLength(1);
+    expect(handlers.changeMemberRole).toHaveBeenCalledWith('u2', 'viewer');
+    expect(handlers.removeMember).toHaveBeenCalledWith('u2');
+    expect(handlers.revokeInvitation).toHaveBeenCalledWith(invitation);
+    expect(document.getElementById('invite-form').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('leave-list-button').classList.contains('hidden')).toBe(true);
+  });
+
+  test('renderMembers shows other members a read-only list and the leave button', () => {
+    const handlers = { changeMemberRole: jest.fn(), removeMember: jest.fn(), revokeInvitation: jest.fn() };
+    renderMembers({ members: [{ userId: 'u1', email: 'me@example.com', role: 'owner' }, { userId: 'u2', email: 'sam@example.com', role: 'editor' }], invitations: [] }, 'editor', handlers);
+
+    expect(document.querySelector('.member-role-select')).toBeNull();
+    expect(document.querySelector('.remove-member-button')).toBeNull();
+    expect(document.getElementById('members-list').textContent).toContain('sam@example.comeditor');
+    expect(document.getElementById('invite-form').classList.contains('hidden')).toBe(true);
+    expect(document.getElementById('leave-list-button').classList.contains('hidden')).toBe(false);
+  });
+});
+
+describe('due date helpers', () => {
+  const now = new Date('2025-06-01T12:00:00Z');
+
+  test('formatRelativeTime describes past and future dates', () => {
+    expect(formatRelativeTime('2025-06-03T12:00:00Z', now)).toBe('in 2 days');
+    expect(formatRelativeTime('2025-06-01T09:00:00Z', now)).toBe('3 hours ago');
+    expect(formatRelativeTime('2025-06-01T12:00:20Z', now)).toBe('this minute');
+  });
+
+  test('isOverdue ignores completed todos and todos without a due date', () => {
+    expect(isOverdue({ status: 'pending', dueAt: '2025-05-31T12:00:00Z' }, now)).toBe(true);
+    expect(isOverdue({ status: 'completed', dueAt: '2025-05-31T12:00:00Z' }, now)).toBe(false);
+    expect(isOverdue({ status: 'pending' }, now)).toBe(false);
+    expect(isOverdue({ status: 'pending', dueAt: '2025-06-02T12:00:00Z' }, now)).toBe(false);
+  });
+});
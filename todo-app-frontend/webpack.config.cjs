@@ -1,6 +1,9 @@
 const path = require('path');
 const Dotenv = require('dotenv-webpack');
 const webpack = require('webpack'); // Import webpack itself
+const CopyPlugin = require('copy-webpack-plugin');
+const { GenerateSW } = require('workbox-webpack-plugin');
+const MiniCssExtractPlugin = require('mini-css-extract-plugin');
 
 module.exports = {
   // Set mode to 'development' for easier debugging, 'production' for optimized builds
@@ -64,6 +67,27 @@ module.exports = {
       process: 'process/browser.js', // Maps 'process' to 'process/browser'
       Buffer: ['buffer', 'Buffer'], // Maps 'Buffer' to the Buffer export from 'buffer' package
     }),
+    // Writes the CSS imported by main.js (Tailwind and the Inter font) to dist/styles.css,
+    // which index.html loads with a <link>; the Content-Security-Policy does not allow inline styles.
+    new MiniCssExtractPlugin({ filename: 'styles.css' }),
+    // Copies the app shell (index.html, the web app manifest and the icons) next to the bundle,
+    // so dist/ contains everything that is uploaded to the S3 bucket.
+    new CopyPlugin({
+      patterns: [
+        { from: 'index.html' },
+        { from: 'public' },
+      ],
+    }),
+    // Generates dist/service-worker.js, which precaches the app shell so the app can be installed
+    // and loaded without network. A new version waits until the user accepts the update prompt.
+    new GenerateSW({
+      swDest: 'service-worker.js',
+      clientsClaim: true,
+      skipWaiting: false,
+      navigateFallback: 'index.html',
+      // Browsers that load the precached styles.css use the woff2 fonts; the woff fallbacks are not precached
+      exclude: [/\.map$/, /\.woff$/],
+    }),
   ],
 
   module: {
@@ -75,6 +99,17 @@ module.exports = {
         include: /node_modules/, // Only apply to .mjs files within node_modules
         type: 'javascript/auto', // Treat as standard JavaScript module
       },
+      // Stylesheets are compiled by PostCSS (Tailwind, see postcss.config.cjs) and extracted to dist/styles.css.
+      {
+        test: /\.css$/,
+        use: [MiniCssExtractPlugin.loader, 'css-loader', 'postcss-loader'],
+      },
+      // Font files referenced by the stylesheets are emitted to dist/fonts/.
+      {
+        test: /\.woff2?$/,
+        type: 'asset/resource',
+        generator: { filename: 'fonts/[name][ext]' },
+      },
     ],
   },
 };